@@ -0,0 +1,21 @@
+const Stripe = require("stripe");
+
+// Initialize Stripe (guarded for missing key in local/dev)
+let stripe = null;
+try {
+  if (
+    process.env.STRIPE_SECRET_KEY &&
+    process.env.STRIPE_SECRET_KEY !== "undefined"
+  ) {
+    stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+  } else {
+    console.warn(
+      "[Payments] STRIPE_SECRET_KEY not set; Stripe features disabled in this environment."
+    );
+  }
+} catch (e) {
+  console.error("[Payments] Failed to initialize Stripe:", e.message);
+  stripe = null;
+}
+
+module.exports = { stripe };
@@ -0,0 +1,56 @@
+const admin = require("firebase-admin");
+const {
+  getAchievementCatalog,
+  describeUnlocked,
+} = require("../services/achievements");
+
+/**
+ * Achievement Controller
+ * The badge catalog, a player's progress and anyone's unlocked badges
+ */
+
+/**
+ * Every achievement with its rarity and the caller's progress
+ */
+const getAchievements = async (req, res) => {
+  try {
+    const achievements = await getAchievementCatalog(req.user.uid);
+    res.json({ success: true, achievements });
+  } catch (error) {
+    console.error("Error getting achievements:", error);
+    res.status(500).json({
+      error: "Failed to get achievements",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * A player's unlocked achievements, newest first
+ */
+const getUserAchievements = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const userSnap = await admin
+      .database()
+      .ref(`users/${userId}/achievements`)
+      .once("value");
+
+    res.json({
+      success: true,
+      userId,
+      achievements: await describeUnlocked(userSnap.val()),
+    });
+  } catch (error) {
+    console.error("Error getting user achievements:", error);
+    res.status(500).json({
+      error: "Failed to get achievements",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAchievements,
+  getUserAchievements,
+};
@@ -26,6 +26,11 @@ const {
   getUserChallengeIds,
 } = require("../utils/challengeIndexer");
 const { decryptDataCached } = require("../utils/decryptionCache");
+const { mutateChallenge } = require("../utils/challengeTransaction");
+const {
+  lockChallengeFeePercents,
+  releaseChallengeFeeWaivers,
+} = require("../services/membership");
 const {
   fastEncrypt,
   fastDecrypt,
@@ -43,6 +48,35 @@ const {
   invalidateUser,
   invalidateUserChallengeIndexes,
 } = require("../utils/aggressiveCache");
+const {
+  CANCELLATION_FEE_PERCENT,
+  PAYOUT_HOLD_MS,
+  escrowStake,
+  refundStake,
+  calculateSettlement,
+  settleChallenge,
+} = require("../services/challengeEscrow");
+const {
+  updateRatingsForChallenge,
+  isWithinRatingWindow,
+} = require("../services/skillRating");
+const {
+  parseChallengeFormat,
+  createRounds,
+  isMultiRound,
+  getNextRound,
+  recordRoundScore,
+  resolveRounds,
+  summarizeRounds,
+} = require("../services/challengeFormats");
+const { summarizeGroup } = require("./groupChallengeController");
+const { getHeadToHead } = require("../services/headToHead");
+const { recordScoreSubmission } = require("../services/challengeDisputes");
+const { createSessionSecret } = require("../utils/scoreSignature");
+const { checkStakeAllowed } = require("../services/responsibleGaming");
+const {
+  createChallengeResultNotification,
+} = require("./notificationController");
 
 /**
  * Secure Challenge Controller
@@ -82,6 +116,9 @@ const createChallenge = async (req, res) => {
       gameUrl,
       betAmount,
       message,
+      ratingWindow,
+      format,
+      rounds,
     } = req.body;
     const challengerId = req.user.uid;
 
@@ -110,6 +147,42 @@ const createChallenge = async (req, res) => {
       });
     }
 
+    // Self-exclusion and loss limits
+    const protection = await checkStakeAllowed(challengerId, bet);
+    if (protection) {
+      const { status, ...body } = protection;
+      return res.status(status).json(body);
+    }
+
+    // Validate the match format (single game, best-of-N, aggregate, average)
+    const matchFormat = parseChallengeFormat(format, rounds);
+    if (matchFormat.error) {
+      return res.status(400).json({ error: matchFormat.error });
+    }
+
+    // Optionally limit challenges to opponents near the challenger's rating;
+    // a client window can narrow the server's but never widen it
+    const ratingGaps = [ratingWindow, process.env.CHALLENGE_RATING_WINDOW]
+      .map((gap) => parseInt(gap))
+      .filter((gap) => gap > 0);
+    const maxRatingGap = ratingGaps.length ? Math.min(...ratingGaps) : 0;
+    if (maxRatingGap > 0) {
+      const ratingCheck = await isWithinRatingWindow(
+        challengerId,
+        challengedId,
+        gameId,
+        maxRatingGap
+      );
+      if (!ratingCheck.withinWindow) {
+        return res.status(403).json({
+          error: "Opponent is outside the allowed rating window",
+          message: `Ratings must be within ${maxRatingGap} points of each other`,
+          yourRating: ratingCheck.rating,
+          opponentRating: ratingCheck.opponentRating,
+        });
+      }
+    }
+
     // DUPLICATE PREVENTION: Check for existing pending/accepted challenges between these users
     console.log(`🔍 Checking for duplicate challenges...`);
     try {
@@ -206,28 +279,57 @@ const createChallenge = async (req, res) => {
     // Generate challenge ID
     const challengeId = generateChallengeId();
 
-    // Create challenge data
-    const challengeData = {
-      challengeId,
-      challengerId,
-      challengedId,
-      gameId,
-      gameTitle,
-      gameImage: gameImage || "",
-      gameUrl: gameUrl || "",
-      betAmount: bet,
-      message: message || "",
-      status: "pending",
-      createdAt: Date.now(),
-      expiresAt: Date.now() + 24 * 60 * 60 * 1000, // 24 hours
-    };
+    // Move the challenger's stake into escrow before the challenge exists
+    const escrowResult = await escrowStake(challengerId, challengeId, bet);
+    if (!escrowResult.success) {
+      return res.status(400).json({
+        error: escrowResult.error,
+        message: `You need at least ${bet} KES in your wallet to create this challenge`,
+      });
+    }
 
-    // Encrypt challenge data
-    const encryptedData = encryptData(challengeData, ENCRYPTION_KEY);
+    // Create and store the challenge, returning the stake (and any fee
+    // waiver used) if anything fails before it exists
+    try {
+      const challengeData = {
+        challengeId,
+        challengerId,
+        challengedId,
+        gameId,
+        gameTitle,
+        gameImage: gameImage || "",
+        gameUrl: gameUrl || "",
+        betAmount: bet,
+        format: matchFormat.format,
+        ...(matchFormat.roundCount > 1 && {
+          rounds: createRounds(matchFormat.roundCount),
+        }),
+        message: message || "",
+        ...(req.rematchOf && { rematchOf: req.rematchOf }),
+        status: "pending",
+        stakes: { [challengerId]: bet },
+        // Fee rates are locked in with each stake
+        feePercents: await lockChallengeFeePercents(
+          [challengerId],
+          challengeId
+        ),
+        createdAt: Date.now(),
+        expiresAt: Date.now() + 24 * 60 * 60 * 1000, // 24 hours
+      };
 
-    // Store encrypted challenge
-    const challengeRef = ref(database, `secureChallenges/${challengeId}`);
-    await set(challengeRef, encryptedData);
+      // Encrypt and store the challenge
+      const encryptedData = encryptData(challengeData, ENCRYPTION_KEY);
+      await set(
+        ref(database, `secureChallenges/${challengeId}`),
+        encryptedData
+      );
+    } catch (storeError) {
+      await refundStake(challengerId, challengeId, bet, {
+        type: "challenge_create_failed_refund",
+      });
+      await releaseChallengeFeeWaivers([challengerId], challengeId);
+      throw storeError;
+    }
 
     // Add to user indexes for fast queries
     await addChallengeToUserIndex(
@@ -253,6 +355,73 @@ const createChallenge = async (req, res) => {
   }
 };
 
+/**
+ * Challenge the same opponent again with the same game, bet and format
+ */
+const rematchChallenge = async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+    const userId = req.user.uid;
+
+    console.log(`🔁 Rematch requested for ${challengeId} by ${userId}`);
+
+    const challengeRef = ref(database, `secureChallenges/${challengeId}`);
+    const challengeSnap = await get(challengeRef);
+
+    if (!challengeSnap.exists()) {
+      return res.status(404).json({ error: "Challenge not found" });
+    }
+
+    const challengeData = decryptData(challengeSnap.val(), ENCRYPTION_KEY);
+
+    if (
+      challengeData.challengerId !== userId &&
+      challengeData.challengedId !== userId
+    ) {
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+
+    if (challengeData.type === "group") {
+      return res.status(400).json({
+        error: "Group challenges cannot be rematched",
+      });
+    }
+
+    if (challengeData.status !== "completed") {
+      return res.status(400).json({
+        error: "Only completed challenges can be rematched",
+      });
+    }
+
+    // The requester becomes the challenger, whichever side they were on
+    req.body = {
+      challengedId:
+        challengeData.challengerId === userId
+          ? challengeData.challengedId
+          : challengeData.challengerId,
+      gameId: challengeData.gameId,
+      gameTitle: challengeData.gameTitle,
+      gameImage: challengeData.gameImage,
+      gameUrl: challengeData.gameUrl,
+      betAmount: challengeData.betAmount,
+      format: challengeData.format,
+      rounds: isMultiRound(challengeData)
+        ? challengeData.rounds.length
+        : undefined,
+      message: req.body.message || "Rematch?",
+    };
+    req.rematchOf = challengeId;
+
+    return await createChallenge(req, res);
+  } catch (error) {
+    console.error("Error creating rematch:", error);
+    res.status(500).json({
+      error: "Failed to create rematch",
+      message: error.message,
+    });
+  }
+};
+
 /**
  * Accept a challenge
  */
@@ -287,13 +456,67 @@ const acceptChallenge = async (req, res) => {
       return res.status(400).json({ error: "Challenge has expired" });
     }
 
-    // Update challenge status
-    challengeData.status = "accepted";
-    challengeData.acceptedAt = Date.now();
+    const protection = await checkStakeAllowed(
+      challengedId,
+      challengeData.betAmount
+    );
+    if (protection) {
+      const { status, ...body } = protection;
+      return res.status(status).json(body);
+    }
+
+    // Match the challenger's stake from the accepting player's wallet
+    const escrowResult = await escrowStake(
+      challengedId,
+      challengeId,
+      challengeData.betAmount
+    );
+    if (!escrowResult.success) {
+      return res.status(400).json({
+        error: escrowResult.error,
+        message: `You need at least ${challengeData.betAmount} KES in your wallet to accept this challenge`,
+      });
+    }
 
-    // Encrypt updated data
-    const encryptedData = encryptData(challengeData, ENCRYPTION_KEY);
-    await set(challengeRef, encryptedData);
+    // Flip the status in a transaction, so a cancel or expiry that lands at
+    // the same time either wins (and the stake goes back) or sees it accepted
+    let claim;
+    try {
+      const feePercents = await lockChallengeFeePercents(
+        [challengedId],
+        challengeId
+      );
+      claim = await mutateChallenge(challengeId, (data) => {
+        // A repeated accept found this stake already escrowed; keep it
+        if (data.stakes?.[challengedId]) {
+          return { error: "Challenge already accepted", status: 409 };
+        }
+        if (data.status !== "pending") {
+          return { error: "Challenge is not pending" };
+        }
+        if (Date.now() > data.expiresAt) {
+          return { error: "Challenge has expired" };
+        }
+        data.status = "accepted";
+        data.acceptedAt = Date.now();
+        data.stakes = {
+          ...(data.stakes || {}),
+          [challengedId]: data.betAmount,
+        };
+        data.feePercents = { ...(data.feePercents || {}), ...feePercents };
+      });
+    } catch (claimError) {
+      claim = { error: claimError.message, status: 500 };
+    }
+    if (claim.error) {
+      if (claim.status !== 409) {
+        await refundStake(challengedId, challengeId, challengeData.betAmount, {
+          type: "challenge_accept_failed_refund",
+        });
+        await releaseChallengeFeeWaivers([challengedId], challengeId);
+      }
+      return res.status(claim.status).json({ error: claim.error });
+    }
 
     // Update user indexes
     await updateChallengeInUserIndex(
@@ -352,13 +575,41 @@ const rejectChallenge = async (req, res) => {
       return res.status(400).json({ error: "Challenge is not pending" });
     }
 
-    // Update challenge status
-    challengeData.status = "rejected";
-    challengeData.rejectedAt = Date.now();
+    // Mark it rejected before refunding, so an accept or cancel that lands
+    // at the same time can't move the same stakes
+    const claim = await mutateChallenge(challengeId, (data) => {
+      if (data.status !== "pending") {
+        return { error: "Challenge is not pending" };
+      }
+      const stake = data.stakes?.[data.challengerId] || 0;
+      const fee = Math.round(stake * (CANCELLATION_FEE_PERCENT / 100));
+      data.status = "rejected";
+      data.rejectedAt = Date.now();
+      data.refundAmount = stake - fee;
+      data.cancellationFee = fee;
+    });
+    if (claim.error) {
+      return res.status(claim.status).json({ error: claim.error });
+    }
 
-    // Encrypt updated data
-    const encryptedData = encryptData(challengeData, ENCRYPTION_KEY);
-    await set(challengeRef, encryptedData);
+    // Return the challenger's stake (cancellation fee retained)
+    let refundResult = { refundAmount: 0, fee: 0 };
+    const challengerStake =
+      claim.challengeData.stakes?.[challengeData.challengerId];
+    if (challengerStake) {
+      refundResult = await refundStake(
+        challengeData.challengerId,
+        challengeId,
+        challengerStake,
+        {
+          type: "challenge_rejected_refund",
+          feePercent: CANCELLATION_FEE_PERCENT,
+        }
+      );
+      if (!refundResult.success) {
+        throw new Error(refundResult.error);
+      }
+    }
 
     // Update user indexes
     await updateChallengeInUserIndex(
@@ -373,6 +624,8 @@ const rejectChallenge = async (req, res) => {
     res.json({
       success: true,
       message: "Challenge rejected successfully",
+      refundAmount: refundResult.refundAmount,
+      serviceCharge: refundResult.fee,
     });
   } catch (error) {
     console.error("Error rejecting challenge:", error);
@@ -426,14 +679,30 @@ const startGameSession = async (req, res) => {
       });
     }
 
-    // Generate session token
+    // Multi-round challenges get a fresh session for each round
+    let round = null;
+    if (isMultiRound(challengeData)) {
+      round = getNextRound(challengeData, userId);
+      if (!round) {
+        return res.status(400).json({
+          error: "All rounds played",
+          message: "You have already submitted a score for every round",
+        });
+      }
+    }
+
+    // Generate session token, plus the secret the game signs its score with
     const sessionToken = crypto.randomBytes(32).toString("hex");
+    const sessionSecret = createSessionSecret();
 
     // Store session token
     const sessionRef = ref(database, `gameSessions/${sessionToken}`);
     await set(sessionRef, {
       challengeId,
       userId,
+      gameId: challengeData.gameId,
+      secret: sessionSecret,
+      ...(round && { round }),
       createdAt: Date.now(),
       expiresAt: Date.now() + 30 * 60 * 1000, // 30 minutes
     });
@@ -443,6 +712,8 @@ const startGameSession = async (req, res) => {
     res.json({
       success: true,
       sessionToken,
+      sessionSecret,
+      ...(round && { round, roundCount: challengeData.rounds.length }),
       message: "Game session started successfully",
     });
   } catch (error) {
@@ -503,47 +774,114 @@ const submitChallengeScore = async (req, res) => {
     }
 
     // Decrypt challenge data
-    const challengeData = decryptData(challengeSnap.val(), ENCRYPTION_KEY);
+    const storedChallenge = decryptData(challengeSnap.val(), ENCRYPTION_KEY);
 
     // Validate challenge
     if (
-      challengeData.challengerId !== userId &&
-      challengeData.challengedId !== userId
+      storedChallenge.challengerId !== userId &&
+      storedChallenge.challengedId !== userId
     ) {
       return res.status(403).json({ error: "Unauthorized" });
     }
 
-    if (challengeData.status !== "accepted") {
-      return res.status(400).json({ error: "Challenge is not accepted" });
-    }
+    // Record the score and decide the outcome in one transaction, so the
+    // other player's score, a dispute hold or a payout release written at
+    // the same time is never overwritten
+    const recorded = await mutateChallenge(challengeId, (data) => {
+      if (data.status !== "accepted") {
+        return { error: "Challenge is not accepted" };
+      }
+
+      let matchOver = false;
+      if (isMultiRound(data)) {
+        // Score counts towards the round this session was started for
+        const roundResult = recordRoundScore(
+          data,
+          userId,
+          sessionData.round,
+          score
+        );
+        if (roundResult.error) {
+          return { error: roundResult.error, status: 409 };
+        }
+
+        // Overall scores are round wins (best-of) or total/average score
+        const outcome = resolveRounds(data);
+        data.challengerScore = outcome.challengerScore;
+        data.challengedScore = outcome.challengedScore;
+        if (outcome.complete) {
+          matchOver = true;
+          data.winnerId = outcome.winnerId;
+        }
+      } else {
+        // Update challenge with score
+        if (data.challengerId === userId) {
+          data.challengerScore = score;
+        } else {
+          data.challengedScore = score;
+        }
+
+        // Check if both scores are submitted
+        if (data.challengerScore && data.challengedScore) {
+          matchOver = true;
+
+          // Determine winner
+          if (data.challengerScore > data.challengedScore) {
+            data.winnerId = data.challengerId;
+          } else if (data.challengedScore > data.challengerScore) {
+            data.winnerId = data.challengedId;
+          } else {
+            data.winnerId = "tie";
+          }
+        }
+      }
 
-    // Update challenge with score
-    if (challengeData.challengerId === userId) {
-      challengeData.challengerScore = score;
-    } else {
-      challengeData.challengedScore = score;
+      if (!matchOver) {
+        return { settlement: null };
+      }
+
+      data.status = "completed";
+      data.completedAt = Date.now();
+
+      // Record the payout before moving any money so a retry can finish it
+      const settlement = calculateSettlement(data);
+      data.totalPrize = settlement.totalPrize;
+      data.serviceCharge = settlement.serviceCharge;
+      data.netPrize = settlement.netPrize;
+      data.payouts = settlement.payouts;
+      // Payout stays in escrow until the dispute window closes
+      data.payoutReleaseAt = data.completedAt + PAYOUT_HOLD_MS;
+      return { settlement };
+    });
+    if (recorded.error) {
+      return res.status(recorded.status).json({ error: recorded.error });
     }
 
-    // Check if both scores are submitted
-    if (challengeData.challengerScore && challengeData.challengedScore) {
-      challengeData.status = "completed";
-      challengeData.completedAt = Date.now();
+    const { settlement } = recorded;
+    let { challengeData } = recorded;
 
-      // Determine winner
-      if (challengeData.challengerScore > challengeData.challengedScore) {
-        challengeData.winnerId = challengeData.challengerId;
-      } else if (
-        challengeData.challengedScore > challengeData.challengerScore
-      ) {
-        challengeData.winnerId = challengeData.challengedId;
-      } else {
-        challengeData.winnerId = "tie";
+    // With no dispute window, release escrow and pay out straight away;
+    // otherwise the cleanup job releases it once the window has passed
+    if (settlement && !PAYOUT_HOLD_MS) {
+      await settleChallenge(challengeId, challengeData, settlement);
+      const settled = await mutateChallenge(challengeId, (data) => {
+        data.settledAt = Date.now();
+      });
+      challengeData = settled.challengeData || challengeData;
+
+      try {
+        await updateRatingsForChallenge(challengeId, challengeData);
+      } catch (ratingError) {
+        console.error(
+          `⚠️ Failed to update ratings for ${challengeId}:`,
+          ratingError.message
+        );
       }
     }
 
-    // Encrypt updated data
-    const encryptedData = encryptData(challengeData, ENCRYPTION_KEY);
-    await set(challengeRef, encryptedData);
+    if (settlement) {
+      await notifyChallengeResult(challengeId, challengeData);
+    }
 
     // Update user indexes for status change
     if (challengeData.status === "completed") {
@@ -559,6 +897,13 @@ const submitChallengeScore = async (req, res) => {
     invalidateUserChallengeIndexes(challengeData.challengerId);
     invalidateUserChallengeIndexes(challengeData.challengedId);
 
+    // Keep the session and submission details as dispute evidence
+    await recordScoreSubmission(challengeId, sessionData, {
+      ...req.verifiedScore,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
     // Remove session token
     await remove(sessionRef);
 
@@ -566,6 +911,11 @@ const submitChallengeScore = async (req, res) => {
 
     res.json({
       success: true,
+      ...(isMultiRound(challengeData) && {
+        round: sessionData.round,
+        roundProgress: summarizeRounds(challengeData),
+      }),
+      status: challengeData.status,
       message: "Score submitted successfully",
     });
   } catch (error) {
@@ -577,6 +927,55 @@ const submitChallengeScore = async (req, res) => {
   }
 };
 
+/**
+ * Notify both players of a settled challenge
+ */
+const notifyChallengeResult = async (challengeId, challengeData) => {
+  const players = [
+    {
+      userId: challengeData.challengerId,
+      yourScore: challengeData.challengerScore,
+      opponentScore: challengeData.challengedScore,
+    },
+    {
+      userId: challengeData.challengedId,
+      yourScore: challengeData.challengedScore,
+      opponentScore: challengeData.challengerScore,
+    },
+  ];
+
+  for (const player of players) {
+    await createChallengeResultNotification(player.userId, {
+      challengeId,
+      gameTitle: challengeData.gameTitle,
+      result:
+        challengeData.winnerId === "tie"
+          ? "tie"
+          : challengeData.winnerId === player.userId
+          ? "won"
+          : "lost",
+      betAmount: challengeData.betAmount,
+      prizeAmount: challengeData.payouts?.[player.userId] || 0,
+      yourScore: player.yourScore,
+      opponentScore: player.opponentScore,
+    });
+  }
+};
+
+/**
+ * Everyone taking part in a challenge (both players, or a group's participants)
+ * Accepts a stored challenge or a history entry built from one
+ */
+const getChallengeUserIds = (challenge) => {
+  if (Array.isArray(challenge.participants)) {
+    return challenge.participants.map((participant) => participant.userId);
+  }
+  if (challenge.participants) {
+    return Object.keys(challenge.participants);
+  }
+  return [challenge.challengerId, challenge.challengedId].filter(Boolean);
+};
+
 /**
  * Get user's challenge history (OPTIMIZED)
  */
@@ -653,8 +1052,9 @@ const getChallengeHistory = async (req, res) => {
         );
 
         // Collect unique user IDs for batch fetching
-        uniqueUserIds.add(challengeData.challengerId);
-        uniqueUserIds.add(challengeData.challengedId);
+        getChallengeUserIds(challengeData).forEach((uid) =>
+          uniqueUserIds.add(uid)
+        );
 
         // Store minimal challenge data
         userChallenges.push({
@@ -670,13 +1070,16 @@ const getChallengeHistory = async (req, res) => {
           createdAt: challengeData.createdAt,
           completedAt: challengeData.completedAt,
           winnerId: challengeData.winnerId,
+          netPrize: challengeData.netPrize,
           challengerScore: challengeData.challengerScore,
           challengedScore: challengeData.challengedScore,
+          roundProgress: summarizeRounds(challengeData),
           isChallenger: challengeData.challengerId === userId,
           opponentId:
             challengeData.challengerId === userId
               ? challengeData.challengedId
               : challengeData.challengerId,
+          ...(challengeData.type === "group" && summarizeGroup(challengeData)),
         });
       } catch (decryptError) {
         console.warn(
@@ -710,6 +1113,26 @@ const getChallengeHistory = async (req, res) => {
 
     console.log(`✅ Fetched ${Object.keys(userDataMap).length} user profiles`);
 
+    // Head-to-head record against each one-on-one opponent on this page
+    const headToHeadMap = {};
+    const opponentIds = new Set(
+      userChallenges
+        .filter((challenge) => !challenge.participants && challenge.opponentId)
+        .map((challenge) => challenge.opponentId)
+    );
+    await Promise.all(
+      Array.from(opponentIds).map(async (opponentId) => {
+        try {
+          headToHeadMap[opponentId] = await getHeadToHead(userId, opponentId);
+        } catch (error) {
+          console.warn(
+            `Failed to build head-to-head against ${opponentId}:`,
+            error.message
+          );
+        }
+      })
+    );
+
     // OPTIMIZATION: Enrich challenges with user data
     const enrichedChallenges = userChallenges.map((challenge) => {
       const challengerData = userDataMap[challenge.challengerId] || {};
@@ -721,6 +1144,15 @@ const getChallengeHistory = async (req, res) => {
         challengedName: challengedData.displayName || "Unknown Player",
         challengerAvatar: challengerData.photoURL || "",
         challengedAvatar: challengedData.photoURL || "",
+        headToHead: headToHeadMap[challenge.opponentId] || null,
+        ...(challenge.participants && {
+          participants: challenge.participants.map((participant) => ({
+            ...participant,
+            name:
+              userDataMap[participant.userId]?.displayName || "Unknown Player",
+            avatar: userDataMap[participant.userId]?.photoURL || "",
+          })),
+        }),
       };
     });
 
@@ -745,6 +1177,35 @@ const getChallengeHistory = async (req, res) => {
   }
 };
 
+/**
+ * Get the head-to-head record between the current user and an opponent
+ */
+const getHeadToHeadSummary = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { opponentId } = req.params;
+
+    if (opponentId === userId) {
+      return res.status(400).json({
+        error: "Head-to-head needs two different players",
+      });
+    }
+
+    const headToHead = await getHeadToHead(userId, opponentId);
+
+    res.json({
+      success: true,
+      headToHead,
+    });
+  } catch (error) {
+    console.error("Error getting head-to-head:", error);
+    res.status(500).json({
+      error: "Failed to get head-to-head record",
+      message: error.message,
+    });
+  }
+};
+
 /**
  * Legacy challenge history method (fallback for existing challenges)
  */
@@ -773,10 +1234,7 @@ const getChallengeHistoryLegacy = async (req, res) => {
         const challengeData = decryptData(encryptedData, ENCRYPTION_KEY);
 
         // Filter user's challenges
-        if (
-          challengeData.challengerId === userId ||
-          challengeData.challengedId === userId
-        ) {
+        if (getChallengeUserIds(challengeData).includes(userId)) {
           // Filter by status if provided
           if (status && challengeData.status !== status) {
             continue;
@@ -795,13 +1253,17 @@ const getChallengeHistoryLegacy = async (req, res) => {
             createdAt: challengeData.createdAt,
             completedAt: challengeData.completedAt,
             winnerId: challengeData.winnerId,
+            netPrize: challengeData.netPrize,
             challengerScore: challengeData.challengerScore,
             challengedScore: challengeData.challengedScore,
+            roundProgress: summarizeRounds(challengeData),
             isChallenger: challengeData.challengerId === userId,
             opponentId:
               challengeData.challengerId === userId
                 ? challengeData.challengedId
                 : challengeData.challengerId,
+            ...(challengeData.type === "group" &&
+              summarizeGroup(challengeData)),
           });
         }
       } catch (decryptError) {
@@ -822,8 +1284,7 @@ const getChallengeHistoryLegacy = async (req, res) => {
     // Enrich with user names (same as main function)
     const uniqueUserIds = new Set();
     paginatedChallenges.forEach((challenge) => {
-      uniqueUserIds.add(challenge.challengerId);
-      uniqueUserIds.add(challenge.challengedId);
+      getChallengeUserIds(challenge).forEach((uid) => uniqueUserIds.add(uid));
     });
 
     const userDataMap = {};
@@ -858,6 +1319,14 @@ const getChallengeHistoryLegacy = async (req, res) => {
         challengedName: challengedData.displayName || "Unknown Player",
         challengerAvatar: challengerData.photoURL || "",
         challengedAvatar: challengedData.photoURL || "",
+        ...(challenge.participants && {
+          participants: challenge.participants.map((participant) => ({
+            ...participant,
+            name:
+              userDataMap[participant.userId]?.displayName || "Unknown Player",
+            avatar: userDataMap[participant.userId]?.photoURL || "",
+          })),
+        }),
       };
     });
 
@@ -881,9 +1350,12 @@ const getChallengeHistoryLegacy = async (req, res) => {
 
 module.exports = {
   createChallenge,
+  rematchChallenge,
   acceptChallenge,
   rejectChallenge,
   startGameSession,
   submitChallengeScore,
   getChallengeHistory,
+  getHeadToHeadSummary,
+  getChallengeUserIds,
 };
@@ -1,5 +1,7 @@
 const { database, storage } = require("../config/firebase");
 const { v4: uuidv4 } = require("uuid");
+const { getEntitlementsFor } = require("../services/membership");
+const { recordClanJoin } = require("../services/achievements");
 
 // Simple in-memory rate limiter for presence sync
 const presenceSyncLimiter = new Map();
@@ -47,6 +49,14 @@ const createClan = async (req, res) => {
       return res.status(404).json({ error: "User data not found" });
     }
 
+    const { clanSlots } = getEntitlementsFor(userData);
+    if ((userData.clans || []).length >= clanSlots) {
+      return res.status(403).json({
+        error: "Clan limit reached",
+        message: `Your plan allows ${clanSlots} clans`,
+      });
+    }
+
     let logoUrl = "https://via.placeholder.com/40";
     if (req.file) {
       const file = req.file;
@@ -85,6 +95,12 @@ const createClan = async (req, res) => {
     await userRef.update({
       clans: [...(userData.clans || []), clanId],
     });
+
+    try {
+      await recordClanJoin(userId, clanId, { founder: true });
+    } catch (error) {
+      console.error("Error recording clan achievement progress:", error);
+    }
     return res.status(201).json({ id: clanId, ...newClan });
   } catch (error) {
     console.error("Error creating clan:", error);
@@ -134,6 +150,24 @@ const joinClan = async (req, res) => {
       return res.status(400).json({ error: "Clan is full" });
     }
 
+    const userRef = database.ref(`users/${userId}`);
+    const userSnapshot = await userRef.once("value");
+
+    if (!userSnapshot.exists()) {
+      console.log("❌ [Backend] User not found in Firebase");
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const userData = userSnapshot.val();
+    const { clanSlots } = getEntitlementsFor(userData);
+    if ((userData.clans || []).length >= clanSlots) {
+      console.log("⚠️ [Backend] User has no clan slots left");
+      return res.status(403).json({
+        error: "Clan limit reached",
+        message: `Your plan allows ${clanSlots} clans`,
+      });
+    }
+
     console.log("🔄 [Backend] Adding user to clan members...");
     const newMembers = [
       ...clanData.members,
@@ -147,20 +181,17 @@ const joinClan = async (req, res) => {
     console.log("✅ [Backend] Updated clan members in Firebase");
 
     console.log("🔄 [Backend] Updating user clans list...");
-    const userRef = database.ref(`users/${userId}`);
-    const userSnapshot = await userRef.once("value");
-
-    if (!userSnapshot.exists()) {
-      console.log("❌ [Backend] User not found in Firebase");
-      return res.status(404).json({ error: "User not found" });
-    }
-
-    const userData = userSnapshot.val();
     await userRef.update({
       clans: [...(userData.clans || []), clanId],
     });
     console.log("✅ [Backend] Updated user clans list");
 
+    try {
+      await recordClanJoin(userId, clanId);
+    } catch (error) {
+      console.error("Error recording clan achievement progress:", error);
+    }
+
     console.log("✅ [Backend] Join clan completed successfully");
     return res.status(200).json({ message: "Joined clan successfully" });
   } catch (error) {
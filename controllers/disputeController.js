@@ -0,0 +1,341 @@
+const admin = require("firebase-admin");
+const { updateChallengeInUserIndex } = require("../utils/challengeIndexer");
+const { invalidateUserChallengeIndexes } = require("../utils/aggressiveCache");
+const { mutateChallenge } = require("../utils/challengeTransaction");
+const {
+  calculateSettlement,
+  refundAllStakes,
+} = require("../services/challengeEscrow");
+const {
+  collectDisputeEvidence,
+  logDisputeAudit,
+} = require("../services/challengeDisputes");
+const { resumeSettlement } = require("../services/challengeCleanup");
+const { getChallengeUserIds } = require("./challengeController");
+const { createSystemNotification } = require("./notificationController");
+
+/**
+ * Dispute Controller
+ * Players dispute completed challenges; admins uphold, reverse or void them
+ */
+
+const DISPUTE_DECISIONS = ["uphold", "reverse", "void"];
+
+const updatePlayerIndexes = async (challengeId, challengeData, status) => {
+  for (const userId of getChallengeUserIds(challengeData)) {
+    await updateChallengeInUserIndex(challengeId, userId, null, status);
+    invalidateUserChallengeIndexes(userId);
+  }
+};
+
+/**
+ * Raise a dispute on a completed challenge (participants only)
+ * Freezes the payout in escrow until an admin decides
+ */
+const raiseDispute = async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+    const { reason, description } = req.body;
+    const userId = req.user.uid;
+
+    if (!reason || typeof reason !== "string") {
+      return res.status(400).json({ error: "A dispute reason is required" });
+    }
+
+    console.log(`⚖️ Dispute raised on ${challengeId} by ${userId}`);
+
+    const now = Date.now();
+    const result = await mutateChallenge(challengeId, (data) => {
+      if (!getChallengeUserIds(data).includes(userId)) {
+        return { error: "Unauthorized", status: 403 };
+      }
+      if (data.dispute) {
+        return {
+          error: "This challenge has already been disputed",
+          status: 409,
+        };
+      }
+      if (data.status !== "completed") {
+        return { error: "Only completed challenges can be disputed" };
+      }
+      if (
+        data.settledAt ||
+        data.releaseStartedAt ||
+        now >= (data.payoutReleaseAt || 0)
+      ) {
+        return { error: "The dispute window for this challenge has closed" };
+      }
+
+      data.status = "disputed";
+      data.dispute = {
+        status: "open",
+        raisedBy: userId,
+        reason: reason.substring(0, 100),
+        raisedAt: now,
+      };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { challengeData } = result;
+    const evidence = await collectDisputeEvidence(challengeId, challengeData);
+
+    await admin
+      .database()
+      .ref(`challengeDisputes/${challengeId}`)
+      .set({
+        challengeId,
+        status: "open",
+        raisedBy: userId,
+        reason: challengeData.dispute.reason,
+        description: (description || "").substring(0, 2000),
+        gameTitle: challengeData.gameTitle,
+        betAmount: challengeData.betAmount,
+        totalPrize: challengeData.totalPrize,
+        players: getChallengeUserIds(challengeData),
+        evidence,
+        createdAt: now,
+      });
+
+    await logDisputeAudit(challengeId, {
+      action: "dispute_raised",
+      userId,
+      reason: challengeData.dispute.reason,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    await updatePlayerIndexes(challengeId, challengeData, "disputed");
+
+    for (const playerId of getChallengeUserIds(challengeData)) {
+      await createSystemNotification(playerId, {
+        title: "Challenge under review",
+        message:
+          playerId === userId
+            ? `Your dispute on ${challengeData.gameTitle} has been sent for review. Payouts are on hold until it is resolved.`
+            : `The result of ${challengeData.gameTitle} has been disputed. Payouts are on hold until an admin reviews it.`,
+        action: { type: "open_challenge", challengeId },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Dispute submitted for review",
+    });
+  } catch (error) {
+    console.error("Error raising dispute:", error);
+    res.status(500).json({
+      error: "Failed to raise dispute",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * List disputes for admin review (open first, oldest first)
+ */
+const getDisputeQueue = async (req, res) => {
+  try {
+    const { status = "open", limit = 50 } = req.query;
+
+    const disputesSnap = await admin
+      .database()
+      .ref("challengeDisputes")
+      .once("value");
+    if (!disputesSnap.exists()) {
+      return res.json({ success: true, data: [], total: 0 });
+    }
+
+    const disputes = Object.values(disputesSnap.val())
+      .filter((dispute) => status === "all" || dispute.status === status)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      // Evidence can be large; fetch a single dispute to see it
+      .map(({ evidence, ...dispute }) => dispute);
+
+    res.json({
+      success: true,
+      data: disputes.slice(0, parseInt(limit)),
+      total: disputes.length,
+    });
+  } catch (error) {
+    console.error("Error getting dispute queue:", error);
+    res.status(500).json({
+      error: "Failed to get dispute queue",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get one dispute with its evidence and audit trail
+ */
+const getDisputeDetails = async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+
+    const [disputeSnap, auditSnap] = await Promise.all([
+      admin.database().ref(`challengeDisputes/${challengeId}`).once("value"),
+      admin.database().ref(`auditLogs/disputes/${challengeId}`).once("value"),
+    ]);
+
+    if (!disputeSnap.exists()) {
+      return res.status(404).json({ error: "Dispute not found" });
+    }
+
+    res.json({
+      success: true,
+      dispute: disputeSnap.val(),
+      auditLog: auditSnap.exists() ? Object.values(auditSnap.val()) : [],
+    });
+  } catch (error) {
+    console.error("Error getting dispute:", error);
+    res.status(500).json({
+      error: "Failed to get dispute",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Resolve a dispute: uphold the result, reverse it, or void with refunds
+ */
+const resolveDispute = async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+    const { decision, notes, resolvedBy = "admin" } = req.body;
+
+    if (!DISPUTE_DECISIONS.includes(decision)) {
+      return res.status(400).json({
+        error: `Decision must be one of: ${DISPUTE_DECISIONS.join(", ")}`,
+      });
+    }
+
+    console.log(`⚖️ Resolving dispute on ${challengeId}: ${decision}`);
+
+    const now = Date.now();
+    const result = await mutateChallenge(challengeId, (data) => {
+      if (data.status !== "disputed" || data.dispute?.status !== "open") {
+        return { error: "No open dispute on this challenge", status: 409 };
+      }
+
+      if (decision === "reverse") {
+        if (data.type === "group" || data.winnerId === "tie") {
+          return {
+            error: "Only a two-player challenge with a winner can be reversed",
+          };
+        }
+        data.dispute.originalWinnerId = data.winnerId;
+        data.winnerId =
+          data.winnerId === data.challengerId
+            ? data.challengedId
+            : data.challengerId;
+
+        const settlement = calculateSettlement(data);
+        data.totalPrize = settlement.totalPrize;
+        data.serviceCharge = settlement.serviceCharge;
+        data.netPrize = settlement.netPrize;
+        data.payouts = settlement.payouts;
+      }
+
+      if (decision === "void") {
+        data.status = "voided";
+        data.voidedAt = now;
+      } else {
+        // Upheld or reversed results are paid out right away
+        data.status = "completed";
+        data.payoutReleaseAt = now;
+      }
+
+      data.dispute = {
+        ...data.dispute,
+        status: "resolved",
+        decision,
+        resolvedBy,
+        resolvedAt: now,
+      };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { challengeData } = result;
+
+    if (decision === "void") {
+      const refunds = await refundAllStakes(challengeId, challengeData, {
+        type: "challenge_voided_refund",
+      });
+      const failedRefund = Object.values(refunds).find((r) => !r.success);
+      if (failedRefund) {
+        throw new Error(failedRefund.error);
+      }
+    } else {
+      await resumeSettlement(challengeId);
+    }
+
+    await admin
+      .database()
+      .ref(`challengeDisputes/${challengeId}`)
+      .update({
+        status: "resolved",
+        decision,
+        notes: notes || "",
+        resolvedBy,
+        resolvedAt: now,
+      });
+
+    await logDisputeAudit(challengeId, {
+      action: "dispute_resolved",
+      decision,
+      notes: notes || "",
+      resolvedBy,
+      winnerId: challengeData.winnerId,
+      originalWinnerId: challengeData.dispute.originalWinnerId || null,
+      payouts: decision === "void" ? null : challengeData.payouts,
+      ip: req.ip,
+    });
+
+    await updatePlayerIndexes(
+      challengeId,
+      challengeData,
+      decision === "void" ? "voided" : "completed"
+    );
+
+    const messages = {
+      uphold: "The original result stands and payouts have been released.",
+      reverse:
+        "The result has been reversed and payouts released to the new winner.",
+      void: "The challenge has been voided and all stakes refunded in full.",
+    };
+    for (const playerId of getChallengeUserIds(challengeData)) {
+      await createSystemNotification(playerId, {
+        title: "Challenge dispute resolved",
+        message: `${challengeData.gameTitle}: ${messages[decision]}`,
+        action: { type: "open_challenge", challengeId },
+      });
+    }
+
+    res.json({
+      success: true,
+      decision,
+      status: challengeData.status,
+      winnerId: challengeData.winnerId,
+      message: "Dispute resolved",
+    });
+  } catch (error) {
+    console.error("Error resolving dispute:", error);
+    res.status(500).json({
+      error: "Failed to resolve dispute",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  raiseDispute,
+  getDisputeQueue,
+  getDisputeDetails,
+  resolveDispute,
+};
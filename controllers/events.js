@@ -2,6 +2,10 @@ const { database, storage } = require("../config/firebase");
 const { v4: uuidv4 } = require("uuid");
 const sanitizeHtml = require("sanitize-html");
 const emailService = require("../services/emailService");
+const {
+  recordEventBooking,
+  recordEventBookingCancelled,
+} = require("../services/achievements");
 
 // Sanitize HTML input
 const sanitizeInput = (html) => {
@@ -463,6 +467,15 @@ const bookEvent = async (req, res, next) => {
       // Don't fail the booking if email fails
     }
 
+    try {
+      await recordEventBooking(userId, id);
+    } catch (achievementError) {
+      console.error(
+        "Failed to record event achievement progress:",
+        achievementError
+      );
+    }
+
     res.status(200).json({ message: "Event booked successfully" });
   } catch (error) {
     console.error("Error booking event:", error.message, error.stack);
@@ -483,6 +496,15 @@ const cancelBooking = async (req, res, next) => {
     }
 
     await bookingRef.remove();
+
+    try {
+      await recordEventBookingCancelled(userId, id);
+    } catch (achievementError) {
+      console.error(
+        "Failed to revert event achievement progress:",
+        achievementError
+      );
+    }
     res.status(200).json({ message: "Booking cancelled successfully" });
   } catch (error) {
     console.error("Error cancelling booking:", error.message, error.stack);
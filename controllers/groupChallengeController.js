@@ -0,0 +1,882 @@
+const crypto = require("crypto");
+const { database } = require("../config/firebase");
+const { ref, get, set, remove } = require("firebase/database");
+const {
+  encryptData,
+  decryptData,
+  generateChallengeId,
+} = require("../utils/encryption");
+const {
+  addChallengeToUserIndex,
+  addUserToChallengeIndex,
+  updateChallengeInUserIndex,
+} = require("../utils/challengeIndexer");
+const { mutateChallenge } = require("../utils/challengeTransaction");
+const { invalidateUserChallengeIndexes } = require("../utils/aggressiveCache");
+const {
+  CANCELLATION_FEE_PERCENT,
+  PAYOUT_HOLD_MS,
+  escrowStake,
+  refundStake,
+  refundAllStakes,
+  settleChallenge,
+} = require("../services/challengeEscrow");
+const {
+  parsePayoutTable,
+  calculatePoolSettlement,
+} = require("../services/groupPayouts");
+const { checkStakeAllowed } = require("../services/responsibleGaming");
+const {
+  createNotification,
+  createChallengeResultNotification,
+  createSystemNotification,
+} = require("./notificationController");
+const { recordScoreSubmission } = require("../services/challengeDisputes");
+const { createSessionSecret } = require("../utils/scoreSignature");
+const { lockChallengeFeePercents } = require("../services/membership");
+
+/**
+ * Group Challenge Controller
+ * Pooled challenges where 3+ players stake the same bet and are paid by rank
+ */
+
+const ENCRYPTION_KEY = process.env.CHALLENGE_ENCRYPTION_KEY || "";
+
+const MIN_BET = 10;
+const MAX_BET = 10000;
+const MAX_GROUP_PLAYERS = parseInt(
+  process.env.GROUP_CHALLENGE_MAX_PLAYERS || "10"
+);
+// A group still plays if at least this many players accepted
+const MIN_GROUP_PLAYERS = 2;
+
+/**
+ * Transactional update that refuses to touch non-group challenges
+ */
+const mutateGroupChallenge = (challengeId, mutate) => {
+  return mutateChallenge(challengeId, (challengeData) => {
+    if (challengeData.type !== "group") {
+      return { error: "Not a group challenge", status: 400 };
+    }
+    return mutate(challengeData);
+  });
+};
+
+const getParticipantIds = (challengeData, status) => {
+  return Object.entries(challengeData.participants || {})
+    .filter(([, p]) => !status || p.status === status)
+    .map(([userId]) => userId);
+};
+
+/**
+ * Start the challenge or call it off once nobody is left to respond
+ */
+const resolveInvitations = (challengeData) => {
+  if (getParticipantIds(challengeData, "invited").length > 0) {
+    return null;
+  }
+
+  if (
+    getParticipantIds(challengeData, "accepted").length >= MIN_GROUP_PLAYERS
+  ) {
+    challengeData.status = "accepted";
+    challengeData.acceptedAt = Date.now();
+    return "started";
+  }
+
+  challengeData.status = "cancelled";
+  challengeData.cancelledAt = Date.now();
+  challengeData.cancelReason = "not_enough_players";
+  return "cancelled";
+};
+
+/**
+ * Update every listed participant's challenge index entry
+ */
+const updateParticipantIndexes = async (challengeId, userIds, status) => {
+  for (const userId of userIds) {
+    await updateChallengeInUserIndex(challengeId, userId, null, status);
+    invalidateUserChallengeIndexes(userId);
+  }
+};
+
+const removeInviteNotification = async (challengeId, userId) => {
+  await remove(
+    ref(database, `notifications/${userId}/group_challenge_${challengeId}`)
+  );
+};
+
+/**
+ * Follow-up once all invitations are answered: notify and move money
+ */
+const afterInvitationsResolved = async (
+  challengeId,
+  challengeData,
+  resolution
+) => {
+  const acceptedIds = getParticipantIds(challengeData, "accepted");
+
+  if (resolution === "started") {
+    await updateParticipantIndexes(challengeId, acceptedIds, "accepted");
+    for (const userId of acceptedIds) {
+      await createSystemNotification(userId, {
+        title: "Group challenge is on",
+        message: `${acceptedIds.length} players are in for ${challengeData.gameTitle}. Play your game to claim a place.`,
+        action: { type: "open_challenge", challengeId },
+      });
+    }
+    console.log(`✅ Group challenge ${challengeId} started`);
+  }
+
+  if (resolution === "cancelled") {
+    // Nobody is at fault when a group fails to fill, so refunds are in full
+    for (const [userId, stakeAmount] of Object.entries(
+      challengeData.stakes || {}
+    )) {
+      const refund = await refundStake(userId, challengeId, stakeAmount, {
+        type: "group_challenge_unfilled_refund",
+      });
+      if (!refund.success) {
+        console.error(
+          `❌ Failed to refund ${userId} for ${challengeId}: ${refund.error}`
+        );
+      }
+    }
+    await updateParticipantIndexes(challengeId, acceptedIds, "cancelled");
+    for (const userId of acceptedIds) {
+      await createSystemNotification(userId, {
+        title: "Group challenge called off",
+        message: `Not enough players joined ${challengeData.gameTitle}. Your stake has been refunded.`,
+        action: { type: "open_wallet" },
+      });
+    }
+    console.log(
+      `🚫 Group challenge ${challengeId} cancelled: not enough players`
+    );
+  }
+};
+
+/**
+ * Participant view of a group challenge for history and detail responses
+ * Scores stay hidden until everyone has played
+ */
+const summarizeGroup = (challengeData) => {
+  const completed = challengeData.status === "completed";
+  const positions = {};
+  (challengeData.standings || []).forEach((entry) => {
+    positions[entry.userId] = entry.position;
+  });
+
+  return {
+    type: "group",
+    maxPlayers: challengeData.maxPlayers,
+    payoutTable: challengeData.payoutTable,
+    participants: Object.entries(challengeData.participants || {}).map(
+      ([userId, p]) => ({
+        userId,
+        role: p.role,
+        status: p.status,
+        submitted: p.score !== null,
+        score: completed ? p.score : null,
+        position: positions[userId] || null,
+        payout: challengeData.payouts
+          ? challengeData.payouts[userId] || 0
+          : null,
+      })
+    ),
+  };
+};
+
+/**
+ * Create a group challenge and invite players
+ */
+const createGroupChallenge = async (req, res) => {
+  try {
+    const {
+      playerIds,
+      gameId,
+      gameTitle,
+      gameImage,
+      gameUrl,
+      betAmount,
+      payoutTable,
+      message,
+    } = req.body;
+    const hostId = req.user.uid;
+
+    console.log(`🎯 Creating group challenge: ${hostId} on ${gameId}`);
+
+    if (!Array.isArray(playerIds) || !gameId || !gameTitle || !betAmount) {
+      return res.status(400).json({
+        error:
+          "Missing required fields: playerIds, gameId, gameTitle, betAmount",
+      });
+    }
+
+    const invitees = [...new Set(playerIds)].filter(
+      (id) => typeof id === "string" && id && id !== hostId
+    );
+    if (invitees.length < 2 || invitees.length > MAX_GROUP_PLAYERS - 1) {
+      return res.status(400).json({
+        error: `Invite between 2 and ${MAX_GROUP_PLAYERS - 1} other players`,
+      });
+    }
+
+    const bet = parseInt(betAmount);
+    if (isNaN(bet) || bet < MIN_BET || bet > MAX_BET) {
+      return res.status(400).json({
+        error: "Bet amount must be between 10 and 10,000 KES",
+      });
+    }
+
+    const maxPlayers = invitees.length + 1;
+    const table = parsePayoutTable(payoutTable, maxPlayers);
+    if (table.error) {
+      return res.status(400).json({ error: table.error });
+    }
+
+    // Self-exclusion and loss limits
+    const protection = await checkStakeAllowed(hostId, bet);
+    if (protection) {
+      const { status, ...body } = protection;
+      return res.status(status).json(body);
+    }
+
+    const challengeId = generateChallengeId();
+
+    const escrowResult = await escrowStake(hostId, challengeId, bet);
+    if (!escrowResult.success) {
+      return res.status(400).json({
+        error: escrowResult.error,
+        message: `You need at least ${bet} KES in your wallet to create this challenge`,
+      });
+    }
+
+    const now = Date.now();
+    const participants = {
+      [hostId]: {
+        role: "host",
+        status: "accepted",
+        score: null,
+        respondedAt: now,
+      },
+    };
+    invitees.forEach((userId) => {
+      participants[userId] = { role: "player", status: "invited", score: null };
+    });
+
+    const challengeData = {
+      challengeId,
+      type: "group",
+      challengerId: hostId,
+      challengedId: null,
+      participants,
+      maxPlayers,
+      payoutTable: table.payoutTable,
+      gameId,
+      gameTitle,
+      gameImage: gameImage || "",
+      gameUrl: gameUrl || "",
+      betAmount: bet,
+      message: message || "",
+      status: "pending",
+      stakes: { [hostId]: bet },
+      // Fee rates are locked in with each stake
+      feePercents: await lockChallengeFeePercents([hostId]),
+      createdAt: now,
+      expiresAt: now + 24 * 60 * 60 * 1000, // 24 hours
+    };
+
+    const challengeRef = ref(database, `secureChallenges/${challengeId}`);
+    try {
+      await set(challengeRef, encryptData(challengeData, ENCRYPTION_KEY));
+    } catch (storeError) {
+      await refundStake(hostId, challengeId, bet, {
+        type: "challenge_create_failed_refund",
+      });
+      throw storeError;
+    }
+
+    await addChallengeToUserIndex(challengeId, hostId, null, "pending");
+    invalidateUserChallengeIndexes(hostId);
+
+    const hostSnap = await get(ref(database, `users/${hostId}`));
+    const host = hostSnap.exists() ? hostSnap.val() : {};
+
+    for (const userId of invitees) {
+      await addUserToChallengeIndex(challengeId, userId, "player", "pending");
+      invalidateUserChallengeIndexes(userId);
+
+      await createNotification(userId, {
+        id: `group_challenge_${challengeId}`,
+        type: "group_challenge_request",
+        challengeId,
+        fromUserId: hostId,
+        fromUserName: host.displayName || host.username || "A player",
+        fromUserAvatar: host.photoURL || host.avatar || "",
+        gameTitle,
+        gameImage: gameImage || "",
+        betAmount: bet,
+        playerCount: maxPlayers,
+        payoutTable: table.payoutTable,
+        timestamp: now,
+        read: false,
+        expiresAt: challengeData.expiresAt,
+      });
+    }
+
+    console.log(`✅ Group challenge created: ${challengeId}`);
+
+    res.json({
+      success: true,
+      challengeId,
+      maxPlayers,
+      payoutTable: table.payoutTable,
+      message: "Group challenge created successfully",
+    });
+  } catch (error) {
+    console.error("Error creating group challenge:", error);
+    res.status(500).json({
+      error: "Failed to create group challenge",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Accept a group challenge invitation
+ */
+const acceptGroupChallenge = async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+    const userId = req.user.uid;
+
+    console.log(`✅ Accepting group challenge: ${challengeId} by ${userId}`);
+
+    const challengeSnap = await get(
+      ref(database, `secureChallenges/${challengeId}`)
+    );
+    if (!challengeSnap.exists()) {
+      return res.status(404).json({ error: "Challenge not found" });
+    }
+
+    const challengeData = decryptData(challengeSnap.val(), ENCRYPTION_KEY);
+    const participant = challengeData.participants?.[userId];
+    if (challengeData.type !== "group" || !participant) {
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+    if (
+      challengeData.status !== "pending" ||
+      participant.status !== "invited"
+    ) {
+      return res.status(400).json({
+        error: "Invitation is no longer open",
+        currentStatus: participant.status,
+      });
+    }
+    if (Date.now() > challengeData.expiresAt) {
+      return res.status(400).json({ error: "Invitation has expired" });
+    }
+
+    const bet = challengeData.betAmount;
+
+    // Self-exclusion and loss limits
+    const protection = await checkStakeAllowed(userId, bet);
+    if (protection) {
+      const { status, ...body } = protection;
+      return res.status(status).json(body);
+    }
+
+    const escrowResult = await escrowStake(userId, challengeId, bet);
+    if (!escrowResult.success) {
+      return res.status(400).json({
+        error: escrowResult.error,
+        message: `You need at least ${bet} KES in your wallet to join this challenge`,
+      });
+    }
+
+    const feePercents = await lockChallengeFeePercents([userId]);
+    const result = await mutateGroupChallenge(challengeId, (data) => {
+      const p = data.participants[userId];
+      if (data.status !== "pending" || !p || p.status !== "invited") {
+        return { error: "Invitation is no longer open", status: 409 };
+      }
+      p.status = "accepted";
+      p.respondedAt = Date.now();
+      data.stakes = { ...(data.stakes || {}), [userId]: bet };
+      data.feePercents = { ...(data.feePercents || {}), ...feePercents };
+      return { resolution: resolveInvitations(data) };
+    });
+
+    if (result.error) {
+      await refundStake(userId, challengeId, bet);
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await removeInviteNotification(challengeId, userId);
+
+    if (result.resolution) {
+      await afterInvitationsResolved(
+        challengeId,
+        result.challengeData,
+        result.resolution
+      );
+    }
+
+    res.json({
+      success: true,
+      status: result.challengeData.status,
+      message:
+        result.resolution === "started"
+          ? "Challenge accepted - all players are in"
+          : "Challenge accepted - waiting for other players",
+    });
+  } catch (error) {
+    console.error("Error accepting group challenge:", error);
+    res.status(500).json({
+      error: "Failed to accept group challenge",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Decline a group challenge invitation
+ */
+const declineGroupChallenge = async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+    const userId = req.user.uid;
+
+    console.log(`❌ Declining group challenge: ${challengeId} by ${userId}`);
+
+    const result = await mutateGroupChallenge(challengeId, (data) => {
+      const p = data.participants?.[userId];
+      if (!p) {
+        return { error: "Unauthorized", status: 403 };
+      }
+      if (data.status !== "pending" || p.status !== "invited") {
+        return { error: "Invitation is no longer open", status: 400 };
+      }
+      p.status = "declined";
+      p.respondedAt = Date.now();
+      return { resolution: resolveInvitations(data) };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await removeInviteNotification(challengeId, userId);
+    await updateParticipantIndexes(challengeId, [userId], "declined");
+
+    if (result.resolution) {
+      await afterInvitationsResolved(
+        challengeId,
+        result.challengeData,
+        result.resolution
+      );
+    }
+
+    res.json({
+      success: true,
+      message: "Challenge declined",
+    });
+  } catch (error) {
+    console.error("Error declining group challenge:", error);
+    res.status(500).json({
+      error: "Failed to decline group challenge",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Expire unanswered invitations (called by the cleanup job)
+ */
+const expireGroupInvitations = async (challengeId) => {
+  let expiredIds = [];
+
+  const result = await mutateGroupChallenge(challengeId, (data) => {
+    if (data.status !== "pending" || Date.now() <= data.expiresAt) {
+      return { error: "Not expired" };
+    }
+    expiredIds = getParticipantIds(data, "invited");
+    expiredIds.forEach((userId) => {
+      data.participants[userId].status = "expired";
+    });
+    return { resolution: resolveInvitations(data) };
+  });
+
+  if (result.error) {
+    return { success: false, challengeId, skipped: true };
+  }
+
+  for (const userId of expiredIds) {
+    await removeInviteNotification(challengeId, userId);
+  }
+  await updateParticipantIndexes(challengeId, expiredIds, "expired");
+
+  await afterInvitationsResolved(
+    challengeId,
+    result.challengeData,
+    result.resolution
+  );
+
+  console.log(
+    `⏰ Group challenge ${challengeId}: ${expiredIds.length} invitations expired`
+  );
+
+  return { success: true, challengeId, expiredCount: expiredIds.length };
+};
+
+/**
+ * Cancel a group challenge before it starts (host only)
+ */
+const cancelGroupChallenge = async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+    const userId = req.user.uid;
+
+    const result = await mutateGroupChallenge(challengeId, (data) => {
+      if (data.challengerId !== userId) {
+        return {
+          error: "Only the host can cancel a group challenge",
+          status: 403,
+        };
+      }
+      if (data.status !== "pending") {
+        return {
+          error: `Cannot cancel challenge with status: ${data.status}`,
+          status: 400,
+        };
+      }
+      data.status = "cancelled";
+      data.cancelledBy = userId;
+      data.cancelledAt = Date.now();
+      return {};
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { challengeData } = result;
+
+    // The host pays the usual cancellation fee; players who joined don't
+    let refundAmount = 0;
+    for (const [playerId, stakeAmount] of Object.entries(
+      challengeData.stakes || {}
+    )) {
+      const refund = await refundStake(playerId, challengeId, stakeAmount, {
+        type: "challenge_cancelled_refund",
+        feePercent: playerId === userId ? CANCELLATION_FEE_PERCENT : 0,
+      });
+      if (!refund.success) {
+        throw new Error(refund.error);
+      }
+      if (playerId === userId) refundAmount = refund.refundAmount;
+    }
+
+    for (const playerId of getParticipantIds(challengeData, "invited")) {
+      await removeInviteNotification(challengeId, playerId);
+    }
+    await updateParticipantIndexes(
+      challengeId,
+      Object.keys(challengeData.participants),
+      "cancelled"
+    );
+    for (const playerId of getParticipantIds(challengeData, "accepted")) {
+      if (playerId === userId) continue;
+      await createSystemNotification(playerId, {
+        title: "Group challenge cancelled",
+        message: `The host cancelled ${challengeData.gameTitle}. Your stake has been refunded.`,
+        action: { type: "open_wallet" },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Group challenge cancelled. Refunded ${refundAmount} shillings (4% cancellation fee applied).`,
+      data: { challengeId, refundAmount },
+    });
+  } catch (error) {
+    console.error("Error cancelling group challenge:", error);
+    res.status(500).json({
+      error: "Failed to cancel group challenge",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Start a game session for a group challenge
+ */
+const startGroupSession = async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+    const userId = req.user.uid;
+
+    const challengeSnap = await get(
+      ref(database, `secureChallenges/${challengeId}`)
+    );
+    if (!challengeSnap.exists()) {
+      return res.status(404).json({ error: "Challenge not found" });
+    }
+
+    const challengeData = decryptData(challengeSnap.val(), ENCRYPTION_KEY);
+    const participant = challengeData.participants?.[userId];
+    if (!participant || participant.status !== "accepted") {
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+    if (challengeData.status !== "accepted") {
+      return res.status(400).json({
+        error: "Challenge has not started",
+        currentStatus: challengeData.status,
+      });
+    }
+    if (participant.score !== null) {
+      return res.status(400).json({ error: "Score already submitted" });
+    }
+
+    const sessionToken = crypto.randomBytes(32).toString("hex");
+    const sessionSecret = createSessionSecret();
+    await set(ref(database, `gameSessions/${sessionToken}`), {
+      challengeId,
+      userId,
+      gameId: challengeData.gameId,
+      secret: sessionSecret,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + 30 * 60 * 1000, // 30 minutes
+    });
+
+    res.json({
+      success: true,
+      sessionToken,
+      sessionSecret,
+      message: "Game session started successfully",
+    });
+  } catch (error) {
+    console.error("Error starting group game session:", error);
+    res.status(500).json({
+      error: "Failed to start game session",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Rank the players, record the payout and mark the group completed
+ * Runs inside a challenge transaction; players without a score get nothing
+ */
+const completeGroupChallenge = (data) => {
+  // Record the payout before moving any money so a retry can finish it
+  const settlement = calculatePoolSettlement(data);
+  data.status = "completed";
+  data.completedAt = Date.now();
+  data.standings = settlement.standings;
+  data.winnerId =
+    settlement.standings.filter((s) => s.position === 1).length > 1
+      ? "tie"
+      : settlement.standings[0].userId;
+  data.totalPrize = settlement.totalPrize;
+  data.serviceCharge = settlement.serviceCharge;
+  data.netPrize = settlement.netPrize;
+  data.payouts = settlement.payouts;
+  data.payoutReleaseAt = data.completedAt + PAYOUT_HOLD_MS;
+  return settlement;
+};
+
+/**
+ * Pay out (unless held for disputes), notify and re-index a completed group
+ */
+const finishGroupChallenge = async (challengeId, challengeData, settlement) => {
+  // Without a dispute window pay out now; otherwise the cleanup job does
+  if (!PAYOUT_HOLD_MS) {
+    await settleChallenge(challengeId, challengeData, settlement);
+    await mutateGroupChallenge(challengeId, (data) => {
+      data.settledAt = Date.now();
+    });
+  }
+
+  const acceptedIds = getParticipantIds(challengeData, "accepted");
+  const topScore = settlement.standings[0].score;
+  for (const playerId of acceptedIds) {
+    const standing = settlement.standings.find((s) => s.userId === playerId);
+    await createChallengeResultNotification(playerId, {
+      challengeId,
+      gameTitle: challengeData.gameTitle,
+      result: settlement.payouts[playerId] > 0 ? "won" : "lost",
+      betAmount: challengeData.betAmount,
+      prizeAmount: settlement.payouts[playerId] || 0,
+      yourScore: standing ? standing.score : null,
+      opponentScore: topScore,
+    });
+  }
+  await updateParticipantIndexes(challengeId, acceptedIds, "completed");
+
+  console.log(`🏆 Group challenge ${challengeId} completed`);
+};
+
+/**
+ * Resolve a group whose play deadline passed (called by the cleanup job)
+ * Players who never scored forfeit; if nobody scored, everyone is refunded
+ */
+const resolveUnplayedGroup = async (challengeId) => {
+  let settlement = null;
+  let forfeitedIds = [];
+
+  const result = await mutateGroupChallenge(challengeId, (data) => {
+    settlement = null;
+    if (data.status !== "accepted") {
+      return { error: "Challenge is not in play" };
+    }
+
+    forfeitedIds = getParticipantIds(data, "accepted").filter(
+      (id) => data.participants[id].score === null
+    );
+    forfeitedIds.forEach((id) => {
+      data.participants[id].forfeited = true;
+    });
+
+    if (forfeitedIds.length === getParticipantIds(data, "accepted").length) {
+      data.status = "expired";
+      data.expiredAt = Date.now();
+      data.expiredReason = "not_played";
+      return {};
+    }
+
+    data.forfeit = true;
+    settlement = completeGroupChallenge(data);
+    return {};
+  });
+
+  if (result.error) {
+    return { success: false, challengeId, skipped: true };
+  }
+
+  const { challengeData } = result;
+
+  if (settlement) {
+    for (const playerId of forfeitedIds) {
+      await createSystemNotification(playerId, {
+        title: "Group challenge forfeited",
+        message: `You didn't play ${challengeData.gameTitle} before the deadline, so your stake went into the prize pool.`,
+        action: { type: "open_challenge", challengeId },
+      });
+    }
+    await finishGroupChallenge(challengeId, challengeData, settlement);
+    return { success: true, challengeId, resolution: "forfeit" };
+  }
+
+  const acceptedIds = getParticipantIds(challengeData, "accepted");
+  const refunds = await refundAllStakes(challengeId, challengeData, {
+    type: "challenge_unplayed_refund",
+  });
+  const failedRefund = Object.values(refunds).find((r) => !r.success);
+  if (failedRefund) {
+    throw new Error(failedRefund.error);
+  }
+  await updateParticipantIndexes(challengeId, acceptedIds, "expired");
+  for (const playerId of acceptedIds) {
+    await createSystemNotification(playerId, {
+      title: "Group challenge expired",
+      message: `Nobody played ${challengeData.gameTitle} before the deadline. Your stake has been refunded.`,
+      action: { type: "open_wallet" },
+    });
+  }
+
+  return { success: true, challengeId, resolution: "refunded" };
+};
+
+/**
+ * Submit a score for a group challenge; settles once everyone has played
+ */
+const submitGroupScore = async (req, res) => {
+  try {
+    const { challengeId, score, sessionToken } = req.body;
+    const userId = req.user.uid;
+
+    const sessionRef = ref(database, `gameSessions/${sessionToken}`);
+    const sessionSnap = await get(sessionRef);
+    const sessionData = sessionSnap.exists() ? sessionSnap.val() : null;
+
+    if (
+      !sessionData ||
+      sessionData.userId !== userId ||
+      sessionData.challengeId !== challengeId ||
+      Date.now() > sessionData.expiresAt
+    ) {
+      return res.status(403).json({
+        error: "Invalid or expired game session",
+        message: "Please restart the game to get a new session token",
+      });
+    }
+
+    let settlement = null;
+    const result = await mutateGroupChallenge(challengeId, (data) => {
+      settlement = null;
+      const p = data.participants?.[userId];
+      if (!p || p.status !== "accepted") {
+        return { error: "Unauthorized", status: 403 };
+      }
+      if (data.status !== "accepted") {
+        return { error: "Challenge is not in play", status: 400 };
+      }
+      if (p.score !== null) {
+        return { error: "Score already submitted", status: 409 };
+      }
+
+      p.score = score;
+      p.submittedAt = Date.now();
+
+      const waiting = getParticipantIds(data, "accepted").filter(
+        (id) => data.participants[id].score === null
+      );
+      if (waiting.length === 0) {
+        settlement = completeGroupChallenge(data);
+      }
+      return {};
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await recordScoreSubmission(challengeId, sessionData, {
+      ...req.verifiedScore,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+    await remove(sessionRef);
+
+    const { challengeData } = result;
+    if (settlement) {
+      await finishGroupChallenge(challengeId, challengeData, settlement);
+    }
+
+    res.json({
+      success: true,
+      status: challengeData.status,
+      message: "Score submitted successfully",
+    });
+  } catch (error) {
+    console.error("Error submitting group score:", error);
+    res.status(500).json({
+      error: "Failed to submit score",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  createGroupChallenge,
+  acceptGroupChallenge,
+  declineGroupChallenge,
+  cancelGroupChallenge,
+  startGroupSession,
+  submitGroupScore,
+  expireGroupInvitations,
+  resolveUnplayedGroup,
+  summarizeGroup,
+};
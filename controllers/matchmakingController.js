@@ -0,0 +1,898 @@
+const admin = require("firebase-admin");
+const { database } = require("../config/firebase");
+const { ref, get, set, remove } = require("firebase/database");
+const {
+  encryptData,
+  decryptData,
+  generateChallengeId,
+} = require("../utils/encryption");
+const {
+  addChallengeToUserIndex,
+  addUserToChallengeIndex,
+  updateChallengeInUserIndex,
+} = require("../utils/challengeIndexer");
+const { invalidateUserChallengeIndexes } = require("../utils/aggressiveCache");
+const {
+  applyWalletLeg,
+  escrowStake,
+  refundStake,
+} = require("../services/challengeEscrow");
+const { createSystemNotification } = require("./notificationController");
+const { getPlayerRating } = require("../services/skillRating");
+const { lockChallengeFeePercents } = require("../services/membership");
+const { checkStakeAllowed } = require("../services/responsibleGaming");
+const { mutateChallenge } = require("../utils/challengeTransaction");
+const {
+  parseChallengeFormat,
+  createRounds,
+} = require("../services/challengeFormats");
+
+/**
+ * Matchmaking Controller
+ * Open challenges anyone can claim, and a queue that pairs waiting players
+ */
+
+const ENCRYPTION_KEY = process.env.CHALLENGE_ENCRYPTION_KEY || "";
+
+const MIN_BET = 10;
+const MAX_BET = 10000;
+
+// A waiting bet up to 20% below the joiner's is considered a match; the
+// joiner plays at the waiting bet, so never more than they asked for
+const QUEUE_BET_TOLERANCE = 0.2;
+// Rating window starts narrow and widens the longer a player waits
+const QUEUE_BASE_RATING_WINDOW = 150;
+const QUEUE_RATING_WINDOW_STEP = 50; // per minute waited
+const QUEUE_MAX_RATING_WINDOW = 500;
+const QUEUE_ENTRY_TTL = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Parse and validate a bet amount
+ */
+const parseBet = (value) => {
+  const bet = parseInt(value);
+  if (isNaN(bet) || bet < MIN_BET || bet > MAX_BET) {
+    return null;
+  }
+  return bet;
+};
+
+/**
+ * Rating window for a queue entry based on how long it has waited
+ */
+const getRatingWindow = (joinedAt) => {
+  const minutesWaited = Math.floor((Date.now() - joinedAt) / 60000);
+  return Math.min(
+    QUEUE_BASE_RATING_WINDOW + minutesWaited * QUEUE_RATING_WINDOW_STEP,
+    QUEUE_MAX_RATING_WINDOW
+  );
+};
+
+/**
+ * Create an open challenge any eligible player can claim
+ */
+const createOpenChallenge = async (req, res) => {
+  try {
+    const {
+      gameId,
+      gameTitle,
+      gameImage,
+      gameUrl,
+      minBet,
+      maxBet,
+      minRating,
+      maxRating,
+      message,
+      format,
+      rounds,
+    } = req.body;
+    const challengerId = req.user.uid;
+
+    console.log(`🎯 Creating open challenge: ${challengerId} on ${gameId}`);
+
+    if (!gameId || !gameTitle || !maxBet) {
+      return res.status(400).json({
+        error: "Missing required fields: gameId, gameTitle, maxBet",
+      });
+    }
+
+    const highBet = parseBet(maxBet);
+    const lowBet = minBet === undefined ? highBet : parseBet(minBet);
+    if (!highBet || !lowBet || lowBet > highBet) {
+      return res.status(400).json({
+        error: `Bet range must be between ${MIN_BET} and 10,000 KES with minBet <= maxBet`,
+      });
+    }
+
+    let skillBand = null;
+    if (minRating !== undefined || maxRating !== undefined) {
+      skillBand = {
+        minRating: minRating !== undefined ? parseInt(minRating) : null,
+        maxRating: maxRating !== undefined ? parseInt(maxRating) : null,
+      };
+      if (
+        Number.isNaN(skillBand.minRating) ||
+        Number.isNaN(skillBand.maxRating) ||
+        (skillBand.minRating !== null &&
+          skillBand.maxRating !== null &&
+          skillBand.minRating > skillBand.maxRating)
+      ) {
+        return res.status(400).json({ error: "Invalid skill band" });
+      }
+    }
+
+    const matchFormat = parseChallengeFormat(format, rounds);
+    if (matchFormat.error) {
+      return res.status(400).json({ error: matchFormat.error });
+    }
+
+    // Self-exclusion and loss limits
+    const protection = await checkStakeAllowed(challengerId, highBet);
+    if (protection) {
+      const { status, ...body } = protection;
+      return res.status(status).json(body);
+    }
+
+    const challengeId = generateChallengeId();
+
+    // Escrow the top of the range; any surplus is returned when claimed
+    const escrowResult = await escrowStake(challengerId, challengeId, highBet);
+    if (!escrowResult.success) {
+      return res.status(400).json({
+        error: escrowResult.error,
+        message: `You need at least ${highBet} KES in your wallet to post this challenge`,
+      });
+    }
+
+    const now = Date.now();
+    const challengeData = {
+      challengeId,
+      challengerId,
+      challengedId: null,
+      isOpen: true,
+      gameId,
+      gameTitle,
+      gameImage: gameImage || "",
+      gameUrl: gameUrl || "",
+      betAmount: highBet,
+      minBet: lowBet,
+      maxBet: highBet,
+      skillBand,
+      format: matchFormat.format,
+      ...(matchFormat.roundCount > 1 && {
+        rounds: createRounds(matchFormat.roundCount),
+      }),
+      message: message || "",
+      status: "pending",
+      stakes: { [challengerId]: highBet },
+      // Fee rates are locked in with each stake
+      feePercents: await lockChallengeFeePercents([challengerId]),
+      createdAt: now,
+      expiresAt: now + 24 * 60 * 60 * 1000, // 24 hours
+    };
+
+    const challengeRef = ref(database, `secureChallenges/${challengeId}`);
+    try {
+      await set(challengeRef, encryptData(challengeData, ENCRYPTION_KEY));
+    } catch (storeError) {
+      await refundStake(challengerId, challengeId, highBet, {
+        type: "challenge_create_failed_refund",
+      });
+      throw storeError;
+    }
+
+    // Public lobby listing - only non-sensitive metadata
+    await set(ref(database, `openChallenges/${challengeId}`), {
+      challengeId,
+      challengerId,
+      gameId,
+      gameTitle,
+      gameImage: gameImage || "",
+      minBet: lowBet,
+      maxBet: highBet,
+      skillBand,
+      format: matchFormat.format,
+      roundCount: matchFormat.roundCount,
+      createdAt: now,
+      expiresAt: challengeData.expiresAt,
+    });
+
+    await addChallengeToUserIndex(challengeId, challengerId, null, "pending");
+    invalidateUserChallengeIndexes(challengerId);
+
+    console.log(`✅ Open challenge created: ${challengeId}`);
+
+    res.json({
+      success: true,
+      challengeId,
+      message: "Open challenge posted to the lobby",
+    });
+  } catch (error) {
+    console.error("Error creating open challenge:", error);
+    res.status(500).json({
+      error: "Failed to create open challenge",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * List open challenges in the lobby
+ */
+const getOpenChallenges = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { gameId, minBet, maxBet, limit = 20 } = req.query;
+
+    const lobbySnap = await get(ref(database, "openChallenges"));
+    if (!lobbySnap.exists()) {
+      return res.json({ success: true, data: [], total: 0 });
+    }
+
+    const now = Date.now();
+    const rating = gameId ? await getPlayerRating(userId, gameId) : null;
+
+    let challenges = Object.values(lobbySnap.val()).filter(
+      (challenge) =>
+        !challenge.claimedBy &&
+        challenge.expiresAt > now &&
+        challenge.challengerId !== userId
+    );
+
+    if (gameId) {
+      challenges = challenges.filter((c) => c.gameId === gameId);
+    }
+    if (minBet) {
+      challenges = challenges.filter((c) => c.maxBet >= parseInt(minBet));
+    }
+    if (maxBet) {
+      challenges = challenges.filter((c) => c.minBet <= parseInt(maxBet));
+    }
+
+    challenges = challenges
+      .map((challenge) => ({
+        ...challenge,
+        eligible:
+          !challenge.skillBand ||
+          rating === null ||
+          isWithinSkillBand(rating, challenge.skillBand),
+      }))
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    res.json({
+      success: true,
+      data: challenges.slice(0, parseInt(limit)),
+      total: challenges.length,
+    });
+  } catch (error) {
+    console.error("Error getting open challenges:", error);
+    res.status(500).json({
+      error: "Failed to get open challenges",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Check a rating against an optional skill band
+ */
+const isWithinSkillBand = (rating, skillBand) => {
+  if (!skillBand) return true;
+  if (skillBand.minRating != null && rating < skillBand.minRating) {
+    return false;
+  }
+  if (skillBand.maxRating != null && rating > skillBand.maxRating) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Give a claim that failed part way back: refund the claimer's stake and
+ * reopen the lobby entry
+ */
+const releaseFailedClaim = async (challengeId, claimerId, escrowedBet) => {
+  try {
+    if (escrowedBet) {
+      const refund = await refundStake(claimerId, challengeId, escrowedBet, {
+        type: "challenge_claim_failed_refund",
+      });
+      if (!refund.success) {
+        throw new Error(refund.error);
+      }
+    }
+
+    await admin
+      .database()
+      .ref(`openChallenges/${challengeId}`)
+      .transaction((entry) => {
+        if (!entry) return entry;
+        if (entry.claimedBy !== claimerId) return; // Abort - not ours
+        entry.claimedBy = null;
+        entry.claimedAt = null;
+        return entry;
+      });
+  } catch (error) {
+    console.error(
+      `⚠️ Open challenge ${challengeId} left claimed by ${claimerId} after failure:`,
+      error.message
+    );
+  }
+};
+
+/**
+ * Claim an open challenge, turning it into a normal accepted challenge
+ */
+const claimOpenChallenge = async (req, res) => {
+  const { challengeId } = req.params;
+  const claimerId = req.user.uid;
+  const lobbyRef = admin.database().ref(`openChallenges/${challengeId}`);
+  let claimed = false;
+  let escrowedBet = 0;
+  let accepted = false;
+
+  try {
+    console.log(`🎯 Claiming open challenge: ${challengeId} by ${claimerId}`);
+
+    const challengeRef = ref(database, `secureChallenges/${challengeId}`);
+    const challengeSnap = await get(challengeRef);
+    if (!challengeSnap.exists()) {
+      return res.status(404).json({ error: "Challenge not found" });
+    }
+
+    const challengeData = decryptData(challengeSnap.val(), ENCRYPTION_KEY);
+
+    if (!challengeData.isOpen || challengeData.status !== "pending") {
+      return res.status(400).json({ error: "Challenge is not open" });
+    }
+    if (challengeData.challengerId === claimerId) {
+      return res.status(400).json({ error: "Cannot claim your own challenge" });
+    }
+    if (Date.now() > challengeData.expiresAt) {
+      return res.status(400).json({ error: "Challenge has expired" });
+    }
+
+    const bet =
+      req.body.betAmount !== undefined
+        ? parseBet(req.body.betAmount)
+        : challengeData.maxBet;
+    if (!bet || bet < challengeData.minBet || bet > challengeData.maxBet) {
+      return res.status(400).json({
+        error: `Bet must be between ${challengeData.minBet} and ${challengeData.maxBet} KES`,
+      });
+    }
+
+    // Self-exclusion and loss limits
+    const protection = await checkStakeAllowed(claimerId, bet);
+    if (protection) {
+      const { status, ...body } = protection;
+      return res.status(status).json(body);
+    }
+
+    if (challengeData.skillBand) {
+      const rating = await getPlayerRating(claimerId, challengeData.gameId);
+      if (!isWithinSkillBand(rating, challengeData.skillBand)) {
+        return res.status(403).json({
+          error: "Your rating is outside this challenge's skill band",
+          rating,
+          skillBand: challengeData.skillBand,
+        });
+      }
+    }
+
+    // Lock the lobby entry so only one player can claim it
+    const lockResult = await lobbyRef.transaction((entry) => {
+      if (!entry) return entry;
+      if (entry.claimedBy) return; // Abort - already claimed
+      entry.claimedBy = claimerId;
+      entry.claimedAt = Date.now();
+      return entry;
+    });
+    if (
+      !lockResult.committed ||
+      !lockResult.snapshot.exists() ||
+      lockResult.snapshot.val().claimedBy !== claimerId
+    ) {
+      return res.status(409).json({ error: "Challenge was already claimed" });
+    }
+    claimed = true;
+
+    const escrowResult = await escrowStake(claimerId, challengeId, bet);
+    if (!escrowResult.success) {
+      await lobbyRef.update({ claimedBy: null, claimedAt: null });
+      return res.status(400).json({
+        error: escrowResult.error,
+        message: escrowResult.alreadyRefunded
+          ? "Your earlier claim on this challenge failed, so it can't be claimed again"
+          : `You need at least ${bet} KES in your wallet to claim this challenge`,
+      });
+    }
+    escrowedBet = bet;
+
+    const feePercents = await lockChallengeFeePercents([claimerId]);
+    const claim = await mutateChallenge(challengeId, (data) => {
+      if (!data.isOpen || data.status !== "pending") {
+        return { error: "Challenge is not open" };
+      }
+      const now = Date.now();
+      data.challengedId = claimerId;
+      data.betAmount = bet;
+      data.status = "accepted";
+      data.acceptedAt = now;
+      data.claimedAt = now;
+      data.stakes = {
+        [data.challengerId]: bet,
+        [claimerId]: bet,
+      };
+      data.feePercents = { ...(data.feePercents || {}), ...feePercents };
+    });
+    if (claim.error) {
+      throw new Error(claim.error);
+    }
+    accepted = true;
+
+    // Return the challenger's surplus escrow above the agreed bet
+    const surplus = challengeData.stakes[challengeData.challengerId] - bet;
+    if (surplus > 0) {
+      const surplusResult = await applyWalletLeg(challengeData.challengerId, {
+        id: `${challengeId}_stake_adjust_${challengeData.challengerId}`,
+        amount: surplus,
+        escrowAmount: -surplus,
+        type: "challenge_stake_adjustment",
+        description: "Open challenge surplus returned from escrow",
+        metadata: { challengeId, agreedBet: bet, surplus },
+      });
+      if (!surplusResult.success) {
+        throw new Error(surplusResult.error);
+      }
+    }
+
+    await remove(ref(database, `openChallenges/${challengeId}`));
+
+    await addUserToChallengeIndex(
+      challengeId,
+      claimerId,
+      "challenged",
+      "accepted"
+    );
+    await updateChallengeInUserIndex(
+      challengeId,
+      challengeData.challengerId,
+      claimerId,
+      "accepted"
+    );
+    invalidateUserChallengeIndexes(challengeData.challengerId);
+    invalidateUserChallengeIndexes(claimerId);
+
+    await createSystemNotification(challengeData.challengerId, {
+      title: "Open challenge claimed",
+      message: `Your ${challengeData.gameTitle} challenge was claimed for ${bet} KES`,
+      action: { type: "open_challenge", challengeId },
+    });
+
+    console.log(`✅ Open challenge claimed: ${challengeId}`);
+
+    res.json({
+      success: true,
+      challengeId,
+      betAmount: bet,
+      message: "Challenge claimed successfully",
+    });
+  } catch (error) {
+    console.error("Error claiming open challenge:", error);
+    // Until the challenge is accepted the claim can be undone
+    if (claimed && !accepted) {
+      await releaseFailedClaim(challengeId, claimerId, escrowedBet);
+    }
+    res.status(500).json({
+      error: "Failed to claim challenge",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Join the matchmaking queue for a game
+ * Pairs immediately with a compatible waiting player, otherwise waits
+ */
+const joinMatchmakingQueue = async (req, res) => {
+  try {
+    const { gameId, gameTitle, gameImage, gameUrl, betAmount } = req.body;
+    const userId = req.user.uid;
+
+    if (!gameId || !gameTitle || !betAmount) {
+      return res.status(400).json({
+        error: "Missing required fields: gameId, gameTitle, betAmount",
+      });
+    }
+
+    const bet = parseBet(betAmount);
+    if (!bet) {
+      return res.status(400).json({
+        error: `Bet amount must be between ${MIN_BET} and 10,000 KES`,
+      });
+    }
+
+    // Self-exclusion and loss limits
+    const protection = await checkStakeAllowed(userId, bet);
+    if (protection) {
+      const { status, ...body } = protection;
+      return res.status(status).json(body);
+    }
+
+    const queueRef = ref(database, `matchmakingQueue/${gameId}`);
+    const queueSnap = await get(queueRef);
+    const queue = queueSnap.exists() ? queueSnap.val() : {};
+
+    if (queue[userId]) {
+      return res.status(409).json({
+        error: "You are already waiting in this queue",
+        challengeId: queue[userId].challengeId,
+      });
+    }
+
+    const rating = await getPlayerRating(userId, gameId);
+    const now = Date.now();
+
+    // Find compatible waiting players, closest rating first
+    const candidates = Object.values(queue)
+      .filter(
+        (entry) =>
+          !entry.matchedWith &&
+          entry.expiresAt > now &&
+          entry.betAmount <= bet &&
+          bet - entry.betAmount <= entry.betAmount * QUEUE_BET_TOLERANCE &&
+          Math.abs(entry.rating - rating) <= getRatingWindow(entry.joinedAt)
+      )
+      .sort(
+        (a, b) =>
+          Math.abs(a.rating - rating) - Math.abs(b.rating - rating) ||
+          a.joinedAt - b.joinedAt
+      );
+
+    for (const candidate of candidates) {
+      const entryRef = admin
+        .database()
+        .ref(`matchmakingQueue/${gameId}/${candidate.userId}`);
+
+      const lockResult = await entryRef.transaction((entry) => {
+        if (!entry) return entry;
+        if (entry.matchedWith) return; // Abort - someone else got there first
+        entry.matchedWith = userId;
+        return entry;
+      });
+
+      if (
+        !lockResult.committed ||
+        !lockResult.snapshot.exists() ||
+        lockResult.snapshot.val().matchedWith !== userId
+      ) {
+        continue;
+      }
+
+      // Join the waiting player's challenge at their stake
+      const escrowResult = await escrowStake(
+        userId,
+        candidate.challengeId,
+        candidate.betAmount
+      );
+      if (!escrowResult.success) {
+        await entryRef.update({ matchedWith: null });
+        // An earlier match with this player failed; try someone else
+        if (escrowResult.alreadyRefunded) continue;
+        return res.status(400).json({
+          error: escrowResult.error,
+          message: `You need at least ${candidate.betAmount} KES in your wallet to be matched`,
+        });
+      }
+
+      let challengeId;
+      try {
+        challengeId = await createMatchedChallenge(candidate, userId, {
+          gameTitle,
+          gameImage,
+          gameUrl,
+        });
+      } catch (matchError) {
+        await undoFailedMatch(gameId, candidate, userId);
+        throw matchError;
+      }
+
+      return res.json({
+        success: true,
+        matched: true,
+        challengeId,
+        opponentId: candidate.userId,
+        betAmount: candidate.betAmount,
+        message: "Opponent found",
+      });
+    }
+
+    // Nobody compatible - escrow our stake and wait
+    const challengeId = generateChallengeId();
+    const escrowResult = await escrowStake(userId, challengeId, bet);
+    if (!escrowResult.success) {
+      return res.status(400).json({
+        error: escrowResult.error,
+        message: `You need at least ${bet} KES in your wallet to join the queue`,
+      });
+    }
+
+    const entry = {
+      userId,
+      challengeId,
+      gameId,
+      gameTitle,
+      gameImage: gameImage || "",
+      gameUrl: gameUrl || "",
+      betAmount: bet,
+      rating,
+      joinedAt: now,
+      expiresAt: now + QUEUE_ENTRY_TTL,
+    };
+    await set(ref(database, `matchmakingQueue/${gameId}/${userId}`), entry);
+
+    res.json({
+      success: true,
+      matched: false,
+      challengeId,
+      expiresAt: entry.expiresAt,
+      message: "Waiting for an opponent",
+    });
+  } catch (error) {
+    console.error("Error joining matchmaking queue:", error);
+    res.status(500).json({
+      error: "Failed to join matchmaking queue",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Put things back after createMatchedChallenge failed: unless the challenge
+ * was stored, refund the joiner and free the waiting entry for someone else
+ */
+const undoFailedMatch = async (gameId, waitingEntry, joinerId) => {
+  const { challengeId, userId: waitingUserId, betAmount } = waitingEntry;
+  const entryPath = `matchmakingQueue/${gameId}/${waitingUserId}`;
+  try {
+    const challengeSnap = await get(
+      ref(database, `secureChallenges/${challengeId}`)
+    );
+    if (challengeSnap.exists()) {
+      // The match went through; only the waiting entry is left over
+      await remove(ref(database, entryPath));
+      return;
+    }
+
+    const refund = await refundStake(joinerId, challengeId, betAmount, {
+      type: "matchmaking_refund",
+    });
+    if (!refund.success) {
+      throw new Error(refund.error);
+    }
+    await admin
+      .database()
+      .ref(entryPath)
+      .transaction((entry) => {
+        if (!entry) return entry;
+        if (entry.matchedWith !== joinerId) return; // Abort - not ours
+        entry.matchedWith = null;
+        return entry;
+      });
+  } catch (error) {
+    console.error(
+      `❌ Could not undo failed match ${challengeId} for ${joinerId}:`,
+      error.message
+    );
+  }
+};
+
+/**
+ * Turn a matched queue entry into an accepted challenge
+ */
+const createMatchedChallenge = async (waitingEntry, joinerId, gameInfo) => {
+  const { challengeId, userId: challengerId, betAmount } = waitingEntry;
+  const now = Date.now();
+
+  const challengeData = {
+    challengeId,
+    challengerId,
+    challengedId: joinerId,
+    gameId: waitingEntry.gameId,
+    gameTitle: waitingEntry.gameTitle || gameInfo.gameTitle,
+    gameImage: waitingEntry.gameImage || gameInfo.gameImage || "",
+    gameUrl: waitingEntry.gameUrl || gameInfo.gameUrl || "",
+    betAmount,
+    message: "",
+    status: "accepted",
+    matchedFromQueue: true,
+    stakes: { [challengerId]: betAmount, [joinerId]: betAmount },
+    feePercents: await lockChallengeFeePercents([challengerId, joinerId]),
+    createdAt: now,
+    acceptedAt: now,
+    expiresAt: now + 24 * 60 * 60 * 1000, // 24 hours
+  };
+
+  await set(
+    ref(database, `secureChallenges/${challengeId}`),
+    encryptData(challengeData, ENCRYPTION_KEY)
+  );
+  await remove(
+    ref(database, `matchmakingQueue/${waitingEntry.gameId}/${challengerId}`)
+  );
+
+  await addChallengeToUserIndex(
+    challengeId,
+    challengerId,
+    joinerId,
+    "accepted"
+  );
+  invalidateUserChallengeIndexes(challengerId);
+  invalidateUserChallengeIndexes(joinerId);
+
+  for (const userId of [challengerId, joinerId]) {
+    await createSystemNotification(userId, {
+      title: "Opponent found",
+      message: `Your ${challengeData.gameTitle} match for ${betAmount} KES is ready`,
+      action: { type: "matchmaking", challengeId },
+    });
+  }
+
+  console.log(`✅ Matchmaking paired ${challengerId} vs ${joinerId}`);
+  return challengeId;
+};
+
+/**
+ * Leave the matchmaking queue and get the stake back
+ */
+const leaveMatchmakingQueue = async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const userId = req.user.uid;
+
+    const result = await removeQueueEntry(gameId, userId);
+    if (!result) {
+      return res.status(404).json({ error: "Not waiting in this queue" });
+    }
+
+    res.json({
+      success: true,
+      refundAmount: result.refundAmount,
+      message: "Left the matchmaking queue",
+    });
+  } catch (error) {
+    console.error("Error leaving matchmaking queue:", error);
+    res.status(500).json({
+      error: "Failed to leave matchmaking queue",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Remove an unmatched queue entry and refund its stake in full
+ * Returns null when there is nothing to remove
+ */
+const removeQueueEntry = async (gameId, userId) => {
+  const entryRef = admin.database().ref(`matchmakingQueue/${gameId}/${userId}`);
+  let removedEntry = null;
+
+  const result = await entryRef.transaction((entry) => {
+    removedEntry = null;
+    if (!entry) return entry;
+    if (entry.matchedWith) return; // Abort - a match is being created
+    removedEntry = entry;
+    return null;
+  });
+
+  if (!result.committed || !removedEntry) {
+    return null;
+  }
+
+  const refund = await refundStake(
+    userId,
+    removedEntry.challengeId,
+    removedEntry.betAmount,
+    { type: "matchmaking_refund" }
+  );
+  if (!refund.success) {
+    throw new Error(refund.error);
+  }
+
+  return refund;
+};
+
+/**
+ * Take an unclaimed open challenge out of the lobby
+ * Returns false if an opponent has already claimed it
+ */
+const withdrawOpenChallenge = async (challengeId) => {
+  const lobbyRef = admin.database().ref(`openChallenges/${challengeId}`);
+  let wasClaimed = false;
+
+  await lobbyRef.transaction((entry) => {
+    wasClaimed = false;
+    if (!entry) return entry;
+    if (entry.claimedBy) {
+      wasClaimed = true;
+      return; // Abort - leave the claim in place
+    }
+    return null;
+  });
+
+  return !wasClaimed;
+};
+
+/**
+ * Get the current user's waiting queue entries
+ */
+const getMatchmakingStatus = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const queueSnap = await get(ref(database, "matchmakingQueue"));
+    const queues = queueSnap.exists() ? queueSnap.val() : {};
+
+    const waiting = Object.values(queues)
+      .map((queue) => queue[userId])
+      .filter(Boolean)
+      .map((entry) => ({
+        gameId: entry.gameId,
+        gameTitle: entry.gameTitle,
+        betAmount: entry.betAmount,
+        rating: entry.rating,
+        joinedAt: entry.joinedAt,
+        expiresAt: entry.expiresAt,
+        ratingWindow: getRatingWindow(entry.joinedAt),
+      }));
+
+    res.json({ success: true, waiting });
+  } catch (error) {
+    console.error("Error getting matchmaking status:", error);
+    res.status(500).json({
+      error: "Failed to get matchmaking status",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Refund and remove expired queue entries (used by the cleanup job)
+ */
+const expireQueueEntries = async () => {
+  const queueSnap = await get(ref(database, "matchmakingQueue"));
+  if (!queueSnap.exists()) return 0;
+
+  const now = Date.now();
+  let expiredCount = 0;
+
+  for (const [gameId, queue] of Object.entries(queueSnap.val())) {
+    for (const entry of Object.values(queue)) {
+      if (entry.expiresAt > now || entry.matchedWith) continue;
+      try {
+        if (await removeQueueEntry(gameId, entry.userId)) {
+          expiredCount++;
+        }
+      } catch (error) {
+        console.warn(
+          `Failed to expire queue entry ${gameId}/${entry.userId}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  return expiredCount;
+};
+
+module.exports = {
+  createOpenChallenge,
+  getOpenChallenges,
+  claimOpenChallenge,
+  joinMatchmakingQueue,
+  leaveMatchmakingQueue,
+  getMatchmakingStatus,
+  expireQueueEntries,
+  withdrawOpenChallenge,
+  isWithinSkillBand,
+};
@@ -0,0 +1,198 @@
+const admin = require("firebase-admin");
+const { stripe } = require("../config/stripe");
+const {
+  PREMIUM_MONTHLY_PRICE,
+  isMembershipActive,
+  getEntitlementsFor,
+  requestMpesaMembershipPayment,
+  markCancelAtPeriodEnd,
+} = require("../services/membership");
+
+/**
+ * Membership Controller
+ * Premium subscriptions paid by card (Stripe) or monthly M-Pesa STK push
+ */
+
+const getFrontendUrl = () =>
+  process.env.FRONTEND_URL || "http://localhost:5173";
+
+/**
+ * The user's membership record and what it entitles them to
+ */
+const getMembership = async (req, res) => {
+  try {
+    const userSnap = await admin
+      .database()
+      .ref(`users/${req.user.uid}`)
+      .once("value");
+    const user = userSnap.val() || {};
+
+    res.json({
+      success: true,
+      membership: user.membership || null,
+      entitlements: getEntitlementsFor(user),
+      price: { amount: PREMIUM_MONTHLY_PRICE, currency: "KES" },
+    });
+  } catch (error) {
+    console.error("Error getting membership:", error);
+    res.status(500).json({
+      error: "Failed to get membership",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Start premium: { provider: stripe|mpesa, phoneNumber }
+ * Stripe returns a Checkout URL; M-Pesa sends an STK push to the phone
+ */
+const subscribe = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { provider, phoneNumber } = req.body;
+
+    if (!["stripe", "mpesa"].includes(provider)) {
+      return res.status(400).json({
+        error: "Invalid provider",
+        message: "Provider must be stripe or mpesa",
+      });
+    }
+
+    const userRef = admin.database().ref(`users/${userId}`);
+    const user = (await userRef.once("value")).val();
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // M-Pesa members may pay ahead; a card subscription renews itself
+    if (
+      isMembershipActive(user.membership) &&
+      (provider === "stripe" || user.membership.provider === "stripe")
+    ) {
+      return res.status(409).json({
+        error: "Already a member",
+        message: "Your premium membership is already active",
+      });
+    }
+
+    if (provider === "mpesa") {
+      if (!phoneNumber || !/^\+254[0-9]{9}$/.test(phoneNumber)) {
+        return res.status(400).json({
+          error: "Valid phone number is required (e.g., +254712345678)",
+        });
+      }
+
+      const { transactionId, checkoutRequestId } =
+        await requestMpesaMembershipPayment(userId, phoneNumber);
+      return res.status(201).json({
+        success: true,
+        provider,
+        transactionId,
+        checkoutRequestId,
+        message: "Approve the payment on your phone to start premium",
+      });
+    }
+
+    if (!stripe) {
+      return res.status(503).json({ error: "Card payments are unavailable" });
+    }
+
+    let customerId = user.stripeCustomerId;
+    if (!customerId) {
+      const customer = await stripe.customers.create({
+        email: user.email || undefined,
+        metadata: { userId },
+      });
+      customerId = customer.id;
+      await userRef.update({ stripeCustomerId: customerId });
+    }
+
+    const lineItem = process.env.STRIPE_PREMIUM_PRICE_ID
+      ? { price: process.env.STRIPE_PREMIUM_PRICE_ID, quantity: 1 }
+      : {
+          price_data: {
+            currency: "kes",
+            product_data: { name: "GameTribe Premium" },
+            unit_amount: PREMIUM_MONTHLY_PRICE * 100,
+            recurring: { interval: "month" },
+          },
+          quantity: 1,
+        };
+
+    const session = await stripe.checkout.sessions.create({
+      mode: "subscription",
+      customer: customerId,
+      line_items: [lineItem],
+      success_url: `${getFrontendUrl()}/profile?tab=membership&membership=success`,
+      cancel_url: `${getFrontendUrl()}/profile?tab=membership&membership=cancelled`,
+      metadata: { userId, plan: "premium" },
+      subscription_data: { metadata: { userId, plan: "premium" } },
+    });
+
+    res.status(201).json({
+      success: true,
+      provider,
+      sessionId: session.id,
+      url: session.url,
+    });
+  } catch (error) {
+    console.error("Error starting membership:", error);
+    res.status(500).json({
+      error: "Failed to start membership",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Stop renewing; premium lasts until the end of the paid period
+ */
+const cancelMembership = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const membershipSnap = await admin
+      .database()
+      .ref(`users/${userId}/membership`)
+      .once("value");
+    const membership = membershipSnap.val();
+
+    if (!isMembershipActive(membership)) {
+      return res.status(404).json({ error: "No active membership" });
+    }
+    if (membership.cancelAtPeriodEnd) {
+      return res.status(409).json({
+        error: "Membership is already cancelled",
+        message: "Premium ends at the end of the current period",
+      });
+    }
+
+    if (membership.provider === "stripe") {
+      if (!stripe) {
+        return res.status(503).json({ error: "Card payments are unavailable" });
+      }
+      // The subscription.updated webhook records the change as well
+      await stripe.subscriptions.update(membership.stripeSubscriptionId, {
+        cancel_at_period_end: true,
+      });
+    }
+    await markCancelAtPeriodEnd(userId);
+
+    console.log(`💎 Premium for ${userId} cancelled at period end`);
+    res.json({
+      success: true,
+      endsAt: membership.currentPeriodEnd,
+    });
+  } catch (error) {
+    console.error("Error cancelling membership:", error);
+    res.status(500).json({
+      error: "Failed to cancel membership",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getMembership,
+  subscribe,
+  cancelMembership,
+};
@@ -1,3 +1,4 @@
+const admin = require("firebase-admin");
 const { database } = require("../config/firebase");
 const {
   ref,
@@ -8,38 +9,50 @@ const {
   equalTo,
 } = require("firebase/database");
 const { v4: uuidv4 } = require("uuid");
-const Stripe = require("stripe");
-const axios = require("axios");
+const { stripe } = require("../config/stripe");
 const crypto = require("crypto");
+const {
+  ACCOUNTS,
+  userAccount,
+  postEntry,
+} = require("../services/walletLedger");
+const { checkDepositAllowed } = require("../services/responsibleGaming");
+const {
+  PAYMENT_REFERENCES,
+  indexTransaction,
+  findTransactionByReference,
+} = require("../utils/paymentIndex");
+const {
+  PermanentWebhookError,
+  registerWebhookHandler,
+  isWebhookProcessed,
+  markWebhookProcessed,
+  acceptWebhook,
+} = require("../services/webhookInbox");
+const {
+  REVERSAL_STATUSES,
+  startRefund,
+  completeRefund,
+  cancelRefund,
+  processChargeRefunded,
+  processDisputeEvent,
+} = require("../services/paymentReversals");
+const { getStkConfig, sendStkPush } = require("../services/mpesaStk");
+const {
+  syncStripeSubscription,
+  processMembershipPayment,
+} = require("../services/membership");
+const {
+  normalizeCode,
+  checkPromoCode,
+  applyDepositPromo,
+} = require("../services/promoCodes");
 require("dotenv").config();
 
-// Initialize Stripe (guarded for missing key in local/dev)
-let stripe = null;
-try {
-  if (
-    process.env.STRIPE_SECRET_KEY &&
-    process.env.STRIPE_SECRET_KEY !== "undefined"
-  ) {
-    stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-  } else {
-    console.warn(
-      "[Payments] STRIPE_SECRET_KEY not set; Stripe features disabled in this environment."
-    );
-  }
-} catch (e) {
-  console.error("[Payments] Failed to initialize Stripe:", e.message);
-  stripe = null;
-}
-
-// Import M-Pesa configuration utility
-const { getMpesaConfig } = require("../utils/mpesaConfig");
-
 // Get M-Pesa configuration
-let mpesaConfig = null;
-try {
-  mpesaConfig = getMpesaConfig();
-} catch (error) {
-  console.warn("[Payments] M-Pesa configuration not available:", error.message);
+const mpesaConfig = getStkConfig();
+if (!mpesaConfig) {
+  console.warn("[Payments] M-Pesa configuration not available");
 }
 
 const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
@@ -82,6 +95,81 @@ const updateWithRetry = async (ref, data, retries = 3) => {
   }
 };
 
+/**
+ * Credit a completed deposit to a wallet through the ledger
+ * The entry id is derived from the payment, so a repeated callback is a no-op
+ */
+const creditDeposit = async (userId, amount, deposit) => {
+  const result = await postEntry({
+    id: deposit.entryId,
+    type: "deposit",
+    description: `Deposit via ${deposit.method}`,
+    legs: [
+      { account: deposit.providerAccount, amount: -amount },
+      { account: userAccount(userId), amount },
+    ],
+    metadata: {
+      method: deposit.method,
+      reason: deposit.reason,
+      ...deposit.metadata,
+    },
+  });
+
+  if (!result.success) {
+    throw new Error(`Failed to credit deposit: ${result.error}`);
+  }
+  if (result.alreadyApplied) {
+    console.log(`ℹ️ Deposit ${deposit.entryId} was already credited`);
+  }
+  return result;
+};
+
+/**
+ * Check a promo code sent with a new deposit; it is redeemed once the
+ * deposit is credited. Returns the error response body, or null
+ */
+const checkDepositPromoCode = async (promoCode, userId, amount, method) => {
+  if (!promoCode) return null;
+  const promoError = await checkPromoCode(promoCode, userId, {
+    amount,
+    method,
+  });
+  return promoError
+    ? { error: "Promo code can't be used", message: promoError }
+    : null;
+};
+
+/**
+ * Add deposit points to a user once per points history id
+ * The history entry is claimed first, so a repeated call adds nothing
+ */
+const awardDepositPointsOnce = async (userId, points, historyId, details) => {
+  const historyRef = admin
+    .database()
+    .ref(`pointsHistory/${userId}/${historyId}`);
+  const claim = await historyRef.transaction((current) => {
+    if (current) return; // Abort - already awarded
+    return {
+      id: historyId,
+      points,
+      ...details,
+      timestamp: new Date().toISOString(),
+    };
+  });
+  if (!claim.committed) return false;
+
+  const result = await admin
+    .database()
+    .ref(`users/${userId}/points`)
+    .transaction((current) => (current || 0) + points);
+  const newPoints = result.snapshot.val();
+  await historyRef.update({ previousPoints: newPoints - points, newPoints });
+  await update(ref(database, `users/${userId}`), {
+    updatedAt: new Date().toISOString(),
+  });
+  return true;
+};
+
 // Get transaction status (polled by frontend as fallback) - works for both Stripe and M-Pesa
 const getStripeTransactionStatus = async (req, res) => {
   try {
@@ -110,89 +198,72 @@ const getStripeTransactionStatus = async (req, res) => {
       );
 
       // Check if this transaction was already processed by webhook
-      const eventRef = ref(
-        database,
-        `webhook_events/mpesa_${tx.checkoutRequestId}`
+      const alreadyProcessed = await isWebhookProcessed(
+        "mpesa_stk",
+        tx.checkoutRequestId
       );
-      const eventSnapshot = await get(eventRef);
 
-      if (!eventSnapshot.exists()) {
+      if (!alreadyProcessed) {
         console.log(
           "⚠️ M-Pesa webhook never processed this transaction, processing now:",
           transactionId
         );
 
         // Process the M-Pesa payment completion (fallback for failed webhook)
-        const userRef = ref(database, `users/${tx.userId}`);
-        const userSnapshot = await get(userRef);
+        const userSnapshot = await get(ref(database, `users/${tx.userId}`));
+        const pointsToAdd = parseInt(tx.pointsToAdd) || parseInt(tx.amount);
 
-        if (userSnapshot.exists()) {
-          const userData = userSnapshot.val();
-          const currentPoints = userData.points || 0;
-          const currentWallet = userData.wallet || {
-            amount: 0,
-            currency: "KES",
-          };
-          const pointsToAdd = parseInt(tx.pointsToAdd) || parseInt(tx.amount);
+        if (userSnapshot.exists() && !isNaN(pointsToAdd) && pointsToAdd > 0) {
+          console.log("🔄 Processing M-Pesa fallback payment completion:", {
+            transactionId,
+            userId: tx.userId,
+            pointsToAdd,
+          });
 
-          if (!isNaN(pointsToAdd) && pointsToAdd > 0) {
-            console.log("🔄 Processing M-Pesa fallback payment completion:", {
+          // Same entry id as the webhook, so only one of them credits
+          await creditDeposit(tx.userId, pointsToAdd, {
+            entryId: `deposit_mpesa_${transactionId}`,
+            providerAccount: ACCOUNTS.MPESA,
+            method: "mpesa",
+            reason: "DEPOSIT_MPESA_FALLBACK",
+            metadata: {
+              checkoutRequestId: tx.checkoutRequestId,
               transactionId,
-              userId: tx.userId,
-              currentPoints,
-              currentWalletAmount: currentWallet.amount || 0,
-              pointsToAdd,
-              newPoints: currentPoints + pointsToAdd,
-              newWalletAmount: (currentWallet.amount || 0) + pointsToAdd,
-            });
-
-            // Update user points and wallet
-            await updateWithRetry(userRef, {
-              points: currentPoints + pointsToAdd,
-              wallet: {
-                amount: (currentWallet.amount || 0) + pointsToAdd,
-                currency: "KES",
-                lastUpdated: new Date().toISOString(),
+              amount: tx.amount,
+              currency: tx.currency,
+            },
+          });
+          await applyDepositPromo(transactionId, tx, {
+            amount: pointsToAdd,
+            method: "mpesa",
+            entryId: `deposit_mpesa_${transactionId}`,
+          });
+
+          // Keyed like the ledger entry, so repeated polls award once
+          await awardDepositPointsOnce(
+            tx.userId,
+            pointsToAdd,
+            `deposit_mpesa_${transactionId}`,
+            {
+              reason: "DEPOSIT_MPESA_FALLBACK",
+              metadata: {
+                checkoutRequestId: tx.checkoutRequestId,
+                transactionId,
+                amount: tx.amount,
+                currency: tx.currency,
               },
-              updatedAt: new Date().toISOString(),
-            });
+            }
+          );
 
-            console.log(
-              "✅ M-Pesa fallback: Successfully updated user points and wallet"
-            );
+          // The callback, if it ever arrives, has nothing left to do
+          await markWebhookProcessed(
+            "mpesa_stk",
+            tx.checkoutRequestId,
+            { transactionId },
+            { type: "stkCallback_fallback" }
+          );
 
-            // Mark webhook event as processed to prevent duplicate processing
-            await updateWithRetry(eventRef, {
-              processed: true,
-              type: "stkCallback_fallback",
-              transactionId,
-              createdAt: new Date().toISOString(),
-            });
-
-            // Record points history entry
-            const historyId = `deposit_mpesa_${transactionId}`;
-            await updateWithRetry(
-              ref(database, `pointsHistory/${tx.userId}/${historyId}`),
-              {
-                id: historyId,
-                points: pointsToAdd,
-                reason: "DEPOSIT_MPESA_FALLBACK",
-                metadata: {
-                  checkoutRequestId: tx.checkoutRequestId,
-                  transactionId,
-                  amount: tx.amount,
-                  currency: tx.currency,
-                },
-                timestamp: new Date().toISOString(),
-                previousPoints: currentPoints,
-                newPoints: currentPoints + pointsToAdd,
-                previousWalletAmount: currentWallet.amount || 0,
-                newWalletAmount: (currentWallet.amount || 0) + pointsToAdd,
-              }
-            );
-
-            console.log("✅ M-Pesa fallback: Payment processing completed");
-          }
+          console.log("✅ M-Pesa fallback: Payment processing completed");
         }
       } else {
         console.log(
@@ -217,54 +288,6 @@ const getStripeTransactionStatus = async (req, res) => {
   }
 };
 
-// Generate M-Pesa OAuth token
-const getMpesaToken = async () => {
-  // Define baseUrl outside try block so it's available in error handler
-  let baseUrl = "https://sandbox.safaricom.co.ke"; // Default
-
-  try {
-    if (!mpesaConfig) {
-      throw new Error("M-Pesa configuration not available");
-    }
-
-    const auth = Buffer.from(
-      `${mpesaConfig.consumerKey}:${mpesaConfig.consumerSecret}`
-    ).toString("base64");
-
-    baseUrl =
-      mpesaConfig.environment === "production"
-        ? "https://api.safaricom.co.ke"
-        : "https://sandbox.safaricom.co.ke";
-
-    console.log("🔐 M-Pesa token request details:", {
-      baseUrl,
-      consumerKey: mpesaConfig.consumerKey,
-      consumerSecretLength: mpesaConfig.consumerSecret?.length,
-      environment: mpesaConfig.environment,
-    });
-
-    const response = await axios.get(
-      `${baseUrl}/oauth/v1/generate?grant_type=client_credentials`,
-      { headers: { Authorization: `Basic ${auth}` } }
-    );
-
-    console.log("✅ M-Pesa token generated successfully");
-    return response.data.access_token;
-  } catch (error) {
-    console.error("❌ Error generating M-Pesa token:", {
-      message: error.message,
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data,
-      baseUrl,
-      consumerKey: mpesaConfig?.consumerKey || "not set",
-      environment: mpesaConfig?.environment || "not set",
-      stack: error.stack,
-    });
-    throw new Error("Failed to generate M-Pesa token");
-  }
-};
-
 // Create Stripe payment intent
 const createStripePayment = async (req, res) => {
   try {
@@ -324,6 +347,29 @@ const createStripePayment = async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
+    // Self-exclusion and deposit limits
+    const protection = await checkDepositAllowed(
+      sanitizedUserId,
+      sanitizedAmount
+    );
+    if (protection) {
+      const { status, ...body } = protection;
+      return res.status(status).json(body);
+    }
+
+    const promoCode = req.body.promoCode
+      ? normalizeCode(req.body.promoCode)
+      : null;
+    const promoError = await checkDepositPromoCode(
+      promoCode,
+      sanitizedUserId,
+      sanitizedAmount,
+      "stripe"
+    );
+    if (promoError) {
+      return res.status(400).json(promoError);
+    }
+
     const transactionId = uuidv4();
     const pointsToAdd = sanitizedAmount; // 1 unit = 1 point, regardless of currency
 
@@ -372,10 +418,14 @@ const createStripePayment = async (req, res) => {
       status: "pending",
       paymentIntentId: paymentIntent.id,
       pointsToAdd,
+      promoCode,
       ipAddress: req.ip || "unknown",
       userAgent: req.get("User-Agent") || "unknown",
       createdAt: new Date().toISOString(),
     });
+    await indexTransaction(transactionId, {
+      paymentIntentId: paymentIntent.id,
+    });
 
     return res.status(200).json({
       clientSecret: paymentIntent.client_secret,
@@ -453,38 +503,36 @@ const createMpesaPayment = async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
-    const pointsToAdd = sanitizedAmount; // 1 unit = 1 point, regardless of currency
-    const token = await getMpesaToken();
-    const timestamp = new Date()
-      .toISOString()
-      .replace(/[^0-9]/g, "")
-      .slice(0, 14);
-    const password = Buffer.from(
-      `${mpesaConfig.shortcode}${mpesaConfig.passkey}${timestamp}`
-    ).toString("base64");
-
-    const baseUrl =
-      mpesaConfig.environment === "production"
-        ? "https://api.safaricom.co.ke"
-        : "https://sandbox.safaricom.co.ke";
-
-    const response = await axios.post(
-      `${baseUrl}/mpesa/stkpush/v1/processrequest`,
-      {
-        BusinessShortCode: mpesaConfig.shortcode,
-        Password: password,
-        Timestamp: timestamp,
-        TransactionType: "CustomerPayBillOnline",
-        Amount: sanitizedAmount,
-        PartyA: sanitizedPhoneNumber.replace("+", ""),
-        PartyB: mpesaConfig.shortcode,
-        PhoneNumber: sanitizedPhoneNumber.replace("+", ""),
-        CallBackURL: mpesaConfig.callbackUrl,
-        AccountReference: `GameTribe_${sanitizedUserId}`,
-        TransactionDesc: "Deposit to GameTribe Wallet",
-      },
-      { headers: { Authorization: `Bearer ${token}` } }
+    // Self-exclusion and deposit limits
+    const protection = await checkDepositAllowed(
+      sanitizedUserId,
+      sanitizedAmount
     );
+    if (protection) {
+      const { status, ...body } = protection;
+      return res.status(status).json(body);
+    }
+
+    const promoCode = req.body.promoCode
+      ? normalizeCode(req.body.promoCode)
+      : null;
+    const promoError = await checkDepositPromoCode(
+      promoCode,
+      sanitizedUserId,
+      sanitizedAmount,
+      "mpesa"
+    );
+    if (promoError) {
+      return res.status(400).json(promoError);
+    }
+
+    const pointsToAdd = sanitizedAmount; // 1 unit = 1 point, regardless of currency
+    const { checkoutRequestId } = await sendStkPush({
+      amount: sanitizedAmount,
+      phoneNumber: sanitizedPhoneNumber,
+      accountReference: `GameTribe_${sanitizedUserId}`,
+      description: "Deposit to GameTribe Wallet",
+    });
 
     const transactionId = uuidv4();
     await updateWithRetry(ref(database, `transactions/${transactionId}`), {
@@ -495,17 +543,19 @@ const createMpesaPayment = async (req, res) => {
       amount: sanitizedAmount,
       currency: sanitizedCurrency,
       status: "pending",
-      checkoutRequestId: response.data.CheckoutRequestID,
+      checkoutRequestId,
       pointsToAdd,
+      promoCode,
       phoneNumber: sanitizedPhoneNumber,
       ipAddress: req.ip || "unknown",
       userAgent: req.get("User-Agent") || "unknown",
       createdAt: new Date().toISOString(),
     });
+    await indexTransaction(transactionId, { checkoutRequestId });
 
     return res.status(200).json({
       transactionId,
-      checkoutRequestId: response.data.CheckoutRequestID,
+      checkoutRequestId,
       pointsToAdd,
     });
   } catch (error) {
@@ -521,18 +571,21 @@ const createMpesaPayment = async (req, res) => {
   }
 };
 
-// Process Stripe event (used for both normal and test mode)
-const processStripeEvent = async (event, res) => {
+// Whether a Checkout session created this payment intent
+const isCheckoutPaymentIntent = async (paymentIntentId) => {
+  const sessions = await stripe.checkout.sessions.list({
+    payment_intent: paymentIntentId,
+    limit: 1,
+  });
+  return sessions.data.length > 0;
+};
+
+// Process a Stripe event from the webhook inbox (used for both normal and
+// test mode); throws so the inbox can retry or dead-letter it
+const processStripeEvent = async (event) => {
   try {
     console.log("🎯 Processing Stripe event:", event.type);
 
-    const eventRef = ref(database, `webhook_events/stripe_${event.id}`);
-    const eventSnapshot = await get(eventRef);
-    if (eventSnapshot.exists()) {
-      console.log("✅ Event already processed, skipping");
-      return res.status(200).json({ received: true });
-    }
-
     switch (event.type) {
       case "checkout.session.completed":
         console.log("🎉 Processing checkout.session.completed event");
@@ -545,6 +598,14 @@ const processStripeEvent = async (event, res) => {
           metadata: checkoutSession.metadata,
         });
 
+        // Membership checkouts are settled by the subscription events
+        if (checkoutSession.mode === "subscription") {
+          console.log(
+            `Checkout ${checkoutSession.id} is a subscription, skipping`
+          );
+          return;
+        }
+
         // Get metadata from checkout session
         const { userId, amount } = checkoutSession.metadata;
 
@@ -553,47 +614,23 @@ const processStripeEvent = async (event, res) => {
             userId,
             amount,
           });
-          await updateWithRetry(
-            ref(database, `webhook_errors/stripe_${uuidv4()}`),
-            {
-              error: "Missing checkout session metadata",
-              eventId: event.id,
-              timestamp: new Date().toISOString(),
-            }
-          );
-          return res.status(400).json({ error: "Missing metadata" });
+          throw new PermanentWebhookError("Missing checkout session metadata");
         }
 
         // Amount directly becomes points (no conversion needed)
         const points = parseInt(amount);
         if (isNaN(points) || points <= 0) {
           console.error("Invalid amount value", { amount });
-          await updateWithRetry(
-            ref(database, `webhook_errors/stripe_${uuidv4()}`),
-            {
-              error: `Invalid amount: ${amount}`,
-              eventId: event.id,
-              timestamp: new Date().toISOString(),
-            }
-          );
-          return res.status(400).json({ error: "Invalid amount" });
+          throw new PermanentWebhookError(`Invalid amount: ${amount}`);
         }
 
         // Find the transaction by checkout session ID
-        const transactionsRef = ref(database, "transactions");
-        const transactionSnapshot = await get(transactionsRef);
-        const allTransactions = transactionSnapshot.val() || {};
-
-        let checkoutTransactionId = null;
-        let checkoutTransaction = null;
-
-        for (const [id, tx] of Object.entries(allTransactions)) {
-          if (tx.checkoutSessionId === checkoutSession.id) {
-            checkoutTransactionId = id;
-            checkoutTransaction = tx;
-            break;
-          }
-        }
+        const checkoutMatch = await findTransactionByReference(
+          PAYMENT_REFERENCES.STRIPE_CHECKOUT_SESSION,
+          checkoutSession.id
+        );
+        let checkoutTransactionId = checkoutMatch?.transactionId || null;
+        let checkoutTransaction = checkoutMatch?.transaction || null;
 
         if (!checkoutTransaction) {
           console.warn(
@@ -613,6 +650,7 @@ const processStripeEvent = async (event, res) => {
             status: "pending",
             paymentMethod: "stripe",
             checkoutSessionId: checkoutSession.id,
+            promoCode: checkoutSession.metadata.promoCode || null,
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString(),
           };
@@ -621,19 +659,34 @@ const processStripeEvent = async (event, res) => {
             ref(database, `transactions/${transactionId}`),
             checkoutTransaction
           );
+          await indexTransaction(transactionId, checkoutTransaction);
 
           checkoutTransactionId = transactionId;
           console.log("✅ Created missing transaction:", transactionId);
         }
 
-        // Update transaction status
+        // A replayed event must not undo a refund or dispute
+        if (REVERSAL_STATUSES.includes(checkoutTransaction.status)) {
+          console.log(
+            `Transaction ${checkoutTransactionId} is ${checkoutTransaction.status}, skipping`
+          );
+          return;
+        }
+
+        // Update transaction status; the payment intent links later
+        // refunds and disputes of the charge back to this deposit
         await updateWithRetry(
           ref(database, `transactions/${checkoutTransactionId}`),
           {
             status: "completed",
+            paymentIntentId: checkoutSession.payment_intent || null,
+            stripeAmount: checkoutSession.amount_total || null,
             updatedAt: new Date().toISOString(),
           }
         );
+        await indexTransaction(checkoutTransactionId, {
+          paymentIntentId: checkoutSession.payment_intent,
+        });
 
         // Update user points and wallet balance
         console.log("🔄 Processing Stripe checkout session completion:", {
@@ -646,66 +699,33 @@ const processStripeEvent = async (event, res) => {
         const userRef = ref(database, `users/${userId}`);
         const userSnapshot = await get(userRef);
         if (userSnapshot.exists()) {
-          const userData = userSnapshot.val();
-          const currentPoints = userData.points || 0;
-          const currentWallet = userData.wallet || {
-            amount: 0,
-            currency: "KES",
-          };
-
-          console.log(
-            "🔄 Updating user points and wallet for Stripe payment:",
-            {
-              userId,
-              currentPoints,
-              pointsToAdd: points,
-              newPoints: currentPoints + points,
-              currentWallet: currentWallet.amount,
-              walletToAdd: points,
-              newWalletAmount: currentWallet.amount + points,
-            }
-          );
+          console.log("🔄 Crediting wallet for Stripe payment:", {
+            userId,
+            walletToAdd: points,
+          });
 
-          const updateData = {
-            // Points are NOT updated - only earned through social actions
-            wallet: {
-              amount: currentWallet.amount + points,
-              currency: "KES",
+          // Points are NOT updated - only earned through social actions
+          await creditDeposit(userId, points, {
+            entryId: `deposit_stripe_checkout_${checkoutTransactionId}`,
+            providerAccount: ACCOUNTS.STRIPE,
+            method: "stripe",
+            reason: "DEPOSIT_STRIPE_CHECKOUT",
+            metadata: {
+              checkoutSessionId: checkoutSession.id,
+              transactionId: checkoutTransactionId,
+              amount: parseInt(amount),
+              currency: checkoutSession.currency,
             },
-            updatedAt: new Date().toISOString(),
-          };
-
-          console.log("💾 Backend: Updating user with data:", updateData);
-          await updateWithRetry(userRef, updateData);
+          });
+          await applyDepositPromo(checkoutTransactionId, checkoutTransaction, {
+            amount: points,
+            method: "stripe",
+            entryId: `deposit_stripe_checkout_${checkoutTransactionId}`,
+          });
           console.log(
             "✅ Backend: User wallet updated successfully (points NOT affected)"
           );
 
-          // Record wallet transaction history (NOT points history)
-          const transactionHistoryId = `deposit_stripe_checkout_${checkoutTransactionId}`;
-          await updateWithRetry(
-            ref(
-              database,
-              `users/${userId}/wallet/transactions/${transactionHistoryId}`
-            ),
-            {
-              id: transactionHistoryId,
-              amount: points,
-              type: "deposit",
-              method: "stripe",
-              reason: "DEPOSIT_STRIPE_CHECKOUT",
-              metadata: {
-                checkoutSessionId: checkoutSession.id,
-                transactionId: checkoutTransactionId,
-                amount: parseInt(amount),
-                currency: checkoutSession.currency,
-              },
-              timestamp: new Date().toISOString(),
-              previousBalance: currentWallet.amount,
-              newBalance: currentWallet.amount + points,
-            }
-          );
-
           console.log(
             `✅ Successfully processed Stripe checkout for user ${userId}: +${points} points`
           );
@@ -714,6 +734,7 @@ const processStripeEvent = async (event, res) => {
           console.error(
             `❌ User ${userId} not found for Stripe checkout processing`
           );
+          throw new PermanentWebhookError("User not found");
         }
         break;
 
@@ -730,25 +751,40 @@ const processStripeEvent = async (event, res) => {
 
         const {
           userId: paymentUserId,
-          transactionId: paymentTransactionId,
+          transactionId: metadataTransactionId,
           pointsToAdd,
         } = paymentIntent.metadata;
 
+        // The payment intent id is authoritative; metadata covers intents
+        // created before the index existed
+        const intentMatch = await findTransactionByReference(
+          PAYMENT_REFERENCES.STRIPE_PAYMENT_INTENT,
+          paymentIntent.id
+        );
+        const paymentTransactionId =
+          intentMatch?.transactionId || metadataTransactionId;
+
+        // Checkout deposits are credited by checkout.session.completed; their
+        // intents carry no deposit metadata and may arrive before the session
+        if (
+          intentMatch?.transaction?.checkoutSessionId ||
+          (!paymentUserId &&
+            !pointsToAdd &&
+            (await isCheckoutPaymentIntent(paymentIntent.id)))
+        ) {
+          console.log(
+            `Payment intent ${paymentIntent.id} belongs to a Checkout session, skipping`
+          );
+          return;
+        }
+
         if (!paymentUserId || !paymentTransactionId || !pointsToAdd) {
           console.error("Missing metadata in payment intent", {
             userId: paymentUserId,
             transactionId: paymentTransactionId,
             pointsToAdd,
           });
-          await updateWithRetry(
-            ref(database, `webhook_errors/stripe_${uuidv4()}`),
-            {
-              error: "Missing payment intent metadata",
-              eventId: event.id,
-              timestamp: new Date().toISOString(),
-            }
-          );
-          return res.status(400).json({ error: "Missing metadata" });
+          throw new PermanentWebhookError("Missing payment intent metadata");
         }
 
         const paymentPoints = parseInt(pointsToAdd);
@@ -756,15 +792,9 @@ const processStripeEvent = async (event, res) => {
           console.error("Invalid pointsToAdd in payment intent", {
             pointsToAdd,
           });
-          await updateWithRetry(
-            ref(database, `webhook_errors/stripe_${uuidv4()}`),
-            {
-              error: `Invalid pointsToAdd: ${pointsToAdd}`,
-              eventId: event.id,
-              timestamp: new Date().toISOString(),
-            }
+          throw new PermanentWebhookError(
+            `Invalid pointsToAdd: ${pointsToAdd}`
           );
-          return res.status(400).json({ error: "Invalid pointsToAdd" });
         }
 
         const paymentTransactionRef = ref(
@@ -774,49 +804,54 @@ const processStripeEvent = async (event, res) => {
         const paymentTransactionSnapshot = await get(paymentTransactionRef);
         if (!paymentTransactionSnapshot.exists()) {
           console.error(`Transaction ${paymentTransactionId} not found`);
-          await updateWithRetry(
-            ref(database, `webhook_errors/stripe_${uuidv4()}`),
-            {
-              error: "Transaction not found",
-              eventId: event.id,
-              transactionId: paymentTransactionId,
-              timestamp: new Date().toISOString(),
-            }
-          );
-          return res.status(404).json({ error: "Transaction not found" });
+          // The callback can arrive before the transaction is written
+          throw new Error(`Transaction ${paymentTransactionId} not found`);
         }
 
         const paymentTransaction = paymentTransactionSnapshot.val();
-        if (paymentTransaction.status === "completed") {
+        if (
+          paymentTransaction.status === "completed" ||
+          REVERSAL_STATUSES.includes(paymentTransaction.status)
+        ) {
           console.log(
-            `Transaction ${paymentTransactionId} already completed, skipping`
+            `Transaction ${paymentTransactionId} already ${paymentTransaction.status}, skipping`
           );
-          return res.status(200).json({ received: true });
+          return;
         }
 
-        await updateWithRetry(paymentTransactionRef, {
-          status: "completed",
-          updatedAt: new Date().toISOString(),
-        });
-
         const paymentUserRef = ref(database, `users/${paymentUserId}`);
         const paymentUserSnapshot = await get(paymentUserRef);
         if (paymentUserSnapshot.exists()) {
           const paymentUserData = paymentUserSnapshot.val();
           const paymentCurrentPoints = paymentUserData.points || 0;
-          const paymentCurrentWallet = paymentUserData.wallet || {
-            amount: 0,
-            currency: "KES",
-          };
+
+          await creditDeposit(paymentUserId, paymentPoints, {
+            entryId: `deposit_stripe_${paymentTransactionId}`,
+            providerAccount: ACCOUNTS.STRIPE,
+            method: "stripe",
+            reason: "DEPOSIT_STRIPE",
+            metadata: {
+              transactionId: paymentTransactionId,
+              paymentIntentId: paymentIntent.id,
+              amount: paymentTransaction.amount,
+              currency: paymentTransaction.currency,
+            },
+          });
+          await applyDepositPromo(paymentTransactionId, paymentTransaction, {
+            amount: paymentPoints,
+            method: "stripe",
+            entryId: `deposit_stripe_${paymentTransactionId}`,
+          });
+
+          // Only after the credit, so a retry of a failed credit is not
+          // skipped as already completed
+          await updateWithRetry(paymentTransactionRef, {
+            status: "completed",
+            updatedAt: new Date().toISOString(),
+          });
 
           await updateWithRetry(paymentUserRef, {
             points: paymentCurrentPoints + paymentPoints,
-            wallet: {
-              ...paymentCurrentWallet,
-              amount: (paymentCurrentWallet.amount || 0) + paymentPoints,
-              currency: "KES",
-              lastUpdated: new Date().toISOString(),
-            },
             updatedAt: new Date().toISOString(),
           });
 
@@ -836,9 +871,6 @@ const processStripeEvent = async (event, res) => {
               timestamp: new Date().toISOString(),
               previousPoints: paymentCurrentPoints,
               newPoints: paymentCurrentPoints + paymentPoints,
-              previousWalletAmount: paymentCurrentWallet.amount || 0,
-              newWalletAmount:
-                (paymentCurrentWallet.amount || 0) + paymentPoints,
             }
           );
 
@@ -847,17 +879,7 @@ const processStripeEvent = async (event, res) => {
           );
         } else {
           console.error(`User ${paymentUserId} not found`);
-          await updateWithRetry(
-            ref(database, `webhook_errors/stripe_${uuidv4()}`),
-            {
-              error: "User not found",
-              eventId: event.id,
-              transactionId: paymentTransactionId,
-              userId: paymentUserId,
-              timestamp: new Date().toISOString(),
-            }
-          );
-          return res.status(404).json({ error: "User not found" });
+          throw new PermanentWebhookError("User not found");
         }
         break;
 
@@ -872,21 +894,30 @@ const processStripeEvent = async (event, res) => {
           customer: subscription.customer,
         });
 
-        const subscriptionUserQuery = ref(database, "users");
-        const subscriptionUserSnapshot = await get(
-          query(
-            subscriptionUserQuery,
-            orderByChild("stripeCustomerId"),
-            equalTo(subscription.customer)
-          )
-        );
-        if (subscriptionUserSnapshot.exists()) {
-          const subUserId = Object.keys(subscriptionUserSnapshot.val())[0];
+        // Memberships set the user on the subscription; older subscriptions
+        // are matched by customer
+        let subUserId = subscription.metadata?.userId || null;
+        if (!subUserId) {
+          const subscriptionUserQuery = ref(database, "users");
+          const subscriptionUserSnapshot = await get(
+            query(
+              subscriptionUserQuery,
+              orderByChild("stripeCustomerId"),
+              equalTo(subscription.customer)
+            )
+          );
+          if (subscriptionUserSnapshot.exists()) {
+            subUserId = Object.keys(subscriptionUserSnapshot.val())[0];
+          }
+        }
+
+        if (subUserId) {
           await updateWithRetry(ref(database, `users/${subUserId}`), {
             subscriptionId: subscription.id,
             subscriptionStatus: subscription.status,
             updatedAt: new Date().toISOString(),
           });
+          await syncStripeSubscription(subUserId, subscription);
           console.log(
             `✅ Updated subscription status for user ${subUserId}: ${subscription.status}`
           );
@@ -894,41 +925,33 @@ const processStripeEvent = async (event, res) => {
           console.error(
             `No user found with stripeCustomerId ${subscription.customer}`
           );
-          await updateWithRetry(
-            ref(database, `webhook_errors/stripe_${uuidv4()}`),
-            {
-              error: "No user found for subscription",
-              eventId: event.id,
-              customerId: subscription.customer,
-              timestamp: new Date().toISOString(),
-            }
+          throw new PermanentWebhookError(
+            `No user found for subscription customer ${subscription.customer}`
           );
         }
         break;
 
+      case "charge.refunded":
+        console.log("↩️ Processing charge.refunded event");
+        await processChargeRefunded(event.data.object);
+        break;
+
+      case "charge.dispute.created":
+      case "charge.dispute.updated":
+      case "charge.dispute.closed":
+        console.log(`⚖️ Processing dispute event: ${event.type}`);
+        await processDisputeEvent(event.data.object);
+        break;
+
       default:
         console.log(`ℹ️ Unhandled event type: ${event.type}`);
     }
-
-    // Mark event as processed after successful processing
-    await updateWithRetry(eventRef, {
-      processed: true,
-      type: event.type,
-      timestamp: new Date().toISOString(),
-    });
-
-    return res.status(200).json({ received: true });
   } catch (error) {
     console.error("❌ Error processing Stripe event:", {
       message: error.message,
       stack: error.stack,
     });
-    await updateWithRetry(ref(database, `webhook_errors/stripe_${uuidv4()}`), {
-      error: `Failed to process Stripe event: ${error.message}`,
-      eventId: event.id,
-      timestamp: new Date().toISOString(),
-    });
-    return res.status(500).json({ error: "Event processing failed" });
+    throw error;
   }
 };
 
@@ -980,17 +1003,6 @@ const stripeWebhook = async (req, res) => {
         );
         try {
           event = JSON.parse(req.body.toString());
-
-          // Double-check deduplication in development mode
-          const eventRef = ref(database, `webhook_events/stripe_${event.id}`);
-          const eventSnapshot = await get(eventRef);
-          if (eventSnapshot.exists()) {
-            console.log("✅ Event already processed, skipping", event.id);
-            return res.status(200).json({ received: true });
-          }
-
-          // Process the event in development mode
-          return await processStripeEvent(event, res);
         } catch (parseError) {
           console.error("❌ Failed to parse webhook body:", parseError);
           await updateWithRetry(
@@ -1017,16 +1029,10 @@ const stripeWebhook = async (req, res) => {
       }
     }
 
-    // Check deduplication for normal path
-    const eventRef = ref(database, `webhook_events/stripe_${event.id}`);
-    const eventSnapshot = await get(eventRef);
-    if (eventSnapshot.exists()) {
-      console.log("✅ Event already processed, skipping", event.id);
-      return res.status(200).json({ received: true });
-    }
-
-    // Process the event (only for successful signature verification)
-    return await processStripeEvent(event, res);
+    // Store the event before processing it; failed attempts stay in the
+    // inbox to be retried, so Stripe only needs to hear it was received
+    await acceptWebhook("stripe", event.id, event, { type: event.type });
+    return res.status(200).json({ received: true });
   } catch (error) {
     console.error("❌ Stripe webhook error:", {
       message: error.message,
@@ -1060,6 +1066,104 @@ const verifyMpesaWebhookSignature = (req, res, next) => {
   }
 };
 
+// Credit or fail the deposit behind an STK push callback (from the webhook
+// inbox); throws so the inbox can retry or dead-letter it
+const processMpesaCallback = async (payload) => {
+  const { stkCallback } = payload.Body;
+  const { CheckoutRequestID, ResultCode, ResultDesc } = stkCallback;
+
+  const match = await findTransactionByReference(
+    PAYMENT_REFERENCES.MPESA_CHECKOUT,
+    CheckoutRequestID
+  );
+  const transactionId = match?.transactionId || null;
+  const transaction = match?.transaction || null;
+
+  if (!transaction) {
+    // The callback can arrive before the transaction is written
+    throw new Error(
+      `Transaction with CheckoutRequestID ${CheckoutRequestID} not found`
+    );
+  }
+
+  // Membership payments buy premium time, not wallet balance
+  if (transaction.type === "membership") {
+    await processMembershipPayment(transactionId, transaction, {
+      success: ResultCode === 0,
+      resultDesc: ResultDesc,
+    });
+    return;
+  }
+
+  if (ResultCode === 0) {
+    // Success
+    console.log("✅ M-Pesa payment successful for transaction:", transactionId);
+    console.log("💰 M-Pesa transaction details:", {
+      transactionId,
+      userId: transaction.userId,
+      amount: transaction.amount,
+      pointsToAdd: transaction.pointsToAdd || transaction.amount,
+    });
+
+    const userRef = ref(database, `users/${transaction.userId}`);
+    const userSnapshot = await get(userRef);
+    if (!userSnapshot.exists()) {
+      console.error(`User ${transaction.userId} not found`);
+      throw new PermanentWebhookError(`User ${transaction.userId} not found`);
+    }
+
+    const pointsToAdd =
+      parseInt(transaction.pointsToAdd) || parseInt(transaction.amount);
+    if (isNaN(pointsToAdd) || pointsToAdd <= 0) {
+      console.error("Invalid pointsToAdd for M-Pesa transaction", {
+        transactionId,
+        pointsToAdd,
+        amount: transaction.amount,
+      });
+      throw new PermanentWebhookError(`Invalid pointsToAdd: ${pointsToAdd}`);
+    }
+
+    console.log("🔄 Crediting wallet for M-Pesa payment:", {
+      userId: transaction.userId,
+      pointsToAdd,
+    });
+
+    // Points are NOT updated - only earned through social actions
+    await creditDeposit(transaction.userId, pointsToAdd, {
+      entryId: `deposit_mpesa_${transactionId}`,
+      providerAccount: ACCOUNTS.MPESA,
+      method: "mpesa",
+      reason: "DEPOSIT_MPESA",
+      metadata: {
+        checkoutRequestId: CheckoutRequestID,
+        transactionId,
+        amount: transaction.amount,
+        currency: transaction.currency,
+      },
+    });
+    await applyDepositPromo(transactionId, transaction, {
+      amount: pointsToAdd,
+      method: "mpesa",
+      entryId: `deposit_mpesa_${transactionId}`,
+    });
+
+    await updateWithRetry(ref(database, `transactions/${transactionId}`), {
+      status: "completed",
+      updatedAt: new Date().toISOString(),
+    });
+
+    console.log(
+      "✅ Successfully updated user wallet for M-Pesa payment (points NOT affected)"
+    );
+  } else {
+    await updateWithRetry(ref(database, `transactions/${transactionId}`), {
+      status: "failed",
+      error: ResultDesc,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+};
+
 // M-Pesa webhook handler
 const mpesaWebhook = async (req, res) => {
   let CheckoutRequestID = "unknown";
@@ -1074,7 +1178,7 @@ const mpesaWebhook = async (req, res) => {
       "📄 M-Pesa webhook payload:",
       JSON.stringify(req.body, null, 2)
     );
-    if (!Body || !Body.stkCallback) {
+    if (!Body || !Body.stkCallback || !Body.stkCallback.CheckoutRequestID) {
       console.error("Invalid M-Pesa webhook payload", { body: req.body });
       await updateWithRetry(ref(database, `webhook_errors/mpesa_${uuidv4()}`), {
         error: "Invalid webhook payload",
@@ -1082,165 +1186,13 @@ const mpesaWebhook = async (req, res) => {
       });
       return res.status(400).json({ error: "Invalid webhook payload" });
     }
+    CheckoutRequestID = Body.stkCallback.CheckoutRequestID;
 
-    const { stkCallback } = Body;
-    const {
-      CheckoutRequestID: requestId,
-      ResultCode,
-      ResultDesc,
-    } = stkCallback;
-    CheckoutRequestID = requestId;
-
-    const eventRef = ref(database, `webhook_events/mpesa_${CheckoutRequestID}`);
-    const eventSnapshot = await get(eventRef);
-    if (eventSnapshot.exists()) {
-      return res.status(200).json({ received: true });
-    }
-
-    const transactionsRef = ref(database, "transactions");
-    const transactionSnapshot = await get(transactionsRef);
-    const allTransactions = transactionSnapshot.val() || {};
-
-    let transactionId = null;
-    let transaction = null;
-
-    for (const [id, tx] of Object.entries(allTransactions)) {
-      if (tx.checkoutRequestId === CheckoutRequestID) {
-        transactionId = id;
-        transaction = tx;
-        break;
-      }
-    }
-
-    if (!transaction) {
-      console.error(
-        `Transaction with CheckoutRequestID ${CheckoutRequestID} not found`
-      );
-      await updateWithRetry(ref(database, `webhook_errors/mpesa_${uuidv4()}`), {
-        error: "Transaction not found",
-        checkoutRequestId: CheckoutRequestID,
-        timestamp: new Date().toISOString(),
-      });
-      return res.status(404).json({ error: "Transaction not found" });
-    }
-
-    await updateWithRetry(eventRef, {
-      processed: true,
+    // Store the callback before processing it; failed attempts stay in the
+    // inbox to be retried
+    await acceptWebhook("mpesa_stk", CheckoutRequestID, req.body, {
       type: "stkCallback",
-      createdAt: new Date().toISOString(),
     });
-
-    if (ResultCode === 0) {
-      // Success
-      console.log(
-        "✅ M-Pesa payment successful for transaction:",
-        transactionId
-      );
-      console.log("💰 M-Pesa transaction details:", {
-        transactionId,
-        userId: transaction.userId,
-        amount: transaction.amount,
-        pointsToAdd: transaction.pointsToAdd || transaction.amount,
-      });
-
-      await updateWithRetry(ref(database, `transactions/${transactionId}`), {
-        status: "completed",
-        updatedAt: new Date().toISOString(),
-      });
-
-      const userRef = ref(database, `users/${transaction.userId}`);
-      const userSnapshot = await get(userRef);
-      if (userSnapshot.exists()) {
-        const userData = userSnapshot.val();
-        const currentPoints = userData.points || 0;
-        const currentWallet = userData.wallet || { amount: 0, currency: "KES" };
-        const pointsToAdd =
-          parseInt(transaction.pointsToAdd) || parseInt(transaction.amount);
-        if (isNaN(pointsToAdd) || pointsToAdd <= 0) {
-          console.error("Invalid pointsToAdd for M-Pesa transaction", {
-            transactionId,
-            pointsToAdd,
-            amount: transaction.amount,
-          });
-          await updateWithRetry(
-            ref(database, `webhook_errors/mpesa_${uuidv4()}`),
-            {
-              error: `Invalid pointsToAdd: ${pointsToAdd}`,
-              checkoutRequestId: CheckoutRequestID,
-              transactionId,
-              timestamp: new Date().toISOString(),
-            }
-          );
-          return res.status(400).json({ error: "Invalid pointsToAdd" });
-        }
-
-        console.log("🔄 Updating user points and wallet:", {
-          userId: transaction.userId,
-          currentPoints,
-          currentWalletAmount: currentWallet.amount || 0,
-          pointsToAdd,
-          newPoints: currentPoints + pointsToAdd,
-          newWalletAmount: (currentWallet.amount || 0) + pointsToAdd,
-        });
-
-        await updateWithRetry(userRef, {
-          // Points are NOT updated - only earned through social actions
-          wallet: {
-            amount: (currentWallet.amount || 0) + pointsToAdd,
-            currency: "KES",
-            lastUpdated: new Date().toISOString(),
-          },
-          updatedAt: new Date().toISOString(),
-        });
-
-        console.log(
-          "✅ Successfully updated user wallet for M-Pesa payment (points NOT affected)"
-        );
-
-        const transactionHistoryId = `deposit_mpesa_${transactionId}`;
-        await updateWithRetry(
-          ref(
-            database,
-            `users/${transaction.userId}/wallet/transactions/${transactionHistoryId}`
-          ),
-          {
-            id: transactionHistoryId,
-            amount: pointsToAdd,
-            type: "deposit",
-            method: "mpesa",
-            reason: "DEPOSIT_MPESA",
-            metadata: {
-              checkoutRequestId: CheckoutRequestID,
-              transactionId,
-              amount: transaction.amount,
-              currency: transaction.currency,
-            },
-            timestamp: new Date().toISOString(),
-            previousBalance: currentWallet.amount || 0,
-            newBalance: (currentWallet.amount || 0) + pointsToAdd,
-          }
-        );
-      } else {
-        console.error(`User ${transaction.userId} not found`);
-        await updateWithRetry(
-          ref(database, `webhook_errors/mpesa_${uuidv4()}`),
-          {
-            error: "User not found",
-            checkoutRequestId: CheckoutRequestID,
-            transactionId,
-            timestamp: new Date().toISOString(),
-          }
-        );
-        return res.status(404).json({ error: "User not found" });
-      }
-    } else {
-      await updateWithRetry(ref(database, `transactions/${transactionId}`), {
-        status: "failed",
-        error: ResultDesc,
-        updatedAt: new Date().toISOString(),
-      });
-    }
-
     return res.status(200).json({ received: true });
   } catch (error) {
     console.error("Error processing M-Pesa webhook:", {
@@ -1256,6 +1208,9 @@ const mpesaWebhook = async (req, res) => {
   }
 };
 
+registerWebhookHandler("stripe", processStripeEvent);
+registerWebhookHandler("mpesa_stk", processMpesaCallback);
+
 // REMOVED: Wallet-to-points conversion feature
 // Points and wallet are now completely separate systems
 // Points = Earned through social actions only
@@ -1349,6 +1304,26 @@ const createStripeCheckoutSession = async (req, res) => {
       });
     }
 
+    // Self-exclusion and deposit limits
+    const protection = await checkDepositAllowed(userId, parseInt(amount));
+    if (protection) {
+      const { status, ...body } = protection;
+      return res.status(status).json(body);
+    }
+
+    const promoCode = req.body.promoCode
+      ? normalizeCode(req.body.promoCode)
+      : null;
+    const promoError = await checkDepositPromoCode(
+      promoCode,
+      userId,
+      parseInt(amount),
+      "stripe"
+    );
+    if (promoError) {
+      return res.status(400).json(promoError);
+    }
+
     const session = await stripe.checkout.sessions.create({
       payment_method_types: ["card"],
       line_items: [
@@ -1375,6 +1350,7 @@ const createStripeCheckoutSession = async (req, res) => {
         userId,
         amount: amount.toString(),
         currency: "KES",
+        ...(promoCode && { promoCode }),
       },
     });
 
@@ -1389,6 +1365,7 @@ const createStripeCheckoutSession = async (req, res) => {
       status: "pending",
       paymentMethod: "stripe",
       checkoutSessionId: session.id,
+      promoCode,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
@@ -1397,6 +1374,7 @@ const createStripeCheckoutSession = async (req, res) => {
       ref(database, `transactions/${transactionId}`),
       transaction
     );
+    await indexTransaction(transactionId, transaction);
 
     res.json({
       sessionId: session.id,
@@ -1412,6 +1390,99 @@ const createStripeCheckoutSession = async (req, res) => {
   }
 };
 
+/**
+ * Admin refund of a card deposit: the refund is taken out of the wallet
+ * first, then paid back to the card; if Stripe refuses, the wallet is
+ * credited again
+ */
+const refundStripePayment = async (req, res) => {
+  try {
+    if (!stripe) {
+      return res.status(503).json({ error: "Stripe not configured" });
+    }
+
+    const { transactionId } = req.params;
+    const { amount, reason, requestedBy = "admin" } = req.body || {};
+    const refundAmount =
+      amount === undefined || amount === null ? undefined : Number(amount);
+
+    const transactionSnapshot = await get(
+      ref(database, `transactions/${transactionId}`)
+    );
+    if (!transactionSnapshot.exists()) {
+      return res.status(404).json({ error: "Transaction not found" });
+    }
+    const transaction = transactionSnapshot.val();
+
+    // Checkout deposits from before the intent was stored on them
+    let paymentIntentId = transaction.paymentIntentId;
+    if (!paymentIntentId && transaction.checkoutSessionId) {
+      const session = await stripe.checkout.sessions.retrieve(
+        transaction.checkoutSessionId
+      );
+      paymentIntentId = session.payment_intent;
+      if (paymentIntentId) {
+        await updateWithRetry(ref(database, `transactions/${transactionId}`), {
+          paymentIntentId,
+        });
+        await indexTransaction(transactionId, { paymentIntentId });
+      }
+    }
+    if (!paymentIntentId) {
+      return res.status(400).json({
+        error: "Not a card deposit",
+        message: "Only Stripe deposits can be refunded here",
+      });
+    }
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    const refund = await startRefund(transactionId, {
+      amount: refundAmount,
+      stripeTotal: paymentIntent.amount_received,
+      reason: reason ? sanitizeInput(reason) : null,
+      requestedBy,
+    });
+    if (refund.error) {
+      return res.status(refund.status).json({ error: refund.error });
+    }
+
+    let stripeRefund;
+    try {
+      stripeRefund = await stripe.refunds.create(
+        {
+          payment_intent: paymentIntentId,
+          amount: refund.stripeAmount,
+          metadata: { transactionId, reversal: refund.key },
+        },
+        { idempotencyKey: `${transactionId}_${refund.key}` }
+      );
+    } catch (error) {
+      await cancelRefund(transactionId, refund.key, error.message);
+      console.error("❌ Stripe refund failed:", error.message);
+      return res.status(502).json({
+        error: "Stripe refund failed",
+        message: error.message,
+      });
+    }
+
+    const reversal = await completeRefund(
+      transactionId,
+      refund.key,
+      stripeRefund.id
+    );
+    console.log(
+      `✅ Refunded KES ${reversal.amount} of ${transactionId} (${stripeRefund.id})`
+    );
+    return res.json({ success: true, refund: reversal });
+  } catch (error) {
+    console.error("Error refunding Stripe payment:", error);
+    return res.status(500).json({
+      error: "Failed to refund payment",
+      message: error.message,
+    });
+  }
+};
+
 module.exports = {
   createStripePayment,
   createStripeCheckoutSession,
@@ -1423,4 +1494,5 @@ module.exports = {
   getUserTransactions,
   getStripeTransactionStatus,
   processStripeEvent,
+  refundStripePayment,
 };
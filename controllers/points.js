@@ -1,25 +1,21 @@
 const { database } = require("../config/firebase");
 const { ref, get, set, update, increment } = require("firebase/database");
 const { v4: uuidv4 } = require("uuid");
-
-// Points configuration
-const POINTS_CONFIG = {
-  POST_DISCUSSION: 3,      // Posting in discussions
-  LIKE_POST: 1,            // Liking a post
-  COMMENT_POST: 2,         // Commenting on a post
-  COMMENT_GAME: 3,         // Commenting on a game
-  RATE_GAME: 2,            // Rating a game
-  PLAY_GAME: -10,          // Playing a game (deducts points)
-  DAILY_LOGIN: 1,          // Daily login bonus
-  PROFILE_COMPLETE: 5,     // Complete profile setup
-  FIRST_POST: 10,          // First post bonus
-  FIRST_COMMENT: 5,        // First comment bonus
-  FIRST_LIKE: 2,           // First like bonus
-  REPOST_POST: 2,          // Reposting a post
-};
+const {
+  getRuleFor,
+  getActiveCampaign,
+  claimAward,
+  releaseAward,
+  recordAward,
+  useRuleAllowance,
+  markAwardReversed,
+  getAwardKey,
+} = require("../services/pointsRules");
+const { recordPointsAward } = require("../services/achievements");
 
 // Add points to user
-const addPointsToUser = async (userId, points, reason, metadata = {}) => {
+// award: { ruleVersion, campaignId, multiplier } when a points rule paid it
+const addPointsToUser = async (userId, points, reason, metadata = {}, award = {}) => {
   try {
     const userRef = ref(database, `users/${userId}`);
     const pointsHistoryRef = ref(database, `pointsHistory/${userId}`);
@@ -49,12 +45,15 @@ const addPointsToUser = async (userId, points, reason, metadata = {}) => {
       timestamp: new Date().toISOString(),
       previousPoints: currentPoints,
       newPoints: newPoints,
+      ruleVersion: award.ruleVersion ?? null,
+      campaignId: award.campaignId || null,
+      multiplier: award.multiplier || 1,
     };
     
     await set(ref(database, `pointsHistory/${userId}/${historyEntry.id}`), historyEntry);
     
     console.log(`Points updated for user ${userId}: ${points} points for ${reason}`);
-    return { success: true, newPoints, pointsAdded: points };
+    return { success: true, newPoints, pointsAdded: points, historyId: historyEntry.id };
     
   } catch (error) {
     console.error("Error adding points to user:", error);
@@ -163,9 +162,10 @@ const canPerformAction = async (userId, action) => {
       return false;
     }
     
+    const rule = await getRuleFor(action);
     const userData = snapshot.val();
     const currentPoints = userData.points || 0;
-    const requiredPoints = Math.abs(POINTS_CONFIG[action] || 0);
+    const requiredPoints = Math.abs(rule?.points || 0);
     
     return currentPoints >= requiredPoints;
   } catch (error) {
@@ -175,29 +175,115 @@ const canPerformAction = async (userId, action) => {
 };
 
 // Process points for different actions
-const processPointsForAction = async (userId, action, metadata = {}) => {
+// targetId (a post, comment, ...) pays an action once per target and lets a
+// reversible rule take it back later
+const processPointsForAction = async (userId, action, metadata = {}, { targetId = null } = {}) => {
+  let claimed = false;
+  let recorded = false;
   try {
-    const points = POINTS_CONFIG[action];
-    if (points === undefined) {
+    const rule = await getRuleFor(action);
+    if (!rule) {
       throw new Error(`Unknown action: ${action}`);
     }
+    if (!rule.enabled) {
+      return { success: false, skipped: "disabled", pointsAdded: 0 };
+    }
     
     // For actions that cost points (like playing games), check if user has enough
-    if (points < 0) {
+    if (rule.points < 0) {
       const canPerform = await canPerformAction(userId, action);
       if (!canPerform) {
         throw new Error("Insufficient points for this action");
       }
+      return await addPointsToUser(userId, rule.points, action, metadata, {
+        ruleVersion: rule.version,
+      });
+    }
+    
+    if (targetId) {
+      claimed = await claimAward(userId, action, targetId);
+      if (!claimed) {
+        return { success: false, skipped: "already_awarded", pointsAdded: 0 };
+      }
+    }
+    
+    // Daily caps and cooldowns stop points farming
+    const allowance = await useRuleAllowance(userId, action, rule);
+    if (!allowance.allowed) {
+      if (claimed) await releaseAward(userId, action, targetId);
+      console.log(`Points for ${action} withheld from user ${userId}: ${allowance.reason}`);
+      return { success: false, skipped: allowance.reason, pointsAdded: 0 };
     }
     
-    const result = await addPointsToUser(userId, points, action, metadata);
+    const campaign = await getActiveCampaign(action);
+    const multiplier = campaign ? campaign.multiplier : 1;
+    const points = Math.round(rule.points * multiplier);
+    
+    const result = await addPointsToUser(userId, points, action, metadata, {
+      ruleVersion: rule.version,
+      campaignId: campaign?.id,
+      multiplier,
+    });
+    
+    if (targetId) {
+      await recordAward(userId, action, targetId, {
+        points,
+        ruleVersion: rule.version,
+        campaignId: campaign?.id || null,
+        historyId: result.historyId,
+      });
+      recorded = true;
+    }
+    
+    // Awards count towards achievements; never fail the award over them
+    try {
+      await recordPointsAward(userId, action, targetId ? getAwardKey(action, targetId) : result.historyId);
+    } catch (achievementError) {
+      console.error(`Error recording achievement progress for ${action}:`, achievementError);
+    }
     return result;
   } catch (error) {
+    if (claimed && !recorded) {
+      await releaseAward(userId, action, targetId).catch(() => {});
+    }
     console.error(`Error processing points for action ${action}:`, error);
     throw error;
   }
 };
 
+// Take back the points a target earned, if the action's rule is reversible
+const reversePointsForAction = async (userId, action, targetId, metadata = {}) => {
+  try {
+    const rule = await getRuleFor(action);
+    if (!rule || !rule.reversible) {
+      return { success: false, skipped: "not_reversible", pointsRemoved: 0 };
+    }
+    
+    const award = await markAwardReversed(userId, action, targetId);
+    if (!award) {
+      return { success: false, skipped: "nothing_to_reverse", pointsRemoved: 0 };
+    }
+    
+    const result = await addPointsToUser(
+      userId,
+      -award.points,
+      `${action}_REVERSED`,
+      { ...metadata, targetId, reversedHistoryId: award.historyId || null, awardRuleVersion: award.ruleVersion },
+      { ruleVersion: rule.version }
+    );
+    
+    try {
+      await recordPointsAward(userId, action, getAwardKey(action, targetId), -1);
+    } catch (achievementError) {
+      console.error(`Error reverting achievement progress for ${action}:`, achievementError);
+    }
+    return { ...result, pointsRemoved: award.points };
+  } catch (error) {
+    console.error(`Error reversing points for action ${action}:`, error);
+    throw error;
+  }
+};
+
 // Get points statistics
 const getPointsStats = async () => {
   try {
@@ -236,12 +322,12 @@ const getPointsStats = async () => {
 };
 
 module.exports = {
-  POINTS_CONFIG,
   addPointsToUser,
   getLeaderboard,
   getUserPointsHistory,
   getUserRank,
   canPerformAction,
   processPointsForAction,
+  reversePointsForAction,
   getPointsStats,
 }; 
\ No newline at end of file
@@ -4,7 +4,7 @@ const DOMPurify = require("dompurify");
 const { JSDOM } = require("jsdom");
 const window = new JSDOM("").window;
 const purify = DOMPurify(window);
-const { processPointsForAction } = require("./points");
+const { processPointsForAction, reversePointsForAction } = require("./points");
 const { cache, cacheKeys, CACHE_TTL } = require("../utils/cache");
 
 // ✅ NEW: Import production-grade services
@@ -783,10 +783,12 @@ const createPost = async (req, res) => {
 
     // Add points for creating a post
     try {
-      await processPointsForAction(userId, "POST_DISCUSSION", {
-        postId,
-        category: newPost.category,
-      });
+      await processPointsForAction(
+        userId,
+        "POST_DISCUSSION",
+        { postId, category: newPost.category },
+        { targetId: postId }
+      );
     } catch (pointsError) {
       console.error("Error adding points for post creation:", pointsError);
       monitoringService.trackError("points_system_error", "low");
@@ -837,17 +839,24 @@ const likePost = async (req, res) => {
     const likedBy = Array.isArray(postData.likedBy) ? postData.likedBy : [];
     const isLiked = likedBy.includes(userId);
 
-    // Add points for liking (only when liking, not unliking)
-    if (isLiked) {
-      try {
-        await processPointsForAction(userId, "LIKE_POST", {
+    // Liking earns points once per post; unliking takes them back
+    try {
+      if (isLiked) {
+        await processPointsForAction(
+          userId,
+          "LIKE_POST",
+          { postId, action: "like" },
+          { targetId: postId }
+        );
+      } else {
+        await reversePointsForAction(userId, "LIKE_POST", postId, {
           postId,
-          action: "like",
+          action: "unlike",
         });
-      } catch (pointsError) {
-        console.error("Error adding points for liking post:", pointsError);
-        // Don't fail the like action if points fail
       }
+    } catch (pointsError) {
+      console.error("Error updating points for post like:", pointsError);
+      // Don't fail the like action if points fail
     }
 
     return res.status(200).json({
@@ -980,11 +989,12 @@ const createComment = async (req, res) => {
 
     // Add points for commenting
     try {
-      await processPointsForAction(userId, "COMMENT_POST", {
-        postId,
-        commentId,
-        action: "comment",
-      });
+      await processPointsForAction(
+        userId,
+        "COMMENT_POST",
+        { postId, commentId, action: "comment" },
+        { targetId: commentId }
+      );
     } catch (pointsError) {
       console.error("Error adding points for commenting:", pointsError);
       // Don't fail the comment creation if points fail
@@ -1384,11 +1394,17 @@ const repostPost = async (req, res) => {
 
     // Add points for reposting
     try {
-      await processPointsForAction(userId, "REPOST_POST", {
-        postId: repostId,
-        originalPostId: postId,
-        category: originalPost.category,
-      });
+      // One repost award per original post
+      await processPointsForAction(
+        userId,
+        "REPOST_POST",
+        {
+          postId: repostId,
+          originalPostId: postId,
+          category: originalPost.category,
+        },
+        { targetId: postId }
+      );
       console.log("✅ Points added for repost");
     } catch (pointsError) {
       console.warn("Failed to add points for repost:", pointsError);
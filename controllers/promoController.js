@@ -0,0 +1,41 @@
+const { v4: uuidv4 } = require("uuid");
+const { normalizeCode, redeemPromoCode } = require("../services/promoCodes");
+
+/**
+ * Promo Controller
+ * Redeeming promo codes outside a deposit
+ */
+
+/**
+ * Redeem a code on its own: { code }
+ * Deposit codes are sent with the deposit instead (promoCode)
+ */
+const redeemPromo = async (req, res) => {
+  try {
+    const code = normalizeCode(req.body.code);
+    if (!code) {
+      return res.status(400).json({ error: "Promo code is required" });
+    }
+
+    const result = await redeemPromoCode({
+      code,
+      userId: req.user.uid,
+      redemptionId: uuidv4(),
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({ success: true, redemption: result.redemption });
+  } catch (error) {
+    console.error("Error redeeming promo code:", error);
+    res.status(500).json({
+      error: "Failed to redeem promo code",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  redeemPromo,
+};
@@ -0,0 +1,157 @@
+const { database } = require("../config/firebase");
+const { ref, get } = require("firebase/database");
+const { DEFAULT_RATING } = require("../services/skillRating");
+
+/**
+ * Rating Controller
+ * Exposes per-game skill ratings, rating history and rating leaderboards
+ */
+
+// Minimum rated games before sandbagging indicators are meaningful
+const SANDBAG_MIN_GAMES = 10;
+// Flag when stake-weighted win rate beats plain win rate by this much
+const SANDBAG_WIN_RATE_GAP = 0.25;
+
+/**
+ * Compare how often a player wins overall with how often they win big bets
+ * Players who lose cheap games and win expensive ones score high here
+ */
+const getSandbaggingIndicators = (history) => {
+  if (history.length < SANDBAG_MIN_GAMES) {
+    return { evaluated: false, gamesPlayed: history.length };
+  }
+
+  const wins = history.filter((entry) => entry.result === "won");
+  const totalStake = history.reduce((sum, e) => sum + (e.betAmount || 0), 0);
+  const wonStake = wins.reduce((sum, e) => sum + (e.betAmount || 0), 0);
+
+  const winRate = wins.length / history.length;
+  const stakeWeightedWinRate = totalStake > 0 ? wonStake / totalStake : 0;
+
+  return {
+    evaluated: true,
+    gamesPlayed: history.length,
+    winRate: Math.round(winRate * 100) / 100,
+    stakeWeightedWinRate: Math.round(stakeWeightedWinRate * 100) / 100,
+    suspected: stakeWeightedWinRate - winRate >= SANDBAG_WIN_RATE_GAP,
+  };
+};
+
+/**
+ * Get all of a user's game ratings
+ */
+const getUserRatings = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const ratingsSnap = await get(ref(database, `playerRatings/${userId}`));
+    const ratings = ratingsSnap.exists() ? ratingsSnap.val() : {};
+
+    res.json({
+      success: true,
+      userId,
+      ratings: Object.entries(ratings).map(([gameId, record]) => ({
+        gameId,
+        ...record,
+      })),
+    });
+  } catch (error) {
+    console.error("Error getting user ratings:", error);
+    res.status(500).json({
+      error: "Failed to get ratings",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get a user's rating history for one game
+ */
+const getRatingHistory = async (req, res) => {
+  try {
+    const { userId, gameId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const [ratingSnap, historySnap] = await Promise.all([
+      get(ref(database, `playerRatings/${userId}/${gameId}`)),
+      get(ref(database, `ratingHistory/${userId}/${gameId}`)),
+    ]);
+
+    const history = historySnap.exists()
+      ? Object.values(historySnap.val()).sort(
+          (a, b) => b.timestamp - a.timestamp
+        )
+      : [];
+
+    res.json({
+      success: true,
+      userId,
+      gameId,
+      current: ratingSnap.exists()
+        ? ratingSnap.val()
+        : { rating: DEFAULT_RATING, gamesPlayed: 0 },
+      history: history.slice(0, limit),
+      total: history.length,
+      sandbagging: getSandbaggingIndicators(history),
+    });
+  } catch (error) {
+    console.error("Error getting rating history:", error);
+    res.status(500).json({
+      error: "Failed to get rating history",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get the rating leaderboard for a game
+ */
+const getRatingLeaderboard = async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const minGames = parseInt(req.query.minGames) || 1;
+
+    const leaderboardSnap = await get(
+      ref(database, `ratingLeaderboards/${gameId}`)
+    );
+    if (!leaderboardSnap.exists()) {
+      return res.json({ success: true, gameId, leaderboard: [] });
+    }
+
+    const entries = Object.values(leaderboardSnap.val())
+      .filter((entry) => entry.gamesPlayed >= minGames)
+      .sort((a, b) => b.rating - a.rating)
+      .slice(0, limit);
+
+    // Enrich with display names
+    const leaderboard = await Promise.all(
+      entries.map(async (entry, index) => {
+        const userSnap = await get(ref(database, `users/${entry.userId}`));
+        const userData = userSnap.exists() ? userSnap.val() : {};
+        return {
+          ...entry,
+          rank: index + 1,
+          username:
+            userData.displayName || userData.username || "Unknown Player",
+          avatar: userData.photoURL || userData.avatar || "",
+        };
+      })
+    );
+
+    res.json({ success: true, gameId, leaderboard });
+  } catch (error) {
+    console.error("Error getting rating leaderboard:", error);
+    res.status(500).json({
+      error: "Failed to get rating leaderboard",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getUserRatings,
+  getRatingHistory,
+  getRatingLeaderboard,
+  getSandbaggingIndicators,
+};
@@ -0,0 +1,154 @@
+const {
+  setLimit,
+  selfExclude,
+  getResponsibleGamingStatus,
+  getLimitAuditLog,
+} = require("../services/responsibleGaming");
+
+/**
+ * Responsible Gaming Controller
+ * Players manage their own limits and self-exclusion; support can review them
+ */
+
+const getRequestContext = (req) => ({
+  changedBy: req.user.uid,
+  ip: req.ip,
+  userAgent: req.get("User-Agent"),
+});
+
+/**
+ * Limits, pending changes, exclusion and current usage
+ */
+const getResponsibleGaming = async (req, res) => {
+  try {
+    const status = await getResponsibleGamingStatus(req.user.uid);
+    res.json({ success: true, ...status });
+  } catch (error) {
+    console.error("Error getting responsible gaming settings:", error);
+    res.status(500).json({
+      error: "Failed to get responsible gaming settings",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Set one limit: { type: deposit|loss, period: daily|weekly|monthly,
+ * value: KES or null to remove }
+ */
+const updateLimit = async (req, res) => {
+  try {
+    const { type, period } = req.body;
+    const value =
+      req.body.value === null || req.body.value === undefined
+        ? null
+        : Number(req.body.value);
+
+    const result = await setLimit(
+      req.user.uid,
+      { type, period, value },
+      getRequestContext(req)
+    );
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    console.log(
+      `🛡️ ${type} ${period} limit for ${req.user.uid}: ${
+        result.previous
+      } -> ${value} (${result.applied ? "applied" : "cooling off"})`
+    );
+
+    res.json({
+      success: true,
+      ...result,
+      message: result.applied
+        ? "Limit updated"
+        : `Limit change will take effect at ${new Date(
+            result.effectiveAt
+          ).toISOString()}`,
+    });
+  } catch (error) {
+    console.error("Error updating limit:", error);
+    res.status(500).json({
+      error: "Failed to update limit",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Self-exclude: { durationDays } or { permanent: true }
+ */
+const startSelfExclusion = async (req, res) => {
+  try {
+    const { durationDays, permanent, reason } = req.body;
+
+    const result = await selfExclude(
+      req.user.uid,
+      { durationDays, permanent: permanent === true, reason },
+      getRequestContext(req)
+    );
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    console.log(`🛡️ ${req.user.uid} self-excluded`, result.selfExclusion);
+
+    res.json({
+      success: true,
+      selfExclusion: result.selfExclusion,
+      message: "Self-exclusion is now in force",
+    });
+  } catch (error) {
+    console.error("Error starting self-exclusion:", error);
+    res.status(500).json({
+      error: "Failed to start self-exclusion",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * The player's own limit change history
+ */
+const getResponsibleGamingHistory = async (req, res) => {
+  try {
+    const history = await getLimitAuditLog(req.user.uid);
+    res.json({ success: true, history });
+  } catch (error) {
+    console.error("Error getting responsible gaming history:", error);
+    res.status(500).json({
+      error: "Failed to get responsible gaming history",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Admin/regulatory view of a user's settings and full audit trail
+ */
+const getUserResponsibleGaming = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const [status, auditLog] = await Promise.all([
+      getResponsibleGamingStatus(userId),
+      getLimitAuditLog(userId),
+    ]);
+    res.json({ success: true, userId, ...status, auditLog });
+  } catch (error) {
+    console.error("Error getting user responsible gaming:", error);
+    res.status(500).json({
+      error: "Failed to get responsible gaming settings",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getResponsibleGaming,
+  updateLimit,
+  startSelfExclusion,
+  getResponsibleGamingHistory,
+  getUserResponsibleGaming,
+};
@@ -0,0 +1,89 @@
+const {
+  TRANSFER_MIN_AMOUNT,
+  TRANSFER_MAX_AMOUNT,
+  TRANSFER_DAILY_LIMIT,
+  TRANSFER_DAILY_COUNT,
+  createTransfer,
+  getUserTransfers,
+} = require("../services/walletTransfers");
+
+/**
+ * Transfer Controller
+ * Sending money and tips to friends and clan members
+ */
+
+/**
+ * Send KES from the user's wallet: { recipientId, amount, note,
+ * kind: transfer|tip, clanId }, with an Idempotency-Key header
+ */
+const sendTransfer = async (req, res) => {
+  try {
+    const senderId = req.user.uid;
+    const { recipientId, note, kind, clanId } = req.body;
+    const amount = Number(req.body.amount);
+    const idempotencyKey =
+      req.get("Idempotency-Key") || req.body.idempotencyKey || null;
+
+    if (idempotencyKey && String(idempotencyKey).length > 255) {
+      return res.status(400).json({ error: "Idempotency key is too long" });
+    }
+
+    const result = await createTransfer({
+      senderId,
+      recipientId,
+      amount,
+      note,
+      kind,
+      clanId,
+      idempotencyKey,
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(result.replayed ? 200 : 201).json({
+      success: true,
+      transfer: result.transfer,
+      replayed: !!result.replayed,
+    });
+  } catch (error) {
+    console.error("Error sending transfer:", error);
+    res.status(500).json({
+      error: "Failed to send transfer",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Transfers the user sent or received, with the limits that apply
+ */
+const getTransfers = async (req, res) => {
+  try {
+    const transfers = await getUserTransfers(
+      req.user.uid,
+      Math.min(parseInt(req.query.limit) || 50, 200)
+    );
+    res.json({
+      success: true,
+      transfers,
+      limits: {
+        minAmount: TRANSFER_MIN_AMOUNT,
+        maxAmount: TRANSFER_MAX_AMOUNT,
+        dailyLimit: TRANSFER_DAILY_LIMIT,
+        dailyCount: TRANSFER_DAILY_COUNT,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting transfers:", error);
+    res.status(500).json({
+      error: "Failed to get transfers",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  sendTransfer,
+  getTransfers,
+};
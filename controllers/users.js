@@ -1,5 +1,13 @@
 const { database } = require("../config/firebase");
 const { cache, cacheKeys, CACHE_TTL } = require("../utils/cache");
+const { getHeadToHead } = require("../services/headToHead");
+const { getEntitlementsFor } = require("../services/membership");
+const {
+  isValidTimeZone,
+  describeStreak,
+  checkIn,
+} = require("../services/loginStreaks");
+const { describeUnlocked } = require("../services/achievements");
 
 // Simple in-memory rate limiter for presence sync
 const presenceSyncLimiter = new Map();
@@ -15,7 +23,10 @@ const getUserProfile = async (req, res) => {
 
     if (cachedUser) {
       console.log("📦 Using cached user profile for:", userId);
-      return res.status(200).json(cachedUser);
+      return res.status(200).json({
+        ...cachedUser,
+        loginStreak: describeStreak(cachedUser.loginStreak),
+      });
     }
 
     const userRef = database.ref(`users/${userId}`);
@@ -76,7 +87,10 @@ const getUserProfile = async (req, res) => {
     // Cache the user data
     await cache.set(cacheKey, userData, CACHE_TTL.USER_PROFILE);
 
-    return res.status(200).json(userData);
+    return res.status(200).json({
+      ...userData,
+      loginStreak: describeStreak(userData.loginStreak),
+    });
   } catch (error) {
     console.error("Error fetching user profile:", error);
     return res.status(500).json({ error: "Failed to fetch user profile" });
@@ -239,10 +253,30 @@ const getUserById = async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
     const userData = userSnapshot.val();
+
+    // Show the viewer's record against this player on their profile
+    let headToHead = null;
+    if (req.user && req.user.uid !== userId) {
+      try {
+        headToHead = await getHeadToHead(req.user.uid, userId);
+      } catch (error) {
+        console.warn("Failed to load head-to-head:", error.message);
+      }
+    }
+
+    const achievements = await describeUnlocked(userData.achievements);
+
     return res.status(200).json({
       uid: userId,
       username: userData.username || userData.email.split("@")[0],
       avatar: userData.avatar || "",
+      badges: [
+        ...getEntitlementsFor(userData).badges,
+        ...achievements.map((achievement) => achievement.badge),
+      ],
+      achievements,
+      loginStreak: describeStreak(userData.loginStreak),
+      headToHead,
     });
   } catch (error) {
     console.error("Error fetching user:", error);
@@ -414,6 +448,34 @@ const updateUserCountry = async (req, res) => {
   }
 };
 
+// Daily check-in for login streaks (body: { timeZone }, an IANA zone name)
+const dailyCheckIn = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { timeZone } = req.body || {};
+
+    if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        error: "Invalid time zone",
+        message: "Use an IANA time zone such as Africa/Nairobi",
+      });
+    }
+
+    const userSnapshot = await database.ref(`users/${userId}`).once("value");
+    if (!userSnapshot.exists()) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const result = await checkIn(userId, { timeZone });
+    await cache.del(cacheKeys.userProfile(userId));
+
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error("Error checking in:", error);
+    return res.status(500).json({ error: "Failed to check in" });
+  }
+};
+
 // Friend Request System
 const sendFriendRequest = async (req, res) => {
   try {
@@ -740,6 +802,7 @@ module.exports = {
   updateUserStatus,
   syncPresence,
   updateUserCountry,
+  dailyCheckIn,
   // Friend Request System
   sendFriendRequest,
   acceptFriendRequest,
@@ -1,5 +1,17 @@
 const { database } = require("../config/firebase");
 const { ref, get, set, push, update } = require("firebase/database");
+const {
+  ACCOUNTS,
+  userAccount,
+  postEntry,
+  verifyUserWallet,
+} = require("../services/walletLedger");
+const {
+  parseStatementRange,
+  buildStatement,
+  renderStatementCsv,
+  renderStatementPdf,
+} = require("../services/walletStatements");
 
 /**
  * Get user's wallet balance
@@ -51,10 +63,25 @@ const getWalletBalance = async (req, res) => {
       });
     }
 
+    // Promo bonus funds still to be wagered can't be withdrawn
+    const bonusFunds = user.bonusFunds || {};
+    const lockedBonus = Math.min(bonusFunds.locked || 0, wallet.amount || 0);
+
     res.json({
       success: true,
       balance: wallet.amount || 0,
       escrowBalance: wallet.escrowBalance || 0,
+      bonus: {
+        locked: lockedBonus,
+        wageringRemaining: bonusFunds.locked
+          ? Math.max(
+              0,
+              (bonusFunds.wageringRequired || 0) - (bonusFunds.wagered || 0)
+            )
+          : 0,
+      },
+      withdrawable: (wallet.amount || 0) - lockedBonus,
+      feeWaivers: user.feeWaivers?.remaining || 0,
     });
   } catch (error) {
     console.error("Error getting wallet balance:", error);
@@ -186,51 +213,118 @@ const getWalletTransactions = async (req, res) => {
   }
 };
 
+/**
+ * Check the wallet against the balances recomputed from the ledger
+ */
+const getWalletLedgerCheck = async (req, res) => {
+  try {
+    const check = await verifyUserWallet(req.user.uid);
+
+    res.json({
+      success: true,
+      ...check,
+    });
+  } catch (error) {
+    console.error("Error verifying wallet:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to verify wallet",
+    });
+  }
+};
+
+/**
+ * Send a wallet statement as JSON, CSV or PDF (?from&to=YYYY-MM-DD&format=)
+ * Shared by the user endpoint and the admin/support one
+ */
+const sendWalletStatement = async (req, res, userId) => {
+  try {
+    const format = (req.query.format || "json").toLowerCase();
+    if (!["json", "csv", "pdf"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: "format must be one of: json, csv, pdf",
+      });
+    }
+
+    const range = parseStatementRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error });
+    }
+
+    const statement = await buildStatement(userId, range);
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+      });
+    }
+
+    if (format === "json") {
+      return res.json({ success: true, statement });
+    }
+
+    const filename = `wallet-statement-${range.from}-to-${range.to}.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      return res.send(renderStatementCsv(statement));
+    }
+    res.setHeader("Content-Type", "application/pdf");
+    res.send(renderStatementPdf(statement));
+  } catch (error) {
+    console.error("Error building wallet statement:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to build wallet statement",
+    });
+  }
+};
+
+/**
+ * Get the signed-in user's wallet statement
+ */
+const getWalletStatement = (req, res) =>
+  sendWalletStatement(req, res, req.user.uid);
+
 /**
  * Add wallet transaction (internal use for challenges, etc)
+ * Posts a journal entry against counterAccount (house adjustments by default)
  */
 const addWalletTransaction = async (
   userId,
   amount,
   type,
   description,
-  metadata = {}
+  metadata = {},
+  counterAccount = ACCOUNTS.HOUSE_ADJUSTMENTS
 ) => {
   try {
-    const userRef = ref(database, `users/${userId}`);
-    const userSnap = await get(userRef);
-    const user = userSnap.val();
-
-    if (!user) {
-      throw new Error("User not found");
-    }
+    const entryId =
+      metadata.entryId ||
+      push(ref(database, `users/${userId}/wallet/transactions`)).key;
 
-    const currentBalance = user.wallet?.amount || 0;
-    const newBalance = currentBalance + amount;
-
-    if (newBalance < 0) {
-      throw new Error("Insufficient wallet balance");
-    }
-
-    const transaction = {
-      id: push(ref(database, `users/${userId}/wallet/transactions`)).key,
-      amount,
-      type, // 'credit', 'debit', 'escrow', 'release'
+    const result = await postEntry({
+      id: entryId,
+      type,
       description,
-      balanceBefore: currentBalance,
-      balanceAfter: newBalance,
+      legs: [
+        { account: userAccount(userId), amount },
+        { account: counterAccount, amount: -amount },
+      ],
       metadata,
-      createdAt: new Date().toISOString(),
-    };
-
-    // Update wallet balance and add transaction
-    await update(userRef, {
-      "wallet/amount": newBalance,
-      [`wallet/transactions/${transaction.id}`]: transaction,
-      "wallet/updatedAt": new Date().toISOString(),
     });
 
-    return { success: true, transaction, newBalance };
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const transaction = result.wallets?.[userId]?.transaction || null;
+    return {
+      success: true,
+      transaction,
+      newBalance: transaction ? transaction.balanceAfter : undefined,
+    };
   } catch (error) {
     console.error("Error adding wallet transaction:", error);
     throw error;
@@ -241,5 +335,8 @@ module.exports = {
   getWalletBalance,
   initializeWallet,
   getWalletTransactions,
+  getWalletLedgerCheck,
+  getWalletStatement,
+  sendWalletStatement,
   addWalletTransaction,
 };
@@ -0,0 +1,260 @@
+const admin = require("firebase-admin");
+const { v4: uuidv4 } = require("uuid");
+const {
+  WITHDRAWAL_MIN_AMOUNT,
+  WITHDRAWAL_MAX_AMOUNT,
+  WITHDRAWAL_DAILY_LIMIT,
+  WITHDRAWAL_APPROVAL_THRESHOLD,
+  requestWithdrawal,
+  approveWithdrawal,
+  rejectWithdrawal,
+  verifyCallbackToken,
+  handleB2CResult,
+  handleB2CTimeout,
+  handleB2CStatusResult,
+  getWithdrawal,
+  getUserWithdrawals,
+  getWithdrawalsByStatus,
+} = require("../services/withdrawals");
+const {
+  registerWebhookHandler,
+  acceptWebhook,
+} = require("../services/webhookInbox");
+
+/**
+ * Withdrawal Controller
+ * Cash-outs to M-Pesa, the B2C callbacks and the admin approval queue
+ */
+
+/**
+ * Request a withdrawal from the user's wallet to their M-Pesa number
+ */
+const createWithdrawal = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const amount = parseInt(req.body.amount);
+    const phoneNumber = String(req.body.phoneNumber || "").trim();
+
+    if (
+      !Number.isInteger(amount) ||
+      amount < WITHDRAWAL_MIN_AMOUNT ||
+      amount > WITHDRAWAL_MAX_AMOUNT
+    ) {
+      return res.status(400).json({
+        error: `Amount must be an integer between ${WITHDRAWAL_MIN_AMOUNT} and ${WITHDRAWAL_MAX_AMOUNT}`,
+      });
+    }
+    if (!/^\+254[0-9]{9}$/.test(phoneNumber)) {
+      return res.status(400).json({
+        error: "Valid phone number is required (e.g., +254712345678)",
+      });
+    }
+
+    console.log(`💸 Withdrawal of ${amount} requested by ${userId}`);
+
+    const result = await requestWithdrawal({ userId, amount, phoneNumber });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { withdrawal } = result;
+    res.status(202).json({
+      success: true,
+      withdrawal,
+      message:
+        withdrawal.status === "pending_approval"
+          ? "Withdrawal reserved and awaiting approval"
+          : "Withdrawal is being processed",
+    });
+  } catch (error) {
+    console.error("Error creating withdrawal:", error);
+    res.status(500).json({
+      error: "Failed to create withdrawal",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * The user's withdrawals with the limits that apply to them
+ */
+const getWithdrawals = async (req, res) => {
+  try {
+    const withdrawals = await getUserWithdrawals(req.user.uid);
+    res.json({
+      success: true,
+      withdrawals,
+      limits: {
+        minAmount: WITHDRAWAL_MIN_AMOUNT,
+        maxAmount: WITHDRAWAL_MAX_AMOUNT,
+        dailyLimit: WITHDRAWAL_DAILY_LIMIT,
+        approvalThreshold: WITHDRAWAL_APPROVAL_THRESHOLD,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting withdrawals:", error);
+    res.status(500).json({
+      error: "Failed to get withdrawals",
+      message: error.message,
+    });
+  }
+};
+
+registerWebhookHandler("mpesa_b2c_result", handleB2CResult);
+registerWebhookHandler("mpesa_b2c_timeout", handleB2CTimeout);
+registerWebhookHandler("mpesa_b2c_status", handleB2CStatusResult);
+
+/**
+ * M-Pesa expects an acknowledgement even when we cannot use the callback,
+ * otherwise it keeps retrying. Callbacks are processed through the webhook
+ * inbox; ones that cannot even be stored are kept in webhook_errors
+ *
+ * Only callbacks carrying the withdrawal's token in their URL are taken:
+ * the withdrawal id alone is known to the user who asked for it.
+ */
+const handleB2CCallback = (kind) => async (req, res) => {
+  try {
+    console.log(
+      `🔔 M-Pesa B2C ${kind} received:`,
+      JSON.stringify(req.body, null, 2)
+    );
+    const { withdrawalId, token } = req.query;
+    const result = req.body?.Result;
+    if (!result) {
+      throw new Error(`Invalid B2C ${kind} payload`);
+    }
+
+    if (
+      !(await verifyCallbackToken(withdrawalId, token)) ||
+      (kind !== "status" && result.OriginatorConversationID !== withdrawalId)
+    ) {
+      console.warn(
+        `🚫 M-Pesa B2C ${kind} for ${
+          withdrawalId || "unknown"
+        } rejected: bad callback token`
+      );
+      return res.status(403).json({ error: "Invalid callback token" });
+    }
+
+    if (kind === "status") {
+      // Status results name the query, not the payout it asked about
+      await acceptWebhook(
+        "mpesa_b2c_status",
+        `${withdrawalId}_${result.ConversationID}`,
+        { withdrawalId, Result: result },
+        { type: kind }
+      );
+    } else {
+      await acceptWebhook(`mpesa_b2c_${kind}`, withdrawalId, req.body, {
+        type: kind,
+      });
+    }
+  } catch (error) {
+    console.error(`❌ M-Pesa B2C ${kind} handling failed:`, error);
+    await admin
+      .database()
+      .ref(`webhook_errors/mpesa_b2c_${uuidv4()}`)
+      .set({
+        kind,
+        error: error.message,
+        payload: JSON.stringify(req.body || {}),
+        timestamp: new Date().toISOString(),
+      })
+      .catch(() => {});
+  }
+  res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" });
+};
+
+const b2cResultWebhook = handleB2CCallback("result");
+const b2cTimeoutWebhook = handleB2CCallback("timeout");
+const b2cStatusWebhook = handleB2CCallback("status");
+
+/**
+ * Admin queue: withdrawals in a status (pending_approval by default)
+ */
+const getWithdrawalQueue = async (req, res) => {
+  try {
+    const { status = "pending_approval", limit = 50 } = req.query;
+    const withdrawals = await getWithdrawalsByStatus(status);
+    res.json({
+      success: true,
+      data: withdrawals.slice(0, parseInt(limit)),
+      total: withdrawals.length,
+    });
+  } catch (error) {
+    console.error("Error getting withdrawal queue:", error);
+    res.status(500).json({
+      error: "Failed to get withdrawal queue",
+      message: error.message,
+    });
+  }
+};
+
+const approveWithdrawalRequest = async (req, res) => {
+  try {
+    const { withdrawalId } = req.params;
+    const { approvedBy = "admin" } = req.body;
+
+    const withdrawal = await approveWithdrawal(withdrawalId, approvedBy);
+    if (!withdrawal) {
+      const existing = await getWithdrawal(withdrawalId);
+      return existing
+        ? res.status(409).json({
+            error: `Withdrawal is ${existing.status}, not pending approval`,
+          })
+        : res.status(404).json({ error: "Withdrawal not found" });
+    }
+
+    res.json({ success: true, withdrawal });
+  } catch (error) {
+    console.error("Error approving withdrawal:", error);
+    res.status(500).json({
+      error: "Failed to approve withdrawal",
+      message: error.message,
+    });
+  }
+};
+
+const rejectWithdrawalRequest = async (req, res) => {
+  try {
+    const { withdrawalId } = req.params;
+    const { reason, rejectedBy = "admin" } = req.body;
+
+    const withdrawal = await rejectWithdrawal(
+      withdrawalId,
+      reason ? String(reason).substring(0, 200) : null,
+      rejectedBy
+    );
+    if (!withdrawal) {
+      const existing = await getWithdrawal(withdrawalId);
+      return existing
+        ? res.status(409).json({
+            error: `Withdrawal is ${existing.status}, not pending approval`,
+          })
+        : res.status(404).json({ error: "Withdrawal not found" });
+    }
+
+    res.json({
+      success: true,
+      withdrawal,
+      message: "Withdrawal rejected and funds returned to the wallet",
+    });
+  } catch (error) {
+    console.error("Error rejecting withdrawal:", error);
+    res.status(500).json({
+      error: "Failed to reject withdrawal",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  createWithdrawal,
+  getWithdrawals,
+  b2cResultWebhook,
+  b2cTimeoutWebhook,
+  b2cStatusWebhook,
+  getWithdrawalQueue,
+  approveWithdrawalRequest,
+  rejectWithdrawalRequest,
+};
@@ -46,8 +46,12 @@ const gameScoresRouter = require("./routes/gameScores");
 const gameReviewsRouter = require("./routes/gameReviews");
 const gamesRouter = require("./routes/games");
 const challengeRouter = require("./routes/challenges");
+const ratingsRouter = require("./routes/ratings");
 const notificationRouter = require("./routes/notifications");
 const walletRouter = require("./routes/wallet");
+const responsibleGamingRouter = require("./routes/responsibleGaming");
+const membershipRouter = require("./routes/membership");
+const achievementsRouter = require("./routes/achievements");
 const messagesRouter = require("./routes/messages");
 const adminRouter = require("./routes/admin");
 const migrationRouter = require("./routes/migration");
@@ -147,8 +151,9 @@ app.use(
       "X-SSO-Token",
       "X-Community-Token",
       "X-Mobile-App-Id",
+      "Idempotency-Key",
     ],
-    exposedHeaders: ["X-SSO-Token", "X-Community-Token"],
+    exposedHeaders: ["X-SSO-Token", "X-Community-Token", "Idempotent-Replayed"],
   })
 );
 
@@ -242,8 +247,12 @@ app.use(`${routePrefix}/game-scores`, gameScoresRouter);
 app.use(`${routePrefix}/game-reviews`, gameReviewsRouter);
 app.use(`${routePrefix}/games`, gamesRouter);
 app.use(`${routePrefix}/challenges`, challengeRouter);
+app.use(`${routePrefix}/ratings`, ratingsRouter);
 app.use(`${routePrefix}/notifications`, notificationRouter);
 app.use(`${routePrefix}/wallet`, walletRouter);
+app.use(`${routePrefix}/responsible-gaming`, responsibleGamingRouter);
+app.use(`${routePrefix}/membership`, membershipRouter);
+app.use(`${routePrefix}/achievements`, achievementsRouter);
 app.use(`${routePrefix}/admin`, adminRouter);
 app.use(`${routePrefix}/messages`, messagesRouter);
 app.use(`${routePrefix}/migration`, migrationRouter);
@@ -555,6 +564,13 @@ const PORT = process.env.PORT || 5000;
 
 // Import challenge cleanup service
 const { startCleanupSchedule } = require("./services/challengeCleanup");
+const {
+  startReconciliationSchedule,
+} = require("./services/walletReconciliation");
+const { startIdempotencyKeyPurge } = require("./services/idempotencyKeys");
+const { startWebhookWorker } = require("./services/webhookInbox");
+const { startMembershipRenewals } = require("./services/membership");
+const { startStreakReminders } = require("./services/loginStreaks");
 
 // Note: isFirebaseFunctions is already defined earlier in this file (line ~209)
 
@@ -570,6 +586,21 @@ const startServer = async () => {
 
       // Start challenge cleanup schedule
       startCleanupSchedule();
+
+      // Start nightly wallet reconciliation
+      startReconciliationSchedule();
+
+      // Drop stored Idempotency-Key responses once their window has passed
+      startIdempotencyKeyPurge();
+
+      // Retry payment webhooks that failed or never finished
+      startWebhookWorker();
+
+      // Request M-Pesa premium renewals and lapse unpaid memberships
+      startMembershipRenewals();
+
+      // Warn players whose login streak is about to end
+      startStreakReminders();
     });
   } catch (error) {
     console.error("❌ Failed to start server:", error);
@@ -593,6 +624,27 @@ if (isFirebaseFunctions) {
     app
   );
 
+  // Background jobs run on Cloud Scheduler; startServer's timers never
+  // start here
+  const { onSchedule } = require("firebase-functions/v2/scheduler");
+  const {
+    SCHEDULED_JOBS,
+    runScheduledJob,
+  } = require("./services/scheduledJobs");
+  for (const [name, job] of Object.entries(SCHEDULED_JOBS)) {
+    exports[name] = onSchedule(
+      {
+        schedule: job.schedule,
+        timeZone: "Africa/Nairobi",
+        timeoutSeconds: 540,
+        memory: "512MiB",
+      },
+      async () => {
+        await runScheduledJob(name);
+      }
+    );
+  }
+
   console.log("✅ Backend configured for Firebase Functions v2");
 } else {
   // Local development or other hosting platforms
@@ -1,4 +1,16 @@
 const crypto = require("crypto");
+const admin = require("firebase-admin");
+const {
+  verifyScoreSignature,
+  consumeNonce,
+} = require("../utils/scoreSignature");
+const {
+  validateScore,
+  validateScoreForPlayTime,
+} = require("./gameScoreValidator");
+
+// Allowed drift between the game's reported play time and the server's clock
+const ELAPSED_TIME_TOLERANCE_MS = 5000;
 
 /**
  * Challenge validation middleware
@@ -168,6 +180,105 @@ const validateScoreSubmission = (req, res, next) => {
   }
 };
 
+/**
+ * Verify a signed score payload against its game session
+ * Requires the session secret signature, a fresh nonce and a plausible
+ * score for the elapsed play time
+ */
+const verifySignedScore = async (req, res, next) => {
+  try {
+    const { challengeId, sessionToken, score, nonce, elapsedMs, signature } =
+      req.body;
+
+    if (!sessionToken || !nonce || elapsedMs === undefined || !signature) {
+      return res.status(400).json({
+        error: "Missing required fields",
+        required: ["sessionToken", "nonce", "elapsedMs", "signature"],
+      });
+    }
+
+    if (typeof nonce !== "string" || nonce.length < 16 || nonce.length > 64) {
+      return res.status(400).json({
+        error: "Nonce must be a string of 16-64 characters",
+      });
+    }
+
+    const sessionSnap = await admin
+      .database()
+      .ref(`gameSessions/${sessionToken}`)
+      .once("value");
+    const session = sessionSnap.exists() ? sessionSnap.val() : null;
+
+    if (
+      !session ||
+      session.userId !== req.user.uid ||
+      session.challengeId !== challengeId
+    ) {
+      return res.status(403).json({
+        error: "Invalid or expired game session",
+        message: "Please restart the game to get a new session token",
+      });
+    }
+
+    if (!session.secret) {
+      return res.status(403).json({
+        error: "Unsigned game session",
+        message: "Please restart the game to get a new session token",
+      });
+    }
+
+    if (
+      !verifyScoreSignature(
+        session.secret,
+        { challengeId, sessionToken, score, nonce, elapsedMs },
+        signature
+      )
+    ) {
+      console.warn(`🚨 Invalid score signature for session ${sessionToken}`);
+      return res.status(403).json({
+        error: "Invalid score signature",
+      });
+    }
+
+    if (!(await consumeNonce(sessionToken, nonce))) {
+      console.warn(`🚨 Replayed score submission for session ${sessionToken}`);
+      return res.status(409).json({
+        error: "Score submission has already been used",
+      });
+    }
+
+    // The game can't have been played for longer than the session existed
+    const serverElapsedMs = Date.now() - session.createdAt;
+    if (elapsedMs > serverElapsedMs + ELAPSED_TIME_TOLERANCE_MS) {
+      return res.status(400).json({
+        error: "Reported play time is longer than the game session",
+      });
+    }
+
+    try {
+      validateScore(score, session.gameId);
+      validateScoreForPlayTime(score, elapsedMs, session.gameId);
+    } catch (ruleError) {
+      console.warn(
+        `🚨 Implausible score ${score} for session ${sessionToken}: ${ruleError.message}`
+      );
+      return res.status(400).json({
+        error: "Score rejected",
+        message: ruleError.message,
+      });
+    }
+
+    req.verifiedScore = { score, nonce, elapsedMs };
+    next();
+  } catch (error) {
+    console.error("Score signature verification error:", error);
+    res.status(500).json({
+      error: "Score verification failed",
+      message: error.message,
+    });
+  }
+};
+
 /**
  * Verify request signature for additional security
  */
@@ -285,6 +396,7 @@ const checkChallengeExpiration = async (req, res, next) => {
 module.exports = {
   validateChallengeRequest,
   validateScoreSubmission,
+  verifySignedScore,
   validateWalletBalance,
   antiFraudCheck,
   checkChallengeExpiration,
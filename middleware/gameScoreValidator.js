@@ -4,12 +4,15 @@
  */
 
 // Game-specific validation rules
+// maxScorePerSecond and minPlayTimeMs bound what is possible for a play time
 const GAME_RULES = {
   default: {
     minScore: 0,
     maxScore: 999999,
     allowDecimals: false,
     allowNegative: false,
+    maxScorePerSecond: 1000,
+    minPlayTimeMs: 1000,
   },
   // Add specific game rules here
   "challenge-game-1": {
@@ -17,12 +20,16 @@ const GAME_RULES = {
     maxScore: 10000,
     allowDecimals: false,
     allowNegative: false,
+    maxScorePerSecond: 50,
+    minPlayTimeMs: 10000,
   },
   "arcade-game-1": {
     minScore: 0,
     maxScore: 50000,
     allowDecimals: true,
     allowNegative: false,
+    maxScorePerSecond: 200,
+    minPlayTimeMs: 5000,
   },
 };
 
@@ -78,6 +85,36 @@ const validateScore = (score, gameId = "default") => {
   return rules.allowDecimals ? normalizedScore : Math.floor(normalizedScore);
 };
 
+/**
+ * Reject scores that are impossible for the time actually played
+ */
+const validateScoreForPlayTime = (score, elapsedMs, gameId = "default") => {
+  const rules = GAME_RULES[gameId] || GAME_RULES.default;
+
+  if (typeof elapsedMs !== "number" || !isFinite(elapsedMs) || elapsedMs < 0) {
+    throw new Error("Elapsed play time must be a positive number");
+  }
+
+  if (rules.minPlayTimeMs && elapsedMs < rules.minPlayTimeMs) {
+    throw new Error(
+      `A game must last at least ${rules.minPlayTimeMs / 1000} seconds`
+    );
+  }
+
+  if (rules.maxScorePerSecond) {
+    const maxPossible = Math.ceil(rules.maxScorePerSecond * (elapsedMs / 1000));
+    if (score > maxPossible) {
+      throw new Error(
+        `Score of ${score} is not possible in ${Math.round(
+          elapsedMs / 1000
+        )} seconds`
+      );
+    }
+  }
+
+  return true;
+};
+
 /**
  * Validate game ID format
  */
@@ -271,6 +308,7 @@ const isScoreValid = (score, gameId) => {
 
 module.exports = {
   validateScore,
+  validateScoreForPlayTime,
   validateGameId,
   validateRoomId,
   validateScoreSubmission,
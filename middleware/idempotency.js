@@ -0,0 +1,119 @@
+/**
+ * Idempotency-Key middleware
+ * Replays the first response to a repeated POST/PUT/PATCH/DELETE so that a
+ * retry from a flaky connection cannot move money twice
+ *
+ * Requests without the header pass straight through. Mounted on whole
+ * routers, so it resolves the caller from the bearer token itself; the
+ * route's own auth middleware still decides whether the request is allowed.
+ */
+
+const { auth } = require("../config/firebase");
+const {
+  claimKey,
+  completeKey,
+  releaseKey,
+} = require("../services/idempotencyKeys");
+
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * The caller's uid, or null when there is no valid token
+ */
+const resolveUserId = async (req) => {
+  if (req.user?.uid) return req.user.uid;
+
+  const authHeader = req.headers.authorization;
+  if (!auth || !authHeader || !authHeader.startsWith("Bearer ")) return null;
+  try {
+    const decodedToken = await auth.verifyIdToken(
+      authHeader.split("Bearer ")[1]
+    );
+    return decodedToken.uid;
+  } catch (error) {
+    return null;
+  }
+};
+
+const idempotency = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key || !MUTATING_METHODS.includes(req.method)) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: "Invalid Idempotency-Key",
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const userId = await resolveUserId(req);
+    if (!userId) return next(); // Left to the route's auth to reject
+
+    const outcome = await claimKey(userId, key, {
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      body: req.body,
+    });
+
+    if (outcome.conflict) {
+      return res.status(409).json({
+        error: "Idempotency key conflict",
+        message: outcome.conflict,
+      });
+    }
+    if (outcome.replay) {
+      console.log(
+        `🔁 Replaying ${req.method} ${req.originalUrl} for ${userId}`
+      );
+      res.set("Idempotent-Replayed", "true");
+      return res
+        .status(outcome.replay.statusCode)
+        .json(outcome.replay.body ?? {});
+    }
+
+    // Store the handler's response before it is sent, so a retry that
+    // arrives as soon as the client sees it is answered from the store.
+    // Rate limits and server errors free the key for a real retry.
+    const { recordId } = outcome;
+    const sendJson = res.json.bind(res);
+    let settled = false;
+
+    res.json = (body) => {
+      if (settled) return sendJson(body);
+      settled = true;
+      const retryable = res.statusCode >= 500 || res.statusCode === 429;
+      const store = retryable
+        ? releaseKey(recordId)
+        : completeKey(recordId, res.statusCode, body);
+      store
+        .catch((error) =>
+          console.error("❌ Failed to store idempotent response:", error)
+        )
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    // Responses that are not JSON are not replayed
+    res.on("close", () => {
+      if (settled) return;
+      settled = true;
+      releaseKey(recordId).catch((error) =>
+        console.error("❌ Failed to release idempotency key:", error)
+      );
+    });
+
+    next();
+  } catch (error) {
+    console.error("Idempotency check failed:", error);
+    res.status(500).json({
+      error: "Failed to check Idempotency-Key",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  idempotency,
+};
@@ -0,0 +1,39 @@
+/**
+ * Responsible gaming middleware
+ * Keeps self-excluded players away from routes that stake money
+ */
+
+const {
+  getSettings,
+  getActiveExclusion,
+} = require("../services/responsibleGaming");
+
+/**
+ * Turns self-excluded players away before a staking route reads its body;
+ * the controllers check loss limits once they know the bet
+ */
+const blockSelfExcluded = async (req, res, next) => {
+  try {
+    const settings = await getSettings(req.user.uid);
+    const exclusion = getActiveExclusion(settings);
+    if (exclusion) {
+      return res.status(403).json({
+        error: "Self-excluded",
+        code: "SELF_EXCLUDED",
+        until: exclusion.until || null,
+        message: "Your account is self-excluded from deposits and challenges",
+      });
+    }
+    next();
+  } catch (error) {
+    console.error("Self-exclusion check failed:", error);
+    res.status(500).json({
+      error: "Failed to check self-exclusion",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  blockSelfExcluded,
+};
@@ -0,0 +1,26 @@
+const express = require("express");
+const router = express.Router();
+const { authenticateToken } = require("../middleware/authMiddleware");
+const { generalLimiter } = require("../middleware/rateLimiter");
+const {
+  getAchievements,
+  getUserAchievements,
+} = require("../controllers/achievementController");
+
+/**
+ * Achievement Routes
+ * All routes require authentication
+ */
+
+// Catalog with rarity and the caller's progress
+router.get("/", authenticateToken, generalLimiter, getAchievements);
+
+// Badges a player has unlocked
+router.get(
+  "/users/:userId",
+  authenticateToken,
+  generalLimiter,
+  getUserAchievements
+);
+
+module.exports = router;
@@ -1,5 +1,62 @@
 const express = require("express");
 const router = express.Router();
+const {
+  getDisputeQueue,
+  getDisputeDetails,
+  resolveDispute,
+} = require("../controllers/disputeController");
+const {
+  getWithdrawalQueue,
+  approveWithdrawalRequest,
+  rejectWithdrawalRequest,
+} = require("../controllers/withdrawalController");
+const {
+  recomputeAccountBalance,
+  verifyUserWallet,
+} = require("../services/walletLedger");
+const { sendWalletStatement } = require("../controllers/walletController");
+const {
+  getUserResponsibleGaming,
+} = require("../controllers/responsibleGamingController");
+const {
+  runWalletReconciliation,
+  listReconciliationReports,
+  getReconciliationReport,
+  isReconciliationRunning,
+} = require("../services/walletReconciliation");
+const {
+  reencryptChallenges,
+  checkEncryptionStatus,
+} = require("../utils/migrateChallengeIndex");
+const { backfillPaymentIndex } = require("../utils/paymentIndex");
+const { refundStripePayment } = require("../controllers/payment");
+const {
+  listInboxEvents,
+  getInboxEvent,
+  listDeadLetters,
+  replayInboxEvent,
+} = require("../services/webhookInbox");
+const {
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+  getPromoCode,
+  listPromoCodes,
+  listRedemptions,
+} = require("../services/promoCodes");
+const {
+  getPointsRules,
+  updatePointsRules,
+  getPointsRulesVersion,
+  createPointsCampaign,
+  updatePointsCampaign,
+  deletePointsCampaign,
+  listPointsCampaigns,
+} = require("../services/pointsRules");
+const {
+  SCHEDULED_JOBS,
+  runScheduledJob,
+} = require("../services/scheduledJobs");
 // Lazy load admin to avoid initialization delays
 let admin = null;
 const getAdmin = () => {
@@ -108,4 +165,425 @@ router.post("/sync-wallets-batch", adminAuth, async (req, res) => {
   }
 });
 
+// Challenge dispute review queue
+router.get("/disputes", adminAuth, getDisputeQueue);
+router.get("/disputes/:challengeId", adminAuth, getDisputeDetails);
+router.post("/disputes/:challengeId/resolve", adminAuth, resolveDispute);
+
+// Withdrawals above the approval threshold wait here
+router.get("/withdrawals", adminAuth, getWithdrawalQueue);
+router.post(
+  "/withdrawals/:withdrawalId/approve",
+  adminAuth,
+  approveWithdrawalRequest
+);
+router.post(
+  "/withdrawals/:withdrawalId/reject",
+  adminAuth,
+  rejectWithdrawalRequest
+);
+
+// Wallet ledger: recompute any account, or check a user's wallet against it
+router.get("/ledger/accounts/:account", adminAuth, async (req, res) => {
+  try {
+    const { account } = req.params;
+    const balance = await recomputeAccountBalance(account);
+    res.json({ success: true, account, balance });
+  } catch (error) {
+    console.error("Error recomputing ledger account:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get("/ledger/verify/:userId", adminAuth, async (req, res) => {
+  try {
+    const check = await verifyUserWallet(req.params.userId);
+    res.json({ success: true, ...check });
+  } catch (error) {
+    console.error("Error verifying wallet:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Any user's wallet statement, for support
+router.get("/users/:userId/statement", adminAuth, (req, res) =>
+  sendWalletStatement(req, res, req.params.userId)
+);
+
+// A user's responsible gaming limits, exclusion and audit trail
+router.get(
+  "/users/:userId/responsible-gaming",
+  adminAuth,
+  getUserResponsibleGaming
+);
+
+// Wallet reconciliation reports (read only: corrections are applied by hand)
+router.get("/reconciliation/reports", adminAuth, async (req, res) => {
+  try {
+    const reports = await listReconciliationReports(
+      parseInt(req.query.limit) || 30
+    );
+    res.json({ success: true, running: isReconciliationRunning(), reports });
+  } catch (error) {
+    console.error("Error listing reconciliation reports:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get("/reconciliation/reports/:reportId", adminAuth, async (req, res) => {
+  try {
+    const report = await getReconciliationReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error("Error getting reconciliation report:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run a reconciliation now instead of waiting for the nightly job
+router.post("/reconciliation/run", adminAuth, async (req, res) => {
+  try {
+    if (isReconciliationRunning()) {
+      return res
+        .status(409)
+        .json({ error: "Wallet reconciliation already running" });
+    }
+
+    runWalletReconciliation({ trigger: "manual" }).catch((error) =>
+      console.error("Manual wallet reconciliation failed:", error)
+    );
+
+    res.status(202).json({
+      success: true,
+      message: "Wallet reconciliation started",
+    });
+  } catch (error) {
+    console.error("Error starting wallet reconciliation:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Scheduled jobs are also called by Vercel Cron, which sends CRON_SECRET
+// as a bearer token instead of the admin key
+const jobAuth = (req, res, next) => {
+  const cronSecret = process.env.CRON_SECRET;
+  if (cronSecret && req.headers.authorization === `Bearer ${cronSecret}`) {
+    return next();
+  }
+  return adminAuth(req, res, next);
+};
+
+// List the scheduled jobs and their schedules
+router.get("/jobs", adminAuth, (req, res) => {
+  const jobs = Object.entries(SCHEDULED_JOBS).map(([name, job]) => ({
+    name,
+    description: job.description,
+    schedule: job.schedule,
+  }));
+  res.json({ success: true, jobs });
+});
+
+// Run a scheduled job now; waits for it, since serverless hosts stop work
+// left running after the response (Vercel Cron uses GET)
+const runJob = async (req, res) => {
+  try {
+    const { job } = req.params;
+    if (!SCHEDULED_JOBS[job]) {
+      return res.status(404).json({ error: "Scheduled job not found" });
+    }
+
+    const outcome = await runScheduledJob(job);
+    if (outcome.skipped) {
+      return res.status(409).json({ error: `Job ${job} already running` });
+    }
+    res.json({ success: true, ...outcome });
+  } catch (error) {
+    console.error(`Error running scheduled job ${req.params.job}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+};
+router.get("/jobs/:job", jobAuth, runJob);
+router.post("/jobs/:job", jobAuth, runJob);
+
+// Challenge encryption key status (records per key, pending rewrites)
+router.get("/encryption/status", adminAuth, async (req, res) => {
+  try {
+    const status = await checkEncryptionStatus();
+    res.json({ success: true, ...status });
+  } catch (error) {
+    console.error("Error checking encryption status:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-encrypt every challenge with the current key (runs in the background)
+router.post("/encryption/reencrypt", adminAuth, async (req, res) => {
+  try {
+    const status = await checkEncryptionStatus();
+    if (status.running) {
+      return res.status(409).json({ error: "Re-encryption already running" });
+    }
+
+    reencryptChallenges().catch((error) =>
+      console.error("Background re-encryption failed:", error)
+    );
+
+    res.status(202).json({
+      success: true,
+      message: "Re-encryption started",
+      currentKeyId: status.currentKeyId,
+      pending: status.pending,
+    });
+  } catch (error) {
+    console.error("Error starting re-encryption:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Index provider references of existing payment transactions
+// (also available as scripts/backfillPaymentIndex.js)
+router.post("/payments/index/backfill", adminAuth, async (req, res) => {
+  try {
+    const result = await backfillPaymentIndex();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Error backfilling payment index:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Refund a card deposit (body: { amount?, reason? }; default: the rest of it)
+router.post("/payments/:transactionId/refund", adminAuth, refundStripePayment);
+
+// Payment webhook inbox (?status=failed&source=stripe&limit=50)
+router.get("/webhooks/inbox", adminAuth, async (req, res) => {
+  try {
+    const events = await listInboxEvents({
+      status: req.query.status,
+      source: req.query.source,
+      limit: parseInt(req.query.limit) || 50,
+    });
+    res.json({ success: true, events });
+  } catch (error) {
+    console.error("Error listing webhook inbox:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get("/webhooks/inbox/:eventId", adminAuth, async (req, res) => {
+  try {
+    const event = await getInboxEvent(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ error: "Webhook event not found" });
+    }
+    res.json({ success: true, event });
+  } catch (error) {
+    console.error("Error getting webhook event:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get("/webhooks/dead-letters", adminAuth, async (req, res) => {
+  try {
+    const deadLetters = await listDeadLetters(parseInt(req.query.limit) || 50);
+    res.json({ success: true, deadLetters });
+  } catch (error) {
+    console.error("Error listing webhook dead letters:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run a stored webhook again, e.g. once the cause of a dead letter is fixed
+router.post("/webhooks/inbox/:eventId/replay", adminAuth, async (req, res) => {
+  try {
+    const { replayedBy = "admin" } = req.body || {};
+    const result = await replayInboxEvent(req.params.eventId, replayedBy);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true, event: result.event });
+  } catch (error) {
+    console.error("Error replaying webhook event:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Promo codes (?includeDeleted=true)
+router.get("/promo-codes", adminAuth, async (req, res) => {
+  try {
+    const promoCodes = await listPromoCodes({
+      includeDeleted: req.query.includeDeleted === "true",
+    });
+    res.json({ success: true, promoCodes });
+  } catch (error) {
+    console.error("Error listing promo codes:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a code (body: { code, type, value, maxBonus, wageringMultiplier,
+// maxRedemptions, perUserLimit, startsAt, expiresAt, eligibility, createdBy })
+router.post("/promo-codes", adminAuth, async (req, res) => {
+  try {
+    const { createdBy = "admin", ...input } = req.body || {};
+    const result = await createPromoCode(input, createdBy);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(201).json({ success: true, promo: result.promo });
+  } catch (error) {
+    console.error("Error creating promo code:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A code with its latest redemptions
+router.get("/promo-codes/:code", adminAuth, async (req, res) => {
+  try {
+    const promo = await getPromoCode(req.params.code);
+    if (!promo) {
+      return res.status(404).json({ error: "Promo code not found" });
+    }
+    const { redeemedBy, ...details } = promo;
+    const redemptions = await listRedemptions(req.params.code);
+    res.json({ success: true, promo: details, redemptions });
+  } catch (error) {
+    console.error("Error getting promo code:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put("/promo-codes/:code", adminAuth, async (req, res) => {
+  try {
+    const { updatedBy = "admin", ...input } = req.body || {};
+    const result = await updatePromoCode(req.params.code, input, updatedBy);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true, promo: result.promo });
+  } catch (error) {
+    console.error("Error updating promo code:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retire a code; its redemptions stay on record
+router.delete("/promo-codes/:code", adminAuth, async (req, res) => {
+  try {
+    const { deletedBy = "admin" } = req.body || {};
+    const result = await deletePromoCode(req.params.code, deletedBy);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true, promo: result.promo });
+  } catch (error) {
+    console.error("Error deleting promo code:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Points rules in force
+router.get("/points/rules", adminAuth, async (req, res) => {
+  try {
+    const rules = await getPointsRules();
+    res.json({ success: true, rules });
+  } catch (error) {
+    console.error("Error getting points rules:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a new rules version (body: { rules: { ACTION: { points, dailyCap,
+// cooldownSeconds, reversible, enabled } }, updatedBy })
+router.put("/points/rules", adminAuth, async (req, res) => {
+  try {
+    const { rules, updatedBy = "admin" } = req.body || {};
+    const result = await updatePointsRules(rules, updatedBy);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true, rules: result.rules });
+  } catch (error) {
+    console.error("Error updating points rules:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get("/points/rules/versions/:version", adminAuth, async (req, res) => {
+  try {
+    const rules = await getPointsRulesVersion(req.params.version);
+    if (!rules) {
+      return res.status(404).json({ error: "Rules version not found" });
+    }
+    res.json({ success: true, rules });
+  } catch (error) {
+    console.error("Error getting points rules version:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Multiplier campaigns (?includeEnded=true)
+router.get("/points/campaigns", adminAuth, async (req, res) => {
+  try {
+    const campaigns = await listPointsCampaigns({
+      includeEnded: req.query.includeEnded === "true",
+    });
+    res.json({ success: true, campaigns });
+  } catch (error) {
+    console.error("Error listing points campaigns:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { name, multiplier, actions, startsAt, endsAt, createdBy }
+router.post("/points/campaigns", adminAuth, async (req, res) => {
+  try {
+    const { createdBy = "admin", ...input } = req.body || {};
+    const result = await createPointsCampaign(input, createdBy);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(201).json({ success: true, campaign: result.campaign });
+  } catch (error) {
+    console.error("Error creating points campaign:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put("/points/campaigns/:campaignId", adminAuth, async (req, res) => {
+  try {
+    const { updatedBy = "admin", ...input } = req.body || {};
+    const result = await updatePointsCampaign(
+      req.params.campaignId,
+      input,
+      updatedBy
+    );
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true, campaign: result.campaign });
+  } catch (error) {
+    console.error("Error updating points campaign:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// End a campaign early
+router.delete("/points/campaigns/:campaignId", adminAuth, async (req, res) => {
+  try {
+    const { deletedBy = "admin" } = req.body || {};
+    const result = await deletePointsCampaign(req.params.campaignId, deletedBy);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true, campaign: result.campaign });
+  } catch (error) {
+    console.error("Error ending points campaign:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
@@ -3,15 +3,18 @@ const router = express.Router();
 const { authenticateToken } = require("../middleware/authMiddleware");
 const {
   createChallenge,
+  rematchChallenge,
   acceptChallenge,
   rejectChallenge,
   startGameSession,
   submitChallengeScore,
   getChallengeHistory,
+  getHeadToHeadSummary,
 } = require("../controllers/challengeController");
 const {
   validateChallengeRequest,
   validateScoreSubmission,
+  verifySignedScore,
   validateWalletBalance,
   antiFraudCheck,
   checkChallengeExpiration,
@@ -19,12 +22,43 @@ const {
 const {
   enforceChallengeRateLimit,
 } = require("../middleware/challengeRateLimiter");
+const {
+  CANCELLATION_FEE_PERCENT,
+  refundAllStakes,
+} = require("../services/challengeEscrow");
+const { summarizeRounds } = require("../services/challengeFormats");
+const { getPlayDeadline } = require("../services/challengeCleanup");
+const { mutateChallenge } = require("../utils/challengeTransaction");
+const {
+  createOpenChallenge,
+  getOpenChallenges,
+  claimOpenChallenge,
+  joinMatchmakingQueue,
+  leaveMatchmakingQueue,
+  getMatchmakingStatus,
+  withdrawOpenChallenge,
+} = require("../controllers/matchmakingController");
+const {
+  createGroupChallenge,
+  acceptGroupChallenge,
+  declineGroupChallenge,
+  cancelGroupChallenge,
+  startGroupSession,
+  submitGroupScore,
+  summarizeGroup,
+} = require("../controllers/groupChallengeController");
+const { raiseDispute } = require("../controllers/disputeController");
+const { blockSelfExcluded } = require("../middleware/responsibleGaming");
+const { idempotency } = require("../middleware/idempotency");
 
 /**
  * Challenge Routes
  * All routes require authentication
  */
 
+// Replay repeated requests that carry an Idempotency-Key
+router.use(idempotency);
+
 // Create a new challenge
 router.post(
   "/create",
@@ -72,12 +106,130 @@ router.post(
   enforceChallengeRateLimit,
   antiFraudCheck,
   validateScoreSubmission,
+  verifySignedScore,
   submitChallengeScore
 );
 
 // Get user's challenge history
 router.get("/history", authenticateToken, getChallengeHistory);
 
+// Record against a specific opponent
+router.get(
+  "/head-to-head/:opponentId",
+  authenticateToken,
+  getHeadToHeadSummary
+);
+
+// Open challenge lobby
+router.get("/open", authenticateToken, getOpenChallenges);
+
+router.post(
+  "/open",
+  authenticateToken,
+  enforceChallengeRateLimit,
+  antiFraudCheck,
+  blockSelfExcluded,
+  createOpenChallenge
+);
+
+router.post(
+  "/open/:challengeId/claim",
+  authenticateToken,
+  enforceChallengeRateLimit,
+  antiFraudCheck,
+  blockSelfExcluded,
+  claimOpenChallenge
+);
+
+// Matchmaking queue
+router.get("/matchmaking", authenticateToken, getMatchmakingStatus);
+
+router.post(
+  "/matchmaking",
+  authenticateToken,
+  enforceChallengeRateLimit,
+  antiFraudCheck,
+  blockSelfExcluded,
+  joinMatchmakingQueue
+);
+
+router.delete(
+  "/matchmaking/:gameId",
+  authenticateToken,
+  antiFraudCheck,
+  leaveMatchmakingQueue
+);
+
+// Group (3+ player) pooled challenges
+router.post(
+  "/group",
+  authenticateToken,
+  enforceChallengeRateLimit,
+  antiFraudCheck,
+  blockSelfExcluded,
+  createGroupChallenge
+);
+
+router.post(
+  "/group/score",
+  authenticateToken,
+  enforceChallengeRateLimit,
+  antiFraudCheck,
+  validateScoreSubmission,
+  verifySignedScore,
+  submitGroupScore
+);
+
+router.post(
+  "/group/:challengeId/accept",
+  authenticateToken,
+  enforceChallengeRateLimit,
+  antiFraudCheck,
+  blockSelfExcluded,
+  acceptGroupChallenge
+);
+
+router.post(
+  "/group/:challengeId/decline",
+  authenticateToken,
+  enforceChallengeRateLimit,
+  antiFraudCheck,
+  declineGroupChallenge
+);
+
+router.post(
+  "/group/:challengeId/start-session",
+  authenticateToken,
+  enforceChallengeRateLimit,
+  antiFraudCheck,
+  startGroupSession
+);
+
+router.delete(
+  "/group/:challengeId",
+  authenticateToken,
+  antiFraudCheck,
+  cancelGroupChallenge
+);
+
+// Dispute a completed challenge's result (freezes the payout)
+router.post(
+  "/:challengeId/dispute",
+  authenticateToken,
+  enforceChallengeRateLimit,
+  antiFraudCheck,
+  raiseDispute
+);
+
+// Challenge the same opponent again with the same game and bet
+router.post(
+  "/:challengeId/rematch",
+  authenticateToken,
+  enforceChallengeRateLimit,
+  antiFraudCheck,
+  rematchChallenge
+);
+
 // Get specific challenge details (for participants only)
 router.get("/:challengeId", authenticateToken, async (req, res) => {
   try {
@@ -107,7 +259,8 @@ router.get("/:challengeId", authenticateToken, async (req, res) => {
     // Validate user can view this challenge
     if (
       challengeData.challengerId !== userId &&
-      challengeData.challengedId !== userId
+      challengeData.challengedId !== userId &&
+      !challengeData.participants?.[userId]
     ) {
       return res
         .status(403)
@@ -125,18 +278,29 @@ router.get("/:challengeId", authenticateToken, async (req, res) => {
       createdAt: challengeData.createdAt,
       expiresAt: challengeData.expiresAt,
       acceptedAt: challengeData.acceptedAt,
+      playDeadline:
+        challengeData.status === "accepted"
+          ? getPlayDeadline(challengeData)
+          : null,
       completedAt: challengeData.completedAt,
+      forfeit: challengeData.forfeit || false,
+      rematchOf: challengeData.rematchOf || null,
       challengerScore: challengeData.challengerScore,
       challengedScore: challengeData.challengedScore,
+      roundProgress: summarizeRounds(challengeData),
       winnerId: challengeData.winnerId,
       serviceCharge: challengeData.serviceCharge,
       totalPrize: challengeData.totalPrize,
       netPrize: challengeData.netPrize,
+      payoutReleaseAt: challengeData.payoutReleaseAt,
+      settledAt: challengeData.settledAt,
+      dispute: challengeData.dispute || null,
       isChallenger: challengeData.challengerId === userId,
       opponentId:
         challengeData.challengerId === userId
           ? challengeData.challengedId
           : challengeData.challengerId,
+      ...(challengeData.type === "group" && summarizeGroup(challengeData)),
     };
 
     res.json({
@@ -165,7 +329,7 @@ router.delete(
       // Import required modules
       const { database } = require("../config/firebase");
       const { ref, get, remove, update } = require("firebase/database");
-      const { decryptData, encryptData } = require("../utils/encryption");
+      const { decryptData } = require("../utils/encryption");
 
       const ENCRYPTION_KEY =
         process.env.CHALLENGE_ENCRYPTION_KEY ||
@@ -222,6 +386,12 @@ router.delete(
         });
       }
 
+      if (challengeData.type === "group") {
+        return res.status(400).json({
+          error: "Group challenges are cancelled via /group/:challengeId",
+        });
+      }
+
       // Validate user is a participant in this challenge
       const isChallenger = challengeData.challengerId === userId;
       const isChallenged = challengeData.challengedId === userId;
@@ -248,78 +418,77 @@ router.delete(
         });
       }
 
+      // Open challenges must leave the lobby before anyone can claim them
+      if (challengeData.isOpen && challengeData.status === "pending") {
+        const withdrawn = await withdrawOpenChallenge(challengeId);
+        if (!withdrawn) {
+          return res.status(409).json({
+            error: "This open challenge is being claimed by another player",
+          });
+        }
+      }
+
       // Check if challenge has expired - if so, process as expired instead of cancelled
       const hasExpired = Date.now() > challengeData.expiresAt;
       const isExpiration = hasExpired && challengeData.status === "pending";
 
-      // Refund with 4% fee (96% refund) - same for both cancellation and expiration
-      const fee = Math.round(challengeData.betAmount * (4 / 100));
+      const fee = Math.round(
+        challengeData.betAmount * (CANCELLATION_FEE_PERCENT / 100)
+      );
       const refundAmount = challengeData.betAmount - fee;
 
-      // For accepted challenges, refund both users. For pending/expired, refund challenger only
-      const usersToRefund =
-        challengeData.status === "accepted"
-          ? [challengeData.challengerId, challengeData.challengedId]
-          : [challengeData.challengerId];
-
-      // Refund all applicable users
-      for (const userIdToRefund of usersToRefund) {
-        const userRef = ref(database, `users/${userIdToRefund}`);
-        const userSnap = await get(userRef);
-        const userData = userSnap.val();
-        const userWallet = userData.wallet || {};
-
-        const walletUpdates = {
-          amount: (userWallet.amount || 0) + refundAmount,
-          escrowBalance:
-            (userWallet.escrowBalance || 0) - challengeData.betAmount,
-          lastTransaction: {
-            type: isExpiration
-              ? "challenge_expired_refund"
-              : "challenge_cancelled_refund",
-            amount: refundAmount,
-            fee: fee,
-            challengeId,
-            timestamp: Date.now(),
-          },
-          updatedAt: new Date().toISOString(),
-        };
-
-        await update(userRef, {
-          wallet: {
-            ...userWallet,
-            ...walletUpdates,
-          },
-        });
+      // Update challenge status before refunding - mark as expired if it has
+      // expired, otherwise cancelled. Done in a transaction so an accept that
+      // lands at the same time either wins or sees the challenge cancelled
+      const cancelledAt = Date.now();
+      const claim = await mutateChallenge(challengeId, (data) => {
+        if (data.status !== challengeData.status) {
+          return {
+            error: `Cannot cancel challenge with status: ${data.status}`,
+            status: 409,
+          };
+        }
+        data.status = isExpiration ? "expired" : "cancelled";
+        data.cancelledBy = userId;
+        data.cancelledAt = cancelledAt;
+        data.refundAmount = refundAmount;
+        data.cancellationFee = fee;
+        if (isExpiration) data.expiredAt = cancelledAt;
+      });
+      if (claim.error) {
+        return res.status(claim.status).json({ error: claim.error });
       }
 
-      // Update challenge status - mark as expired if it has expired, otherwise cancelled
-      const updatedChallengeData = {
-        ...challengeData,
-        status: isExpiration ? "expired" : "cancelled",
-        cancelledBy: userId,
-        cancelledAt: Date.now(),
-        refundAmount,
-        cancellationFee: fee,
-        ...(isExpiration && { expiredAt: Date.now() }),
-      };
-
-      const encryptedUpdatedChallenge = encryptData(
-        updatedChallengeData,
-        ENCRYPTION_KEY
+      // Refund with 4% fee (96% refund) - same for both cancellation and expiration
+      // Only stakes actually held in escrow are refunded
+      const refundResults = await refundAllStakes(
+        challengeId,
+        claim.challengeData,
+        {
+          type: isExpiration
+            ? "challenge_expired_refund"
+            : "challenge_cancelled_refund",
+          feePercent: CANCELLATION_FEE_PERCENT,
+        }
       );
-
-      // Update challenge in database
-      await update(challengeRef, encryptedUpdatedChallenge);
+      const usersToRefund = Object.keys(refundResults);
+      const failedRefund = Object.values(refundResults).find(
+        (result) => !result.success
+      );
+      if (failedRefund) {
+        throw new Error(failedRefund.error);
+      }
 
       // Remove challenge notification for challenged user
       const notificationRef = ref(
         database,
         `notifications/${challengeData.challengedId}`
       );
-      const notificationSnap = await get(notificationRef);
+      const notificationSnap = challengeData.challengedId
+        ? await get(notificationRef)
+        : null;
 
-      if (notificationSnap.exists()) {
+      if (notificationSnap && notificationSnap.exists()) {
         const notifications = notificationSnap.val();
         const challengeNotification = Object.keys(notifications).find(
           (key) => notifications[key].challengeId === challengeId
@@ -0,0 +1,29 @@
+const express = require("express");
+const router = express.Router();
+const { authenticateToken } = require("../middleware/authMiddleware");
+const { generalLimiter, paymentLimiter } = require("../middleware/rateLimiter");
+const { idempotency } = require("../middleware/idempotency");
+const {
+  getMembership,
+  subscribe,
+  cancelMembership,
+} = require("../controllers/membershipController");
+
+/**
+ * Membership Routes
+ * All routes require authentication
+ */
+
+// Replay repeated requests that carry an Idempotency-Key
+router.use(idempotency);
+
+// Membership, entitlements and the monthly price
+router.get("/", authenticateToken, generalLimiter, getMembership);
+
+// Start premium by card subscription or M-Pesa
+router.post("/subscribe", authenticateToken, paymentLimiter, subscribe);
+
+// Stop renewing at the end of the current period
+router.post("/cancel", authenticateToken, generalLimiter, cancelMembership);
+
+module.exports = router;
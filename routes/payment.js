@@ -12,7 +12,15 @@ const {
   getUserTransactions,
   getStripeTransactionStatus,
 } = require("../controllers/payment");
+const {
+  createWithdrawal,
+  getWithdrawals,
+  b2cResultWebhook,
+  b2cTimeoutWebhook,
+  b2cStatusWebhook,
+} = require("../controllers/withdrawalController");
 const authenticate = require("../middleware/auth");
+const { idempotency } = require("../middleware/idempotency");
 
 // Rate limiting for payment endpoints
 const paymentRateLimit = rateLimit({
@@ -35,6 +43,9 @@ const webhookRateLimit = rateLimit({
   legacyHeaders: false,
 });
 
+// Replay repeated requests that carry an Idempotency-Key
+router.use(idempotency);
+
 // Payment routes with rate limiting
 router.post("/stripe", paymentRateLimit, authenticate, createStripePayment);
 router.post(
@@ -50,6 +61,24 @@ router.post(
   verifyMpesaWebhookSignature,
   mpesaWebhook
 );
+router.post(
+  "/mpesa/b2c/result",
+  webhookRateLimit,
+  verifyMpesaWebhookSignature,
+  b2cResultWebhook
+);
+router.post(
+  "/mpesa/b2c/timeout",
+  webhookRateLimit,
+  verifyMpesaWebhookSignature,
+  b2cTimeoutWebhook
+);
+router.post(
+  "/mpesa/b2c/status",
+  webhookRateLimit,
+  verifyMpesaWebhookSignature,
+  b2cStatusWebhook
+);
 // Stripe webhook is handled directly in index.js with raw body parser
 router.post(
   "/convert-wallet-to-points",
@@ -58,6 +87,10 @@ router.post(
   convertWalletToPoints
 );
 
+// Withdrawal routes (M-Pesa B2C)
+router.post("/withdrawals", paymentRateLimit, authenticate, createWithdrawal);
+router.get("/withdrawals", authenticate, getWithdrawals);
+
 // Transaction routes
 router.get("/transactions", authenticate, getUserTransactions);
 router.get(
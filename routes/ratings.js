@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const { authenticateToken } = require("../middleware/authMiddleware");
+const {
+  getUserRatings,
+  getRatingHistory,
+  getRatingLeaderboard,
+} = require("../controllers/ratingController");
+
+/**
+ * Skill Rating Routes
+ * All routes require authentication
+ */
+
+// Rating leaderboard for a game
+router.get("/leaderboard/:gameId", authenticateToken, getRatingLeaderboard);
+
+// All of a user's game ratings
+router.get("/:userId", authenticateToken, getUserRatings);
+
+// A user's rating history for one game
+router.get("/:userId/:gameId/history", authenticateToken, getRatingHistory);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require("express");
+const router = express.Router();
+const { authenticateToken } = require("../middleware/authMiddleware");
+const { generalLimiter } = require("../middleware/rateLimiter");
+const {
+  getResponsibleGaming,
+  updateLimit,
+  startSelfExclusion,
+  getResponsibleGamingHistory,
+} = require("../controllers/responsibleGamingController");
+
+/**
+ * Responsible Gaming Routes
+ * All routes require authentication
+ */
+
+// Limits, pending changes, self-exclusion and current usage
+router.get("/", authenticateToken, generalLimiter, getResponsibleGaming);
+
+// Set, lower, raise or remove a deposit or loss limit
+router.put("/limits", authenticateToken, generalLimiter, updateLimit);
+
+// Start or extend a self-exclusion
+router.post(
+  "/self-exclusion",
+  authenticateToken,
+  generalLimiter,
+  startSelfExclusion
+);
+
+// The player's own limit change history
+router.get(
+  "/history",
+  authenticateToken,
+  generalLimiter,
+  getResponsibleGamingHistory
+);
+
+module.exports = router;
@@ -12,6 +12,7 @@ const {
   updateUserStatus,
   syncPresence,
   updateUserCountry,
+  dailyCheckIn,
   // Friend Request System
   sendFriendRequest,
   acceptFriendRequest,
@@ -36,6 +37,9 @@ router.post("/update-status", authenticate, updateUserStatus);
 router.post("/sync-presence", authenticate, syncPresence);
 router.put("/country", authenticate, updateUserCountry);
 
+// Daily check-in for login streaks
+router.post("/check-in", authenticate, dailyCheckIn);
+
 // Friend Request System Routes
 router.post("/:userId/send-friend-request", authenticate, sendFriendRequest);
 router.post(
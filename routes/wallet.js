@@ -2,17 +2,28 @@ const express = require("express");
 const router = express.Router();
 const { authenticateToken } = require("../middleware/authMiddleware");
 const { generalLimiter } = require("../middleware/rateLimiter");
+const { idempotency } = require("../middleware/idempotency");
 const {
   getWalletBalance,
   initializeWallet,
   getWalletTransactions,
+  getWalletLedgerCheck,
+  getWalletStatement,
 } = require("../controllers/walletController");
+const {
+  sendTransfer,
+  getTransfers,
+} = require("../controllers/transferController");
+const { redeemPromo } = require("../controllers/promoController");
 
 /**
  * Wallet Routes
  * All routes require authentication
  */
 
+// Replay repeated requests that carry an Idempotency-Key
+router.use(idempotency);
+
 // Get user's wallet balance
 router.get("/balance", authenticateToken, generalLimiter, getWalletBalance);
 
@@ -24,6 +35,31 @@ router.get(
   getWalletTransactions
 );
 
+// Compare the wallet with the balance recomputed from the ledger
+router.get(
+  "/ledger-check",
+  authenticateToken,
+  generalLimiter,
+  getWalletLedgerCheck
+);
+
+// Download a statement for a date range (?from&to=YYYY-MM-DD&format=csv|pdf|json)
+router.get("/statement", authenticateToken, generalLimiter, getWalletStatement);
+
+// Send money or a tip to a friend or clan member (Idempotency-Key header)
+router.post("/transfers", authenticateToken, generalLimiter, sendTransfer);
+
+// Transfers sent and received
+router.get("/transfers", authenticateToken, generalLimiter, getTransfers);
+
+// Redeem a promo code that isn't tied to a deposit
+router.post(
+  "/promo-codes/redeem",
+  authenticateToken,
+  generalLimiter,
+  redeemPromo
+);
+
 // Initialize user wallet with starting balance
 router.post("/initialize", authenticateToken, generalLimiter, initializeWallet);
 
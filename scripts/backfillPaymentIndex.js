@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+
+/**
+ * Payment Index Backfill Script
+ *
+ * Builds transactionIndex/{kind}/{reference} for payment transactions that
+ * were created before the index existed. Safe to run more than once.
+ *
+ * Usage: node scripts/backfillPaymentIndex.js
+ */
+
+require("dotenv").config();
+require("../config/firebase"); // Initializes the Admin SDK from .env
+const { backfillPaymentIndex } = require("../utils/paymentIndex");
+
+(async () => {
+  try {
+    const result = await backfillPaymentIndex();
+    console.log("Backfill result:", result);
+    process.exit(0);
+  } catch (err) {
+    console.error("Payment index backfill failed:", err.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,349 @@
+/**
+ * Achievements Service
+ * Badges unlocked by what players already do on the platform
+ *
+ * achievementStats/{uid}:
+ *   { actions/{ACTION}, challengesPlayed, challengeWins, winStreak,
+ *     bestWinStreak, eventsBooked, clansJoined, clansFounded, updatedAt }
+ * achievementEvents/{uid}/{eventId}: the activity already counted
+ * users/{uid}/achievements/{achievementId}:
+ *   { badge, unlockedAt, bonusPoints }
+ * achievementUnlocks/{achievementId}: how many players have it
+ *
+ * Progress comes from points awards (controllers/points), challenge
+ * settlements, event bookings and clan joins. Each piece of activity is
+ * counted once, and an unlocked badge is never taken away.
+ */
+
+const admin = require("firebase-admin");
+const { cache } = require("../utils/cache");
+const {
+  createSystemNotification,
+} = require("../controllers/notificationController");
+
+const ACHIEVEMENTS = {
+  FIRST_CHALLENGE_WIN: {
+    name: "First Victory",
+    description: "Win your first challenge",
+    badge: "first_win",
+    progress: (stats) => stats.challengeWins || 0,
+    target: 1,
+    bonusPoints: 10,
+  },
+  CHALLENGE_WINS_50: {
+    name: "Veteran",
+    description: "Win 50 challenges",
+    badge: "veteran",
+    progress: (stats) => stats.challengeWins || 0,
+    target: 50,
+    bonusPoints: 100,
+  },
+  WIN_STREAK_10: {
+    name: "Unstoppable",
+    description: "Win 10 challenges in a row",
+    badge: "unstoppable",
+    progress: (stats) => stats.bestWinStreak || 0,
+    target: 10,
+    bonusPoints: 100,
+  },
+  FIRST_POST: {
+    name: "Hello, Tribe",
+    description: "Publish your first post",
+    badge: "first_post",
+    progress: (stats) => stats.actions?.POST_DISCUSSION || 0,
+    target: 1,
+    bonusPoints: 0,
+  },
+  POSTS_100: {
+    name: "Storyteller",
+    description: "Publish 100 posts",
+    badge: "storyteller",
+    progress: (stats) => stats.actions?.POST_DISCUSSION || 0,
+    target: 100,
+    bonusPoints: 50,
+  },
+  COMMENTS_50: {
+    name: "Conversationalist",
+    description: "Comment on 50 posts",
+    badge: "conversationalist",
+    progress: (stats) => stats.actions?.COMMENT_POST || 0,
+    target: 50,
+    bonusPoints: 25,
+  },
+  LOGIN_STREAK_30: {
+    name: "Regular",
+    description: "Check in 30 days in a row",
+    badge: "regular",
+    progress: (stats) => stats.actions?.STREAK_30_DAYS || 0,
+    target: 1,
+    bonusPoints: 0,
+  },
+  CLAN_MEMBER: {
+    name: "Tribe Member",
+    description: "Join a clan",
+    badge: "clan_member",
+    progress: (stats) => stats.clansJoined || 0,
+    target: 1,
+    bonusPoints: 0,
+  },
+  CLAN_FOUNDER: {
+    name: "Clan Founder",
+    description: "Found a clan",
+    badge: "clan_founder",
+    progress: (stats) => stats.clansFounded || 0,
+    target: 1,
+    bonusPoints: 25,
+  },
+  EVENTS_5: {
+    name: "Event Goer",
+    description: "Book a place at 5 events",
+    badge: "event_goer",
+    progress: (stats) => stats.eventsBooked || 0,
+    target: 5,
+    bonusPoints: 25,
+  },
+};
+
+const RARITY_CACHE_KEY = "achievements:rarity";
+const RARITY_CACHE_TTL = 3600; // 1 hour
+
+const statsRef = (userId) => admin.database().ref(`achievementStats/${userId}`);
+const eventRef = (userId, eventId) =>
+  admin.database().ref(`achievementEvents/${userId}/${eventId}`);
+
+/**
+ * Count one piece of activity and unlock whatever it completes
+ * update(stats) changes the stats in place; an eventId seen before is
+ * ignored. Returns the achievements unlocked.
+ */
+const recordProgress = async (userId, eventId, update) => {
+  const claim = await eventRef(userId, eventId).transaction((current) => {
+    if (current) return; // Abort - already counted
+    return Date.now();
+  });
+  if (!claim.committed) return [];
+
+  const result = await statsRef(userId).transaction((current) => {
+    const stats = current || {};
+    update(stats);
+    return { ...stats, updatedAt: Date.now() };
+  });
+
+  return unlockAchievements(userId, result.snapshot.val());
+};
+
+/**
+ * Undo a counted piece of activity (an unliked post, a cancelled booking)
+ */
+const revokeProgress = async (userId, eventId, update) => {
+  let counted = false;
+  await eventRef(userId, eventId).transaction((current) => {
+    counted = !!current;
+    return null;
+  });
+  if (!counted) return;
+
+  await statsRef(userId).transaction((current) => {
+    if (!current) return current;
+    update(current);
+    return { ...current, updatedAt: Date.now() };
+  });
+};
+
+const decrement = (value) => Math.max(0, (value || 0) - 1);
+
+/**
+ * Unlock every achievement the stats complete; bonus points and a
+ * notification go out once per achievement
+ */
+const unlockAchievements = async (userId, stats) => {
+  const unlocked = [];
+
+  for (const [achievementId, achievement] of Object.entries(ACHIEVEMENTS)) {
+    if (achievement.progress(stats) < achievement.target) continue;
+
+    const now = Date.now();
+    const result = await admin
+      .database()
+      .ref(`users/${userId}/achievements/${achievementId}`)
+      .transaction((current) => {
+        if (current) return; // Abort - already unlocked
+        return {
+          badge: achievement.badge,
+          unlockedAt: now,
+          bonusPoints: achievement.bonusPoints,
+        };
+      });
+    if (!result.committed) continue;
+
+    await admin
+      .database()
+      .ref(`achievementUnlocks/${achievementId}`)
+      .transaction((count) => (count || 0) + 1);
+
+    if (achievement.bonusPoints > 0) {
+      // points.js reports its awards here, so it is loaded on first use
+      const { addPointsToUser } = require("../controllers/points");
+      await addPointsToUser(
+        userId,
+        achievement.bonusPoints,
+        "ACHIEVEMENT_UNLOCKED",
+        { achievementId }
+      );
+    }
+
+    await createSystemNotification(userId, {
+      title: `Achievement unlocked: ${achievement.name}`,
+      message:
+        achievement.bonusPoints > 0
+          ? `${achievement.description} - you earned the ${achievement.name} badge and ${achievement.bonusPoints} bonus points.`
+          : `${achievement.description} - you earned the ${achievement.name} badge.`,
+      action: { type: "open_achievements", achievementId },
+    });
+
+    console.log(`🏅 ${userId} unlocked ${achievementId}`);
+    unlocked.push(achievementId);
+  }
+
+  return unlocked;
+};
+
+/**
+ * A points rule paid (delta 1) or took back (delta -1) an award
+ */
+const recordPointsAward = (userId, action, awardId, delta = 1) => {
+  const eventId = `points_${awardId}`;
+  if (delta < 0) {
+    return revokeProgress(userId, eventId, (stats) => {
+      stats.actions = stats.actions || {};
+      stats.actions[action] = decrement(stats.actions[action]);
+    });
+  }
+  return recordProgress(userId, eventId, (stats) => {
+    stats.actions = stats.actions || {};
+    stats.actions[action] = (stats.actions[action] || 0) + 1;
+  });
+};
+
+/**
+ * A settled challenge: outcome is won, lost or tie (a tie keeps the streak)
+ */
+const recordChallengeResult = (userId, challengeId, outcome) =>
+  recordProgress(userId, `challenge_${challengeId}`, (stats) => {
+    stats.challengesPlayed = (stats.challengesPlayed || 0) + 1;
+    if (outcome === "won") {
+      stats.challengeWins = (stats.challengeWins || 0) + 1;
+      stats.winStreak = (stats.winStreak || 0) + 1;
+      stats.bestWinStreak = Math.max(stats.bestWinStreak || 0, stats.winStreak);
+    } else if (outcome === "lost") {
+      stats.winStreak = 0;
+    }
+  });
+
+const recordEventBooking = (userId, eventId) =>
+  recordProgress(userId, `event_${eventId}`, (stats) => {
+    stats.eventsBooked = (stats.eventsBooked || 0) + 1;
+  });
+
+const recordEventBookingCancelled = (userId, eventId) =>
+  revokeProgress(userId, `event_${eventId}`, (stats) => {
+    stats.eventsBooked = decrement(stats.eventsBooked);
+  });
+
+const recordClanJoin = (userId, clanId, { founder = false } = {}) =>
+  recordProgress(userId, `clan_${clanId}`, (stats) => {
+    stats.clansJoined = (stats.clansJoined || 0) + 1;
+    if (founder) {
+      stats.clansFounded = (stats.clansFounded || 0) + 1;
+    }
+  });
+
+/**
+ * Share of all players holding each achievement: { achievementId: percent }
+ * Cached for an hour; counting players reads every user record
+ */
+const getRarity = async () => {
+  const cached = cache.get(RARITY_CACHE_KEY);
+  if (cached) return cached;
+
+  const [usersSnap, unlocksSnap] = await Promise.all([
+    admin.database().ref("users").once("value"),
+    admin.database().ref("achievementUnlocks").once("value"),
+  ]);
+  const totalUsers = usersSnap.numChildren();
+  const unlocks = unlocksSnap.val() || {};
+
+  const rarity = {};
+  for (const achievementId of Object.keys(ACHIEVEMENTS)) {
+    rarity[achievementId] = totalUsers
+      ? Math.round(((unlocks[achievementId] || 0) / totalUsers) * 1000) / 10
+      : 0;
+  }
+
+  cache.set(RARITY_CACHE_KEY, rarity, RARITY_CACHE_TTL);
+  return rarity;
+};
+
+/**
+ * The catalog with rarity, and a player's progress when userId is given
+ */
+const getAchievementCatalog = async (userId = null) => {
+  const [rarity, statsSnap, unlockedSnap] = await Promise.all([
+    getRarity(),
+    userId ? statsRef(userId).once("value") : null,
+    userId
+      ? admin.database().ref(`users/${userId}/achievements`).once("value")
+      : null,
+  ]);
+  const stats = statsSnap?.val() || {};
+  const unlocked = unlockedSnap?.val() || {};
+
+  return Object.entries(ACHIEVEMENTS).map(([id, achievement]) => ({
+    id,
+    name: achievement.name,
+    description: achievement.description,
+    badge: achievement.badge,
+    target: achievement.target,
+    bonusPoints: achievement.bonusPoints,
+    rarity: rarity[id],
+    ...(userId && {
+      progress: Math.min(achievement.progress(stats), achievement.target),
+      unlockedAt: unlocked[id]?.unlockedAt || null,
+    }),
+  }));
+};
+
+/**
+ * A player's unlocked achievements, newest first
+ * Takes the user's achievements record so profiles can pass what they loaded
+ */
+const describeUnlocked = async (achievements) => {
+  const entries = Object.entries(achievements || {}).filter(
+    ([id]) => ACHIEVEMENTS[id]
+  );
+  if (entries.length === 0) return [];
+
+  const rarity = await getRarity();
+  return entries
+    .map(([id, unlock]) => ({
+      id,
+      name: ACHIEVEMENTS[id].name,
+      description: ACHIEVEMENTS[id].description,
+      badge: ACHIEVEMENTS[id].badge,
+      unlockedAt: unlock.unlockedAt,
+      rarity: rarity[id],
+    }))
+    .sort((a, b) => b.unlockedAt - a.unlockedAt);
+};
+
+module.exports = {
+  ACHIEVEMENTS,
+  recordPointsAward,
+  recordChallengeResult,
+  recordEventBooking,
+  recordEventBookingCancelled,
+  recordClanJoin,
+  getRarity,
+  getAchievementCatalog,
+  describeUnlocked,
+};
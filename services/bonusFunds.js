@@ -0,0 +1,133 @@
+/**
+ * Bonus Funds Service
+ * Promotional KES sits in the wallet like any other balance, but stays
+ * locked against withdrawal and transfer until it has been wagered
+ *
+ * users/{uid}/bonusFunds:
+ *   { locked, wageringRequired, wagered, grants/{grantId}, wageredChallenges,
+ *     releasedAt, updatedAt }
+ *
+ * Wagering counts each settled challenge stake once. Losses come out of the
+ * bonus first: the locked amount never exceeds what the player still holds.
+ */
+
+const admin = require("firebase-admin");
+
+const bonusFundsRef = (userId) =>
+  admin.database().ref(`users/${userId}/bonusFunds`);
+
+/**
+ * Lock a bonus credit until amount * wageringMultiplier has been wagered
+ * Safe to repeat with the same grantId
+ */
+const grantBonusFunds = async (
+  userId,
+  grantId,
+  { amount, wageringMultiplier, source }
+) => {
+  const now = Date.now();
+  const result = await bonusFundsRef(userId).transaction((current) => {
+    const funds = current || { locked: 0, wageringRequired: 0, wagered: 0 };
+    if (funds.grants && funds.grants[grantId]) return; // Abort - granted
+
+    const wageringRequired = Math.round(amount * wageringMultiplier);
+    return {
+      ...funds,
+      locked: (funds.locked || 0) + amount,
+      wageringRequired: (funds.wageringRequired || 0) + wageringRequired,
+      grants: {
+        ...(funds.grants || {}),
+        [grantId]: { amount, wageringRequired, source, grantedAt: now },
+      },
+      updatedAt: now,
+    };
+  });
+  return result.snapshot.val();
+};
+
+/**
+ * Count a settled stake towards wagering and release the bonus once the
+ * requirement is met
+ */
+const recordWagering = async (userId, challengeId, stakeAmount) => {
+  const lockedSnap = await bonusFundsRef(userId).child("locked").once("value");
+  if (!lockedSnap.val()) return { released: false };
+
+  // What the player still holds, in the wallet or staked elsewhere
+  const walletRef = admin.database().ref(`users/${userId}/wallet`);
+  const [amountSnap, escrowSnap] = await Promise.all([
+    walletRef.child("amount").once("value"),
+    walletRef.child("escrowBalance").once("value"),
+  ]);
+  const holdings = (amountSnap.val() || 0) + (escrowSnap.val() || 0);
+
+  const now = Date.now();
+  let released = false;
+
+  const result = await bonusFundsRef(userId).transaction((current) => {
+    released = false;
+    if (!current) return current;
+    if (!current.locked) return; // Abort - nothing locked
+    if (current.wageredChallenges && current.wageredChallenges[challengeId]) {
+      return; // Abort - already counted
+    }
+
+    const wagered = (current.wagered || 0) + stakeAmount;
+    const locked = Math.min(current.locked, Math.max(0, holdings));
+    if (wagered >= current.wageringRequired || locked === 0) {
+      released = true;
+      return {
+        locked: 0,
+        wageringRequired: 0,
+        wagered: 0,
+        releasedAt: now,
+        updatedAt: now,
+      };
+    }
+
+    return {
+      ...current,
+      locked,
+      wagered,
+      wageredChallenges: {
+        ...(current.wageredChallenges || {}),
+        [challengeId]: stakeAmount,
+      },
+      updatedAt: now,
+    };
+  });
+
+  if (released) {
+    console.log(`🎁 Bonus funds for ${userId} released after wagering`);
+  }
+  return { released, bonusFunds: result.snapshot.val() };
+};
+
+/**
+ * Wallet balance the player may withdraw or transfer
+ * Returns { balance, locked, withdrawable, wageringRemaining }
+ */
+const getWithdrawableBalance = async (userId) => {
+  const [walletSnap, fundsSnap] = await Promise.all([
+    admin.database().ref(`users/${userId}/wallet/amount`).once("value"),
+    bonusFundsRef(userId).once("value"),
+  ]);
+  const balance = walletSnap.val() || 0;
+  const funds = fundsSnap.val() || {};
+  const locked = Math.min(funds.locked || 0, balance);
+
+  return {
+    balance,
+    locked,
+    withdrawable: balance - locked,
+    wageringRemaining: funds.locked
+      ? Math.max(0, (funds.wageringRequired || 0) - (funds.wagered || 0))
+      : 0,
+  };
+};
+
+module.exports = {
+  grantBonusFunds,
+  recordWagering,
+  getWithdrawableBalance,
+};
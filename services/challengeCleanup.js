@@ -1,15 +1,56 @@
 /**
  * Challenge Cleanup Service
- * Handles automatic expiration of old challenges
+ * Handles automatic expiration of old challenges and unplayed accepted ones
  */
 
 const { database } = require("../config/firebase");
 const { ref, get, update } = require("firebase/database");
-const { encryptData, decryptData } = require("../utils/encryption");
-const admin = require("firebase-admin");
+const { decryptData } = require("../utils/encryption");
+const {
+  CANCELLATION_FEE_PERCENT,
+  PAYOUT_HOLD_MS,
+  refundAllStakes,
+  calculateSettlement,
+  isPayoutReleasable,
+  settleChallenge,
+} = require("./challengeEscrow");
+const { isMultiRound, resolveRounds } = require("./challengeFormats");
+const { updateChallengeInUserIndex } = require("../utils/challengeIndexer");
+const { invalidateUserChallengeIndexes } = require("../utils/aggressiveCache");
+const { mutateChallenge } = require("../utils/challengeTransaction");
+const { purgeUsedNonces } = require("../utils/scoreSignature");
+const { repostPendingEntries } = require("./walletLedger");
+const { updateRatingsForChallenge } = require("./skillRating");
+const {
+  expireQueueEntries,
+  withdrawOpenChallenge,
+} = require("../controllers/matchmakingController");
+const {
+  expireGroupInvitations,
+  resolveUnplayedGroup,
+} = require("../controllers/groupChallengeController");
+const {
+  createSystemNotification,
+} = require("../controllers/notificationController");
 
 const ENCRYPTION_KEY = process.env.CHALLENGE_ENCRYPTION_KEY;
 
+// How long players have to play once a challenge is accepted
+const PLAY_DEADLINE_MS =
+  parseFloat(process.env.CHALLENGE_PLAY_DEADLINE_HOURS || "48") *
+  60 *
+  60 *
+  1000;
+
+/**
+ * When an accepted challenge must be played by
+ */
+const getPlayDeadline = (challengeData) => {
+  return (
+    (challengeData.acceptedAt || challengeData.createdAt) + PLAY_DEADLINE_MS
+  );
+};
+
 /**
  * Expire a single challenge and refund challenger
  */
@@ -17,61 +58,49 @@ const expireChallenge = async (challengeId, challengeData) => {
   try {
     console.log(`⏰ Expiring challenge: ${challengeId}`);
 
-    // Calculate refund with 4% expiration fee
-    const expirationFee = Math.round(challengeData.betAmount * 0.04);
-    const refundAmount = challengeData.betAmount - expirationFee;
-
-    // Refund challenger atomically
-    const challengerWalletRef = admin
-      .database()
-      .ref(`users/${challengeData.challengerId}/wallet`);
+    // Open challenges leave the lobby first; skip if mid-claim
+    if (challengeData.isOpen && !(await withdrawOpenChallenge(challengeId))) {
+      console.log(
+        `⏭️ Open challenge ${challengeId} is being claimed, skipping`
+      );
+      return { success: false, challengeId, skipped: true };
+    }
 
-    await challengerWalletRef.transaction((wallet) => {
-      if (!wallet) return wallet;
+    const expirationFee = Math.round(
+      challengeData.betAmount * (CANCELLATION_FEE_PERCENT / 100)
+    );
+    const refundAmount = challengeData.betAmount - expirationFee;
 
-      // Verify escrow
-      const currentEscrow = wallet.escrowBalance || 0;
-      if (currentEscrow < challengeData.betAmount) {
-        console.warn(
-          `⚠️ Escrow mismatch on expiration: ${currentEscrow} < ${challengeData.betAmount}`
-        );
+    // Mark it expired before refunding, so a late accept can't take it
+    const now = Date.now();
+    const claim = await mutateChallenge(challengeId, (data) => {
+      if (data.status !== "pending" || now <= data.expiresAt) {
+        return { error: "Challenge is no longer pending" };
       }
-
-      // Refund with fee deduction
-      wallet.amount = (wallet.amount || 0) + refundAmount;
-      wallet.escrowBalance = Math.max(
-        0,
-        currentEscrow - challengeData.betAmount
-      );
-      wallet.lastTransaction = {
-        type: "challenge_expired_refund",
-        amount: refundAmount,
-        expirationFee,
-        challengeId,
-        timestamp: Date.now(),
-      };
-      wallet.updatedAt = new Date().toISOString();
-
-      return wallet;
+      data.status = "expired";
+      data.expiredAt = now;
+      data.refundAmount = refundAmount;
+      data.expirationFee = expirationFee;
     });
+    if (claim.error) {
+      return { success: false, challengeId, skipped: true };
+    }
 
-    // Update challenge status
-    const expiredChallengeData = {
-      ...challengeData,
-      status: "expired",
-      expiredAt: Date.now(),
-      refundAmount,
-      expirationFee,
-    };
-
-    const encryptedExpiredChallenge = encryptData(
-      expiredChallengeData,
-      ENCRYPTION_KEY
+    // Refund challenger's escrowed stake with 4% expiration fee
+    const refundResults = await refundAllStakes(
+      challengeId,
+      claim.challengeData,
+      {
+        type: "challenge_expired_refund",
+        feePercent: CANCELLATION_FEE_PERCENT,
+      }
     );
-
-    // Update challenge
-    const challengeRef = ref(database, `secureChallenges/${challengeId}`);
-    await update(challengeRef, encryptedExpiredChallenge);
+    const failedRefund = Object.values(refundResults).find(
+      (result) => !result.success
+    );
+    if (failedRefund) {
+      throw new Error(failedRefund.error);
+    }
 
     console.log(
       `✅ Challenge ${challengeId} expired, refunded ${refundAmount} KES to challenger`
@@ -89,6 +118,218 @@ const expireChallenge = async (challengeId, challengeData) => {
   }
 };
 
+/**
+ * Pay out a completed challenge once its dispute window has passed,
+ * or finish one whose settlement was interrupted
+ */
+const resumeSettlement = async (challengeId) => {
+  // Mark the release first so a dispute can't freeze a payout mid-flight
+  const claim = await mutateChallenge(challengeId, (data) => {
+    if (!isPayoutReleasable(data)) {
+      return { error: "Payout is not releasable" };
+    }
+    data.releaseStartedAt = Date.now();
+  });
+  if (claim.error) {
+    return false;
+  }
+
+  const { challengeData } = claim;
+  console.log(`💸 Releasing payout for challenge: ${challengeId}`);
+
+  await settleChallenge(challengeId, challengeData, {
+    totalPrize: challengeData.totalPrize,
+    serviceCharge: challengeData.serviceCharge,
+    netPrize: challengeData.netPrize,
+    payouts: challengeData.payouts,
+  });
+
+  await mutateChallenge(challengeId, (data) => {
+    data.settledAt = Date.now();
+  });
+
+  // Ratings are skipped if they were already applied before the interruption
+  await updateRatingsForChallenge(challengeId, challengeData);
+
+  console.log(`✅ Challenge ${challengeId} settlement completed`);
+  return true;
+};
+
+/**
+ * Decide an unplayed two-player challenge: whoever played more wins by
+ * forfeit, equal progress goes by the rounds played, and nobody playing
+ * means a refund
+ */
+const decideUnplayedChallenge = (challengeData) => {
+  const { challengerId, challengedId } = challengeData;
+
+  if (isMultiRound(challengeData)) {
+    const challengerPlayed = challengeData.rounds.filter(
+      (r) => r.challengerScore !== null
+    ).length;
+    const challengedPlayed = challengeData.rounds.filter(
+      (r) => r.challengedScore !== null
+    ).length;
+
+    if (!challengerPlayed && !challengedPlayed) return { refund: true };
+    if (challengerPlayed > challengedPlayed) return { winnerId: challengerId };
+    if (challengedPlayed > challengerPlayed) return { winnerId: challengedId };
+    return { winnerId: resolveRounds(challengeData).winnerId };
+  }
+
+  const challengerPlayed = challengeData.challengerScore != null;
+  const challengedPlayed = challengeData.challengedScore != null;
+
+  if (!challengerPlayed && !challengedPlayed) return { refund: true };
+  if (!challengedPlayed) return { winnerId: challengerId };
+  if (!challengerPlayed) return { winnerId: challengedId };
+  return {
+    winnerId:
+      challengeData.challengerScore > challengeData.challengedScore
+        ? challengerId
+        : challengeData.challengedScore > challengeData.challengerScore
+        ? challengedId
+        : "tie",
+  };
+};
+
+/**
+ * Resolve an accepted challenge whose play deadline has passed
+ */
+const resolveUnplayedChallenge = async (challengeId) => {
+  const now = Date.now();
+  const result = await mutateChallenge(challengeId, (data) => {
+    if (data.status !== "accepted" || now <= getPlayDeadline(data)) {
+      return { error: "Challenge is not past its play deadline" };
+    }
+
+    const decision = decideUnplayedChallenge(data);
+    if (decision.refund) {
+      data.status = "expired";
+      data.expiredAt = now;
+      data.expiredReason = "not_played";
+      return { decision };
+    }
+
+    // Record the payout before moving any money so a retry can finish it
+    const settlement = calculateSettlement({
+      ...data,
+      winnerId: decision.winnerId,
+    });
+    data.status = "completed";
+    data.completedAt = now;
+    data.winnerId = decision.winnerId;
+    data.forfeit = true;
+    data.totalPrize = settlement.totalPrize;
+    data.serviceCharge = settlement.serviceCharge;
+    data.netPrize = settlement.netPrize;
+    data.payouts = settlement.payouts;
+    data.payoutReleaseAt = now + PAYOUT_HOLD_MS;
+    return { decision };
+  });
+
+  if (result.error) {
+    return { success: false, challengeId, skipped: true };
+  }
+
+  const { challengeData, decision } = result;
+  const playerIds = [challengeData.challengerId, challengeData.challengedId];
+
+  if (decision.refund) {
+    const refunds = await refundAllStakes(challengeId, challengeData, {
+      type: "challenge_unplayed_refund",
+    });
+    const failedRefund = Object.values(refunds).find((r) => !r.success);
+    if (failedRefund) {
+      throw new Error(failedRefund.error);
+    }
+  } else if (!PAYOUT_HOLD_MS) {
+    await resumeSettlement(challengeId);
+  }
+
+  for (const userId of playerIds) {
+    await updateChallengeInUserIndex(
+      challengeId,
+      userId,
+      null,
+      challengeData.status
+    );
+    invalidateUserChallengeIndexes(userId);
+
+    let message;
+    if (decision.refund) {
+      message = `Neither player finished ${challengeData.gameTitle} before the deadline. Your stake has been refunded in full.`;
+    } else if (challengeData.winnerId === "tie") {
+      message = `${challengeData.gameTitle} passed its deadline level, so the prize is split.`;
+    } else if (challengeData.winnerId === userId) {
+      message = `Your opponent didn't finish ${challengeData.gameTitle} in time. You win ${challengeData.payouts[userId]} KES by forfeit.`;
+    } else {
+      message = `You didn't finish ${challengeData.gameTitle} before the deadline and forfeited your stake.`;
+    }
+
+    await createSystemNotification(userId, {
+      title: decision.refund ? "Challenge expired" : "Challenge decided",
+      message,
+      action: { type: "open_challenge", challengeId },
+    });
+  }
+
+  console.log(
+    `⏰ Unplayed challenge ${challengeId} resolved: ${
+      decision.refund ? "refunded" : `winner ${challengeData.winnerId}`
+    }`
+  );
+
+  return {
+    success: true,
+    challengeId,
+    resolution: decision.refund ? "refunded" : "forfeit",
+  };
+};
+
+/**
+ * Remove game sessions that expired without a score, keeping a record of
+ * each abandoned session as evidence against the challenge
+ */
+const cleanupAbandonedSessions = async () => {
+  const sessionsSnap = await get(ref(database, "gameSessions"));
+  if (!sessionsSnap.exists()) return 0;
+
+  const now = Date.now();
+  const updates = {};
+  for (const [sessionToken, session] of Object.entries(sessionsSnap.val())) {
+    if (now <= session.expiresAt) continue;
+
+    updates[`gameSessions/${sessionToken}`] = null;
+    if (session.challengeId) {
+      updates[
+        `challengeSubmissions/${
+          session.challengeId
+        }/abandoned_${sessionToken.substring(0, 16)}`
+      ] = {
+        userId: session.userId,
+        score: null,
+        round: session.round || null,
+        session: {
+          createdAt: session.createdAt,
+          expiresAt: session.expiresAt,
+        },
+        abandoned: true,
+        submittedAt: session.expiresAt,
+      };
+    }
+  }
+
+  const abandonedCount = Object.keys(updates).filter((path) =>
+    path.startsWith("gameSessions/")
+  ).length;
+  if (abandonedCount > 0) {
+    await update(ref(database), updates);
+  }
+
+  return abandonedCount;
+};
+
 /**
  * Run cleanup job to expire old challenges
  */
@@ -108,6 +349,8 @@ const runCleanupJob = async () => {
     const allChallenges = challengesSnap.val();
     const now = Date.now();
     let expiredCount = 0;
+    let settledCount = 0;
+    let resolvedCount = 0;
     const errors = [];
 
     for (const [challengeId, encryptedData] of Object.entries(allChallenges)) {
@@ -119,28 +362,29 @@ const runCleanupJob = async () => {
           challengeData.status === "pending" &&
           now > challengeData.expiresAt
         ) {
-          await expireChallenge(challengeId, challengeData);
-          expiredCount++;
+          // Group invitations expire per player; the group may still play
+          const expireResult =
+            challengeData.type === "group"
+              ? await expireGroupInvitations(challengeId)
+              : await expireChallenge(challengeId, challengeData);
+          if (expireResult.success) expiredCount++;
+        }
+
+        // Release held payouts, and retry ones that were never fully applied
+        if (isPayoutReleasable(challengeData, now)) {
+          if (await resumeSettlement(challengeId)) settledCount++;
         }
 
-        // Also check for stuck "accepted" challenges (>7 days old)
+        // Resolve accepted challenges nobody finished before the deadline
         if (
           challengeData.status === "accepted" &&
-          challengeData.acceptedAt &&
-          now - challengeData.acceptedAt > 7 * 24 * 60 * 60 * 1000 // 7 days
+          now > getPlayDeadline(challengeData)
         ) {
-          console.log(
-            `⚠️ Found stuck challenge (7+ days in accepted state): ${challengeId}`
-          );
-          // Log for manual review
-          const stuckRef = ref(database, `stuckChallenges/${challengeId}`);
-          await update(stuckRef, {
-            challengeId,
-            status: challengeData.status,
-            acceptedAt: challengeData.acceptedAt,
-            age: now - challengeData.acceptedAt,
-            flaggedAt: now,
-          });
+          const resolveResult =
+            challengeData.type === "group"
+              ? await resolveUnplayedGroup(challengeId)
+              : await resolveUnplayedChallenge(challengeId);
+          if (resolveResult.success) resolvedCount++;
         }
       } catch (decryptError) {
         console.warn(
@@ -151,14 +395,32 @@ const runCleanupJob = async () => {
       }
     }
 
+    // Refund players who waited in the matchmaking queue without a match
+    const expiredQueueCount = await expireQueueEntries();
+
+    // Sessions that expired without a score
+    const abandonedSessionCount = await cleanupAbandonedSessions();
+
+    // Replay protection only needs nonces for as long as sessions live
+    const purgedNonceCount = await purgeUsedNonces();
+
+    // Finish wallet ledger entries interrupted part way through
+    const repostedEntryCount = await repostPendingEntries();
+
     const elapsed = Date.now() - startTime;
     console.log(
-      `✅ Cleanup job completed in ${elapsed}ms: ${expiredCount} challenges expired`
+      `✅ Cleanup job completed in ${elapsed}ms: ${expiredCount} challenges expired, ${resolvedCount} unplayed challenges resolved, ${settledCount} settlements resumed, ${expiredQueueCount} queue entries expired, ${abandonedSessionCount} abandoned sessions cleared, ${repostedEntryCount} ledger entries reposted`
     );
 
     return {
       success: true,
       expiredCount,
+      resolvedCount,
+      settledCount,
+      expiredQueueCount,
+      abandonedSessionCount,
+      purgedNonceCount,
+      repostedEntryCount,
       errors: errors.length > 0 ? errors : undefined,
       duration: elapsed,
     };
@@ -171,6 +433,47 @@ const runCleanupJob = async () => {
   }
 };
 
+/**
+ * Release every payout whose dispute window has passed
+ * Payouts are held for PAYOUT_HOLD_MS, so this runs more often than the
+ * full cleanup job
+ */
+const releaseHeldPayouts = async () => {
+  const challengesSnap = await get(ref(database, "secureChallenges"));
+  const now = Date.now();
+  let settledCount = 0;
+  const errors = [];
+
+  for (const [challengeId, encryptedData] of Object.entries(
+    challengesSnap.val() || {}
+  )) {
+    try {
+      const challengeData = decryptData(encryptedData, ENCRYPTION_KEY);
+      if (
+        isPayoutReleasable(challengeData, now) &&
+        (await resumeSettlement(challengeId))
+      ) {
+        settledCount++;
+      }
+    } catch (error) {
+      console.warn(
+        `Failed to release payout for challenge ${challengeId}:`,
+        error.message
+      );
+      errors.push({ challengeId, error: error.message });
+    }
+  }
+
+  if (settledCount > 0) {
+    console.log(`💸 Released ${settledCount} held payouts`);
+  }
+  return {
+    success: true,
+    settledCount,
+    errors: errors.length > 0 ? errors : undefined,
+  };
+};
+
 /**
  * Start scheduled cleanup job (runs every hour)
  */
@@ -187,7 +490,12 @@ const startCleanupSchedule = () => {
 };
 
 module.exports = {
+  PLAY_DEADLINE_MS,
+  getPlayDeadline,
   expireChallenge,
+  resolveUnplayedChallenge,
+  resumeSettlement,
+  releaseHeldPayouts,
   runCleanupJob,
   startCleanupSchedule,
 };
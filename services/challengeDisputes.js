@@ -0,0 +1,87 @@
+/**
+ * Challenge Dispute Service
+ * Keeps score submission evidence and the audit trail for disputed results
+ */
+
+const admin = require("firebase-admin");
+
+/**
+ * Keep the game session and submission metadata behind every score
+ * Session tokens are deleted on submit, so this is the lasting record
+ */
+const recordScoreSubmission = async (challengeId, sessionData, submission) => {
+  try {
+    await admin
+      .database()
+      .ref(`challengeSubmissions/${challengeId}`)
+      .push({
+        userId: sessionData.userId,
+        score: submission.score,
+        round: sessionData.round || null,
+        session: {
+          createdAt: sessionData.createdAt,
+          expiresAt: sessionData.expiresAt,
+        },
+        submittedAt: Date.now(),
+        elapsedMs: Date.now() - sessionData.createdAt,
+        reportedElapsedMs: submission.elapsedMs ?? null,
+        nonce: submission.nonce || null,
+        ip: submission.ip || null,
+        userAgent: submission.userAgent || null,
+      });
+  } catch (error) {
+    // Evidence is best effort; never fail a score submission over it
+    console.warn(
+      `⚠️ Failed to record submission for ${challengeId}:`,
+      error.message
+    );
+  }
+};
+
+/**
+ * Gather everything an admin needs to review a disputed challenge
+ */
+const collectDisputeEvidence = async (challengeId, challengeData) => {
+  const submissionsSnap = await admin
+    .database()
+    .ref(`challengeSubmissions/${challengeId}`)
+    .once("value");
+
+  return {
+    submissions: submissionsSnap.exists()
+      ? Object.values(submissionsSnap.val()).sort(
+          (a, b) => a.submittedAt - b.submittedAt
+        )
+      : [],
+    result: {
+      winnerId: challengeData.winnerId,
+      challengerScore: challengeData.challengerScore ?? null,
+      challengedScore: challengeData.challengedScore ?? null,
+      rounds: challengeData.rounds || null,
+      participants: challengeData.participants || null,
+      payouts: challengeData.payouts,
+      acceptedAt: challengeData.acceptedAt || null,
+      completedAt: challengeData.completedAt,
+    },
+  };
+};
+
+/**
+ * Append an entry to a challenge's dispute audit log
+ */
+const logDisputeAudit = async (challengeId, entry) => {
+  await admin
+    .database()
+    .ref(`auditLogs/disputes/${challengeId}`)
+    .push({
+      ...entry,
+      challengeId,
+      timestamp: Date.now(),
+    });
+};
+
+module.exports = {
+  recordScoreSubmission,
+  collectDisputeEvidence,
+  logDisputeAudit,
+};
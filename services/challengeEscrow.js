@@ -0,0 +1,325 @@
+/**
+ * Challenge Escrow Service
+ * Moves challenge stakes into escrow and settles payouts on completion
+ */
+
+const admin = require("firebase-admin");
+const {
+  ACCOUNTS,
+  userAccount,
+  escrowAccount,
+  postEntry,
+} = require("./walletLedger");
+const { recordWagering } = require("./bonusFunds");
+const { recordChallengeResult } = require("./achievements");
+
+// Percentage of the pot kept by the house when a challenge completes
+const HOUSE_FEE_PERCENT = parseFloat(
+  process.env.CHALLENGE_HOUSE_FEE_PERCENT || "10"
+);
+
+// Percentage of the stake kept when a challenge is cancelled, rejected or expires
+const CANCELLATION_FEE_PERCENT = 4;
+
+// How long completed challenge payouts stay in escrow so results can be disputed
+const PAYOUT_HOLD_MS =
+  parseFloat(process.env.CHALLENGE_DISPUTE_WINDOW_MINUTES || "60") * 60 * 1000;
+
+/**
+ * Apply a single wallet leg as a journal entry
+ * A leg moves money between a player's balance and escrow; anything left
+ * unbalanced goes to leg.counterAccount. Each leg has a deterministic id so
+ * retries never apply it twice.
+ */
+const applyWalletLeg = async (userId, leg) => {
+  const legs = [
+    { account: userAccount(userId), amount: leg.amount || 0 },
+    { account: escrowAccount(userId), amount: leg.escrowAmount || 0 },
+  ].filter((l) => l.amount !== 0);
+
+  const imbalance = legs.reduce((sum, l) => sum + l.amount, 0);
+  if (imbalance !== 0) {
+    if (!leg.counterAccount) {
+      throw new Error(`Wallet leg ${leg.id} needs a counter account`);
+    }
+    legs.push({ account: leg.counterAccount, amount: -imbalance });
+  }
+
+  const result = await postEntry({
+    id: leg.id,
+    type: leg.type,
+    description: leg.description,
+    legs,
+    metadata: leg.metadata || {},
+  });
+
+  return {
+    success: result.success,
+    alreadyApplied: result.alreadyApplied,
+    error: result.error,
+    transaction: result.wallets?.[userId]?.transaction,
+  };
+};
+
+/**
+ * Move a player's stake from their balance into escrow
+ */
+const escrowStake = async (userId, challengeId, betAmount) => {
+  const result = await applyWalletLeg(userId, {
+    id: `${challengeId}_stake_${userId}`,
+    amount: -betAmount,
+    escrowAmount: betAmount,
+    type: "challenge_stake",
+    description: "Challenge stake moved to escrow",
+    metadata: { challengeId, betAmount },
+  });
+
+  // The stake entry only ever applies once, so a stake refunded after a
+  // failed match can't be counted again for the same challenge
+  if (result.alreadyApplied) {
+    const refundSnap = await admin
+      .database()
+      .ref(`ledger/journal/${challengeId}_refund_${userId}/status`)
+      .once("value");
+    if (refundSnap.val() === "posted") {
+      return {
+        success: false,
+        alreadyRefunded: true,
+        error: "Stake for this challenge was already refunded",
+      };
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Release a player's stake from escrow back to their balance
+ * Pass feePercent to retain a cancellation/expiration fee
+ */
+const refundStake = async (
+  userId,
+  challengeId,
+  stakeAmount,
+  { type = "challenge_refund", feePercent = 0 } = {}
+) => {
+  const fee = Math.round(stakeAmount * (feePercent / 100));
+  const refundAmount = stakeAmount - fee;
+
+  // Any fee kept goes to the house account in the same entry
+  const result = await applyWalletLeg(userId, {
+    id: `${challengeId}_refund_${userId}`,
+    amount: refundAmount,
+    escrowAmount: -stakeAmount,
+    counterAccount: ACCOUNTS.HOUSE_FEES,
+    type,
+    description: "Challenge stake refunded from escrow",
+    metadata: { challengeId, stakeAmount, refundAmount, fee },
+  });
+
+  return { ...result, refundAmount, fee };
+};
+
+/**
+ * Refund every stake currently held for a challenge
+ */
+const refundAllStakes = async (challengeId, challengeData, options = {}) => {
+  const results = {};
+  for (const [userId, stakeAmount] of Object.entries(
+    challengeData.stakes || {}
+  )) {
+    results[userId] = await refundStake(
+      userId,
+      challengeId,
+      stakeAmount,
+      options
+    );
+  }
+  return results;
+};
+
+/**
+ * House fee rate a player pays: the one locked in when they staked (premium
+ * members pay less), or the standard rate
+ */
+const getFeePercent = (challengeData, userId) =>
+  challengeData.feePercents?.[userId] ?? HOUSE_FEE_PERCENT;
+
+/**
+ * Work out the pot, house fee and per-player payouts for a completed challenge
+ * The winner's fee rate applies to the pot. A tie splits it evenly, each
+ * share net of that player's rate; any odd shilling stays with the house
+ */
+const calculateSettlement = (challengeData) => {
+  const stakes = challengeData.stakes || {};
+  const totalPrize = Object.values(stakes).reduce(
+    (sum, stake) => sum + stake,
+    0
+  );
+  const netPrizeAt = (feePercent) =>
+    totalPrize - Math.round(totalPrize * (feePercent / 100));
+
+  const payouts = {};
+  const playerIds = Object.keys(stakes);
+  let netPrize;
+
+  if (challengeData.winnerId === "tie") {
+    const players = Math.max(playerIds.length, 1);
+    playerIds.forEach((userId) => {
+      payouts[userId] = Math.floor(
+        netPrizeAt(getFeePercent(challengeData, userId)) / players
+      );
+    });
+    const averagePercent =
+      playerIds.reduce(
+        (sum, userId) => sum + getFeePercent(challengeData, userId),
+        0
+      ) / players;
+    netPrize = netPrizeAt(
+      playerIds.length ? averagePercent : HOUSE_FEE_PERCENT
+    );
+  } else {
+    netPrize = netPrizeAt(getFeePercent(challengeData, challengeData.winnerId));
+    playerIds.forEach((userId) => {
+      payouts[userId] = userId === challengeData.winnerId ? netPrize : 0;
+    });
+  }
+
+  const paidOut = Object.values(payouts).reduce((sum, p) => sum + p, 0);
+
+  return {
+    totalPrize,
+    serviceCharge: totalPrize - paidOut,
+    netPrize,
+    payouts,
+  };
+};
+
+/**
+ * Whether a completed challenge's payout can leave escrow
+ * Disputed challenges stay frozen until an admin decides
+ */
+const isPayoutReleasable = (challengeData, now = Date.now()) => {
+  return (
+    challengeData.status === "completed" &&
+    !!challengeData.payouts &&
+    !challengeData.settledAt &&
+    now >= (challengeData.payoutReleaseAt || 0)
+  );
+};
+
+/**
+ * Outcome of a settled challenge for one player
+ * Group challenges count any payout as a win
+ */
+const getSettlementOutcome = (challengeData, userId, payout) => {
+  if (challengeData.type === "group") {
+    return payout > 0 ? "won" : "lost";
+  }
+  if (challengeData.winnerId === "tie") {
+    return "tie";
+  }
+  return userId === challengeData.winnerId ? "won" : "lost";
+};
+
+/**
+ * Release escrow for every player and pay out the settlement
+ * Safe to call again for a partially settled challenge
+ */
+const settleChallenge = async (challengeId, challengeData, settlement) => {
+  const stakes = challengeData.stakes || {};
+  const legs = [];
+  const walletRecords = {};
+
+  for (const [userId, stakeAmount] of Object.entries(stakes)) {
+    const payout = settlement.payouts[userId] || 0;
+    const outcome = getSettlementOutcome(challengeData, userId, payout);
+
+    legs.push({ account: escrowAccount(userId), amount: -stakeAmount });
+    if (payout > 0) {
+      legs.push({ account: userAccount(userId), amount: payout });
+    }
+    walletRecords[userId] = {
+      type:
+        outcome === "won"
+          ? "challenge_winnings"
+          : outcome === "tie"
+          ? "challenge_tie_refund"
+          : "challenge_loss",
+      description: `Challenge settled (${outcome})`,
+      metadata: { challengeId, stakeAmount, payout, outcome },
+    };
+  }
+
+  if (settlement.serviceCharge > 0) {
+    legs.push({
+      account: ACCOUNTS.HOUSE_FEES,
+      amount: settlement.serviceCharge,
+    });
+  }
+
+  // One entry moves every stake out of escrow, so the pot always balances
+  const result = await postEntry({
+    id: `${challengeId}_settle`,
+    type: "challenge_settlement",
+    description: "Challenge settled",
+    legs,
+    metadata: {
+      challengeId,
+      totalPrize: settlement.totalPrize,
+      serviceCharge: settlement.serviceCharge,
+    },
+    walletRecords,
+  });
+
+  if (!result.success) {
+    throw new Error(
+      `Failed to settle challenge ${challengeId}: ${result.error}`
+    );
+  }
+
+  // Settled stakes count towards unlocking promotional bonus funds
+  for (const [userId, stakeAmount] of Object.entries(stakes)) {
+    try {
+      await recordWagering(userId, challengeId, stakeAmount);
+    } catch (error) {
+      console.error(
+        `⚠️ Failed to record wagering for ${userId} on ${challengeId}:`,
+        error.message
+      );
+    }
+  }
+
+  // Results count towards achievements
+  for (const userId of Object.keys(stakes)) {
+    const outcome = getSettlementOutcome(
+      challengeData,
+      userId,
+      settlement.payouts[userId] || 0
+    );
+    try {
+      await recordChallengeResult(userId, challengeId, outcome);
+    } catch (error) {
+      console.error(
+        `⚠️ Failed to record achievement progress for ${userId} on ${challengeId}:`,
+        error.message
+      );
+    }
+  }
+
+  return result.wallets || {};
+};
+
+module.exports = {
+  HOUSE_FEE_PERCENT,
+  CANCELLATION_FEE_PERCENT,
+  PAYOUT_HOLD_MS,
+  applyWalletLeg,
+  escrowStake,
+  refundStake,
+  refundAllStakes,
+  getFeePercent,
+  calculateSettlement,
+  isPayoutReleasable,
+  settleChallenge,
+};
@@ -0,0 +1,219 @@
+/**
+ * Challenge Format Service
+ * Multi-round challenge formats: best-of-N, aggregate and average score
+ */
+
+const CHALLENGE_FORMATS = {
+  single: { minRounds: 1, maxRounds: 1 },
+  best_of: { allowedRounds: [3, 5] },
+  aggregate: { minRounds: 2, maxRounds: 5 },
+  average: { minRounds: 2, maxRounds: 5 },
+};
+
+/**
+ * Validate a requested format and round count
+ */
+const parseChallengeFormat = (format = "single", rounds) => {
+  const rules = CHALLENGE_FORMATS[format];
+  if (!rules) {
+    return {
+      error: `Invalid format. Must be one of: ${Object.keys(
+        CHALLENGE_FORMATS
+      ).join(", ")}`,
+    };
+  }
+
+  if (format === "single") {
+    return { format, roundCount: 1 };
+  }
+
+  const roundCount = parseInt(rounds);
+  if (rules.allowedRounds && !rules.allowedRounds.includes(roundCount)) {
+    return {
+      error: `Best-of challenges must have ${rules.allowedRounds.join(
+        " or "
+      )} rounds`,
+    };
+  }
+  if (
+    rules.minRounds &&
+    (isNaN(roundCount) ||
+      roundCount < rules.minRounds ||
+      roundCount > rules.maxRounds)
+  ) {
+    return {
+      error: `${format} challenges must have between ${rules.minRounds} and ${rules.maxRounds} rounds`,
+    };
+  }
+
+  return { format, roundCount };
+};
+
+/**
+ * Build the empty round list stored inside the encrypted challenge
+ */
+const createRounds = (roundCount) => {
+  return Array.from({ length: roundCount }, (_, index) => ({
+    round: index + 1,
+    challengerScore: null,
+    challengedScore: null,
+    winnerId: null,
+  }));
+};
+
+const isMultiRound = (challengeData) => {
+  return Array.isArray(challengeData.rounds) && challengeData.rounds.length > 0;
+};
+
+const getScoreField = (challengeData, userId) => {
+  return challengeData.challengerId === userId
+    ? "challengerScore"
+    : "challengedScore";
+};
+
+/**
+ * Next round the player has not yet submitted a score for (null when done)
+ */
+const getNextRound = (challengeData, userId) => {
+  const field = getScoreField(challengeData, userId);
+  const round = challengeData.rounds.find((r) => r[field] === null);
+  return round ? round.round : null;
+};
+
+/**
+ * Record a player's score for a round and decide the round once both are in
+ */
+const recordRoundScore = (challengeData, userId, roundNumber, score) => {
+  const round = challengeData.rounds.find((r) => r.round === roundNumber);
+  if (!round) {
+    return { error: `Round ${roundNumber} does not exist` };
+  }
+
+  const field = getScoreField(challengeData, userId);
+  if (round[field] !== null) {
+    return { error: `Score already submitted for round ${roundNumber}` };
+  }
+
+  round[field] = score;
+
+  if (round.challengerScore !== null && round.challengedScore !== null) {
+    round.winnerId =
+      round.challengerScore > round.challengedScore
+        ? challengeData.challengerId
+        : round.challengedScore > round.challengerScore
+        ? challengeData.challengedId
+        : "tie";
+    round.completedAt = Date.now();
+  }
+
+  return { round };
+};
+
+/**
+ * Count round wins and totals for both players
+ */
+const tallyRounds = (challengeData) => {
+  const tally = {
+    challengerWins: 0,
+    challengedWins: 0,
+    challengerTotal: 0,
+    challengedTotal: 0,
+    roundsPlayed: 0,
+  };
+
+  for (const round of challengeData.rounds) {
+    if (!round.winnerId) continue;
+    tally.roundsPlayed++;
+    tally.challengerTotal += round.challengerScore;
+    tally.challengedTotal += round.challengedScore;
+    if (round.winnerId === challengeData.challengerId) tally.challengerWins++;
+    if (round.winnerId === challengeData.challengedId) tally.challengedWins++;
+  }
+
+  return tally;
+};
+
+/**
+ * Decide whether a multi-round challenge is finished and who won
+ * Best-of ends as soon as a player has a majority of rounds
+ */
+const resolveRounds = (challengeData) => {
+  const { challengerId, challengedId, format } = challengeData;
+  const roundCount = challengeData.rounds.length;
+  const tally = tallyRounds(challengeData);
+  const allPlayed = tally.roundsPlayed === roundCount;
+
+  const pickWinner = (challengerValue, challengedValue) =>
+    challengerValue > challengedValue
+      ? challengerId
+      : challengedValue > challengerValue
+      ? challengedId
+      : "tie";
+
+  if (format === "best_of") {
+    const needed = Math.ceil(roundCount / 2);
+    const decided =
+      tally.challengerWins >= needed || tally.challengedWins >= needed;
+    return {
+      complete: decided || allPlayed,
+      winnerId: pickWinner(tally.challengerWins, tally.challengedWins),
+      challengerScore: tally.challengerWins,
+      challengedScore: tally.challengedWins,
+    };
+  }
+
+  const useAverage = format === "average";
+  const challengerScore = useAverage
+    ? Math.round((tally.challengerTotal / roundCount) * 100) / 100
+    : tally.challengerTotal;
+  const challengedScore = useAverage
+    ? Math.round((tally.challengedTotal / roundCount) * 100) / 100
+    : tally.challengedTotal;
+
+  return {
+    complete: allPlayed,
+    winnerId: pickWinner(challengerScore, challengedScore),
+    challengerScore,
+    challengedScore,
+  };
+};
+
+/**
+ * Round progress for history and detail responses
+ */
+const summarizeRounds = (challengeData) => {
+  if (!isMultiRound(challengeData)) {
+    return { format: challengeData.format || "single", roundCount: 1 };
+  }
+
+  const tally = tallyRounds(challengeData);
+  return {
+    format: challengeData.format,
+    roundCount: challengeData.rounds.length,
+    roundsPlayed: tally.roundsPlayed,
+    roundsWon: {
+      [challengeData.challengerId]: tally.challengerWins,
+      [challengeData.challengedId]: tally.challengedWins,
+    },
+    rounds: challengeData.rounds.map((round) => ({
+      round: round.round,
+      challengerSubmitted: round.challengerScore !== null,
+      challengedSubmitted: round.challengedScore !== null,
+      // Hide a lone score until the opponent has played the round
+      challengerScore: round.winnerId ? round.challengerScore : null,
+      challengedScore: round.winnerId ? round.challengedScore : null,
+      winnerId: round.winnerId,
+    })),
+  };
+};
+
+module.exports = {
+  CHALLENGE_FORMATS,
+  parseChallengeFormat,
+  createRounds,
+  isMultiRound,
+  getNextRound,
+  recordRoundScore,
+  resolveRounds,
+  summarizeRounds,
+};
@@ -0,0 +1,127 @@
+/**
+ * Group Payout Service
+ * Ranks pooled challenge players and splits the pot by a payout table
+ */
+
+const { HOUSE_FEE_PERCENT, getFeePercent } = require("./challengeEscrow");
+
+// Percent of the net pot paid to 1st, 2nd, 3rd...
+const DEFAULT_PAYOUT_TABLE = [60, 30, 10];
+
+/**
+ * Validate a payout table: descending percentages summing to 100,
+ * with no more paid places than players
+ */
+const parsePayoutTable = (table, maxPlayers) => {
+  const payoutTable = table || DEFAULT_PAYOUT_TABLE;
+
+  if (
+    !Array.isArray(payoutTable) ||
+    payoutTable.length === 0 ||
+    payoutTable.some((pct) => typeof pct !== "number" || pct <= 0)
+  ) {
+    return { error: "Payout table must be a list of positive percentages" };
+  }
+
+  const total = payoutTable.reduce((sum, pct) => sum + pct, 0);
+  if (Math.abs(total - 100) > 0.001) {
+    return { error: "Payout table percentages must add up to 100" };
+  }
+
+  for (let i = 1; i < payoutTable.length; i++) {
+    if (payoutTable[i] > payoutTable[i - 1]) {
+      return { error: "Payout table must be in descending order" };
+    }
+  }
+
+  if (payoutTable.length > maxPlayers) {
+    return {
+      error: `A ${maxPlayers}-player challenge can pay at most ${maxPlayers} places`,
+    };
+  }
+
+  return { payoutTable };
+};
+
+/**
+ * Rank players who submitted a score, highest first
+ * Tied players share a position
+ */
+const rankParticipants = (challengeData) => {
+  const scored = Object.entries(challengeData.participants || {})
+    .filter(([, p]) => p.status === "accepted" && p.score !== null)
+    .map(([userId, p]) => ({ userId, score: p.score }))
+    .sort((a, b) => b.score - a.score);
+
+  let position = 0;
+  return scored.map((entry, index) => {
+    if (index === 0 || entry.score < scored[index - 1].score) {
+      position = index + 1;
+    }
+    return { ...entry, position };
+  });
+};
+
+/**
+ * Work out the pot, house fee and per-player payouts for a group challenge
+ * If fewer players took part than the table has places, the table is
+ * trimmed to the players who played and rescaled to 100%
+ * Each share comes out of the pot net of that player's fee rate
+ */
+const calculatePoolSettlement = (challengeData) => {
+  const stakes = challengeData.stakes || {};
+  const totalPrize = Object.values(stakes).reduce(
+    (sum, stake) => sum + stake,
+    0
+  );
+  const netPrizeFor = (userId) =>
+    totalPrize -
+    Math.round(totalPrize * (getFeePercent(challengeData, userId) / 100));
+
+  const standings = rankParticipants(challengeData);
+  const table = challengeData.payoutTable.slice(0, standings.length);
+  const tableTotal = table.reduce((sum, pct) => sum + pct, 0);
+
+  const payouts = {};
+  Object.keys(stakes).forEach((userId) => {
+    payouts[userId] = 0;
+  });
+
+  // Players tied on a position share the percentages of the places they span
+  const byPosition = {};
+  standings.forEach((entry) => {
+    byPosition[entry.position] = byPosition[entry.position] || [];
+    byPosition[entry.position].push(entry.userId);
+  });
+
+  Object.entries(byPosition).forEach(([position, userIds]) => {
+    const start = parseInt(position) - 1;
+    const sharedPercent = table
+      .slice(start, start + userIds.length)
+      .reduce((sum, pct) => sum + pct, 0);
+    userIds.forEach((userId) => {
+      payouts[userId] = Math.floor(
+        (netPrizeFor(userId) * (sharedPercent / tableTotal)) / userIds.length
+      );
+    });
+  });
+
+  const paidOut = Object.values(payouts).reduce((sum, p) => sum + p, 0);
+
+  return {
+    totalPrize,
+    // Rounding remainders stay with the house
+    serviceCharge: totalPrize - paidOut,
+    // The pot at the standard fee rate
+    netPrize: totalPrize - Math.round(totalPrize * (HOUSE_FEE_PERCENT / 100)),
+    payouts,
+    standings,
+  };
+};
+
+module.exports = {
+  DEFAULT_PAYOUT_TABLE,
+  parsePayoutTable,
+  rankParticipants,
+  calculatePoolSettlement,
+};
@@ -0,0 +1,153 @@
+/**
+ * Head-to-Head Service
+ * Builds the running record between two players from their shared challenges
+ */
+
+const { database } = require("../config/firebase");
+const { ref, get } = require("firebase/database");
+const { decryptDataCached } = require("../utils/decryptionCache");
+const { getUserChallengeIds } = require("../utils/challengeIndexer");
+
+const ENCRYPTION_KEY = process.env.CHALLENGE_ENCRYPTION_KEY || "";
+
+/**
+ * What a completed challenge was worth to one player, after stakes
+ * Challenges settled before payouts were recorded fall back to netPrize
+ */
+const getNetWinnings = (challengeData, userId) => {
+  const stake = challengeData.stakes?.[userId] ?? challengeData.betAmount;
+
+  if (challengeData.payouts) {
+    return (challengeData.payouts[userId] || 0) - stake;
+  }
+  if (challengeData.winnerId === "tie") {
+    return Math.floor((challengeData.netPrize || 0) / 2) - stake;
+  }
+  return challengeData.winnerId === userId
+    ? (challengeData.netPrize || 0) - stake
+    : -stake;
+};
+
+/**
+ * Summarize completed challenges between userId and opponentId
+ * Figures are from userId's side; challenges are sorted oldest first
+ */
+const summarizeHeadToHead = (userId, opponentId, challenges) => {
+  const summary = {
+    opponentId,
+    played: 0,
+    wins: 0,
+    losses: 0,
+    ties: 0,
+    netWinnings: 0,
+    currentStreak: null,
+    longestWinStreak: 0,
+    longestLossStreak: 0,
+    lastPlayedAt: null,
+    lastChallengeId: null,
+  };
+
+  let streakWinner = null;
+  let streakCount = 0;
+
+  challenges.forEach((challengeData) => {
+    summary.played++;
+    summary.netWinnings += getNetWinnings(challengeData, userId);
+    summary.lastPlayedAt = challengeData.completedAt;
+    summary.lastChallengeId = challengeData.challengeId;
+
+    if (challengeData.winnerId === "tie") {
+      summary.ties++;
+      streakWinner = null;
+      streakCount = 0;
+      return;
+    }
+
+    if (challengeData.winnerId === userId) {
+      summary.wins++;
+    } else {
+      summary.losses++;
+    }
+
+    streakCount = streakWinner === challengeData.winnerId ? streakCount + 1 : 1;
+    streakWinner = challengeData.winnerId;
+
+    if (streakWinner === userId) {
+      summary.longestWinStreak = Math.max(
+        summary.longestWinStreak,
+        streakCount
+      );
+    } else {
+      summary.longestLossStreak = Math.max(
+        summary.longestLossStreak,
+        streakCount
+      );
+    }
+  });
+
+  if (streakWinner) {
+    summary.currentStreak = {
+      holderId: streakWinner,
+      count: streakCount,
+    };
+  }
+
+  return summary;
+};
+
+/**
+ * Load the completed two-player challenges between two users
+ * Only challenges in both users' indexes are decrypted
+ */
+const getSharedChallenges = async (userId, opponentId) => {
+  const [userChallengeIds, opponentChallengeIds] = await Promise.all([
+    getUserChallengeIds(userId, "completed"),
+    getUserChallengeIds(opponentId, "completed"),
+  ]);
+
+  const opponentIds = new Set(opponentChallengeIds);
+  const sharedIds = userChallengeIds.filter((id) => opponentIds.has(id));
+
+  const challenges = [];
+  for (const challengeId of sharedIds) {
+    try {
+      const challengeSnap = await get(
+        ref(database, `secureChallenges/${challengeId}`)
+      );
+      if (!challengeSnap.exists()) continue;
+
+      const challengeData = decryptDataCached(
+        challengeSnap.val(),
+        ENCRYPTION_KEY,
+        challengeId
+      );
+
+      // Group pools have no single opponent to score against
+      if (challengeData.type === "group") continue;
+      if (challengeData.status !== "completed") continue;
+
+      challenges.push(challengeData);
+    } catch (decryptError) {
+      console.warn(
+        `Failed to decrypt challenge ${challengeId}:`,
+        decryptError.message
+      );
+    }
+  }
+
+  return challenges.sort((a, b) => a.completedAt - b.completedAt);
+};
+
+/**
+ * Head-to-head record between two users, from userId's side
+ */
+const getHeadToHead = async (userId, opponentId) => {
+  const challenges = await getSharedChallenges(userId, opponentId);
+  return summarizeHeadToHead(userId, opponentId, challenges);
+};
+
+module.exports = {
+  getNetWinnings,
+  summarizeHeadToHead,
+  getHeadToHead,
+};
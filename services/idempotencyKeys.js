@@ -0,0 +1,164 @@
+/**
+ * Idempotency Key Store
+ * The first response to each (user, Idempotency-Key) pair, kept for a window
+ *
+ * Records live at idempotencyKeys/{id}, where id hashes the user and key:
+ *   { userId, method, path, requestHash, status: processing|completed,
+ *     statusCode, body, createdAt, expiresAt }
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+
+const IDEMPOTENCY_KEY_TTL_MS =
+  (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// A request that never finished (crashed instance) frees its key after this
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+/**
+ * JSON with object keys sorted, so equal bodies hash the same
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+const getRecordId = (userId, key) =>
+  sha256(`${userId}:${key}`).substring(0, 40);
+
+const getRequestHash = ({ method, path, body }) =>
+  sha256(stableStringify({ method, path, body: body || {} }));
+
+const recordRef = (recordId) =>
+  admin.database().ref(`idempotencyKeys/${recordId}`);
+
+/**
+ * Claim a key for a request
+ * Returns { claimed: true, recordId } for a new request, otherwise
+ * { replay: record } or { conflict: reason } for a repeated key
+ */
+const claimKey = async (userId, key, request) => {
+  const recordId = getRecordId(userId, key);
+  const requestHash = getRequestHash(request);
+  const now = Date.now();
+  let existing = null;
+
+  const result = await recordRef(recordId).transaction((current) => {
+    existing = null;
+    const stale =
+      current &&
+      (current.expiresAt <= now ||
+        (current.status === "processing" &&
+          now - current.createdAt > PROCESSING_TIMEOUT_MS));
+    if (current && !stale) {
+      existing = current;
+      return; // Abort
+    }
+    return {
+      userId,
+      method: request.method,
+      path: request.path,
+      requestHash,
+      status: "processing",
+      createdAt: now,
+      expiresAt: now + IDEMPOTENCY_KEY_TTL_MS,
+    };
+  });
+
+  if (result.committed) return { claimed: true, recordId };
+
+  existing = existing || result.snapshot.val();
+  if (existing.requestHash !== requestHash) {
+    return {
+      conflict:
+        "This Idempotency-Key was already used with a different request",
+    };
+  }
+  if (existing.status === "processing") {
+    return {
+      conflict: "A request with this Idempotency-Key is still being processed",
+    };
+  }
+  return { replay: existing };
+};
+
+/**
+ * Store the response the key should replay
+ */
+const completeKey = async (recordId, statusCode, body) => {
+  await recordRef(recordId).update({
+    status: "completed",
+    statusCode,
+    // RTDB drops undefined; keep the shape of an empty body
+    body: body === undefined ? null : JSON.parse(JSON.stringify(body)),
+    completedAt: Date.now(),
+  });
+};
+
+/**
+ * Free a key whose request should be retried for real
+ */
+const releaseKey = async (recordId) => {
+  await recordRef(recordId).remove();
+};
+
+/**
+ * Delete records past their window, a batch at a time
+ */
+const purgeExpiredKeys = async (batchSize = 500) => {
+  let purged = 0;
+  while (true) {
+    const expiredSnap = await admin
+      .database()
+      .ref("idempotencyKeys")
+      .orderByChild("expiresAt")
+      .endAt(Date.now())
+      .limitToFirst(batchSize)
+      .once("value");
+    const ids = Object.keys(expiredSnap.val() || {});
+    if (ids.length === 0) break;
+
+    const updates = {};
+    ids.forEach((id) => {
+      updates[`idempotencyKeys/${id}`] = null;
+    });
+    await admin.database().ref().update(updates);
+    purged += ids.length;
+    if (ids.length < batchSize) break;
+  }
+
+  if (purged > 0) console.log(`🧹 Purged ${purged} expired idempotency keys`);
+  return purged;
+};
+
+const startIdempotencyKeyPurge = () => {
+  const PURGE_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+  console.log("🕐 Starting idempotency key purge (every 1 hour)");
+  setInterval(() => {
+    purgeExpiredKeys().catch((error) =>
+      console.error("❌ Idempotency key purge failed:", error)
+    );
+  }, PURGE_INTERVAL);
+};
+
+module.exports = {
+  IDEMPOTENCY_KEY_TTL_MS,
+  claimKey,
+  completeKey,
+  releaseKey,
+  purgeExpiredKeys,
+  startIdempotencyKeyPurge,
+};
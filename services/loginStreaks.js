@@ -0,0 +1,332 @@
+/**
+ * Login Streaks Service
+ * Daily check-ins counted in the player's own time zone
+ *
+ * users/{uid}/loginStreak:
+ *   { current, longest, startedOn, lastCheckInDay, lastCheckInAt, timeZone,
+ *     pendingTimeZone, freezes: { month, used }, warnedForDay, updatedAt }
+ *
+ * A check-in on the day after the last one extends the streak. Missed days
+ * are covered by streak freezes (a monthly allowance, used automatically)
+ * while any are left; otherwise the streak starts again at 1. Each check-in
+ * pays DAILY_LOGIN and milestone days pay the STREAK_{n}_DAYS points rules.
+ */
+
+const admin = require("firebase-admin");
+const { processPointsForAction } = require("../controllers/points");
+const {
+  createSystemNotification,
+} = require("../controllers/notificationController");
+
+const DEFAULT_TIME_ZONE = "Africa/Nairobi";
+const FREEZES_PER_MONTH =
+  parseInt(process.env.LOGIN_STREAK_FREEZES_PER_MONTH) || 2;
+const STREAK_MILESTONES = [3, 7, 14, 30, 60, 100];
+// Streaks past the last milestone pay it again every this many days
+const REPEAT_MILESTONE_DAYS = 100;
+// Local hour from which a player who hasn't checked in is warned
+const REMINDER_HOUR = 20;
+// Only streaks at least this long are worth a warning
+const REMINDER_MIN_STREAK = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const streakRef = (userId) =>
+  admin.database().ref(`users/${userId}/loginStreak`);
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Calendar day (YYYY-MM-DD) and hour of a moment in a time zone
+ */
+const getLocalTime = (timestamp, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(new Date(timestamp))
+      .map(({ type, value }) => [type, value])
+  );
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour),
+  };
+};
+
+const daysBetween = (fromDay, toDay) =>
+  Math.round((Date.parse(toDay) - Date.parse(fromDay)) / DAY_MS);
+
+const freezesLeft = (streak, month) =>
+  streak?.freezes?.month === month
+    ? Math.max(0, FREEZES_PER_MONTH - (streak.freezes.used || 0))
+    : FREEZES_PER_MONTH;
+
+/**
+ * Milestone action a streak length pays, or null
+ */
+const getMilestoneAction = (days) => {
+  const last = STREAK_MILESTONES[STREAK_MILESTONES.length - 1];
+  if (
+    STREAK_MILESTONES.includes(days) ||
+    (days > last && days % REPEAT_MILESTONE_DAYS === 0)
+  ) {
+    return `STREAK_${Math.min(days, last)}_DAYS`;
+  }
+  return null;
+};
+
+const getNextMilestone = (days) => {
+  const next = STREAK_MILESTONES.find((milestone) => milestone > days);
+  return (
+    next ||
+    (Math.floor(days / REPEAT_MILESTONE_DAYS) + 1) * REPEAT_MILESTONE_DAYS
+  );
+};
+
+/**
+ * Streak as the player should see it right now:
+ * { current, longest, checkedInToday, atRisk, freezesLeft, nextMilestone,
+ *   lastCheckInDay, timeZone }
+ * A streak whose missed days the freezes left can't cover shows as 0.
+ */
+const describeStreak = (streak, now = Date.now()) => {
+  const timeZone = streak?.timeZone || DEFAULT_TIME_ZONE;
+  const { day: today } = getLocalTime(now, timeZone);
+  const month = today.slice(0, 7);
+  const freezes = freezesLeft(streak, month);
+
+  let current = streak?.current || 0;
+  const gap = streak?.lastCheckInDay
+    ? daysBetween(streak.lastCheckInDay, today)
+    : null;
+  if (gap !== null && gap > 1 && gap - 1 > freezes) {
+    current = 0;
+  }
+
+  return {
+    current,
+    longest: streak?.longest || 0,
+    checkedInToday: gap === 0,
+    atRisk: current > 0 && gap !== 0,
+    freezesLeft: freezes,
+    freezesPerMonth: FREEZES_PER_MONTH,
+    nextMilestone: getNextMilestone(current),
+    lastCheckInDay: streak?.lastCheckInDay || null,
+    timeZone,
+  };
+};
+
+/**
+ * Record today's check-in
+ * A new time zone waits (pendingTimeZone) until its date matches the old
+ * one's, so switching zones can never skip ahead a day
+ * Returns { alreadyCheckedIn, streak, pointsAwarded, milestone, freezesUsed }
+ */
+const checkIn = async (userId, { timeZone } = {}) => {
+  const now = Date.now();
+  let outcome = null;
+
+  const result = await streakRef(userId).transaction((current) => {
+    outcome = null;
+    const previousZone = current?.timeZone || timeZone || DEFAULT_TIME_ZONE;
+    const requestedZone = timeZone || current?.pendingTimeZone || previousZone;
+    const zone =
+      getLocalTime(now, requestedZone).day ===
+      getLocalTime(now, previousZone).day
+        ? requestedZone
+        : previousZone;
+    const pendingTimeZone = requestedZone !== zone ? requestedZone : null;
+    const { day: today } = getLocalTime(now, zone);
+    const month = today.slice(0, 7);
+
+    if (current?.lastCheckInDay === today) {
+      if (
+        zone === current.timeZone &&
+        pendingTimeZone === (current.pendingTimeZone || null)
+      ) {
+        return; // Abort - already checked in
+      }
+      return { ...current, timeZone: zone, pendingTimeZone, updatedAt: now };
+    }
+
+    let streak = 1;
+    let startedOn = today;
+    let freezesUsed = 0;
+    const gap = current?.lastCheckInDay
+      ? daysBetween(current.lastCheckInDay, today)
+      : null;
+
+    if (gap === 1) {
+      streak = current.current + 1;
+      startedOn = current.startedOn;
+    } else if (gap > 1 && gap - 1 <= freezesLeft(current, month)) {
+      // Freezes bridge the missed days; they don't add to the streak
+      freezesUsed = gap - 1;
+      streak = current.current + 1;
+      startedOn = current.startedOn;
+    }
+
+    const usedThisMonth =
+      current?.freezes?.month === month ? current.freezes.used || 0 : 0;
+    outcome = { today, streak, startedOn, freezesUsed };
+    return {
+      current: streak,
+      longest: Math.max(current?.longest || 0, streak),
+      startedOn,
+      lastCheckInDay: today,
+      lastCheckInAt: now,
+      timeZone: zone,
+      pendingTimeZone,
+      freezes: { month, used: usedThisMonth + freezesUsed },
+      warnedForDay: current?.warnedForDay || null,
+      updatedAt: now,
+    };
+  });
+
+  const streak = result.snapshot.val();
+  if (!outcome) {
+    return {
+      alreadyCheckedIn: true,
+      streak: describeStreak(streak, now),
+      pointsAwarded: 0,
+      milestone: null,
+      freezesUsed: 0,
+    };
+  }
+
+  const { today, startedOn, freezesUsed } = outcome;
+  let pointsAwarded = 0;
+  const daily = await processPointsForAction(
+    userId,
+    "DAILY_LOGIN",
+    { streak: outcome.streak, day: today },
+    { targetId: today }
+  );
+  pointsAwarded += daily.pointsAdded || 0;
+
+  // A milestone pays once per streak
+  let milestone = null;
+  const milestoneAction = getMilestoneAction(outcome.streak);
+  if (milestoneAction) {
+    const bonus = await processPointsForAction(
+      userId,
+      milestoneAction,
+      { streak: outcome.streak, day: today },
+      { targetId: `${startedOn}_${outcome.streak}` }
+    );
+    if (bonus.pointsAdded) {
+      pointsAwarded += bonus.pointsAdded;
+      milestone = { days: outcome.streak, points: bonus.pointsAdded };
+      await createSystemNotification(userId, {
+        title: `${outcome.streak}-day streak!`,
+        message: `You've checked in ${outcome.streak} days in a row and earned ${bonus.pointsAdded} bonus points.`,
+        action: { type: "open_profile" },
+      });
+    }
+  }
+
+  if (freezesUsed > 0) {
+    await createSystemNotification(userId, {
+      title: "Streak saved",
+      message: `${
+        freezesUsed === 1 ? "A streak freeze" : `${freezesUsed} streak freezes`
+      } covered the days you missed, so your ${
+        outcome.streak
+      }-day streak lives on.`,
+      action: { type: "open_profile" },
+    });
+  }
+
+  console.log(
+    `🔥 ${userId} checked in: ${outcome.streak}-day streak${
+      freezesUsed ? ` (${freezesUsed} freeze${freezesUsed > 1 ? "s" : ""})` : ""
+    }`
+  );
+  return {
+    alreadyCheckedIn: false,
+    streak: describeStreak(streak, now),
+    pointsAwarded,
+    milestone,
+    freezesUsed,
+  };
+};
+
+/**
+ * Warn players whose streak ends at their local midnight unless they check
+ * in; once per day, from REMINDER_HOUR local time
+ */
+const sendStreakReminders = async () => {
+  const now = Date.now();
+  // Anyone who checked in within two days could be on their last day
+  const snap = await admin
+    .database()
+    .ref("users")
+    .orderByChild("loginStreak/lastCheckInAt")
+    .startAt(now - 2 * DAY_MS)
+    .once("value");
+
+  let warned = 0;
+  for (const [userId, user] of Object.entries(snap.val() || {})) {
+    const streak = user.loginStreak;
+    if (!streak || streak.current < REMINDER_MIN_STREAK) continue;
+
+    const { day: today, hour } = getLocalTime(now, streak.timeZone);
+    if (
+      hour < REMINDER_HOUR ||
+      daysBetween(streak.lastCheckInDay, today) !== 1 ||
+      streak.warnedForDay === today
+    ) {
+      continue;
+    }
+
+    const freezes = freezesLeft(streak, today.slice(0, 7));
+    await createSystemNotification(userId, {
+      title: "Your streak is about to end",
+      message:
+        freezes > 0
+          ? `Check in before midnight to keep your ${streak.current}-day streak without using a streak freeze.`
+          : `Check in before midnight or your ${streak.current}-day streak will reset.`,
+      action: { type: "daily_check_in" },
+    });
+    await streakRef(userId).update({ warnedForDay: today });
+    warned++;
+  }
+
+  if (warned > 0) {
+    console.log(`🔥 Warned ${warned} players about ending streaks`);
+  }
+  return { warned };
+};
+
+const startStreakReminders = () => {
+  const REMINDER_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+  console.log("🕐 Starting login streak reminders (every 1 hour)");
+  setInterval(() => {
+    sendStreakReminders().catch((error) =>
+      console.error("❌ Login streak reminders failed:", error)
+    );
+  }, REMINDER_INTERVAL);
+};
+
+module.exports = {
+  FREEZES_PER_MONTH,
+  STREAK_MILESTONES,
+  isValidTimeZone,
+  describeStreak,
+  checkIn,
+  sendStreakReminders,
+  startStreakReminders,
+};
@@ -0,0 +1,407 @@
+/**
+ * Premium Membership Service
+ * Membership records, billing periods and the entitlements they grant
+ *
+ * users/{uid}/membership:
+ *   { plan: "premium", provider: stripe|mpesa,
+ *     status: active|trialing|past_due|canceled|expired|..., currentPeriodEnd,
+ *     cancelAtPeriodEnd, stripeSubscriptionId, phoneNumber, startedAt }
+ *
+ * Stripe bills its subscriptions itself and the lifecycle webhooks keep the
+ * record in step. M-Pesa members are sent an STK push before each period
+ * ends; a renewal that is not paid within the grace period lets it lapse.
+ */
+
+const admin = require("firebase-admin");
+const { v4: uuidv4 } = require("uuid");
+const { HOUSE_FEE_PERCENT } = require("./challengeEscrow");
+const { sendStkPush } = require("./mpesaStk");
+const { useFeeWaiver, restoreFeeWaiver } = require("./promoCodes");
+const { indexTransaction } = require("../utils/paymentIndex");
+const {
+  createSystemNotification,
+} = require("../controllers/notificationController");
+
+const PREMIUM_MONTHLY_PRICE =
+  parseInt(process.env.PREMIUM_MONTHLY_PRICE_KES) || 500;
+const PREMIUM_CHALLENGE_FEE_PERCENT = parseFloat(
+  process.env.PREMIUM_CHALLENGE_FEE_PERCENT || "5"
+);
+
+const MEMBERSHIP_PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+// Benefits carry on this long after a period ends while payment catches up
+const RENEWAL_GRACE_MS = 3 * 24 * 60 * 60 * 1000;
+// M-Pesa renewals are requested this long before the period ends
+const RENEWAL_NOTICE_MS = 24 * 60 * 60 * 1000;
+
+const ACTIVE_STATUSES = ["active", "trialing", "past_due"];
+
+const PLANS = {
+  free: {
+    challengeFeePercent: HOUSE_FEE_PERCENT,
+    clanSlots: 3,
+    badges: [],
+  },
+  premium: {
+    challengeFeePercent: PREMIUM_CHALLENGE_FEE_PERCENT,
+    clanSlots: 10,
+    badges: ["premium"],
+  },
+};
+
+const membershipRef = (userId) =>
+  admin.database().ref(`users/${userId}/membership`);
+
+/**
+ * Whether a membership currently grants premium
+ */
+const isMembershipActive = (membership, now = Date.now()) =>
+  !!membership &&
+  membership.plan === "premium" &&
+  ACTIVE_STATUSES.includes(membership.status) &&
+  (membership.currentPeriodEnd || 0) + RENEWAL_GRACE_MS > now;
+
+/**
+ * Entitlements for a user record (already loaded)
+ */
+const getEntitlementsFor = (user, now = Date.now()) => {
+  const membership = user?.membership || null;
+  const plan = isMembershipActive(membership, now) ? "premium" : "free";
+  return {
+    plan,
+    ...PLANS[plan],
+    renewsAt:
+      plan === "premium" && !membership.cancelAtPeriodEnd
+        ? membership.currentPeriodEnd
+        : null,
+    expiresAt: plan === "premium" ? membership.currentPeriodEnd : null,
+  };
+};
+
+/**
+ * What a user's plan lets them do:
+ * { plan, challengeFeePercent, clanSlots, badges, renewsAt, expiresAt }
+ */
+const getEntitlements = async (userId) => {
+  const membershipSnap = await membershipRef(userId).once("value");
+  return getEntitlementsFor({ membership: membershipSnap.val() });
+};
+
+/**
+ * Fee rate each player locks in when staking: { uid: percent }
+ * A promo fee waiver is used up here if the player has one
+ */
+const lockChallengeFeePercents = async (userIds, challengeId = null) => {
+  const feePercents = {};
+  for (const userId of userIds) {
+    feePercents[userId] = (await useFeeWaiver(userId, challengeId))
+      ? 0
+      : (await getEntitlements(userId)).challengeFeePercent;
+  }
+  return feePercents;
+};
+
+/**
+ * Give back the fee waivers used on a stake refunded because staking failed
+ */
+const releaseChallengeFeeWaivers = async (userIds, challengeId) => {
+  for (const userId of userIds) {
+    await restoreFeeWaiver(userId, challengeId);
+  }
+};
+
+/**
+ * Period end of a Stripe subscription in ms (moved onto the items in
+ * newer API versions)
+ */
+const getStripePeriodEnd = (subscription) => {
+  const periodEnd =
+    subscription.current_period_end ??
+    subscription.items?.data?.[0]?.current_period_end;
+  return periodEnd ? periodEnd * 1000 : null;
+};
+
+/**
+ * Bring a user's membership in step with a Stripe subscription event
+ */
+const syncStripeSubscription = async (userId, subscription) => {
+  const now = Date.now();
+  let previous = null;
+  let skipped = false;
+
+  const result = await membershipRef(userId).transaction((current) => {
+    previous = current;
+    skipped = false;
+    // A lapsed card subscription must not end a paid-up M-Pesa membership
+    if (
+      current?.provider === "mpesa" &&
+      isMembershipActive(current, now) &&
+      !ACTIVE_STATUSES.includes(subscription.status)
+    ) {
+      skipped = true;
+      return; // Abort
+    }
+
+    return {
+      plan: "premium",
+      provider: "stripe",
+      status: subscription.status,
+      stripeSubscriptionId: subscription.id,
+      stripeCustomerId: subscription.customer,
+      currentPeriodEnd: getStripePeriodEnd(subscription),
+      cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+      startedAt:
+        current?.provider === "stripe" && current.startedAt
+          ? current.startedAt
+          : now,
+      updatedAt: now,
+    };
+  });
+
+  if (skipped) {
+    console.log(
+      `ℹ️ Ignoring Stripe subscription ${subscription.id} for ${userId}: M-Pesa membership is active`
+    );
+    return previous;
+  }
+
+  const membership = result.snapshot.val();
+  const wasActive = isMembershipActive(previous, now);
+  const isActive = isMembershipActive(membership, now);
+  if (!wasActive && isActive) {
+    await createSystemNotification(userId, {
+      title: "Welcome to Premium",
+      message:
+        "Your premium membership is active: lower challenge fees, extra clan slots and your premium badge.",
+      action: { type: "open_membership" },
+    });
+  } else if (wasActive && subscription.status === "canceled") {
+    await createSystemNotification(userId, {
+      title: "Premium membership ended",
+      message: "Your premium subscription has been cancelled.",
+      action: { type: "open_membership" },
+    });
+  }
+
+  console.log(
+    `💎 Membership for ${userId} synced from Stripe: ${subscription.status}`
+  );
+  return membership;
+};
+
+/**
+ * Send an M-Pesa STK push for a month of premium
+ * Returns { transactionId, checkoutRequestId }
+ */
+const requestMpesaMembershipPayment = async (
+  userId,
+  phoneNumber,
+  { renewal = false } = {}
+) => {
+  const { checkoutRequestId } = await sendStkPush({
+    amount: PREMIUM_MONTHLY_PRICE,
+    phoneNumber,
+    accountReference: `GameTribe_Premium_${userId}`,
+    description: renewal
+      ? "GameTribe Premium renewal"
+      : "GameTribe Premium membership",
+  });
+
+  const transactionId = uuidv4();
+  await admin.database().ref(`transactions/${transactionId}`).set({
+    id: transactionId,
+    userId,
+    type: "membership",
+    method: "mpesa",
+    plan: "premium",
+    renewal,
+    amount: PREMIUM_MONTHLY_PRICE,
+    currency: "KES",
+    status: "pending",
+    checkoutRequestId,
+    phoneNumber,
+    createdAt: new Date().toISOString(),
+  });
+  await indexTransaction(transactionId, { checkoutRequestId });
+
+  return { transactionId, checkoutRequestId };
+};
+
+/**
+ * STK callback for a membership payment: a paid month extends the current
+ * period (or starts a new one); safe to repeat
+ */
+const processMembershipPayment = async (
+  transactionId,
+  transaction,
+  { success, resultDesc }
+) => {
+  const transactionRef = admin.database().ref(`transactions/${transactionId}`);
+  const now = Date.now();
+
+  if (!success) {
+    await transactionRef.update({
+      status: "failed",
+      error: resultDesc || null,
+      updatedAt: new Date().toISOString(),
+    });
+    if (transaction.renewal) {
+      await createSystemNotification(transaction.userId, {
+        title: "Premium renewal not paid",
+        message:
+          "We couldn't renew your premium membership. Renew from your membership page to keep your benefits.",
+        action: { type: "open_membership" },
+      });
+    }
+    return null;
+  }
+
+  const result = await membershipRef(transaction.userId).transaction(
+    (current) => {
+      if (current?.lastPaymentId === transactionId) return; // Abort - applied
+
+      // Paying early adds to the current period
+      const periodStart =
+        current?.provider === "mpesa" && isMembershipActive(current, now)
+          ? Math.max(now, current.currentPeriodEnd)
+          : now;
+      return {
+        plan: "premium",
+        provider: "mpesa",
+        status: "active",
+        phoneNumber: transaction.phoneNumber,
+        currentPeriodEnd: periodStart + MEMBERSHIP_PERIOD_MS,
+        cancelAtPeriodEnd: false,
+        lastPaymentId: transactionId,
+        startedAt:
+          current?.provider === "mpesa" && current.startedAt
+            ? current.startedAt
+            : now,
+        updatedAt: now,
+      };
+    }
+  );
+
+  await transactionRef.update({
+    status: "completed",
+    updatedAt: new Date().toISOString(),
+  });
+
+  const membership = result.snapshot.val();
+  if (result.committed) {
+    console.log(
+      `💎 Premium for ${transaction.userId} paid via M-Pesa until ${new Date(
+        membership.currentPeriodEnd
+      ).toISOString()}`
+    );
+    await createSystemNotification(transaction.userId, {
+      title: transaction.renewal ? "Premium renewed" : "Welcome to Premium",
+      message: `Your premium membership runs until ${new Date(
+        membership.currentPeriodEnd
+      ).toDateString()}.`,
+      action: { type: "open_membership" },
+    });
+  }
+  return membership;
+};
+
+/**
+ * Stop renewing at the end of the current period; benefits last until then
+ */
+const markCancelAtPeriodEnd = async (userId) => {
+  await membershipRef(userId).update({
+    cancelAtPeriodEnd: true,
+    updatedAt: Date.now(),
+  });
+};
+
+/**
+ * Request M-Pesa renewals that are coming due and lapse unpaid memberships
+ */
+const runMembershipRenewals = async () => {
+  const now = Date.now();
+  const dueSnap = await admin
+    .database()
+    .ref("users")
+    .orderByChild("membership/currentPeriodEnd")
+    .startAt(1)
+    .endAt(now + RENEWAL_NOTICE_MS)
+    .once("value");
+
+  let requested = 0;
+  let lapsed = 0;
+  for (const [userId, user] of Object.entries(dueSnap.val() || {})) {
+    const membership = user.membership;
+    if (!membership || membership.status !== "active") continue;
+
+    if (membership.currentPeriodEnd + RENEWAL_GRACE_MS <= now) {
+      // Stripe subscriptions are ended by their own webhooks
+      if (membership.provider !== "mpesa") continue;
+      await membershipRef(userId).update({ status: "expired", updatedAt: now });
+      await createSystemNotification(userId, {
+        title: "Premium membership ended",
+        message: membership.cancelAtPeriodEnd
+          ? "Your premium membership has ended."
+          : "Your premium renewal wasn't paid, so your membership has ended.",
+        action: { type: "open_membership" },
+      });
+      lapsed++;
+      continue;
+    }
+
+    // One renewal request per period
+    if (
+      membership.provider !== "mpesa" ||
+      membership.cancelAtPeriodEnd ||
+      membership.renewalRequestedFor === membership.currentPeriodEnd
+    ) {
+      continue;
+    }
+
+    try {
+      await requestMpesaMembershipPayment(userId, membership.phoneNumber, {
+        renewal: true,
+      });
+      await membershipRef(userId).update({
+        renewalRequestedFor: membership.currentPeriodEnd,
+      });
+      requested++;
+    } catch (error) {
+      console.error(`❌ Premium renewal request for ${userId} failed:`, error);
+    }
+  }
+
+  if (requested > 0 || lapsed > 0) {
+    console.log(
+      `💎 Membership renewals: ${requested} requested, ${lapsed} lapsed`
+    );
+  }
+  return { requested, lapsed };
+};
+
+const startMembershipRenewals = () => {
+  const RENEWAL_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+  console.log("🕐 Starting membership renewals (every 1 hour)");
+  setInterval(() => {
+    runMembershipRenewals().catch((error) =>
+      console.error("❌ Membership renewals failed:", error)
+    );
+  }, RENEWAL_INTERVAL);
+};
+
+module.exports = {
+  PLANS,
+  PREMIUM_MONTHLY_PRICE,
+  isMembershipActive,
+  getEntitlementsFor,
+  getEntitlements,
+  lockChallengeFeePercents,
+  releaseChallengeFeeWaivers,
+  syncStripeSubscription,
+  requestMpesaMembershipPayment,
+  processMembershipPayment,
+  markCancelAtPeriodEnd,
+  runMembershipRenewals,
+  startMembershipRenewals,
+};
@@ -0,0 +1,321 @@
+/**
+ * M-Pesa B2C Client
+ * Sends business-to-customer payouts; the result arrives later on a webhook
+ *
+ * Set MPESA_B2C_CLIENT=stub to use a local stub that never calls Safaricom
+ * and delivers a simulated result callback instead.
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const { getMpesaB2CConfig } = require("../utils/mpesaConfig");
+
+const getBaseUrl = (config) =>
+  config.environment === "production"
+    ? "https://api.safaricom.co.ke"
+    : "https://sandbox.safaricom.co.ke";
+
+/**
+ * M-Pesa turned the payout request down, so no money moved
+ * Any other sendPayment error (a timeout, a dropped connection, a 5xx) may
+ * have reached M-Pesa, and only the result or timeout callback can say.
+ */
+class B2CRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "B2CRejectedError";
+  }
+}
+
+/**
+ * A callback URL with our query parameters (the withdrawal and its token)
+ */
+const withCallbackParams = (url, params = {}) => {
+  const callbackUrl = new URL(url);
+  for (const [key, value] of Object.entries(params)) {
+    callbackUrl.searchParams.set(key, value);
+  }
+  return callbackUrl.toString();
+};
+
+/**
+ * Client for the Daraja B2C payment request and transaction status APIs
+ * originatorConversationId is ours and comes back on every callback;
+ * callbackParams are added to the result and timeout URLs
+ */
+const createMpesaB2CClient = (config = getMpesaB2CConfig()) => {
+  const getToken = async () => {
+    const auth = Buffer.from(
+      `${config.consumerKey}:${config.consumerSecret}`
+    ).toString("base64");
+
+    const response = await axios.get(
+      `${getBaseUrl(config)}/oauth/v1/generate?grant_type=client_credentials`,
+      { headers: { Authorization: `Basic ${auth}` } }
+    );
+    return response.data.access_token;
+  };
+
+  /**
+   * Post a request Daraja answers asynchronously; returns the response data
+   */
+  const postRequest = async (path, body) => {
+    let token;
+    try {
+      token = await getToken();
+    } catch (error) {
+      // Nothing has been sent yet
+      throw new B2CRejectedError(`B2C authentication failed: ${error.message}`);
+    }
+
+    let response;
+    try {
+      response = await axios.post(`${getBaseUrl(config)}${path}`, body, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+    } catch (error) {
+      // A 4xx is Daraja refusing the request; anything else is ambiguous
+      const status = error.response?.status;
+      if (status && status < 500) {
+        throw new B2CRejectedError(
+          error.response.data?.errorMessage || error.message
+        );
+      }
+      throw error;
+    }
+
+    if (response.data.ResponseCode !== "0") {
+      throw new B2CRejectedError(
+        response.data.ResponseDescription || "B2C request was not accepted"
+      );
+    }
+    return response.data;
+  };
+
+  const sendPayment = async ({
+    originatorConversationId,
+    amount,
+    phoneNumber,
+    remarks,
+    callbackParams,
+  }) => {
+    const data = await postRequest("/mpesa/b2c/v3/paymentrequest", {
+      OriginatorConversationID: originatorConversationId,
+      InitiatorName: config.initiatorName,
+      SecurityCredential: config.securityCredential,
+      CommandID: "BusinessPayment",
+      Amount: amount,
+      PartyA: config.shortcode,
+      PartyB: phoneNumber.replace("+", ""),
+      Remarks: remarks,
+      QueueTimeOutURL: withCallbackParams(config.timeoutUrl, callbackParams),
+      ResultURL: withCallbackParams(config.resultUrl, callbackParams),
+      Occasion: originatorConversationId,
+    });
+
+    return {
+      conversationId: data.ConversationID,
+      originatorConversationId: data.OriginatorConversationID,
+    };
+  };
+
+  /**
+   * Ask what became of a payout; the answer arrives on the status URL
+   * (a timeout of the query goes to the payout timeout URL)
+   */
+  const queryTransactionStatus = async ({
+    originatorConversationId,
+    remarks,
+    callbackParams,
+  }) => {
+    const data = await postRequest("/mpesa/transactionstatus/v1/query", {
+      Initiator: config.initiatorName,
+      SecurityCredential: config.securityCredential,
+      CommandID: "TransactionStatusQuery",
+      OriginatorConversationID: originatorConversationId,
+      PartyA: config.shortcode,
+      IdentifierType: "4",
+      ResultURL: withCallbackParams(config.statusUrl, callbackParams),
+      QueueTimeOutURL: withCallbackParams(config.timeoutUrl, callbackParams),
+      Remarks: remarks,
+      Occasion: originatorConversationId,
+    });
+
+    return { conversationId: data.ConversationID };
+  };
+
+  return { name: "mpesa", sendPayment, queryTransactionStatus };
+};
+
+/**
+ * Build a B2C result callback body as Safaricom sends it
+ */
+const buildResultPayload = ({
+  originatorConversationId,
+  conversationId,
+  resultCode = 0,
+  resultDesc = "The service request is processed successfully.",
+  transactionId = null,
+  amount = null,
+}) => ({
+  Result: {
+    ResultType: 0,
+    ResultCode: resultCode,
+    ResultDesc: resultDesc,
+    OriginatorConversationID: originatorConversationId,
+    ConversationID: conversationId,
+    TransactionID: transactionId,
+    ResultParameters:
+      resultCode === 0
+        ? {
+            ResultParameter: [
+              { Key: "TransactionAmount", Value: amount },
+              { Key: "TransactionReceipt", Value: transactionId },
+            ],
+          }
+        : undefined,
+  },
+});
+
+/**
+ * Build a transaction status result body as Safaricom sends it
+ * A non-zero resultCode means M-Pesa has no record of the payout
+ */
+const buildStatusPayload = ({
+  conversationId,
+  resultCode = 0,
+  resultDesc = "The service request is processed successfully.",
+  transactionStatus = "Completed",
+  receiptNo = null,
+  amount = null,
+}) => ({
+  Result: {
+    ResultType: 0,
+    ResultCode: resultCode,
+    ResultDesc: resultDesc,
+    ConversationID: conversationId,
+    TransactionID: receiptNo,
+    ResultParameters:
+      resultCode === 0
+        ? {
+            ResultParameter: [
+              { Key: "TransactionStatus", Value: transactionStatus },
+              { Key: "ReceiptNo", Value: receiptNo },
+              { Key: "Amount", Value: amount },
+            ],
+          }
+        : undefined,
+  },
+});
+
+const stubConversationId = () =>
+  `AG_STUB_${crypto.randomBytes(6).toString("hex").toUpperCase()}`;
+
+/**
+ * Local stand-in for the B2C API
+ * outcome is "success", "failure" or "timeout"; onResult/onTimeout/onStatus
+ * are the handlers the webhooks would call. A payout that timed out is
+ * reported as unknown when its status is queried.
+ */
+const createStubB2CClient = ({
+  outcome = process.env.MPESA_B2C_STUB_OUTCOME || "success",
+  delayMs = 2000,
+  onResult = null,
+  onTimeout = null,
+  onStatus = null,
+} = {}) => {
+  const requests = [];
+
+  const later = (deliver, payload) =>
+    setTimeout(() => {
+      Promise.resolve(deliver(payload)).catch((error) =>
+        console.error("❌ Stub B2C callback failed:", error)
+      );
+    }, delayMs);
+
+  const sendPayment = async (request) => {
+    const conversationId = stubConversationId();
+    requests.push({ ...request, conversationId });
+
+    const deliver = outcome === "timeout" ? onTimeout : onResult;
+    if (deliver) {
+      const payload = buildResultPayload({
+        originatorConversationId: request.originatorConversationId,
+        conversationId,
+        resultCode: outcome === "success" ? 0 : 2001,
+        resultDesc:
+          outcome === "success"
+            ? "The service request is processed successfully."
+            : "The initiator information is invalid.",
+        transactionId:
+          outcome === "success"
+            ? crypto.randomBytes(5).toString("hex").toUpperCase()
+            : null,
+        amount: request.amount,
+      });
+      later(deliver, payload);
+    }
+
+    return {
+      conversationId,
+      originatorConversationId: request.originatorConversationId,
+    };
+  };
+
+  const queryTransactionStatus = async (request) => {
+    const conversationId = stubConversationId();
+    requests.push({ ...request, conversationId, query: true });
+
+    if (onStatus) {
+      later(onStatus, {
+        withdrawalId: request.originatorConversationId,
+        ...buildStatusPayload({
+          conversationId,
+          resultCode: outcome === "timeout" ? 2001 : 0,
+          resultDesc:
+            outcome === "timeout"
+              ? "The transaction could not be found."
+              : "The service request is processed successfully.",
+          transactionStatus: outcome === "success" ? "Completed" : "Failed",
+        }),
+      });
+    }
+
+    return { conversationId };
+  };
+
+  return { name: "stub", sendPayment, queryTransactionStatus, requests };
+};
+
+let client = null;
+
+/**
+ * The client in use; built from the environment on first use
+ */
+const getB2CClient = (handlers = {}) => {
+  if (!client) {
+    client =
+      process.env.MPESA_B2C_CLIENT === "stub"
+        ? createStubB2CClient(handlers)
+        : createMpesaB2CClient();
+    console.log(`💸 M-Pesa B2C client: ${client.name}`);
+  }
+  return client;
+};
+
+/**
+ * Swap the client (tests, local development); null rebuilds from env
+ */
+const setB2CClient = (newClient) => {
+  client = newClient;
+};
+
+module.exports = {
+  B2CRejectedError,
+  createMpesaB2CClient,
+  createStubB2CClient,
+  buildResultPayload,
+  buildStatusPayload,
+  getB2CClient,
+  setB2CClient,
+};
@@ -0,0 +1,111 @@
+/**
+ * M-Pesa STK Push Client
+ * Asks a customer to approve a payment on their phone; the result arrives
+ * later on the STK callback (see processMpesaCallback)
+ */
+
+const axios = require("axios");
+const { getMpesaConfig } = require("../utils/mpesaConfig");
+
+const getBaseUrl = (config) =>
+  config.environment === "production"
+    ? "https://api.safaricom.co.ke"
+    : "https://sandbox.safaricom.co.ke";
+
+/**
+ * M-Pesa configuration, or null when it is not set up here
+ */
+const getStkConfig = () => {
+  try {
+    return getMpesaConfig();
+  } catch (error) {
+    return null;
+  }
+};
+
+// Generate M-Pesa OAuth token
+const getMpesaToken = async (config) => {
+  const baseUrl = getBaseUrl(config);
+
+  try {
+    console.log("🔐 M-Pesa token request details:", {
+      baseUrl,
+      consumerKey: config.consumerKey,
+      consumerSecretLength: config.consumerSecret?.length,
+      environment: config.environment,
+    });
+
+    const auth = Buffer.from(
+      `${config.consumerKey}:${config.consumerSecret}`
+    ).toString("base64");
+    const response = await axios.get(
+      `${baseUrl}/oauth/v1/generate?grant_type=client_credentials`,
+      { headers: { Authorization: `Basic ${auth}` } }
+    );
+
+    console.log("✅ M-Pesa token generated successfully");
+    return response.data.access_token;
+  } catch (error) {
+    console.error("❌ Error generating M-Pesa token:", {
+      message: error.message,
+      status: error.response?.status,
+      statusText: error.response?.statusText,
+      data: error.response?.data,
+      baseUrl,
+      consumerKey: config.consumerKey || "not set",
+      environment: config.environment || "not set",
+      stack: error.stack,
+    });
+    throw new Error("Failed to generate M-Pesa token");
+  }
+};
+
+/**
+ * Send an STK push for amount KES to phoneNumber (+254...)
+ * Returns the CheckoutRequestID the callback will carry
+ */
+const sendStkPush = async ({
+  amount,
+  phoneNumber,
+  accountReference,
+  description,
+}) => {
+  const config = getStkConfig();
+  if (!config) {
+    throw new Error("M-Pesa configuration not available");
+  }
+
+  const token = await getMpesaToken(config);
+  const timestamp = new Date()
+    .toISOString()
+    .replace(/[^0-9]/g, "")
+    .slice(0, 14);
+  const password = Buffer.from(
+    `${config.shortcode}${config.passkey}${timestamp}`
+  ).toString("base64");
+
+  const response = await axios.post(
+    `${getBaseUrl(config)}/mpesa/stkpush/v1/processrequest`,
+    {
+      BusinessShortCode: config.shortcode,
+      Password: password,
+      Timestamp: timestamp,
+      TransactionType: "CustomerPayBillOnline",
+      Amount: amount,
+      PartyA: phoneNumber.replace("+", ""),
+      PartyB: config.shortcode,
+      PhoneNumber: phoneNumber.replace("+", ""),
+      CallBackURL: config.callbackUrl,
+      AccountReference: accountReference,
+      TransactionDesc: description,
+    },
+    { headers: { Authorization: `Bearer ${token}` } }
+  );
+
+  return { checkoutRequestId: response.data.CheckoutRequestID };
+};
+
+module.exports = {
+  getStkConfig,
+  sendStkPush,
+};
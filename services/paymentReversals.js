@@ -0,0 +1,562 @@
+/**
+ * Payment Reversal Service
+ * Card refunds and chargebacks taken back out of the wallet a Stripe deposit
+ * was credited to
+ *
+ * Each reversal is recorded on its payment transaction before any money
+ * moves, under transactions/{transactionId}/reversals/{key}:
+ *   { kind: refund|dispute_hold|dispute_release|chargeback, amount, taken,
+ *     status: pending|applied|cancelled, entryId, createdAt, appliedAt }
+ * `taken` is what the wallet could cover. Wallets are never overdrawn, so a
+ * user who already spent the deposit leaves a shortfall for support.
+ *
+ * Stripe amounts are in cents of the charged currency and are converted to
+ * KES in proportion to the deposit they belong to.
+ */
+
+const admin = require("firebase-admin");
+const { v4: uuidv4 } = require("uuid");
+const { ACCOUNTS, userAccount, postEntry } = require("./walletLedger");
+const {
+  PAYMENT_REFERENCES,
+  findTransactionByReference,
+} = require("../utils/paymentIndex");
+const {
+  createSystemNotification,
+} = require("../controllers/notificationController");
+
+// Statuses a deposit moves to once it has been refunded or disputed
+const REVERSAL_STATUSES = [
+  "partially_refunded",
+  "refunded",
+  "disputed",
+  "charged_back",
+];
+const CLOSED_DISPUTE_STATUSES = ["won", "lost", "warning_closed"];
+
+// Reversals that take money out of the user's wallet
+const WALLET_DEBIT_KINDS = ["refund", "dispute_hold"];
+
+const REVERSAL_DESCRIPTIONS = {
+  refund: "Card deposit refunded",
+  dispute_hold: "Card deposit held for a chargeback",
+  dispute_release: "Chargeback hold released",
+  chargeback: "Chargeback lost",
+};
+
+const transactionRef = (transactionId) =>
+  admin.database().ref(`transactions/${transactionId}`);
+
+/**
+ * Whether the deposit reached the wallet, so there is something to reverse
+ */
+const isCredited = (transaction) =>
+  transaction.status === "completed" ||
+  REVERSAL_STATUSES.includes(transaction.status);
+
+/**
+ * KES share of a deposit for a Stripe amount out of the charged total
+ */
+const toDepositAmount = (transaction, stripeAmount, stripeTotal) => {
+  if (!stripeTotal) return transaction.amount;
+  return Math.min(
+    transaction.amount,
+    Math.round((transaction.amount * stripeAmount) / stripeTotal)
+  );
+};
+
+/**
+ * Refunds recorded so far: { amount (KES), stripeAmount (cents) }
+ */
+const getRefundTotals = (transaction) =>
+  Object.values(transaction.reversals || {})
+    .filter(
+      (reversal) =>
+        reversal.kind === "refund" && reversal.status !== "cancelled"
+    )
+    .reduce(
+      (totals, reversal) => ({
+        amount: totals.amount + (reversal.amount || 0),
+        stripeAmount: totals.stripeAmount + (reversal.stripeAmount || 0),
+      }),
+      { amount: 0, stripeAmount: 0 }
+    );
+
+/**
+ * Status a credited deposit should show given its refunds and dispute
+ */
+const getReversalStatus = (transaction) => {
+  if (transaction.dispute?.status === "lost") return "charged_back";
+  if (transaction.dispute && !transaction.dispute.closedAt) return "disputed";
+  const refunded = getRefundTotals(transaction).amount;
+  if (refunded >= transaction.amount) return "refunded";
+  if (refunded > 0) return "partially_refunded";
+  return "completed";
+};
+
+const getReversalLegs = (kind, userId, amount) => {
+  switch (kind) {
+    case "refund":
+      return [
+        { account: userAccount(userId), amount: -amount },
+        { account: ACCOUNTS.STRIPE, amount },
+      ];
+    case "dispute_hold":
+      return [
+        { account: userAccount(userId), amount: -amount },
+        { account: ACCOUNTS.DISPUTES, amount },
+      ];
+    case "dispute_release":
+      return [
+        { account: ACCOUNTS.DISPUTES, amount: -amount },
+        { account: userAccount(userId), amount },
+      ];
+    case "chargeback":
+      return [
+        { account: ACCOUNTS.DISPUTES, amount: -amount },
+        { account: ACCOUNTS.STRIPE, amount },
+      ];
+    default:
+      throw new Error(`Unknown reversal kind: ${kind}`);
+  }
+};
+
+/**
+ * Record a reversal on its transaction unless one with the key exists
+ * build(transaction) returns { reversal }, { skip } or { error, status }
+ * Returns { reversal } (new or existing), { skipped } or { error, status }
+ */
+const reserveReversal = async (transactionId, key, build) => {
+  let outcome = null;
+
+  const result = await transactionRef(transactionId).transaction((current) => {
+    outcome = null;
+    if (!current) return current;
+
+    if (current.reversals && current.reversals[key]) {
+      outcome = { reversal: current.reversals[key] };
+      return; // Abort - recorded by an earlier attempt
+    }
+
+    const built = build(current);
+    if (built.error) {
+      outcome = { error: built.error, status: built.status || 400 };
+      return; // Abort
+    }
+    if (built.skip) {
+      outcome = { skipped: true };
+      return; // Abort
+    }
+
+    const reversal = {
+      // Wallet debits take what the balance covers when they are applied
+      taken: WALLET_DEBIT_KINDS.includes(built.reversal.kind)
+        ? null
+        : built.reversal.amount,
+      status: "pending",
+      entryId: `stripe_${key}_${transactionId}`,
+      createdAt: Date.now(),
+      ...built.reversal,
+    };
+    const next = {
+      ...current,
+      reversals: { ...(current.reversals || {}), [key]: reversal },
+    };
+    next.status = getReversalStatus(next);
+    next.updatedAt = new Date().toISOString();
+
+    outcome = { reversal, created: true };
+    return next;
+  });
+
+  if (!result.snapshot.exists()) {
+    return { error: "Transaction not found", status: 404 };
+  }
+  return outcome || { error: "Transaction changed, try again", status: 409 };
+};
+
+/**
+ * Move the money for a recorded reversal
+ * Safe to repeat: the journal entry id is fixed by the reversal key
+ * Returns { reversal, appliedNow }
+ */
+const applyReversal = async (transactionId, key) => {
+  const transactionSnap = await transactionRef(transactionId).once("value");
+  const transaction = transactionSnap.val();
+  const reversal = transaction?.reversals?.[key];
+  if (!reversal || reversal.status !== "pending") {
+    return { reversal, appliedNow: false };
+  }
+
+  const reversalRef = transactionRef(transactionId).child(`reversals/${key}`);
+  let taken = reversal.taken;
+  if (taken === undefined || taken === null) {
+    const balanceSnap = await admin
+      .database()
+      .ref(`users/${transaction.userId}/wallet/amount`)
+      .once("value");
+    taken = Math.min(reversal.amount, Math.max(0, balanceSnap.val() || 0));
+    await reversalRef.update({ taken });
+  }
+
+  if (taken > 0) {
+    const result = await postEntry({
+      id: reversal.entryId,
+      type: `deposit_${reversal.kind}`,
+      description: REVERSAL_DESCRIPTIONS[reversal.kind],
+      legs: getReversalLegs(reversal.kind, transaction.userId, taken),
+      metadata: {
+        transactionId,
+        reversal: key,
+        disputeId: reversal.disputeId || null,
+        refundId: reversal.refundId || null,
+      },
+    });
+    if (!result.success) {
+      // The balance moved since `taken` was worked out; look again next time
+      if (WALLET_DEBIT_KINDS.includes(reversal.kind)) {
+        await reversalRef.update({ taken: null });
+      }
+      throw new Error(
+        `Failed to apply ${key} to ${transactionId}: ${result.error}`
+      );
+    }
+  }
+
+  const applied = {
+    ...reversal,
+    taken,
+    shortfall: reversal.amount - taken,
+    status: "applied",
+    appliedAt: Date.now(),
+  };
+  await reversalRef.update({
+    status: "applied",
+    shortfall: applied.shortfall,
+    appliedAt: applied.appliedAt,
+  });
+
+  if (applied.shortfall > 0) {
+    console.warn(
+      `⚠️ ${key} on ${transactionId}: wallet covered KES ${taken} of ${reversal.amount}`
+    );
+  }
+  console.log(`↩️ Applied ${key} to ${transactionId} (KES ${taken})`);
+  return { reversal: applied, appliedNow: true };
+};
+
+/**
+ * Find the credited deposit behind a Stripe payment intent
+ */
+const findDeposit = async (paymentIntentId) => {
+  const match = await findTransactionByReference(
+    PAYMENT_REFERENCES.STRIPE_PAYMENT_INTENT,
+    paymentIntentId
+  );
+  if (!match) {
+    console.log(`ℹ️ No wallet deposit for payment intent ${paymentIntentId}`);
+  }
+  return match;
+};
+
+/**
+ * Start an admin refund: record it and take it out of the wallet before
+ * Stripe is asked to pay it, so the money cannot be spent in between
+ *
+ * amount: KES to refund (default: what is left of the deposit)
+ * stripeTotal: cents the card was charged
+ * Returns { key, reversal, stripeAmount } or { error, status }
+ */
+const startRefund = async (
+  transactionId,
+  { amount, stripeTotal, reason, requestedBy = "admin" }
+) => {
+  const refundId = uuidv4();
+  const key = `refund_admin_${refundId}`;
+
+  const reserved = await reserveReversal(transactionId, key, (transaction) => {
+    if (!isCredited(transaction)) {
+      return { error: "Only credited deposits can be refunded" };
+    }
+    if (transaction.dispute && !transaction.dispute.closedAt) {
+      return { error: "Deposit has an open dispute", status: 409 };
+    }
+
+    const refunded = getRefundTotals(transaction);
+    const remaining = transaction.amount - refunded.amount;
+    if (remaining <= 0) {
+      return { error: "Deposit has already been refunded", status: 409 };
+    }
+    const refundAmount = amount ?? remaining;
+    if (
+      !Number.isInteger(refundAmount) ||
+      refundAmount <= 0 ||
+      refundAmount > remaining
+    ) {
+      return {
+        error: `Refund must be a whole amount between KES 1 and ${remaining}`,
+      };
+    }
+
+    const stripeRemaining = stripeTotal - refunded.stripeAmount;
+    const stripeAmount =
+      refundAmount === remaining
+        ? stripeRemaining
+        : Math.min(
+            stripeRemaining,
+            Math.round((stripeTotal * refundAmount) / transaction.amount)
+          );
+
+    return {
+      reversal: {
+        kind: "refund",
+        amount: refundAmount,
+        // Admin refunds need the whole amount in the wallet
+        taken: refundAmount,
+        stripeAmount,
+        refundId,
+        reason: reason || null,
+        requestedBy,
+      },
+    };
+  });
+  if (reserved.error) return reserved;
+
+  try {
+    const { reversal } = await applyReversal(transactionId, key);
+    return { key, reversal, stripeAmount: reversal.stripeAmount };
+  } catch (error) {
+    await cancelRefund(transactionId, key, error.message);
+    return {
+      error: "Wallet balance is too low to cover the refund",
+      status: 400,
+    };
+  }
+};
+
+/**
+ * Record the Stripe refund an admin refund was paid with
+ */
+const completeRefund = async (transactionId, key, stripeRefundId) => {
+  await transactionRef(transactionId)
+    .child(`reversals/${key}`)
+    .update({ stripeRefundId, completedAt: Date.now() });
+
+  const transactionSnap = await transactionRef(transactionId).once("value");
+  const transaction = transactionSnap.val();
+  const reversal = transaction.reversals[key];
+
+  await createSystemNotification(transaction.userId, {
+    title: "Deposit refunded",
+    message: `KES ${reversal.amount} of your card deposit is on its way back to your card and has been taken from your wallet.`,
+    action: { type: "open_wallet", transactionId },
+  });
+  return reversal;
+};
+
+/**
+ * Undo an admin refund Stripe did not pay: give back what was taken
+ */
+const cancelRefund = async (transactionId, key, failureReason) => {
+  const transactionSnap = await transactionRef(transactionId).once("value");
+  const reversal = transactionSnap.val()?.reversals?.[key];
+  if (!reversal || reversal.status === "cancelled") return;
+
+  if (reversal.status === "applied" && reversal.taken > 0) {
+    const result = await postEntry({
+      id: `${reversal.entryId}_cancelled`,
+      type: "deposit_refund_cancelled",
+      description: "Card refund cancelled",
+      legs: getReversalLegs(
+        "refund",
+        transactionSnap.val().userId,
+        reversal.taken
+      ).map((leg) => ({ ...leg, amount: -leg.amount })),
+      metadata: { transactionId, reversal: key },
+    });
+    if (!result.success) {
+      throw new Error(`Failed to cancel ${key}: ${result.error}`);
+    }
+  }
+
+  await transactionRef(transactionId).transaction((current) => {
+    if (!current) return current;
+    const next = {
+      ...current,
+      reversals: {
+        ...current.reversals,
+        [key]: {
+          ...current.reversals[key],
+          status: "cancelled",
+          failureReason,
+          cancelledAt: Date.now(),
+        },
+      },
+    };
+    next.status = getReversalStatus(next);
+    next.updatedAt = new Date().toISOString();
+    return next;
+  });
+  console.warn(
+    `⚠️ Refund ${key} on ${transactionId} cancelled: ${failureReason}`
+  );
+};
+
+/**
+ * charge.refunded: take refunds made outside the admin endpoint (e.g. from
+ * the Stripe dashboard) out of the wallet
+ */
+const processChargeRefunded = async (charge) => {
+  const match = await findDeposit(charge.payment_intent);
+  if (!match) return;
+  const { transactionId } = match;
+
+  // amount_refunded is cumulative, so each new total is a new refund
+  const key = `refund_${charge.amount_refunded}`;
+  const reserved = await reserveReversal(transactionId, key, (transaction) => {
+    if (!isCredited(transaction)) return { skip: true };
+
+    const refunded = getRefundTotals(transaction);
+    const stripeAmount = charge.amount_refunded - refunded.stripeAmount;
+    if (stripeAmount <= 0) return { skip: true }; // Already accounted for
+
+    const remaining = transaction.amount - refunded.amount;
+    const amount = charge.refunded
+      ? remaining
+      : Math.min(
+          remaining,
+          toDepositAmount(transaction, stripeAmount, charge.amount)
+        );
+    return {
+      reversal: { kind: "refund", amount, stripeAmount, refundId: charge.id },
+    };
+  });
+  if (reserved.error) throw new Error(reserved.error);
+  if (reserved.skipped) return;
+
+  const { reversal, appliedNow } = await applyReversal(transactionId, key);
+  if (appliedNow) {
+    await createSystemNotification(match.transaction.userId, {
+      title: "Deposit refunded",
+      message: `KES ${reversal.amount} of your card deposit was refunded to your card and has been taken from your wallet.`,
+      action: { type: "open_wallet", transactionId },
+    });
+  }
+};
+
+/**
+ * Keep the transaction's dispute in step with Stripe
+ * An event for an open dispute that arrives after it closed is ignored
+ */
+const recordDispute = async (transactionId, dispute) => {
+  const closed = CLOSED_DISPUTE_STATUSES.includes(dispute.status);
+  await transactionRef(transactionId).transaction((current) => {
+    if (!current) return current;
+    const previous = current.dispute?.id === dispute.id ? current.dispute : {};
+    if (previous.closedAt && !closed) return; // Abort - stale event
+
+    const next = {
+      ...current,
+      dispute: {
+        ...previous,
+        id: dispute.id,
+        status: dispute.status,
+        reason: dispute.reason || null,
+        stripeAmount: dispute.amount,
+        currency: dispute.currency,
+        openedAt:
+          previous.openedAt ||
+          (dispute.created ? dispute.created * 1000 : Date.now()),
+        closedAt: closed ? previous.closedAt || Date.now() : null,
+        updatedAt: Date.now(),
+      },
+    };
+    next.status = getReversalStatus(next);
+    next.updatedAt = new Date().toISOString();
+    return next;
+  });
+};
+
+/**
+ * charge.dispute.*: hold the disputed amount while the dispute is open,
+ * then release it (won) or pass it to Stripe (lost)
+ */
+const processDisputeEvent = async (dispute) => {
+  const match = await findDeposit(dispute.payment_intent);
+  if (!match) return;
+  const { transactionId } = match;
+  const userId = match.transaction.userId;
+
+  await recordDispute(transactionId, dispute);
+
+  // Every dispute event makes sure the hold exists, in case the
+  // charge.dispute.created event was missed
+  const holdKey = `dispute_hold_${dispute.id}`;
+  const reserved = await reserveReversal(
+    transactionId,
+    holdKey,
+    (transaction) => {
+      if (!isCredited(transaction)) return { skip: true };
+      const remaining =
+        transaction.amount - getRefundTotals(transaction).amount;
+      return {
+        reversal: {
+          kind: "dispute_hold",
+          amount: Math.min(
+            remaining,
+            toDepositAmount(
+              transaction,
+              dispute.amount,
+              transaction.stripeAmount
+            )
+          ),
+          disputeId: dispute.id,
+        },
+      };
+    }
+  );
+  if (reserved.error) throw new Error(reserved.error);
+  if (reserved.skipped) return;
+
+  const hold = await applyReversal(transactionId, holdKey);
+  if (hold.appliedNow) {
+    await createSystemNotification(userId, {
+      title: "Deposit disputed",
+      message: `Your card issuer opened a chargeback on a deposit. KES ${hold.reversal.taken} is on hold until it is resolved.`,
+      action: { type: "open_wallet", transactionId },
+    });
+  }
+
+  if (!CLOSED_DISPUTE_STATUSES.includes(dispute.status)) return;
+
+  const lost = dispute.status === "lost";
+  const closeKey = `${lost ? "chargeback" : "dispute_release"}_${dispute.id}`;
+  await reserveReversal(transactionId, closeKey, () => ({
+    reversal: {
+      kind: lost ? "chargeback" : "dispute_release",
+      amount: hold.reversal.taken,
+      disputeId: dispute.id,
+    },
+  }));
+
+  const closed = await applyReversal(transactionId, closeKey);
+  if (closed.appliedNow) {
+    await createSystemNotification(userId, {
+      title: lost ? "Chargeback upheld" : "Dispute resolved",
+      message: lost
+        ? `The chargeback on your deposit was upheld; the KES ${closed.reversal.amount} on hold has been returned to the card.`
+        : `The chargeback on your deposit was closed and KES ${closed.reversal.amount} is back in your wallet.`,
+      action: { type: "open_wallet", transactionId },
+    });
+  }
+};
+
+module.exports = {
+  REVERSAL_STATUSES,
+  getRefundTotals,
+  startRefund,
+  completeRefund,
+  cancelRefund,
+  processChargeRefunded,
+  processDisputeEvent,
+};
@@ -0,0 +1,478 @@
+/**
+ * Points Rules Service
+ * What each action is worth, how often it pays and the campaigns that
+ * multiply it, all editable by admins
+ *
+ * pointsRules/current:
+ *   { version, rules/{ACTION}: { points, dailyCap, cooldownSeconds,
+ *     reversible, enabled }, updatedBy, updatedAt }
+ * pointsRules/versions/{version}: the same record as it stood then
+ * pointsCampaigns/{campaignId}:
+ *   { name, multiplier, actions (null = every action), startsAt, endsAt,
+ *     active, createdBy, createdAt, updatedAt }
+ * pointsUsage/{uid}/{ACTION}: { day, count, lastAwardAt }
+ * pointsAwards/{uid}/{ACTION}_{targetId}:
+ *   { action, targetId, points, ruleVersion, campaignId, historyId,
+ *     awardedAt, reversedAt }
+ *
+ * Until an admin saves rules the defaults below apply as version 0, and
+ * actions added to the defaults later apply until an admin changes them. Caps
+ * and cooldowns only limit earning; actions that cost points are never
+ * held back. An award made for a target can be taken back once by a
+ * reversible rule (unliking a post removes the like points).
+ */
+
+const admin = require("firebase-admin");
+const { v4: uuidv4 } = require("uuid");
+
+const DEFAULT_POINTS_RULES = {
+  POST_DISCUSSION: { points: 3, dailyCap: 10 }, // Posting in discussions
+  LIKE_POST: { points: 1, dailyCap: 20, cooldownSeconds: 5, reversible: true },
+  COMMENT_POST: { points: 2, dailyCap: 20, cooldownSeconds: 10 },
+  COMMENT_GAME: { points: 3, dailyCap: 10 }, // Commenting on a game
+  RATE_GAME: { points: 2, dailyCap: 10 }, // Rating a game
+  PLAY_GAME: { points: -10 }, // Playing a game (deducts points)
+  DAILY_LOGIN: { points: 1 }, // Daily check-in, once per local day
+  PROFILE_COMPLETE: { points: 5 }, // Complete profile setup
+  FIRST_POST: { points: 10 }, // First post bonus
+  FIRST_COMMENT: { points: 5 }, // First comment bonus
+  FIRST_LIKE: { points: 2 }, // First like bonus
+  REPOST_POST: { points: 2, dailyCap: 10 }, // Reposting a post
+  // Login streak milestones (see loginStreaks)
+  STREAK_3_DAYS: { points: 5 },
+  STREAK_7_DAYS: { points: 15 },
+  STREAK_14_DAYS: { points: 30 },
+  STREAK_30_DAYS: { points: 75 },
+  STREAK_60_DAYS: { points: 150 },
+  STREAK_100_DAYS: { points: 300 },
+};
+
+const MAX_RULE_POINTS = 1000;
+const MAX_MULTIPLIER = 10;
+const NAIROBI_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+const rulesRef = () => admin.database().ref("pointsRules/current");
+const campaignRef = (campaignId) =>
+  admin.database().ref(`pointsCampaigns/${campaignId}`);
+const awardRef = (userId, awardKey) =>
+  admin.database().ref(`pointsAwards/${userId}/${awardKey}`);
+
+/**
+ * Calendar day (East Africa Time) a daily cap counts against
+ */
+const getPointsDay = (timestamp = Date.now()) =>
+  new Date(timestamp + NAIROBI_OFFSET_MS).toISOString().slice(0, 10);
+
+const withRuleDefaults = (rule) => ({
+  points: 0,
+  dailyCap: null,
+  cooldownSeconds: 0,
+  reversible: false,
+  enabled: true,
+  ...rule,
+});
+
+const getDefaultRules = () =>
+  Object.fromEntries(
+    Object.entries(DEFAULT_POINTS_RULES).map(([action, rule]) => [
+      action,
+      withRuleDefaults(rule),
+    ])
+  );
+
+/**
+ * The rules in force: { version, rules, updatedBy, updatedAt }
+ */
+const getPointsRules = async () => {
+  const snap = await rulesRef().once("value");
+  const current = snap.val();
+  if (!current) {
+    return {
+      version: 0,
+      rules: getDefaultRules(),
+      updatedBy: null,
+      updatedAt: null,
+    };
+  }
+  return { ...current, rules: { ...getDefaultRules(), ...current.rules } };
+};
+
+/**
+ * The rule for one action, with the version it belongs to, or null
+ */
+const getRuleFor = async (action) => {
+  const { version, rules } = await getPointsRules();
+  const rule = rules?.[action];
+  return rule ? { ...withRuleDefaults(rule), version } : null;
+};
+
+/**
+ * Validate an admin's rule changes: { ACTION: { points, ... } }
+ * Returns { changes } or { error }
+ */
+const validateRuleChanges = (input) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "rules must be an object keyed by action" };
+  }
+
+  const changes = {};
+  for (const [action, rule] of Object.entries(input)) {
+    if (!/^[A-Z][A-Z0-9_]{2,39}$/.test(action)) {
+      return { error: `${action} is not a valid action name` };
+    }
+    if (!rule || typeof rule !== "object") {
+      return { error: `${action} must be an object` };
+    }
+
+    const fields = {};
+    const has = (key) => rule[key] !== undefined;
+    if (has("points")) {
+      const points = Number(rule.points);
+      if (!Number.isInteger(points) || Math.abs(points) > MAX_RULE_POINTS) {
+        return {
+          error: `${action}.points must be a whole number from -${MAX_RULE_POINTS} to ${MAX_RULE_POINTS}`,
+        };
+      }
+      fields.points = points;
+    }
+    if (has("dailyCap")) {
+      const dailyCap = rule.dailyCap === null ? null : Number(rule.dailyCap);
+      if (dailyCap !== null && !(Number.isInteger(dailyCap) && dailyCap >= 1)) {
+        return { error: `${action}.dailyCap must be a whole number or null` };
+      }
+      fields.dailyCap = dailyCap;
+    }
+    if (has("cooldownSeconds")) {
+      const cooldownSeconds = Number(rule.cooldownSeconds);
+      if (!Number.isInteger(cooldownSeconds) || cooldownSeconds < 0) {
+        return { error: `${action}.cooldownSeconds must be a whole number` };
+      }
+      fields.cooldownSeconds = cooldownSeconds;
+    }
+    for (const key of ["reversible", "enabled"]) {
+      if (has(key)) fields[key] = !!rule[key];
+    }
+    changes[action] = fields;
+  }
+
+  return { changes };
+};
+
+/**
+ * Apply rule changes as a new version; actions not mentioned carry over
+ * Returns { rules } or { error, status }
+ */
+const updatePointsRules = async (input, updatedBy = "admin") => {
+  const { changes, error } = validateRuleChanges(input);
+  if (error) return { error, status: 400 };
+
+  let missingPoints = null;
+  const result = await rulesRef().transaction((current) => {
+    missingPoints = null;
+    const rules = { ...getDefaultRules(), ...(current?.rules || {}) };
+    for (const [action, fields] of Object.entries(changes)) {
+      if (!rules[action] && fields.points === undefined) {
+        missingPoints = action;
+        return; // Abort
+      }
+      rules[action] = withRuleDefaults({ ...rules[action], ...fields });
+    }
+    return {
+      version: (current?.version || 0) + 1,
+      rules,
+      updatedBy,
+      updatedAt: Date.now(),
+    };
+  });
+
+  if (missingPoints) {
+    return {
+      error: `${missingPoints} is a new action and needs points`,
+      status: 400,
+    };
+  }
+
+  const current = result.snapshot.val();
+  await admin
+    .database()
+    .ref(`pointsRules/versions/${current.version}`)
+    .set(current);
+
+  console.log(
+    `🎯 Points rules v${current.version} saved by ${updatedBy}: ${Object.keys(
+      changes
+    ).join(", ")}`
+  );
+  return { rules: current };
+};
+
+/**
+ * A past rules version (0 is the built-in defaults)
+ */
+const getPointsRulesVersion = async (version) => {
+  if (Number(version) === 0) {
+    return { version: 0, rules: getDefaultRules() };
+  }
+  const snap = await admin
+    .database()
+    .ref(`pointsRules/versions/${version}`)
+    .once("value");
+  return snap.val();
+};
+
+/**
+ * Validate an admin's campaign fields; on update only the fields given
+ * Returns { fields } or { error }
+ */
+const validateCampaignFields = (input, { partial = false } = {}) => {
+  const fields = {};
+  const has = (key) => input[key] !== undefined;
+
+  if (!partial || has("name")) {
+    const name = String(input.name || "").trim();
+    if (!name) return { error: "name is required" };
+    fields.name = name.slice(0, 100);
+  }
+
+  if (!partial || has("multiplier")) {
+    const multiplier = Number(input.multiplier);
+    if (
+      !Number.isFinite(multiplier) ||
+      multiplier <= 1 ||
+      multiplier > MAX_MULTIPLIER
+    ) {
+      return {
+        error: `multiplier must be above 1 and at most ${MAX_MULTIPLIER}`,
+      };
+    }
+    fields.multiplier = multiplier;
+  }
+
+  for (const key of ["startsAt", "endsAt"]) {
+    if (!partial || has(key)) {
+      const time = new Date(input[key]).getTime();
+      if (!input[key] || !Number.isFinite(time)) {
+        return { error: `${key} must be a date` };
+      }
+      fields[key] = time;
+    }
+  }
+
+  if (has("actions")) {
+    if (
+      input.actions !== null &&
+      (!Array.isArray(input.actions) ||
+        input.actions.some((action) => typeof action !== "string"))
+    ) {
+      return { error: "actions must be a list of action names or null" };
+    }
+    fields.actions =
+      input.actions && input.actions.length ? input.actions : null;
+  }
+  if (has("active")) {
+    fields.active = !!input.active;
+  }
+
+  return { fields };
+};
+
+/**
+ * Start a multiplier campaign; returns { campaign } or { error, status }
+ */
+const createPointsCampaign = async (input, createdBy = "admin") => {
+  const { fields, error } = validateCampaignFields(input);
+  if (error) return { error, status: 400 };
+  if (fields.endsAt <= fields.startsAt) {
+    return { error: "endsAt must be after startsAt", status: 400 };
+  }
+
+  const now = Date.now();
+  const campaign = {
+    id: uuidv4(),
+    actions: null,
+    active: true,
+    ...fields,
+    createdBy,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await campaignRef(campaign.id).set(campaign);
+
+  console.log(
+    `🎯 Points campaign "${campaign.name}" (x${campaign.multiplier}) created by ${createdBy}`
+  );
+  return { campaign };
+};
+
+const updatePointsCampaign = async (campaignId, input, updatedBy = "admin") => {
+  const { fields, error } = validateCampaignFields(input, { partial: true });
+  if (error) return { error, status: 400 };
+
+  const result = await campaignRef(campaignId).transaction((current) => {
+    if (!current) return current;
+    const updated = { ...current, ...fields, updatedBy, updatedAt: Date.now() };
+    if (updated.endsAt <= updated.startsAt) return; // Abort
+    return updated;
+  });
+
+  if (!result.snapshot.exists()) {
+    return { error: "Campaign not found", status: 404 };
+  }
+  if (!result.committed) {
+    return { error: "endsAt must be after startsAt", status: 400 };
+  }
+  return { campaign: result.snapshot.val() };
+};
+
+/**
+ * End a campaign early; awards it boosted keep their campaignId
+ */
+const deletePointsCampaign = async (campaignId, deletedBy = "admin") => {
+  const ref = campaignRef(campaignId);
+  const snap = await ref.once("value");
+  if (!snap.exists()) return { error: "Campaign not found", status: 404 };
+
+  await ref.update({
+    active: false,
+    deletedAt: Date.now(),
+    deletedBy,
+    updatedAt: Date.now(),
+  });
+  return { campaign: (await ref.once("value")).val() };
+};
+
+/**
+ * Campaigns for the admin view, latest ending first
+ */
+const listPointsCampaigns = async ({ includeEnded = false } = {}) => {
+  const now = Date.now();
+  const snap = await admin.database().ref("pointsCampaigns").once("value");
+  return Object.values(snap.val() || {})
+    .filter((campaign) => includeEnded || campaign.endsAt > now)
+    .sort((a, b) => b.endsAt - a.endsAt);
+};
+
+/**
+ * The campaign boosting an action right now; campaigns don't stack, the
+ * highest multiplier wins
+ */
+const getActiveCampaign = async (action, now = Date.now()) => {
+  const snap = await admin
+    .database()
+    .ref("pointsCampaigns")
+    .orderByChild("endsAt")
+    .startAt(now + 1)
+    .once("value");
+
+  return (
+    Object.values(snap.val() || {})
+      .filter(
+        (campaign) =>
+          campaign.active &&
+          campaign.startsAt <= now &&
+          (!campaign.actions || campaign.actions.includes(action))
+      )
+      .sort((a, b) => b.multiplier - a.multiplier)[0] || null
+  );
+};
+
+const getAwardKey = (action, targetId) => `${action}_${targetId}`;
+
+/**
+ * Hold an action's award slot for a target; false if it already paid
+ * out and hasn't been reversed
+ */
+const claimAward = async (userId, action, targetId) => {
+  const now = Date.now();
+  const result = await awardRef(
+    userId,
+    getAwardKey(action, targetId)
+  ).transaction((current) => {
+    if (current && !current.reversedAt) return; // Abort - already awarded
+    return { action, targetId, claimedAt: now, reversedAt: null };
+  });
+  return result.committed;
+};
+
+const releaseAward = (userId, action, targetId) =>
+  awardRef(userId, getAwardKey(action, targetId)).remove();
+
+const recordAward = (userId, action, targetId, award) =>
+  awardRef(userId, getAwardKey(action, targetId)).update({
+    ...award,
+    awardedAt: Date.now(),
+  });
+
+/**
+ * Count an award against the rule's daily cap and cooldown
+ * Returns { allowed } or { allowed: false, reason: daily_cap|cooldown }
+ */
+const useRuleAllowance = async (userId, action, rule) => {
+  if (!rule.dailyCap && !rule.cooldownSeconds) return { allowed: true };
+
+  const now = Date.now();
+  const day = getPointsDay(now);
+  let reason = null;
+
+  const result = await admin
+    .database()
+    .ref(`pointsUsage/${userId}/${action}`)
+    .transaction((current) => {
+      reason = null;
+      const usage =
+        current && current.day === day ? current : { day, count: 0 };
+      if (rule.dailyCap && usage.count >= rule.dailyCap) {
+        reason = "daily_cap";
+        return; // Abort
+      }
+      const lastAwardAt = current?.lastAwardAt || 0;
+      if (
+        rule.cooldownSeconds &&
+        now - lastAwardAt < rule.cooldownSeconds * 1000
+      ) {
+        reason = "cooldown";
+        return; // Abort
+      }
+      return { day, count: usage.count + 1, lastAwardAt: now };
+    });
+
+  return result.committed ? { allowed: true } : { allowed: false, reason };
+};
+
+/**
+ * Mark a target's award reversed; returns the award as it was, or null if
+ * there is nothing left to take back
+ */
+const markAwardReversed = async (userId, action, targetId) => {
+  let award = null;
+  const result = await awardRef(
+    userId,
+    getAwardKey(action, targetId)
+  ).transaction((current) => {
+    award = current;
+    if (!current) return current;
+    if (current.reversedAt || !current.points) return; // Abort
+    return { ...current, reversedAt: Date.now() };
+  });
+  return result.committed && award?.points ? award : null;
+};
+
+module.exports = {
+  DEFAULT_POINTS_RULES,
+  getPointsDay,
+  getPointsRules,
+  getRuleFor,
+  updatePointsRules,
+  getPointsRulesVersion,
+  createPointsCampaign,
+  updatePointsCampaign,
+  deletePointsCampaign,
+  listPointsCampaigns,
+  getActiveCampaign,
+  getAwardKey,
+  claimAward,
+  releaseAward,
+  recordAward,
+  useRuleAllowance,
+  markAwardReversed,
+};
@@ -0,0 +1,619 @@
+/**
+ * Promo Code Service
+ * Marketing codes that pay a bonus, match a deposit or waive challenge fees
+ *
+ * promoCodes/{CODE}:
+ *   { code, description, type, value, maxBonus, wageringMultiplier,
+ *     maxRedemptions, perUserLimit, redemptionCount, redeemedBy/{uid}/{id},
+ *     eligibility: { firstDepositOnly, minDeposit, methods, newUsersWithinDays },
+ *     startsAt, expiresAt, active, createdBy, createdAt, updatedAt }
+ * promoRedemptions/{redemptionId}:
+ *   { code, userId, source: deposit|direct, transactionId, benefit,
+ *     status: reserved|applied, createdAt, appliedAt }
+ *
+ * Types:
+ *   bonus_kes      value KES of bonus funds
+ *   bonus_points   value points
+ *   deposit_match  value% of the deposit as bonus funds, up to maxBonus
+ *   fee_waiver     value challenges staked without the house fee
+ *
+ * Bonus KES is locked until wagered (see bonusFunds). A redemption's id is
+ * fixed by where it came from, so a retried deposit never redeems twice.
+ */
+
+const admin = require("firebase-admin");
+const { ACCOUNTS, userAccount, postEntry } = require("./walletLedger");
+const { grantBonusFunds } = require("./bonusFunds");
+const { addPointsToUser } = require("../controllers/points");
+const {
+  createSystemNotification,
+} = require("../controllers/notificationController");
+
+const PROMO_TYPES = [
+  "bonus_kes",
+  "bonus_points",
+  "deposit_match",
+  "fee_waiver",
+];
+const DEPOSIT_METHODS = ["stripe", "mpesa"];
+const DEFAULT_WAGERING_MULTIPLIER =
+  parseInt(process.env.PROMO_WAGERING_MULTIPLIER) || 5;
+const MAX_BONUS_KES = 100000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const promoCodeRef = (code) => admin.database().ref(`promoCodes/${code}`);
+const redemptionRef = (redemptionId) =>
+  admin.database().ref(`promoRedemptions/${redemptionId}`);
+
+const normalizeCode = (code) =>
+  String(code || "")
+    .trim()
+    .toUpperCase();
+
+/**
+ * Validate an admin's promo code fields; on update only the fields given
+ * Returns { fields } or { error }
+ */
+const validatePromoFields = (input, { partial = false } = {}) => {
+  const fields = {};
+  const has = (key) => input[key] !== undefined;
+  const isWhole = (value, min) => Number.isInteger(value) && value >= min;
+
+  if (!partial) {
+    const code = normalizeCode(input.code);
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+      return {
+        error: "Code must be 3-32 letters, numbers, dashes or underscores",
+      };
+    }
+    fields.code = code;
+  }
+
+  if (!partial || has("type")) {
+    if (!PROMO_TYPES.includes(input.type)) {
+      return { error: `Type must be one of ${PROMO_TYPES.join(", ")}` };
+    }
+    fields.type = input.type;
+  }
+
+  if (!partial || has("value")) {
+    const value = Number(input.value);
+    const max = input.type === "deposit_match" ? 100 : MAX_BONUS_KES;
+    if (!isWhole(value, 1) || value > max) {
+      return { error: `Value must be a whole number from 1 to ${max}` };
+    }
+    fields.value = value;
+  }
+
+  const optionalNumbers = {
+    maxBonus: 1,
+    wageringMultiplier: 0,
+    maxRedemptions: 1,
+    perUserLimit: 1,
+  };
+  for (const [key, min] of Object.entries(optionalNumbers)) {
+    if (!has(key)) continue;
+    if (input[key] === null) {
+      fields[key] = null;
+      continue;
+    }
+    const value = Number(input[key]);
+    if (!isWhole(value, min)) {
+      return { error: `${key} must be a whole number of at least ${min}` };
+    }
+    fields[key] = value;
+  }
+
+  for (const key of ["startsAt", "expiresAt"]) {
+    if (!has(key)) continue;
+    if (input[key] === null) {
+      fields[key] = null;
+      continue;
+    }
+    const time = new Date(input[key]).getTime();
+    if (!Number.isFinite(time)) {
+      return { error: `${key} must be a date` };
+    }
+    fields[key] = time;
+  }
+  if (
+    fields.startsAt &&
+    fields.expiresAt &&
+    fields.expiresAt <= fields.startsAt
+  ) {
+    return { error: "expiresAt must be after startsAt" };
+  }
+
+  if (has("eligibility")) {
+    const rules = input.eligibility || {};
+    const eligibility = {
+      firstDepositOnly: !!rules.firstDepositOnly,
+      minDeposit: null,
+      methods: null,
+      newUsersWithinDays: null,
+    };
+    for (const key of ["minDeposit", "newUsersWithinDays"]) {
+      if (rules[key] == null) continue;
+      const value = Number(rules[key]);
+      if (!isWhole(value, 1)) {
+        return { error: `eligibility.${key} must be a whole number` };
+      }
+      eligibility[key] = value;
+    }
+    if (rules.methods != null) {
+      if (
+        !Array.isArray(rules.methods) ||
+        rules.methods.some((method) => !DEPOSIT_METHODS.includes(method))
+      ) {
+        return {
+          error: `eligibility.methods may only contain ${DEPOSIT_METHODS.join(
+            ", "
+          )}`,
+        };
+      }
+      eligibility.methods = rules.methods;
+    }
+    fields.eligibility = eligibility;
+  }
+
+  if (has("description")) {
+    fields.description = String(input.description || "").slice(0, 200);
+  }
+  if (has("active")) {
+    fields.active = !!input.active;
+  }
+
+  return { fields };
+};
+
+/**
+ * Create a code; returns { promo } or { error, status }
+ */
+const createPromoCode = async (input, createdBy = "admin") => {
+  const { fields, error } = validatePromoFields(input);
+  if (error) return { error, status: 400 };
+
+  const now = Date.now();
+  let exists = false;
+  const result = await promoCodeRef(fields.code).transaction((current) => {
+    exists = !!current;
+    if (current) return; // Abort
+    return {
+      description: "",
+      maxBonus: null,
+      wageringMultiplier: DEFAULT_WAGERING_MULTIPLIER,
+      maxRedemptions: null,
+      perUserLimit: 1,
+      startsAt: null,
+      expiresAt: null,
+      active: true,
+      eligibility: { firstDepositOnly: false },
+      ...fields,
+      redemptionCount: 0,
+      createdBy,
+      createdAt: now,
+      updatedAt: now,
+    };
+  });
+
+  if (exists) return { error: "Promo code already exists", status: 409 };
+  console.log(`🎟️ Promo code ${fields.code} created by ${createdBy}`);
+  return { promo: result.snapshot.val() };
+};
+
+/**
+ * Change a code's terms; redemptions so far are kept
+ */
+const updatePromoCode = async (code, input, updatedBy = "admin") => {
+  const { fields, error } = validatePromoFields(input, { partial: true });
+  if (error) return { error, status: 400 };
+
+  const result = await promoCodeRef(normalizeCode(code)).transaction(
+    (current) => {
+      if (!current) return current;
+      const updated = {
+        ...current,
+        ...fields,
+        updatedBy,
+        updatedAt: Date.now(),
+      };
+      if (updated.type === "deposit_match" && updated.value > 100) return;
+      return updated;
+    }
+  );
+
+  if (!result.snapshot.exists()) {
+    return { error: "Promo code not found", status: 404 };
+  }
+  if (!result.committed) {
+    return { error: "A deposit match cannot exceed 100%", status: 400 };
+  }
+  return { promo: result.snapshot.val() };
+};
+
+/**
+ * Retire a code; it stays on record for the redemptions made with it
+ */
+const deletePromoCode = async (code, deletedBy = "admin") => {
+  const ref = promoCodeRef(normalizeCode(code));
+  const snap = await ref.once("value");
+  if (!snap.exists()) return { error: "Promo code not found", status: 404 };
+
+  await ref.update({
+    active: false,
+    deletedAt: Date.now(),
+    deletedBy,
+    updatedAt: Date.now(),
+  });
+  return { promo: (await ref.once("value")).val() };
+};
+
+const getPromoCode = async (code) => {
+  const snap = await promoCodeRef(normalizeCode(code)).once("value");
+  return snap.val();
+};
+
+/**
+ * Codes for the admin view, newest first, without per-user redemption lists
+ */
+const listPromoCodes = async ({ includeDeleted = false } = {}) => {
+  const snap = await admin.database().ref("promoCodes").once("value");
+  return Object.values(snap.val() || {})
+    .filter((promo) => includeDeleted || !promo.deletedAt)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(({ redeemedBy, ...promo }) => promo);
+};
+
+const listRedemptions = async (code, limit = 100) => {
+  const snap = await admin
+    .database()
+    .ref("promoRedemptions")
+    .orderByChild("code")
+    .equalTo(normalizeCode(code))
+    .limitToLast(limit)
+    .once("value");
+  return Object.values(snap.val() || {}).sort(
+    (a, b) => b.createdAt - a.createdAt
+  );
+};
+
+/**
+ * Whether a deposit wallet record other than excludeEntryId exists
+ */
+const hasEarlierDeposit = (user, excludeEntryId = null) =>
+  Object.values(user.wallet?.transactions || {}).some(
+    (record) => record.type === "deposit" && record.entryId !== excludeEntryId
+  );
+
+/**
+ * Why a code cannot be redeemed now, or null if it can
+ * The caps are checked again atomically when the code is redeemed
+ */
+const getIneligibility = (promo, user, userId, deposit, now = Date.now()) => {
+  if (!promo || promo.deletedAt) return "Promo code not found";
+  if (!promo.active) return "Promo code is not active";
+  if (promo.startsAt && now < promo.startsAt) {
+    return "Promo code is not active yet";
+  }
+  if (promo.expiresAt && now >= promo.expiresAt) {
+    return "Promo code has expired";
+  }
+  if (
+    promo.maxRedemptions &&
+    (promo.redemptionCount || 0) >= promo.maxRedemptions
+  ) {
+    return "Promo code has been fully redeemed";
+  }
+  const used = Object.keys(promo.redeemedBy?.[userId] || {}).length;
+  if (used >= (promo.perUserLimit || 1)) {
+    return "You have already used this promo code";
+  }
+
+  const rules = promo.eligibility || {};
+  if (promo.type === "deposit_match" && !deposit) {
+    return "This promo code can only be used with a deposit";
+  }
+  if (rules.minDeposit && (!deposit || deposit.amount < rules.minDeposit)) {
+    return `This promo code needs a deposit of at least KES ${rules.minDeposit}`;
+  }
+  if (rules.methods && deposit && !rules.methods.includes(deposit.method)) {
+    return `This promo code is not valid for ${deposit.method} deposits`;
+  }
+  if (rules.firstDepositOnly && hasEarlierDeposit(user, deposit?.entryId)) {
+    return "This promo code is only valid on your first deposit";
+  }
+  if (rules.newUsersWithinDays) {
+    const joinedAt = new Date(user.createdAt || 0).getTime();
+    if (now - joinedAt > rules.newUsersWithinDays * DAY_MS) {
+      return "This promo code is only for new players";
+    }
+  }
+  return null;
+};
+
+/**
+ * What a redemption gives: { bonusKes, points, feeWaivers }
+ */
+const calculateBenefit = (promo, deposit) => {
+  const benefit = { bonusKes: 0, points: 0, feeWaivers: 0 };
+  if (promo.type === "bonus_kes") benefit.bonusKes = promo.value;
+  if (promo.type === "bonus_points") benefit.points = promo.value;
+  if (promo.type === "fee_waiver") benefit.feeWaivers = promo.value;
+  if (promo.type === "deposit_match") {
+    const match = Math.floor((deposit.amount * promo.value) / 100);
+    benefit.bonusKes = promo.maxBonus ? Math.min(match, promo.maxBonus) : match;
+  }
+  return benefit;
+};
+
+/**
+ * Check a code before a deposit is started, so the player hears about a
+ * bad code up front; returns an error message or null
+ */
+const checkPromoCode = async (code, userId, deposit = null) => {
+  const [promo, userSnap] = await Promise.all([
+    getPromoCode(code),
+    admin.database().ref(`users/${userId}`).once("value"),
+  ]);
+  return getIneligibility(promo, userSnap.val() || {}, userId, deposit);
+};
+
+/**
+ * Add fee waivers to a player, once per redemption
+ */
+const grantFeeWaivers = async (userId, redemptionId, count) => {
+  await admin
+    .database()
+    .ref(`users/${userId}/feeWaivers`)
+    .transaction((current) => {
+      const waivers = current || { remaining: 0 };
+      if (waivers.grants && waivers.grants[redemptionId]) return; // Abort
+      return {
+        remaining: (waivers.remaining || 0) + count,
+        grants: { ...(waivers.grants || {}), [redemptionId]: count },
+        updatedAt: Date.now(),
+      };
+    });
+};
+
+/**
+ * Use up one fee waiver; true if the player had one
+ * With a challengeId the waiver is recorded against that challenge, so a
+ * repeated call for it uses no other and a refund can give it back
+ */
+const useFeeWaiver = async (userId, challengeId = null) => {
+  let used = false;
+  await admin
+    .database()
+    .ref(`users/${userId}/feeWaivers`)
+    .transaction((waivers) => {
+      used = false;
+      if (!waivers) return waivers;
+      if (challengeId && waivers.usedFor?.[challengeId]) {
+        used = true;
+        return; // Abort - already used for this challenge
+      }
+      if (!(waivers.remaining > 0)) return; // Abort
+      used = true;
+      return {
+        ...waivers,
+        remaining: waivers.remaining - 1,
+        ...(challengeId && {
+          usedFor: { ...(waivers.usedFor || {}), [challengeId]: Date.now() },
+        }),
+        updatedAt: Date.now(),
+      };
+    });
+  return used;
+};
+
+/**
+ * Give back the fee waiver used for a challenge whose stake was refunded
+ */
+const restoreFeeWaiver = async (userId, challengeId) => {
+  await admin
+    .database()
+    .ref(`users/${userId}/feeWaivers`)
+    .transaction((waivers) => {
+      if (!waivers) return waivers;
+      if (!waivers.usedFor?.[challengeId]) return; // Abort - none used
+      const usedFor = { ...waivers.usedFor };
+      delete usedFor[challengeId];
+      return {
+        ...waivers,
+        remaining: (waivers.remaining || 0) + 1,
+        usedFor,
+        updatedAt: Date.now(),
+      };
+    });
+};
+
+/**
+ * Pay out a reserved redemption; every step is safe to repeat
+ */
+const applyRedemption = async (redemption) => {
+  const { id, userId, code, benefit } = redemption;
+
+  if (benefit.bonusKes > 0) {
+    const entry = await postEntry({
+      id: `promo_${id}`,
+      type: "promo_bonus",
+      description: `Promo code ${code} bonus`,
+      legs: [
+        { account: ACCOUNTS.HOUSE_PROMOTIONS, amount: -benefit.bonusKes },
+        { account: userAccount(userId), amount: benefit.bonusKes },
+      ],
+      metadata: { code, redemptionId: id },
+    });
+    if (!entry.success) {
+      throw new Error(`Failed to credit promo bonus: ${entry.error}`);
+    }
+    await grantBonusFunds(userId, id, {
+      amount: benefit.bonusKes,
+      wageringMultiplier: redemption.wageringMultiplier,
+      source: code,
+    });
+  }
+
+  if (benefit.points > 0 && !redemption.pointsAwarded) {
+    await addPointsToUser(userId, benefit.points, "PROMO_CODE", {
+      code,
+      redemptionId: id,
+    });
+    await redemptionRef(id).update({ pointsAwarded: true });
+  }
+
+  if (benefit.feeWaivers > 0) {
+    await grantFeeWaivers(userId, id, benefit.feeWaivers);
+  }
+
+  await redemptionRef(id).update({ status: "applied", appliedAt: Date.now() });
+};
+
+/**
+ * Describe a benefit for the player
+ */
+const describeBenefit = (benefit, promo) => {
+  if (benefit.feeWaivers > 0) {
+    return `${benefit.feeWaivers} fee-free challenge${
+      benefit.feeWaivers === 1 ? "" : "s"
+    }`;
+  }
+  if (benefit.points > 0) return `${benefit.points} points`;
+  return `KES ${benefit.bonusKes} bonus, withdrawable after wagering KES ${
+    benefit.bonusKes * promo.wageringMultiplier
+  }`;
+};
+
+/**
+ * Redeem a code for a user, on its own or against a credited deposit
+ * ({ amount, method, entryId, transactionId })
+ * Returns { redemption } or { error, status }
+ */
+const redeemPromoCode = async ({ code, userId, redemptionId, deposit }) => {
+  code = normalizeCode(code);
+
+  const existingSnap = await redemptionRef(redemptionId).once("value");
+  if (existingSnap.exists()) {
+    const existing = existingSnap.val();
+    if (existing.status !== "applied") await applyRedemption(existing);
+    return { redemption: { ...existing, status: "applied" } };
+  }
+
+  const userSnap = await admin.database().ref(`users/${userId}`).once("value");
+  if (!userSnap.exists()) return { error: "User not found", status: 404 };
+  const user = userSnap.val();
+
+  // Caps and the per-user limit are enforced on the code itself
+  const now = Date.now();
+  let ineligible = null;
+  let promo = null;
+  await promoCodeRef(code).transaction((current) => {
+    ineligible = null;
+    promo = current;
+    if (!current) return current;
+    if (current.redeemedBy?.[userId]?.[redemptionId]) return; // Abort
+    ineligible = getIneligibility(current, user, userId, deposit, now);
+    if (ineligible) return; // Abort
+
+    return {
+      ...current,
+      redemptionCount: (current.redemptionCount || 0) + 1,
+      redeemedBy: {
+        ...(current.redeemedBy || {}),
+        [userId]: {
+          ...(current.redeemedBy?.[userId] || {}),
+          [redemptionId]: now,
+        },
+      },
+    };
+  });
+
+  if (!promo) ineligible = "Promo code not found";
+  if (ineligible) {
+    return {
+      error: ineligible,
+      status: ineligible === "Promo code not found" ? 404 : 400,
+    };
+  }
+
+  const benefit = calculateBenefit(promo, deposit);
+  const redemption = {
+    id: redemptionId,
+    code,
+    userId,
+    type: promo.type,
+    source: deposit ? "deposit" : "direct",
+    transactionId: deposit?.transactionId || null,
+    depositAmount: deposit?.amount || null,
+    benefit,
+    wageringMultiplier: promo.wageringMultiplier ?? DEFAULT_WAGERING_MULTIPLIER,
+    status: "reserved",
+    createdAt: now,
+  };
+  await redemptionRef(redemptionId).set(redemption);
+  await applyRedemption(redemption);
+
+  console.log(`🎟️ ${userId} redeemed ${code}: ${JSON.stringify(benefit)}`);
+  await createSystemNotification(userId, {
+    title: "Promo code applied",
+    message: `${code}: ${describeBenefit(benefit, redemption)}.`,
+    action: { type: "open_wallet" },
+  });
+
+  return { redemption: { ...redemption, status: "applied" } };
+};
+
+/**
+ * Redeem the code a deposit was made with, once it has been credited
+ * A code that is no longer valid is recorded on the transaction and the
+ * player is told; infrastructure errors are thrown so the webhook retries
+ */
+const applyDepositPromo = async (transactionId, transaction, deposit) => {
+  if (!transaction.promoCode) return null;
+
+  const result = await redeemPromoCode({
+    code: transaction.promoCode,
+    userId: transaction.userId,
+    redemptionId: `deposit_${transactionId}`,
+    deposit: { ...deposit, transactionId },
+  });
+
+  if (result.error) {
+    console.warn(
+      `⚠️ Promo ${transaction.promoCode} not applied to ${transactionId}: ${result.error}`
+    );
+    await admin
+      .database()
+      .ref(`transactions/${transactionId}`)
+      .update({ promoError: result.error });
+    await createSystemNotification(transaction.userId, {
+      title: "Promo code not applied",
+      message: `Your deposit was credited, but ${transaction.promoCode} couldn't be applied: ${result.error}.`,
+      action: { type: "open_wallet" },
+    });
+    return null;
+  }
+
+  await admin
+    .database()
+    .ref(`transactions/${transactionId}`)
+    .update({ promoRedemptionId: result.redemption.id });
+  return result.redemption;
+};
+
+module.exports = {
+  PROMO_TYPES,
+  normalizeCode,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+  getPromoCode,
+  listPromoCodes,
+  listRedemptions,
+  checkPromoCode,
+  redeemPromoCode,
+  applyDepositPromo,
+  useFeeWaiver,
+  restoreFeeWaiver,
+};
@@ -0,0 +1,427 @@
+/**
+ * Responsible Gaming Service
+ * Per-user deposit and loss limits, and timed or permanent self-exclusion
+ *
+ * Limits are rolling windows (daily = last 24 hours, weekly = 7 days,
+ * monthly = 30 days). A stricter limit applies at once; a looser one, or
+ * removing a limit, only applies after the cooling-off period. Every change
+ * is appended to auditLogs/responsibleGaming/{uid}.
+ */
+
+const admin = require("firebase-admin");
+
+const LIMIT_TYPES = ["deposit", "loss"];
+const LIMIT_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+  monthly: 30 * 24 * 60 * 60 * 1000,
+};
+const COOLING_OFF_MS =
+  (parseInt(process.env.RESPONSIBLE_GAMING_COOLING_OFF_HOURS) || 24) *
+  60 *
+  60 *
+  1000;
+const MAX_EXCLUSION_DAYS = 5 * 365;
+
+// Started deposits count against the limit until they can no longer complete
+const PENDING_DEPOSIT_WINDOW_MS = 60 * 60 * 1000;
+
+// Wallet record types that are challenge stakes, payouts or refunds
+const CHALLENGE_RECORD_PATTERN = /^(challenge_|group_challenge_|matchmaking_)/;
+
+const settingsRef = (userId) =>
+  admin.database().ref(`responsibleGaming/${userId}`);
+
+/**
+ * Append a change to the user's responsible gaming audit log
+ */
+const logLimitAudit = async (userId, entry, context = {}) => {
+  await admin
+    .database()
+    .ref(`auditLogs/responsibleGaming/${userId}`)
+    .push({
+      ...entry,
+      userId,
+      changedBy: context.changedBy || userId,
+      ip: context.ip || null,
+      userAgent: context.userAgent || null,
+      timestamp: Date.now(),
+    });
+};
+
+/**
+ * A user's settings, applying any cooled-off changes that are now due
+ */
+const getSettings = async (userId) => {
+  const now = Date.now();
+  const settingsSnap = await settingsRef(userId).once("value");
+  let settings = settingsSnap.val() || {};
+
+  const isDue = Object.values(settings.pendingChanges || {}).some(
+    (change) => change.effectiveAt <= now
+  );
+
+  if (isDue) {
+    let applied = [];
+    const result = await settingsRef(userId).transaction((current) => {
+      applied = [];
+      if (!current) return current;
+
+      Object.entries(current.pendingChanges || {}).forEach(([key, change]) => {
+        if (change.effectiveAt > now) return;
+        current.limits = current.limits || {};
+        current.limits[change.type] = current.limits[change.type] || {};
+        current.limits[change.type][change.period] = change.value;
+        delete current.pendingChanges[key];
+        applied.push(change);
+      });
+      return current;
+    });
+    settings = result.snapshot.val() || {};
+
+    for (const change of applied) {
+      await logLimitAudit(
+        userId,
+        {
+          action: "limit_change_applied",
+          type: change.type,
+          period: change.period,
+          previous: change.previous ?? null,
+          value: change.value ?? null,
+          requestedAt: change.requestedAt,
+        },
+        { changedBy: "system" }
+      );
+    }
+  }
+
+  return {
+    limits: settings.limits || {},
+    pendingChanges: settings.pendingChanges || {},
+    selfExclusion: settings.selfExclusion || null,
+  };
+};
+
+/**
+ * Set, lower, raise or remove (value null) one limit
+ */
+const setLimit = async (userId, { type, period, value }, context = {}) => {
+  if (!LIMIT_TYPES.includes(type)) {
+    return { error: `Limit type must be one of: ${LIMIT_TYPES.join(", ")}` };
+  }
+  if (!LIMIT_PERIODS[period]) {
+    return {
+      error: `Limit period must be one of: ${Object.keys(LIMIT_PERIODS).join(
+        ", "
+      )}`,
+    };
+  }
+  if (value !== null && (!Number.isInteger(value) || value < 1)) {
+    return { error: "Limit must be a whole number of KES, or null to remove" };
+  }
+
+  // Apply due changes first so "previous" is the limit in force now
+  await getSettings(userId);
+
+  const now = Date.now();
+  const key = `${type}_${period}`;
+  let change = null;
+
+  await settingsRef(userId).transaction((settings) => {
+    settings = settings || {};
+    const previous = settings.limits?.[type]?.[period] ?? null;
+    const stricter = value !== null && (previous === null || value <= previous);
+
+    if (stricter) {
+      settings.limits = settings.limits || {};
+      settings.limits[type] = { ...(settings.limits[type] || {}) };
+      settings.limits[type][period] = value;
+      if (settings.pendingChanges) delete settings.pendingChanges[key];
+      change = { applied: true, previous, value, effectiveAt: now };
+    } else {
+      settings.pendingChanges = settings.pendingChanges || {};
+      settings.pendingChanges[key] = {
+        type,
+        period,
+        previous,
+        value,
+        requestedAt: now,
+        effectiveAt: now + COOLING_OFF_MS,
+      };
+      change = {
+        applied: false,
+        previous,
+        value,
+        effectiveAt: now + COOLING_OFF_MS,
+      };
+    }
+    settings.updatedAt = now;
+    return settings;
+  });
+
+  let action = "limit_lowered";
+  if (!change.applied) {
+    action =
+      value === null ? "limit_removal_requested" : "limit_raise_requested";
+  } else if (change.previous === null) {
+    action = "limit_set";
+  }
+
+  await logLimitAudit(
+    userId,
+    {
+      action,
+      type,
+      period,
+      previous: change.previous,
+      value,
+      effectiveAt: change.effectiveAt,
+    },
+    context
+  );
+
+  return { type, period, ...change };
+};
+
+/**
+ * The exclusion in force, or null
+ */
+const getActiveExclusion = (settings, now = Date.now()) => {
+  const exclusion = settings.selfExclusion;
+  if (!exclusion) return null;
+  if (exclusion.permanent || exclusion.until > now) return exclusion;
+  return null;
+};
+
+/**
+ * Start or extend a self-exclusion; it can never be shortened or lifted early
+ */
+const selfExclude = async (
+  userId,
+  { durationDays, permanent = false, reason },
+  context = {}
+) => {
+  const days = parseInt(durationDays);
+  if (!permanent && (isNaN(days) || days < 1 || days > MAX_EXCLUSION_DAYS)) {
+    return {
+      error: `Choose an exclusion of 1 to ${MAX_EXCLUSION_DAYS} days, or a permanent one`,
+    };
+  }
+
+  const now = Date.now();
+  const until = permanent ? null : now + days * 24 * 60 * 60 * 1000;
+  let previous = null;
+  let rejected = null;
+
+  const result = await settingsRef(userId).transaction((settings) => {
+    settings = settings || {};
+    previous = getActiveExclusion(settings, now);
+    rejected = null;
+
+    if (previous?.permanent) {
+      rejected = "You are already permanently excluded";
+      return; // Abort
+    }
+    if (previous && !permanent && until <= previous.until) {
+      rejected = "An exclusion can only be extended, not shortened";
+      return; // Abort
+    }
+
+    settings.selfExclusion = {
+      startedAt: previous ? previous.startedAt : now,
+      until,
+      permanent,
+      reason: reason ? String(reason).substring(0, 200) : null,
+      updatedAt: now,
+    };
+    settings.updatedAt = now;
+    return settings;
+  });
+
+  if (!result.committed) {
+    return {
+      error: rejected || "Failed to update self-exclusion",
+      status: 409,
+    };
+  }
+
+  await logLimitAudit(
+    userId,
+    {
+      action: previous ? "self_exclusion_extended" : "self_exclusion_started",
+      previousUntil: previous ? previous.until : null,
+      until,
+      permanent,
+    },
+    context
+  );
+
+  return { selfExclusion: result.snapshot.val().selfExclusion };
+};
+
+const exclusionError = (exclusion) => ({
+  error: "Self-excluded",
+  code: "SELF_EXCLUDED",
+  status: 403,
+  message: exclusion.permanent
+    ? "Your account is permanently self-excluded from deposits and challenges"
+    : `Your account is self-excluded from deposits and challenges until ${new Date(
+        exclusion.until
+      ).toISOString()}`,
+  until: exclusion.until || null,
+});
+
+/**
+ * Deposits started or completed per rolling period
+ */
+const getDepositUsage = async (userId, now = Date.now()) => {
+  const transactionsSnap = await admin
+    .database()
+    .ref("transactions")
+    .orderByChild("userId")
+    .equalTo(userId)
+    .once("value");
+
+  const usage = Object.fromEntries(
+    Object.keys(LIMIT_PERIODS).map((period) => [period, 0])
+  );
+  Object.values(transactionsSnap.val() || {}).forEach((transaction) => {
+    if (transaction.type !== "deposit") return;
+    const createdAt = new Date(transaction.createdAt || 0).getTime();
+    const counts =
+      transaction.status === "completed" ||
+      (transaction.status === "pending" &&
+        now - createdAt < PENDING_DEPOSIT_WINDOW_MS);
+    if (!counts) return;
+
+    Object.entries(LIMIT_PERIODS).forEach(([period, windowMs]) => {
+      if (now - createdAt < windowMs) {
+        usage[period] += parseInt(transaction.amount) || 0;
+      }
+    });
+  });
+  return usage;
+};
+
+/**
+ * Net challenge losses per rolling period; stakes still in play count as
+ * lost until they are paid out or refunded
+ */
+const getLossUsage = async (userId, now = Date.now()) => {
+  const recordsSnap = await admin
+    .database()
+    .ref(`users/${userId}/wallet/transactions`)
+    .once("value");
+
+  const net = Object.fromEntries(
+    Object.keys(LIMIT_PERIODS).map((period) => [period, 0])
+  );
+  Object.values(recordsSnap.val() || {}).forEach((record) => {
+    if (!CHALLENGE_RECORD_PATTERN.test(record.type || "")) return;
+    const createdAt = new Date(
+      record.createdAt || record.timestamp || 0
+    ).getTime();
+
+    Object.entries(LIMIT_PERIODS).forEach(([period, windowMs]) => {
+      if (now - createdAt < windowMs) net[period] += record.amount || 0;
+    });
+  });
+
+  return Object.fromEntries(
+    Object.entries(net).map(([period, amount]) => [
+      period,
+      Math.max(0, -amount),
+    ])
+  );
+};
+
+/**
+ * First limit of a type the amount would break, as an error, or null
+ */
+const checkLimits = (type, limits, usage, amount) => {
+  for (const period of Object.keys(LIMIT_PERIODS)) {
+    const limit = limits[type]?.[period];
+    if (limit === undefined || limit === null) continue;
+    if (usage[period] + amount > limit) {
+      return {
+        error: `${type === "deposit" ? "Deposit" : "Loss"} limit reached`,
+        code: `${type.toUpperCase()}_LIMIT`,
+        status: 403,
+        message: `This would take you past your ${period} ${type} limit of KES ${limit}`,
+        period,
+        limit,
+        used: usage[period],
+        remaining: Math.max(0, limit - usage[period]),
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Whether the user may deposit amount; returns an error object or null
+ */
+const checkDepositAllowed = async (userId, amount) => {
+  const settings = await getSettings(userId);
+  const exclusion = getActiveExclusion(settings);
+  if (exclusion) return exclusionError(exclusion);
+  if (!settings.limits.deposit) return null;
+
+  const usage = await getDepositUsage(userId);
+  return checkLimits("deposit", settings.limits, usage, amount);
+};
+
+/**
+ * Whether the user may stake bet on a challenge; returns an error or null
+ * The whole stake counts, since it can all be lost
+ */
+const checkStakeAllowed = async (userId, bet) => {
+  const settings = await getSettings(userId);
+  const exclusion = getActiveExclusion(settings);
+  if (exclusion) return exclusionError(exclusion);
+  if (!settings.limits.loss) return null;
+
+  const usage = await getLossUsage(userId);
+  return checkLimits("loss", settings.limits, usage, bet);
+};
+
+/**
+ * Settings with current usage against each limit (for the player's view)
+ */
+const getResponsibleGamingStatus = async (userId) => {
+  const settings = await getSettings(userId);
+  const [deposits, losses] = await Promise.all([
+    getDepositUsage(userId),
+    getLossUsage(userId),
+  ]);
+
+  return {
+    ...settings,
+    selfExclusion: getActiveExclusion(settings),
+    usage: { deposit: deposits, loss: losses },
+    coolingOffHours: COOLING_OFF_MS / (60 * 60 * 1000),
+  };
+};
+
+const getLimitAuditLog = async (userId) => {
+  const auditSnap = await admin
+    .database()
+    .ref(`auditLogs/responsibleGaming/${userId}`)
+    .once("value");
+  return Object.values(auditSnap.val() || {}).sort(
+    (a, b) => b.timestamp - a.timestamp
+  );
+};
+
+module.exports = {
+  LIMIT_TYPES,
+  LIMIT_PERIODS,
+  getSettings,
+  setLimit,
+  selfExclude,
+  getActiveExclusion,
+  checkDepositAllowed,
+  checkStakeAllowed,
+  getResponsibleGamingStatus,
+  getLimitAuditLog,
+};
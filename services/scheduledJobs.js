@@ -0,0 +1,81 @@
+/**
+ * Scheduled Jobs
+ * Background work that has to run wherever the API is deployed
+ *
+ * A long-running server also starts its own timers (see startServer), but
+ * Firebase Functions and Vercel never run those. There each job is
+ * triggered on its schedule instead: a Cloud Scheduler function per job
+ * (index.js) or a Vercel Cron call to /admin/jobs/:job (vercel.json).
+ *
+ * Schedules are unix-cron; keep vercel.json's crons in step with them.
+ */
+
+const { releaseHeldPayouts, runCleanupJob } = require("./challengeCleanup");
+const { runWebhookWorker } = require("./webhookInbox");
+const { runMembershipRenewals } = require("./membership");
+const { sendStreakReminders } = require("./loginStreaks");
+
+const SCHEDULED_JOBS = {
+  challengePayouts: {
+    description: "Release challenge payouts once their dispute window ends",
+    schedule: "*/5 * * * *",
+    run: releaseHeldPayouts,
+  },
+  challengeCleanup: {
+    description:
+      "Expire challenges, forfeit or refund unplayed ones past their play deadline, and clear stale queue entries and sessions",
+    schedule: "*/15 * * * *",
+    run: runCleanupJob,
+  },
+  webhookWorker: {
+    description: "Retry payment webhooks that are due or stuck processing",
+    schedule: "* * * * *",
+    run: runWebhookWorker,
+  },
+  membershipRenewals: {
+    description:
+      "Request M-Pesa membership renewals and lapse memberships left unpaid",
+    schedule: "0 * * * *",
+    run: runMembershipRenewals,
+  },
+  streakReminders: {
+    description: "Warn players whose login streak ends at midnight",
+    schedule: "0 * * * *",
+    run: sendStreakReminders,
+  },
+};
+
+// Jobs currently running in this instance
+const runningJobs = new Set();
+
+/**
+ * Run a job by name; returns { job, skipped } or { job, result }
+ * A job still running from an earlier trigger is skipped, not doubled up
+ */
+const runScheduledJob = async (name) => {
+  const job = SCHEDULED_JOBS[name];
+  if (!job) {
+    throw new Error(`Unknown scheduled job: ${name}`);
+  }
+  if (runningJobs.has(name)) {
+    console.log(`⏭️ Scheduled job ${name} is already running`);
+    return { job: name, skipped: true };
+  }
+
+  runningJobs.add(name);
+  const startTime = Date.now();
+  try {
+    const result = await job.run();
+    console.log(
+      `⏰ Scheduled job ${name} finished in ${Date.now() - startTime}ms`
+    );
+    return { job: name, result };
+  } finally {
+    runningJobs.delete(name);
+  }
+};
+
+module.exports = {
+  SCHEDULED_JOBS,
+  runScheduledJob,
+};
@@ -0,0 +1,194 @@
+/**
+ * Skill Rating Service
+ * Per-user, per-game Elo ratings derived from completed challenges
+ */
+
+const admin = require("firebase-admin");
+
+const DEFAULT_RATING = 1200;
+const K_FACTOR = 32;
+// New players move faster until their rating settles
+const PROVISIONAL_K_FACTOR = 48;
+const PROVISIONAL_GAMES = 10;
+
+/**
+ * Get a player's rating for a game (default for unrated players)
+ */
+const getPlayerRating = async (userId, gameId) => {
+  try {
+    const ratingSnap = await admin
+      .database()
+      .ref(`playerRatings/${userId}/${gameId}/rating`)
+      .once("value");
+    return ratingSnap.exists() ? ratingSnap.val() : DEFAULT_RATING;
+  } catch (error) {
+    console.warn(`Failed to fetch rating for ${userId}:`, error.message);
+    return DEFAULT_RATING;
+  }
+};
+
+/**
+ * Expected score for a player against an opponent
+ */
+const expectedScore = (rating, opponentRating) => {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+};
+
+/**
+ * Apply one player's rating change atomically and record it in history
+ */
+const applyRatingChange = async (userId, gameId, result) => {
+  const ratingRef = admin.database().ref(`playerRatings/${userId}/${gameId}`);
+  let change = 0;
+  let ratingBefore = DEFAULT_RATING;
+
+  const txResult = await ratingRef.transaction((record) => {
+    const current = record || {
+      rating: DEFAULT_RATING,
+      gamesPlayed: 0,
+      wins: 0,
+      losses: 0,
+      ties: 0,
+      peakRating: DEFAULT_RATING,
+    };
+
+    const k =
+      current.gamesPlayed < PROVISIONAL_GAMES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+    ratingBefore = current.rating;
+    change = Math.round(
+      k * (result.score - expectedScore(current.rating, result.opponentRating))
+    );
+
+    current.rating = current.rating + change;
+    current.gamesPlayed = current.gamesPlayed + 1;
+    if (result.score === 1) current.wins = (current.wins || 0) + 1;
+    else if (result.score === 0) current.losses = (current.losses || 0) + 1;
+    else current.ties = (current.ties || 0) + 1;
+    current.peakRating = Math.max(current.peakRating || 0, current.rating);
+    current.updatedAt = Date.now();
+
+    return current;
+  });
+
+  const record = txResult.snapshot.val();
+
+  await admin
+    .database()
+    .ref()
+    .update({
+      [`ratingHistory/${userId}/${gameId}/${result.challengeId}`]: {
+        challengeId: result.challengeId,
+        opponentId: result.opponentId,
+        opponentRating: result.opponentRating,
+        ratingBefore,
+        ratingAfter: record.rating,
+        change,
+        result:
+          result.score === 1 ? "won" : result.score === 0 ? "lost" : "tie",
+        betAmount: result.betAmount,
+        timestamp: Date.now(),
+      },
+      [`ratingLeaderboards/${gameId}/${userId}`]: {
+        userId,
+        rating: record.rating,
+        gamesPlayed: record.gamesPlayed,
+        updatedAt: record.updatedAt,
+      },
+    });
+
+  return { userId, ratingBefore, ratingAfter: record.rating, change };
+};
+
+/**
+ * Update both players' ratings for a completed challenge
+ * Skips challenges that have already been rated (ratedChallenges/{id})
+ */
+const updateRatingsForChallenge = async (challengeId, challengeData) => {
+  const { challengerId, challengedId, gameId, winnerId } = challengeData;
+  if (!challengerId || !challengedId || !gameId || !winnerId) {
+    return null;
+  }
+
+  // Challenges rated before markers existed only have history
+  const ratedSnap = await admin
+    .database()
+    .ref(`ratingHistory/${challengerId}/${gameId}/${challengeId}`)
+    .once("value");
+  if (ratedSnap.exists()) {
+    return null;
+  }
+
+  // Claim the challenge first so concurrent settlements rate it only once
+  const markerRef = admin.database().ref(`ratedChallenges/${challengeId}`);
+  const claim = await markerRef.transaction((marker) => {
+    if (marker) return; // Abort - already rated
+    return { ratedAt: Date.now() };
+  });
+  if (!claim.committed) {
+    return null;
+  }
+
+  // Both changes use pre-match ratings so the order of updates doesn't matter
+  let challengerRating;
+  let challengedRating;
+  let challengerChange;
+  const challengerScore =
+    winnerId === "tie" ? 0.5 : winnerId === challengerId ? 1 : 0;
+  try {
+    [challengerRating, challengedRating] = await Promise.all([
+      getPlayerRating(challengerId, gameId),
+      getPlayerRating(challengedId, gameId),
+    ]);
+
+    challengerChange = await applyRatingChange(challengerId, gameId, {
+      challengeId,
+      opponentId: challengedId,
+      opponentRating: challengedRating,
+      score: challengerScore,
+      betAmount: challengeData.betAmount,
+    });
+  } catch (error) {
+    // Nothing was applied, so a later attempt may rate it
+    await markerRef.remove();
+    throw error;
+  }
+  const challengedChange = await applyRatingChange(challengedId, gameId, {
+    challengeId,
+    opponentId: challengerId,
+    opponentRating: challengerRating,
+    score: 1 - challengerScore,
+    betAmount: challengeData.betAmount,
+  });
+
+  console.log(
+    `📈 Ratings updated for ${challengeId}: ${challengerChange.change} / ${challengedChange.change}`
+  );
+
+  return {
+    [challengerId]: challengerChange,
+    [challengedId]: challengedChange,
+  };
+};
+
+/**
+ * Check whether two players are within a rating window for a game
+ */
+const isWithinRatingWindow = async (userId, opponentId, gameId, window) => {
+  const [rating, opponentRating] = await Promise.all([
+    getPlayerRating(userId, gameId),
+    getPlayerRating(opponentId, gameId),
+  ]);
+  return {
+    withinWindow: Math.abs(rating - opponentRating) <= window,
+    rating,
+    opponentRating,
+  };
+};
+
+module.exports = {
+  DEFAULT_RATING,
+  getPlayerRating,
+  expectedScore,
+  updateRatingsForChallenge,
+  isWithinRatingWindow,
+};
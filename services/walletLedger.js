@@ -0,0 +1,442 @@
+/**
+ * Wallet Ledger Service
+ * Double-entry journal behind every wallet balance change
+ *
+ * A journal entry is a set of legs whose amounts sum to zero; each amount is
+ * what that account gains. Accounts:
+ *   user:{uid}         spendable balance (users/{uid}/wallet/amount)
+ *   escrow:{uid}       stakes held for challenges (wallet/escrowBalance)
+ *   house:fees         service charges and cancellation fees
+ *   house:adjustments  manual credits and corrections
+ *   house:promotions   promo code bonuses paid to players
+ *   provider:{name}    money moved in or out through a payment provider
+ *   clearing:withdrawals  withdrawals reserved but not yet paid out
+ *   clearing:disputes  deposits held while a card chargeback is open
+ *   equity:opening     balances that existed before the ledger
+ */
+
+const admin = require("firebase-admin");
+
+const ACCOUNTS = {
+  HOUSE_FEES: "house:fees",
+  HOUSE_ADJUSTMENTS: "house:adjustments",
+  HOUSE_PROMOTIONS: "house:promotions",
+  MPESA: "provider:mpesa",
+  STRIPE: "provider:stripe",
+  WITHDRAWALS: "clearing:withdrawals",
+  DISPUTES: "clearing:disputes",
+  OPENING_BALANCE: "equity:opening",
+};
+
+const userAccount = (userId) => `user:${userId}`;
+const escrowAccount = (userId) => `escrow:${userId}`;
+
+/**
+ * Split an account key into its kind and owner
+ */
+const parseAccount = (account) => {
+  const separator = account.indexOf(":");
+  return {
+    kind: account.substring(0, separator),
+    ownerId: account.substring(separator + 1),
+  };
+};
+
+/**
+ * Check an entry's legs are whole numbers that balance to zero
+ */
+const validateLegs = (legs) => {
+  if (!Array.isArray(legs) || legs.length < 2) {
+    return "A journal entry needs at least two legs";
+  }
+  if (legs.some((leg) => !leg.account || !Number.isInteger(leg.amount))) {
+    return "Every leg needs an account and a whole-number amount";
+  }
+  const total = legs.reduce((sum, leg) => sum + leg.amount, 0);
+  if (total !== 0) {
+    return `Journal entry is unbalanced by ${total}`;
+  }
+  return null;
+};
+
+/**
+ * Net change per user wallet: { uid: { amount, escrowAmount } }
+ */
+const groupWalletDeltas = (legs) => {
+  const deltas = {};
+  legs.forEach((leg) => {
+    const { kind, ownerId } = parseAccount(leg.account);
+    if (kind !== "user" && kind !== "escrow") return;
+
+    deltas[ownerId] = deltas[ownerId] || { amount: 0, escrowAmount: 0 };
+    if (kind === "user") deltas[ownerId].amount += leg.amount;
+    if (kind === "escrow") deltas[ownerId].escrowAmount += leg.amount;
+  });
+  return deltas;
+};
+
+/**
+ * Id of the wallet history record an entry leaves for one user
+ * Entries touching several wallets suffix the user id
+ */
+const getWalletRecordId = (entry, userId, walletCount) => {
+  return walletCount > 1 ? `${entry.id}_${userId}` : entry.id;
+};
+
+/**
+ * Journal the balances a wallet had before its first ledger entry,
+ * so the wallet can be recomputed from the journal alone
+ */
+const recordOpeningBalance = async (userId, opening) => {
+  const legs = [
+    { account: userAccount(userId), amount: opening.amount },
+    { account: escrowAccount(userId), amount: opening.escrowBalance },
+    {
+      account: ACCOUNTS.OPENING_BALANCE,
+      amount: -(opening.amount + opening.escrowBalance),
+    },
+  ].filter((leg) => leg.amount !== 0);
+
+  if (legs.length === 0) return;
+
+  const entryId = `opening_${userId}`;
+  const now = new Date().toISOString();
+  const updates = {
+    [`ledger/journal/${entryId}`]: {
+      id: entryId,
+      type: "opening_balance",
+      description: "Wallet balance before the ledger",
+      legs,
+      metadata: { userId },
+      status: "posted",
+      createdAt: now,
+      postedAt: now,
+    },
+  };
+  legs.forEach((leg) => {
+    updates[`ledger/postings/${leg.account}/${entryId}`] = {
+      amount: leg.amount,
+      type: "opening_balance",
+      createdAt: now,
+    };
+  });
+
+  await admin.database().ref().update(updates);
+};
+
+/**
+ * Apply one entry's net change to a wallet in a single transaction
+ * The history record doubles as the marker that the entry was applied
+ */
+const applyToWallet = async (userId, entry, delta, recordId) => {
+  const walletRef = admin.database().ref(`users/${userId}/wallet`);
+  const record = {
+    type: entry.type,
+    description: entry.description,
+    metadata: entry.metadata || {},
+    ...(entry.walletRecords && entry.walletRecords[userId]),
+  };
+  const isCredit = delta.amount >= 0 && delta.escrowAmount >= 0;
+
+  let insufficientFunds = false;
+  let insufficientEscrow = false;
+  let alreadyApplied = false;
+  let opening = null;
+
+  const result = await walletRef.transaction((wallet) => {
+    insufficientFunds = false;
+    insufficientEscrow = false;
+    alreadyApplied = false;
+    opening = null;
+
+    if (!wallet) {
+      // Credits may open a wallet; debits need money to already be there
+      if (!isCredit) return wallet;
+      wallet = {
+        amount: 0,
+        escrowBalance: 0,
+        currency: "KES",
+        createdAt: new Date().toISOString(),
+      };
+    }
+
+    if (wallet.transactions && wallet.transactions[recordId]) {
+      alreadyApplied = true;
+      return; // Abort - entry was applied by an earlier attempt
+    }
+
+    if (!wallet.ledgerOpenedAt) {
+      opening = {
+        amount: wallet.amount || 0,
+        escrowBalance: wallet.escrowBalance || 0,
+      };
+      wallet.ledgerOpenedAt = new Date().toISOString();
+    }
+
+    const balanceBefore = wallet.amount || 0;
+    const escrowBefore = wallet.escrowBalance || 0;
+    const balanceAfter = balanceBefore + delta.amount;
+
+    if (balanceAfter < 0) {
+      insufficientFunds = true;
+      return; // Abort - never overdraw a wallet
+    }
+
+    const escrowAfter = escrowBefore + delta.escrowAmount;
+    if (escrowAfter < 0) {
+      insufficientEscrow = true;
+      return; // Abort - never release more than escrow holds
+    }
+
+    wallet.amount = balanceAfter;
+    wallet.escrowBalance = escrowAfter;
+    wallet.transactions = {
+      ...(wallet.transactions || {}),
+      [recordId]: {
+        id: recordId,
+        entryId: entry.id,
+        amount: delta.amount,
+        escrowAmount: delta.escrowAmount,
+        type: record.type,
+        description: record.description,
+        balanceBefore,
+        balanceAfter,
+        escrowBefore,
+        escrowAfter,
+        metadata: record.metadata,
+        createdAt: new Date().toISOString(),
+      },
+    };
+    wallet.lastTransaction = {
+      type: record.type,
+      amount: delta.amount,
+      challengeId: record.metadata?.challengeId,
+      timestamp: Date.now(),
+    };
+    wallet.updatedAt = new Date().toISOString();
+
+    return wallet;
+  });
+
+  if (alreadyApplied) {
+    return { success: true, alreadyApplied: true };
+  }
+  if (insufficientFunds) {
+    return { success: false, error: "Insufficient wallet balance" };
+  }
+  if (insufficientEscrow) {
+    console.warn(
+      `⚠️ Escrow mismatch for ${userId} on ${entry.id}: not enough in escrow`
+    );
+    return { success: false, error: "Insufficient escrow balance" };
+  }
+  if (!result.committed || !result.snapshot.exists()) {
+    return { success: false, error: "Wallet not found" };
+  }
+
+  if (opening) {
+    await recordOpeningBalance(userId, opening);
+  }
+
+  return {
+    success: true,
+    transaction: result.snapshot.child(`transactions/${recordId}`).val(),
+  };
+};
+
+/**
+ * Post a journal entry and apply it to every wallet it touches
+ *
+ * entry: { id, type, description, legs: [{ account, amount }], metadata,
+ *          walletRecords: { uid: { type, description, metadata } } }
+ *
+ * The id makes posting idempotent: retrying a posted entry is a no-op and a
+ * retry of an interrupted one finishes the wallets it had not reached.
+ */
+const postEntry = async (entry) => {
+  const validationError = validateLegs(entry.legs);
+  if (validationError) {
+    throw new Error(`${entry.id}: ${validationError}`);
+  }
+
+  const journalRef = admin.database().ref(`ledger/journal/${entry.id}`);
+  const now = new Date().toISOString();
+
+  let existing = null;
+  await journalRef.transaction((current) => {
+    existing = current;
+    // A rejected entry moved no money, so it may be attempted again
+    if (current && current.status !== "rejected") return; // Abort
+    return {
+      id: entry.id,
+      type: entry.type,
+      description: entry.description || "",
+      legs: entry.legs,
+      metadata: entry.metadata || {},
+      walletRecords: entry.walletRecords || null,
+      status: "pending",
+      createdAt: now,
+    };
+  });
+
+  if (existing && existing.status === "posted") {
+    return { success: true, alreadyApplied: true, entryId: entry.id };
+  }
+  // Debits first, so a wallet short of funds rejects the entry untouched
+  const deltas = groupWalletDeltas(entry.legs);
+  const userIds = Object.keys(deltas).sort(
+    (a, b) => deltas[a].amount - deltas[b].amount
+  );
+
+  const wallets = {};
+  for (const userId of userIds) {
+    const recordId = getWalletRecordId(entry, userId, userIds.length);
+    const walletResult = await applyToWallet(
+      userId,
+      entry,
+      deltas[userId],
+      recordId
+    );
+    wallets[userId] = walletResult;
+
+    if (!walletResult.success) {
+      const nothingApplied = Object.values(wallets).length === 1;
+      if (nothingApplied) {
+        await journalRef.update({
+          status: "rejected",
+          error: walletResult.error,
+          rejectedAt: new Date().toISOString(),
+        });
+      } else {
+        // Left pending for repostPendingEntries to finish
+        console.error(
+          `❌ Journal entry ${entry.id} stopped part way at ${userId}: ${walletResult.error}`
+        );
+      }
+      return {
+        success: false,
+        error: walletResult.error,
+        entryId: entry.id,
+        wallets,
+      };
+    }
+  }
+
+  // Postings are written with the status so an account never counts
+  // an entry that did not reach its wallets
+  const postedAt = new Date().toISOString();
+  const updates = {
+    [`ledger/journal/${entry.id}/status`]: "posted",
+    [`ledger/journal/${entry.id}/postedAt`]: postedAt,
+    [`ledger/journal/${entry.id}/error`]: null,
+  };
+  entry.legs.forEach((leg, index) => {
+    const { kind, ownerId } = parseAccount(leg.account);
+    const postingId =
+      entry.legs.filter((l) => l.account === leg.account).length > 1
+        ? `${entry.id}_${index}`
+        : entry.id;
+    updates[`ledger/postings/${leg.account}/${postingId}`] = {
+      amount: leg.amount,
+      type:
+        (kind === "user" || kind === "escrow") &&
+        entry.walletRecords?.[ownerId]?.type
+          ? entry.walletRecords[ownerId].type
+          : entry.type,
+      createdAt: postedAt,
+    };
+  });
+  await admin.database().ref().update(updates);
+
+  return { success: true, entryId: entry.id, wallets };
+};
+
+/**
+ * Balance of an account recomputed from its postings
+ */
+const recomputeAccountBalance = async (account) => {
+  const postingsSnap = await admin
+    .database()
+    .ref(`ledger/postings/${account}`)
+    .once("value");
+  if (!postingsSnap.exists()) return 0;
+
+  return Object.values(postingsSnap.val()).reduce(
+    (sum, posting) => sum + posting.amount,
+    0
+  );
+};
+
+/**
+ * Compare a user's stored wallet with the balances the journal gives
+ */
+const verifyUserWallet = async (userId) => {
+  const [walletSnap, available, escrow] = await Promise.all([
+    admin.database().ref(`users/${userId}/wallet`).once("value"),
+    recomputeAccountBalance(userAccount(userId)),
+    recomputeAccountBalance(escrowAccount(userId)),
+  ]);
+  const wallet = walletSnap.val() || {};
+
+  // Wallets the ledger has never touched have no journal history yet
+  if (!wallet.ledgerOpenedAt) {
+    return {
+      userId,
+      opened: false,
+      wallet: {
+        amount: wallet.amount || 0,
+        escrowBalance: wallet.escrowBalance || 0,
+      },
+    };
+  }
+
+  return {
+    userId,
+    opened: true,
+    wallet: {
+      amount: wallet.amount || 0,
+      escrowBalance: wallet.escrowBalance || 0,
+    },
+    ledger: { amount: available, escrowBalance: escrow },
+    balanced:
+      (wallet.amount || 0) === available &&
+      (wallet.escrowBalance || 0) === escrow,
+  };
+};
+
+/**
+ * Finish entries left pending by an interrupted post
+ */
+const repostPendingEntries = async (minAgeMs = 5 * 60 * 1000) => {
+  const pendingSnap = await admin
+    .database()
+    .ref("ledger/journal")
+    .orderByChild("status")
+    .equalTo("pending")
+    .once("value");
+  if (!pendingSnap.exists()) return 0;
+
+  const cutoff = Date.now() - minAgeMs;
+  let reposted = 0;
+  for (const entry of Object.values(pendingSnap.val())) {
+    if (new Date(entry.createdAt).getTime() > cutoff) continue;
+    try {
+      const result = await postEntry(entry);
+      if (result.success) reposted++;
+    } catch (error) {
+      console.error(`❌ Failed to repost entry ${entry.id}:`, error.message);
+    }
+  }
+  return reposted;
+};
+
+module.exports = {
+  ACCOUNTS,
+  userAccount,
+  escrowAccount,
+  validateLegs,
+  postEntry,
+  recomputeAccountBalance,
+  verifyUserWallet,
+  repostPendingEntries,
+};
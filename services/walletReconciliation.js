@@ -0,0 +1,487 @@
+/**
+ * Wallet Reconciliation Service
+ * Nightly check of every wallet against the records that should explain it
+ *
+ * For each wallet it compares:
+ *   amount          with the last balance in its transaction history and,
+ *                   once the ledger has opened it, the journal
+ *   escrowBalance   with the stakes held in open challenges and the
+ *                   matchmaking queue
+ *   deposits        completed records under `transactions` with the wallet
+ *                   credits that should exist for them
+ *
+ * Discrepancies are written to a report with suggested corrections.
+ * Balances are never changed here; an admin applies corrections.
+ */
+
+const admin = require("firebase-admin");
+const { decryptData } = require("../utils/encryption");
+const { verifyUserWallet } = require("./walletLedger");
+
+const ENCRYPTION_KEY = process.env.CHALLENGE_ENCRYPTION_KEY || "";
+const REPORTS_PATH = "walletReconciliation/reports";
+const USER_PAGE_SIZE = 200;
+const RECONCILIATION_HOUR_EAT = 2; // 02:00 East Africa Time
+const NAIROBI_OFFSET_MS = 3 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let reconciliationRunning = false;
+
+/**
+ * Whether a challenge is still holding its players' stakes in escrow
+ */
+const holdsStakes = (challengeData) =>
+  ["pending", "accepted", "disputed"].includes(challengeData.status) ||
+  (challengeData.status === "completed" && !challengeData.settledAt);
+
+/**
+ * Stakes that should be in each user's escrow: { uid: { total, sources } }
+ */
+const collectExpectedEscrow = async () => {
+  const [challengesSnap, queueSnap] = await Promise.all([
+    admin.database().ref("secureChallenges").once("value"),
+    admin.database().ref("matchmakingQueue").once("value"),
+  ]);
+
+  const expected = {};
+  const add = (userId, amount, source) => {
+    expected[userId] = expected[userId] || { total: 0, sources: [] };
+    expected[userId].total += amount;
+    expected[userId].sources.push(source);
+  };
+
+  const challengeIds = new Set();
+  const failures = [];
+  Object.entries(challengesSnap.val() || {}).forEach(
+    ([challengeId, encryptedData]) => {
+      challengeIds.add(challengeId);
+      try {
+        const challengeData = decryptData(encryptedData, ENCRYPTION_KEY);
+        if (!holdsStakes(challengeData)) return;
+
+        Object.entries(challengeData.stakes || {}).forEach(
+          ([userId, stake]) => {
+            add(userId, stake, {
+              challengeId,
+              status: challengeData.status,
+              stake,
+            });
+          }
+        );
+      } catch (error) {
+        failures.push({ challengeId, error: error.message });
+      }
+    }
+  );
+
+  // Waiting players have escrowed a stake for a challenge not created yet
+  Object.values(queueSnap.val() || {}).forEach((gameQueue) => {
+    Object.values(gameQueue || {}).forEach((entry) => {
+      if (!entry?.userId || challengeIds.has(entry.challengeId)) return;
+      add(entry.userId, entry.betAmount || 0, {
+        challengeId: entry.challengeId,
+        status: "queued",
+        stake: entry.betAmount || 0,
+      });
+    });
+  });
+
+  return { expected, failures };
+};
+
+/**
+ * Completed deposits per user: { uid: [{ transactionId, amount, method }] }
+ */
+const collectCompletedDeposits = async () => {
+  const transactionsSnap = await admin
+    .database()
+    .ref("transactions")
+    .orderByChild("status")
+    .equalTo("completed")
+    .once("value");
+
+  const deposits = {};
+  Object.entries(transactionsSnap.val() || {}).forEach(
+    ([transactionId, transaction]) => {
+      if (transaction.type !== "deposit" || !transaction.userId) return;
+      deposits[transaction.userId] = deposits[transaction.userId] || [];
+      deposits[transaction.userId].push({
+        transactionId,
+        amount: transaction.amount ?? null,
+        method: transaction.method || null,
+        completedAt: transaction.updatedAt || transaction.createdAt || null,
+      });
+    }
+  );
+  return deposits;
+};
+
+/**
+ * Balance trail of a wallet's history, oldest first
+ * Ledger records use balanceBefore/After, older ones previous/newBalance
+ */
+const getBalanceTrail = (wallet) => {
+  return Object.entries(wallet.transactions || {})
+    .map(([recordId, record]) => ({
+      recordId,
+      at: new Date(record.createdAt || record.timestamp || 0).getTime(),
+      before: record.balanceBefore ?? record.previousBalance,
+      after: record.balanceAfter ?? record.newBalance,
+    }))
+    .filter(
+      (record) =>
+        Number.isFinite(record.before) && Number.isFinite(record.after)
+    )
+    .sort((a, b) => a.at - b.at);
+};
+
+/**
+ * Points where a record did not start from the previous record's balance,
+ * i.e. the balance was changed without a history record
+ */
+const findHistoryGaps = (trail) => {
+  const gaps = [];
+  for (let i = 1; i < trail.length; i++) {
+    if (trail[i].before !== trail[i - 1].after) {
+      gaps.push({
+        recordId: trail[i].recordId,
+        previousRecordId: trail[i - 1].recordId,
+        expectedBefore: trail[i - 1].after,
+        recordedBefore: trail[i].before,
+        difference: trail[i].before - trail[i - 1].after,
+      });
+    }
+  }
+  return gaps;
+};
+
+/**
+ * Check one wallet; returns null when everything agrees
+ */
+const reconcileWallet = async (userId, wallet, expectedEscrow, deposits) => {
+  const stored = {
+    amount: wallet.amount || 0,
+    escrowBalance: wallet.escrowBalance || 0,
+  };
+  const findings = [];
+
+  const trail = getBalanceTrail(wallet);
+  const lastRecord = trail[trail.length - 1];
+  const historyAmount = lastRecord ? lastRecord.after : null;
+
+  if (historyAmount !== null && historyAmount !== stored.amount) {
+    findings.push({
+      check: "history",
+      field: "amount",
+      stored: stored.amount,
+      expected: historyAmount,
+      difference: stored.amount - historyAmount,
+      lastRecordId: lastRecord.recordId,
+    });
+  }
+
+  const gaps = findHistoryGaps(trail);
+  if (gaps.length > 0) {
+    findings.push({
+      check: "history_gaps",
+      field: "amount",
+      gaps: gaps.slice(0, 20),
+      gapCount: gaps.length,
+    });
+  }
+
+  const ledger = await verifyUserWallet(userId);
+  if (ledger.opened && !ledger.balanced) {
+    ["amount", "escrowBalance"].forEach((field) => {
+      if (ledger.wallet[field] === ledger.ledger[field]) return;
+      findings.push({
+        check: "ledger",
+        field,
+        stored: ledger.wallet[field],
+        expected: ledger.ledger[field],
+        difference: ledger.wallet[field] - ledger.ledger[field],
+      });
+    });
+  }
+
+  const escrow = expectedEscrow[userId] || { total: 0, sources: [] };
+  if (escrow.total !== stored.escrowBalance) {
+    findings.push({
+      check: "escrow",
+      field: "escrowBalance",
+      stored: stored.escrowBalance,
+      expected: escrow.total,
+      difference: stored.escrowBalance - escrow.total,
+      openChallenges: escrow.sources.slice(0, 50),
+    });
+  }
+
+  const creditedTransactionIds = new Set(
+    Object.values(wallet.transactions || {})
+      .map((record) => record.metadata?.transactionId)
+      .filter(Boolean)
+  );
+  const uncredited = (deposits[userId] || []).filter(
+    (deposit) => !creditedTransactionIds.has(deposit.transactionId)
+  );
+  if (uncredited.length > 0) {
+    findings.push({
+      check: "deposits",
+      field: "amount",
+      uncreditedDeposits: uncredited,
+      uncreditedTotal: uncredited.reduce((sum, d) => sum + (d.amount || 0), 0),
+    });
+  }
+
+  if (findings.length === 0) return null;
+
+  return {
+    userId,
+    wallet: stored,
+    ledgerOpened: ledger.opened,
+    findings,
+    suggestedCorrection: suggestCorrection(stored, {
+      ledger: ledger.opened ? ledger.ledger : null,
+      historyAmount,
+      escrowTotal: escrow.total,
+      uncredited,
+    }),
+  };
+};
+
+/**
+ * The balances the evidence supports, and the adjustment to reach them
+ * The journal wins where it exists; otherwise history plus missing deposits
+ */
+const suggestCorrection = (stored, evidence) => {
+  const uncreditedTotal = evidence.uncredited.reduce(
+    (sum, deposit) => sum + (deposit.amount || 0),
+    0
+  );
+
+  let amount = stored.amount;
+  let amountBasis = "stored";
+  if (evidence.ledger) {
+    amount = evidence.ledger.amount + uncreditedTotal;
+    amountBasis = "ledger";
+  } else if (evidence.historyAmount !== null) {
+    amount = evidence.historyAmount + uncreditedTotal;
+    amountBasis = "history";
+  } else if (uncreditedTotal > 0) {
+    amount = stored.amount + uncreditedTotal;
+  }
+  if (uncreditedTotal > 0) {
+    amountBasis += "+uncredited_deposits";
+  }
+
+  const escrowBalance = evidence.escrowTotal;
+
+  return {
+    amount,
+    escrowBalance,
+    amountAdjustment: amount - stored.amount,
+    escrowAdjustment: escrowBalance - stored.escrowBalance,
+    amountBasis,
+    escrowBasis: "open_challenges",
+  };
+};
+
+/**
+ * Yield users' wallets a page at a time so the job never loads every user
+ */
+const forEachWallet = async (callback) => {
+  let lastKey = null;
+  for (;;) {
+    let pageQuery = admin.database().ref("users").orderByKey();
+    pageQuery = lastKey
+      ? pageQuery.startAt(lastKey).limitToFirst(USER_PAGE_SIZE + 1)
+      : pageQuery.limitToFirst(USER_PAGE_SIZE);
+
+    const pageSnap = await pageQuery.once("value");
+    const entries = Object.entries(pageSnap.val() || {}).filter(
+      ([userId]) => userId !== lastKey
+    );
+    if (entries.length === 0) return;
+
+    for (const [userId, user] of entries) {
+      if (user?.wallet) await callback(userId, user.wallet);
+    }
+    lastKey = entries[entries.length - 1][0];
+  }
+};
+
+/**
+ * Reconcile every wallet and store a discrepancy report
+ */
+const runWalletReconciliation = async ({ trigger = "scheduled" } = {}) => {
+  if (reconciliationRunning) {
+    return { alreadyRunning: true };
+  }
+  reconciliationRunning = true;
+
+  const reportRef = admin.database().ref(REPORTS_PATH).push();
+  const startTime = Date.now();
+
+  try {
+    console.log("🧾 Starting wallet reconciliation...");
+    await reportRef.set({
+      id: reportRef.key,
+      status: "running",
+      trigger,
+      startedAt: startTime,
+    });
+
+    const [{ expected, failures }, deposits] = await Promise.all([
+      collectExpectedEscrow(),
+      collectCompletedDeposits(),
+    ]);
+
+    let walletsChecked = 0;
+    const discrepancies = [];
+    const errors = [];
+    await forEachWallet(async (userId, wallet) => {
+      walletsChecked++;
+      try {
+        const discrepancy = await reconcileWallet(
+          userId,
+          wallet,
+          expected,
+          deposits
+        );
+        if (discrepancy) discrepancies.push(discrepancy);
+      } catch (error) {
+        errors.push({ userId, error: error.message });
+      }
+    });
+
+    const report = {
+      id: reportRef.key,
+      status: errors.length > 0 ? "completed_with_errors" : "completed",
+      trigger,
+      startedAt: startTime,
+      finishedAt: Date.now(),
+      walletsChecked,
+      discrepancyCount: discrepancies.length,
+      totals: {
+        amountAdjustment: discrepancies.reduce(
+          (sum, d) => sum + d.suggestedCorrection.amountAdjustment,
+          0
+        ),
+        escrowAdjustment: discrepancies.reduce(
+          (sum, d) => sum + d.suggestedCorrection.escrowAdjustment,
+          0
+        ),
+      },
+      discrepancies,
+      errors: errors.slice(0, 50),
+      undecryptableChallenges: failures.slice(0, 50),
+    };
+    await reportRef.set(report);
+    await admin
+      .database()
+      .ref("walletReconciliation/latest")
+      .set(reportRef.key);
+
+    console.log(
+      `🧾 Wallet reconciliation completed in ${
+        Date.now() - startTime
+      }ms: ${walletsChecked} wallets checked, ${
+        discrepancies.length
+      } with discrepancies`
+    );
+
+    return report;
+  } catch (error) {
+    console.error("Wallet reconciliation failed:", error);
+    await reportRef.update({
+      status: "failed",
+      finishedAt: Date.now(),
+      error: error.message,
+    });
+    throw error;
+  } finally {
+    reconciliationRunning = false;
+  }
+};
+
+/**
+ * Report summaries, newest first (discrepancies left out)
+ */
+const listReconciliationReports = async (limit = 30) => {
+  const reportsSnap = await admin
+    .database()
+    .ref(REPORTS_PATH)
+    .orderByChild("startedAt")
+    .limitToLast(limit)
+    .once("value");
+
+  return Object.values(reportsSnap.val() || {})
+    .map(({ discrepancies, ...summary }) => summary)
+    .sort((a, b) => b.startedAt - a.startedAt);
+};
+
+/**
+ * A full report; "latest" resolves to the most recent run
+ */
+const getReconciliationReport = async (reportId) => {
+  let id = reportId;
+  if (reportId === "latest") {
+    const latestSnap = await admin
+      .database()
+      .ref("walletReconciliation/latest")
+      .once("value");
+    if (!latestSnap.exists()) return null;
+    id = latestSnap.val();
+  }
+
+  const reportSnap = await admin
+    .database()
+    .ref(`${REPORTS_PATH}/${id}`)
+    .once("value");
+  return reportSnap.exists() ? reportSnap.val() : null;
+};
+
+const isReconciliationRunning = () => reconciliationRunning;
+
+/**
+ * Milliseconds until the next nightly run
+ */
+const getDelayUntilNextRun = (now = Date.now()) => {
+  const nairobiNow = now + NAIROBI_OFFSET_MS;
+  const todayRun =
+    Math.floor(nairobiNow / DAY_MS) * DAY_MS +
+    RECONCILIATION_HOUR_EAT * 60 * 60 * 1000;
+  const nextRun = nairobiNow < todayRun ? todayRun : todayRun + DAY_MS;
+  return nextRun - nairobiNow;
+};
+
+/**
+ * Start the nightly reconciliation schedule (02:00 East Africa Time)
+ */
+const startReconciliationSchedule = () => {
+  const run = () =>
+    runWalletReconciliation().catch((error) =>
+      console.error("Scheduled wallet reconciliation failed:", error)
+    );
+
+  const delay = getDelayUntilNextRun();
+  console.log(
+    `🕐 Wallet reconciliation scheduled nightly (next run in ${Math.round(
+      delay / 60000
+    )} minutes)`
+  );
+
+  setTimeout(() => {
+    run();
+    setInterval(run, DAY_MS);
+  }, delay);
+};
+
+module.exports = {
+  reconcileWallet,
+  runWalletReconciliation,
+  listReconciliationReports,
+  getReconciliationReport,
+  isReconciliationRunning,
+  startReconciliationSchedule,
+};
@@ -0,0 +1,370 @@
+/**
+ * Wallet Statement Service
+ * Builds a statement for a date range from the wallet transaction log and
+ * the payment `transactions` records, rendered as JSON, CSV or PDF
+ *
+ * Balances are the spendable wallet balance; stakes held in escrow are
+ * shown in their own column. Dates are East Africa Time.
+ */
+
+const admin = require("firebase-admin");
+const { createTextPdf } = require("../utils/textPdf");
+
+const NAIROBI_OFFSET_MS = 3 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+
+const CATEGORIES = [
+  "deposits",
+  "withdrawals",
+  "transfers",
+  "stakes",
+  "winnings",
+  "refunds",
+  "bonuses",
+  "fees",
+  "adjustments",
+];
+
+/**
+ * Statement category for a wallet record type
+ */
+const categorize = (type = "") => {
+  // deposit_refund, deposit_dispute_hold, ... reverse card deposits
+  if (type === "deposit" || type.startsWith("deposit_")) return "deposits";
+  if (type.startsWith("withdrawal")) return "withdrawals";
+  if (type.startsWith("transfer_")) return "transfers";
+  if (type === "challenge_stake" || type === "challenge_stake_adjustment") {
+    return "stakes";
+  }
+  if (
+    type === "challenge_winnings" ||
+    type === "challenge_loss" ||
+    type === "challenge_settlement"
+  ) {
+    return "winnings";
+  }
+  if (type.endsWith("_refund")) return "refunds";
+  if (type.startsWith("promo_")) return "bonuses";
+  return "adjustments";
+};
+
+/**
+ * Parse YYYY-MM-DD range bounds (inclusive, East Africa Time)
+ * Defaults to the current month; returns { error } when invalid
+ */
+const parseStatementRange = ({ from, to } = {}, now = Date.now()) => {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const localNow = new Date(now + NAIROBI_OFFSET_MS);
+  const monthStart = `${localNow.toISOString().slice(0, 8)}01`;
+
+  const fromDate = from || monthStart;
+  const toDate = to || localNow.toISOString().slice(0, 10);
+  if (!datePattern.test(fromDate) || !datePattern.test(toDate)) {
+    return { error: "from and to must be dates in YYYY-MM-DD format" };
+  }
+
+  const start = Date.parse(`${fromDate}T00:00:00Z`) - NAIROBI_OFFSET_MS;
+  const end = Date.parse(`${toDate}T00:00:00Z`) - NAIROBI_OFFSET_MS + DAY_MS;
+  if (isNaN(start) || isNaN(end) || start >= end) {
+    return { error: "from must be on or before to" };
+  }
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    return {
+      error: `A statement can cover at most ${MAX_RANGE_DAYS} days`,
+    };
+  }
+
+  return { from: fromDate, to: toDate, start, end };
+};
+
+const recordTime = (record) =>
+  new Date(record.createdAt || record.timestamp || 0).getTime();
+
+const toLocalIso = (time) =>
+  new Date(time + NAIROBI_OFFSET_MS).toISOString().replace("Z", "+03:00");
+
+/**
+ * Provider reference a payment transaction is known by
+ */
+const getProviderReference = (payment) =>
+  payment.checkoutRequestId ||
+  payment.paymentIntentId ||
+  payment.checkoutSessionId ||
+  payment.sessionId ||
+  null;
+
+/**
+ * One statement line per wallet record, with the payment record behind it
+ */
+const toWalletLine = (recordId, record, paymentsById) => {
+  const metadata = record.metadata || {};
+  const payment = metadata.transactionId
+    ? paymentsById[metadata.transactionId]
+    : null;
+
+  return {
+    date: toLocalIso(recordTime(record)),
+    id: recordId,
+    type: record.type || "unknown",
+    category: categorize(record.type),
+    description: record.description || record.reason || "",
+    amount: record.amount || 0,
+    escrowAmount: record.escrowAmount || 0,
+    fee: metadata.fee || 0,
+    balanceAfter: record.balanceAfter ?? record.newBalance ?? null,
+    reference:
+      metadata.challengeId ||
+      metadata.withdrawalId ||
+      metadata.transactionId ||
+      null,
+    method: payment?.method || record.method || metadata.method || null,
+    providerReference: payment ? getProviderReference(payment) : null,
+    status: "completed",
+    credited: true,
+  };
+};
+
+/**
+ * Payments that never reached the wallet (pending, failed, or completed
+ * but not credited) are listed for reference; they change no balance
+ */
+const toPaymentLine = (payment) => ({
+  date: toLocalIso(recordTime(payment)),
+  id: payment.id,
+  type: payment.type || "payment",
+  category: payment.type === "deposit" ? "deposits" : "adjustments",
+  description: `${payment.type === "deposit" ? "Deposit" : "Payment"} via ${
+    payment.method || "unknown"
+  } (${payment.status || "pending"}, not credited)`,
+  amount: 0,
+  escrowAmount: 0,
+  fee: 0,
+  balanceAfter: null,
+  reference: payment.id,
+  method: payment.method || null,
+  providerReference: getProviderReference(payment),
+  status: payment.status || "pending",
+  credited: false,
+});
+
+/**
+ * Build a statement for userId over a parsed range
+ */
+const buildStatement = async (userId, range) => {
+  const [userSnap, paymentsSnap] = await Promise.all([
+    admin.database().ref(`users/${userId}`).once("value"),
+    admin
+      .database()
+      .ref("transactions")
+      .orderByChild("userId")
+      .equalTo(userId)
+      .once("value"),
+  ]);
+  if (!userSnap.exists()) return null;
+
+  const user = userSnap.val();
+  const wallet = user.wallet || {};
+  const records = Object.entries(wallet.transactions || {}).sort(
+    ([, a], [, b]) => recordTime(a) - recordTime(b)
+  );
+
+  const paymentsById = {};
+  Object.entries(paymentsSnap.val() || {}).forEach(([id, payment]) => {
+    paymentsById[id] = { id, ...payment };
+  });
+
+  const inRange = (time) => time >= range.start && time < range.end;
+
+  // Opening balance: the last balance recorded before the range, or the
+  // current balance with every later change taken back out
+  let openingBalance = null;
+  let changesFromStart = 0;
+  records.forEach(([, record]) => {
+    const time = recordTime(record);
+    if (time < range.start) {
+      const after = record.balanceAfter ?? record.newBalance;
+      if (Number.isFinite(after)) openingBalance = after;
+    } else {
+      changesFromStart += record.amount || 0;
+    }
+  });
+  if (openingBalance === null) {
+    openingBalance = (wallet.amount || 0) - changesFromStart;
+  }
+
+  const creditedPaymentIds = new Set();
+  const lines = records
+    .filter(([, record]) => inRange(recordTime(record)))
+    .map(([recordId, record]) => {
+      const line = toWalletLine(recordId, record, paymentsById);
+      if (record.metadata?.transactionId) {
+        creditedPaymentIds.add(record.metadata.transactionId);
+      }
+      return line;
+    });
+
+  Object.values(paymentsById)
+    .filter(
+      (payment) =>
+        !creditedPaymentIds.has(payment.id) && inRange(recordTime(payment))
+    )
+    .forEach((payment) => lines.push(toPaymentLine(payment)));
+
+  lines.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const totals = Object.fromEntries(CATEGORIES.map((c) => [c, 0]));
+  let runningBalance = openingBalance;
+  lines.forEach((line) => {
+    if (!line.credited) return;
+    totals[line.category] += line.amount;
+    totals.fees += line.fee;
+    runningBalance += line.amount;
+    if (line.balanceAfter === null) {
+      line.balanceAfter = runningBalance;
+    } else {
+      runningBalance = line.balanceAfter;
+    }
+  });
+
+  const netChange = lines.reduce((sum, line) => sum + line.amount, 0);
+
+  return {
+    userId,
+    accountName: user.username || user.displayName || user.email || userId,
+    currency: wallet.currency || "KES",
+    period: { from: range.from, to: range.to, timezone: "Africa/Nairobi" },
+    openingBalance,
+    closingBalance: openingBalance + netChange,
+    escrowBalance: wallet.escrowBalance || 0,
+    totals: { ...totals, netChange },
+    lines,
+    generatedAt: new Date().toISOString(),
+  };
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV: summary rows, a blank line, then one row per statement line
+ */
+const renderStatementCsv = (statement) => {
+  const rows = [
+    ["Statement for", statement.accountName],
+    ["Period", `${statement.period.from} to ${statement.period.to}`],
+    ["Currency", statement.currency],
+    ["Opening balance", statement.openingBalance],
+    ...CATEGORIES.map((category) => [
+      `Total ${category}`,
+      statement.totals[category],
+    ]),
+    ["Closing balance", statement.closingBalance],
+    ["Held in escrow now", statement.escrowBalance],
+    [],
+    [
+      "Date",
+      "Type",
+      "Category",
+      "Description",
+      "Amount",
+      "Escrow",
+      "Fee",
+      "Balance",
+      "Reference",
+      "Method",
+      "Provider reference",
+      "Status",
+    ],
+    ...statement.lines.map((line) => [
+      line.date,
+      line.type,
+      line.category,
+      line.description,
+      line.amount,
+      line.escrowAmount,
+      line.fee,
+      line.balanceAfter,
+      line.reference,
+      line.method,
+      line.providerReference,
+      line.status,
+    ]),
+  ];
+
+  return rows.map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+};
+
+const pad = (value, width, alignRight = false) => {
+  const text = String(value ?? "").substring(0, width);
+  return alignRight ? text.padStart(width) : text.padEnd(width);
+};
+
+/**
+ * PDF: the same statement laid out as fixed-width columns
+ */
+const renderStatementPdf = (statement) => {
+  const title = `Wallet statement ${statement.period.from} to ${statement.period.to}`;
+  const money = (amount) => `${statement.currency} ${amount}`;
+
+  const lines = [
+    { text: "GameTribe wallet statement", bold: true, size: 14 },
+    { text: `Account: ${statement.accountName}`, spaceBefore: 6 },
+    {
+      text: `Period:  ${statement.period.from} to ${statement.period.to} (East Africa Time)`,
+    },
+    { text: `Issued:  ${statement.generatedAt}` },
+    { text: "Summary", bold: true, size: 11, spaceBefore: 10 },
+    { text: `${pad("Opening balance", 24)}${money(statement.openingBalance)}` },
+    ...CATEGORIES.map((category) => ({
+      text: `${pad(
+        category.charAt(0).toUpperCase() + category.slice(1),
+        24
+      )}${money(statement.totals[category])}`,
+    })),
+    { text: `${pad("Closing balance", 24)}${money(statement.closingBalance)}` },
+    {
+      text: `${pad("Held in escrow now", 24)}${money(statement.escrowBalance)}`,
+    },
+    { text: "Transactions", bold: true, size: 11, spaceBefore: 10 },
+    {
+      text: `${pad("Date", 16)} ${pad("Description", 36)} ${pad(
+        "Amount",
+        9,
+        true
+      )} ${pad("Escrow", 8, true)} ${pad("Balance", 10, true)}`,
+      bold: true,
+    },
+  ];
+
+  if (statement.lines.length === 0) {
+    lines.push({ text: "No transactions in this period" });
+  }
+  statement.lines.forEach((line) => {
+    lines.push({
+      text: `${pad(line.date.replace("T", " "), 16)} ${pad(
+        line.description || line.type,
+        36
+      )} ${pad(line.amount, 9, true)} ${pad(
+        line.escrowAmount || "",
+        8,
+        true
+      )} ${pad(line.credited ? line.balanceAfter : "-", 10, true)}`,
+    });
+  });
+
+  return createTextPdf({
+    title,
+    lines,
+    footer: `${statement.accountName} - ${title}`,
+  });
+};
+
+module.exports = {
+  parseStatementRange,
+  buildStatement,
+  renderStatementCsv,
+  renderStatementPdf,
+};
@@ -0,0 +1,380 @@
+/**
+ * Wallet Transfer Service
+ * Player-to-player transfers and tips between friends and clan members
+ *
+ * A transfer is one journal entry moving funds between two user wallets,
+ * leaving a "transfer_sent" record with the sender and "transfer_received"
+ * with the recipient. The sender's idempotency key fixes the transfer id,
+ * so a retried request returns the first transfer instead of paying twice.
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const { v4: uuidv4 } = require("uuid");
+const { userAccount, postEntry } = require("./walletLedger");
+const { getWithdrawableBalance } = require("./bonusFunds");
+const {
+  createSystemNotification,
+} = require("../controllers/notificationController");
+
+const TRANSFER_MIN_AMOUNT = 10;
+const TRANSFER_MAX_AMOUNT = 50000;
+const TRANSFER_DAILY_LIMIT =
+  parseInt(process.env.WALLET_TRANSFER_DAILY_LIMIT) || 20000;
+const TRANSFER_DAILY_COUNT =
+  parseInt(process.env.WALLET_TRANSFER_DAILY_COUNT) || 20;
+const MAX_NOTE_LENGTH = 140;
+
+const NAIROBI_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+/**
+ * Calendar day (East Africa Time) a transfer counts against
+ */
+const getTransferDay = (timestamp = Date.now()) =>
+  new Date(timestamp + NAIROBI_OFFSET_MS).toISOString().slice(0, 10);
+
+const transferRef = (transferId) =>
+  admin.database().ref(`walletTransfers/${transferId}`);
+
+/**
+ * Transfer id for a sender's idempotency key
+ */
+const getTransferId = (senderId, idempotencyKey) =>
+  crypto
+    .createHash("sha256")
+    .update(`${senderId}:${idempotencyKey}`)
+    .digest("hex")
+    .substring(0, 32);
+
+const getDisplayName = (user, userId) =>
+  user?.username || user?.email?.split("@")[0] || userId;
+
+/**
+ * How the sender knows the recipient: "friend", "clan" or null
+ * Friends must be confirmed both ways; clan members must share a clan
+ * (the given clanId if there is one, e.g. a tip in clan chat)
+ */
+const getTransferRelationship = async (sender, recipientId, clanId) => {
+  const isFriend = (user, uid) =>
+    (user?.friends || []).some((friend) => friend?.uid === uid);
+
+  const recipientSnap = await admin
+    .database()
+    .ref(`users/${recipientId}`)
+    .once("value");
+  const recipient = recipientSnap.val();
+
+  if (isFriend(sender.user, recipientId) && isFriend(recipient, sender.id)) {
+    return { relationship: "friend", recipient };
+  }
+
+  const isMember = (clan, uid) =>
+    Array.isArray(clan?.members) &&
+    clan.members.some((member) => member?.userId === uid);
+  const sharesClan = (clan) =>
+    isMember(clan, sender.id) && isMember(clan, recipientId);
+
+  if (clanId) {
+    const clanSnap = await admin
+      .database()
+      .ref(`clans/${clanId}`)
+      .once("value");
+    if (sharesClan(clanSnap.val())) {
+      return { relationship: "clan", clanId, recipient };
+    }
+  } else {
+    const clansSnap = await admin.database().ref("clans").once("value");
+    const shared = Object.entries(clansSnap.val() || {}).find(([, clan]) =>
+      sharesClan(clan)
+    );
+    if (shared) {
+      return { relationship: "clan", clanId: shared[0], recipient };
+    }
+  }
+
+  return { relationship: null, recipient };
+};
+
+/**
+ * Take amount out of the sender's daily transfer allowance
+ */
+const reserveDailyAllowance = async (userId, day, amount) => {
+  const result = await admin
+    .database()
+    .ref(`transferLimits/${userId}/${day}`)
+    .transaction((current) => {
+      const total = current?.total || 0;
+      const count = current?.count || 0;
+      if (total + amount > TRANSFER_DAILY_LIMIT) return; // Abort
+      if (count + 1 > TRANSFER_DAILY_COUNT) return; // Abort
+      return { total: total + amount, count: count + 1, updatedAt: Date.now() };
+    });
+  return result.committed;
+};
+
+const releaseDailyAllowance = async (userId, day, amount) => {
+  await admin
+    .database()
+    .ref(`transferLimits/${userId}/${day}`)
+    .transaction((current) => {
+      if (!current) return current;
+      return {
+        total: Math.max(0, (current.total || 0) - amount),
+        count: Math.max(0, (current.count || 0) - 1),
+        updatedAt: Date.now(),
+      };
+    });
+};
+
+/**
+ * Move the funds for a recorded transfer and notify the recipient
+ * Safe to repeat: the journal entry id is fixed by the transfer id
+ */
+const settleTransfer = async (transfer) => {
+  const entry = await postEntry({
+    id: `transfer_${transfer.id}`,
+    type: "transfer",
+    description: transfer.note || "Wallet transfer",
+    legs: [
+      { account: userAccount(transfer.senderId), amount: -transfer.amount },
+      { account: userAccount(transfer.recipientId), amount: transfer.amount },
+    ],
+    metadata: {
+      transferId: transfer.id,
+      senderId: transfer.senderId,
+      recipientId: transfer.recipientId,
+    },
+    walletRecords: {
+      [transfer.senderId]: {
+        type: "transfer_sent",
+        description: `${transfer.kind === "tip" ? "Tip" : "Transfer"} to ${
+          transfer.recipientName
+        }`,
+        metadata: {
+          transferId: transfer.id,
+          counterpartyId: transfer.recipientId,
+          note: transfer.note,
+        },
+      },
+      [transfer.recipientId]: {
+        type: "transfer_received",
+        description: `${transfer.kind === "tip" ? "Tip" : "Transfer"} from ${
+          transfer.senderName
+        }`,
+        metadata: {
+          transferId: transfer.id,
+          counterpartyId: transfer.senderId,
+          note: transfer.note,
+        },
+      },
+    },
+  });
+
+  if (!entry.success) {
+    await releaseDailyAllowance(
+      transfer.senderId,
+      transfer.day,
+      transfer.amount
+    );
+    await transferRef(transfer.id).update({
+      status: "failed",
+      failureReason: entry.error,
+      failedAt: Date.now(),
+    });
+    return { error: entry.error, status: 400 };
+  }
+
+  const completed = {
+    ...transfer,
+    status: "completed",
+    completedAt: Date.now(),
+  };
+  await transferRef(transfer.id).update({
+    status: "completed",
+    completedAt: completed.completedAt,
+  });
+
+  console.log(
+    `🤝 ${transfer.senderId} sent KES ${transfer.amount} to ${transfer.recipientId} (${transfer.id})`
+  );
+
+  await createSystemNotification(transfer.recipientId, {
+    title: transfer.kind === "tip" ? "You got a tip!" : "Money received",
+    message: `${transfer.senderName} sent you KES ${transfer.amount}${
+      transfer.note ? `: "${transfer.note}"` : ""
+    }`,
+    action: {
+      type: "open_wallet",
+      transferId: transfer.id,
+      senderId: transfer.senderId,
+    },
+  });
+
+  return { transfer: completed };
+};
+
+/**
+ * Send amount from senderId to recipientId
+ * Returns { transfer, replayed } or { error, status }
+ */
+const createTransfer = async ({
+  senderId,
+  recipientId,
+  amount,
+  note,
+  kind = "transfer",
+  clanId,
+  idempotencyKey,
+}) => {
+  if (!recipientId || recipientId === senderId) {
+    return { error: "Choose another player to send to", status: 400 };
+  }
+  if (
+    !Number.isInteger(amount) ||
+    amount < TRANSFER_MIN_AMOUNT ||
+    amount > TRANSFER_MAX_AMOUNT
+  ) {
+    return {
+      error: `Transfers must be a whole amount between KES ${TRANSFER_MIN_AMOUNT} and ${TRANSFER_MAX_AMOUNT}`,
+      status: 400,
+    };
+  }
+  if (!["transfer", "tip"].includes(kind)) {
+    return { error: "Kind must be transfer or tip", status: 400 };
+  }
+
+  const transferId = getTransferId(senderId, idempotencyKey || uuidv4());
+  const request = {
+    recipientId,
+    amount,
+    kind,
+    note: note ? String(note).trim().substring(0, MAX_NOTE_LENGTH) : null,
+  };
+
+  // A replayed key returns the first transfer, as long as it asked for the same
+  const existingSnap = await transferRef(transferId).once("value");
+  if (existingSnap.exists()) {
+    const existing = existingSnap.val();
+    if (
+      existing.recipientId !== request.recipientId ||
+      existing.amount !== request.amount
+    ) {
+      return {
+        error: "Idempotency key was already used for a different transfer",
+        status: 422,
+      };
+    }
+    if (existing.status === "pending") {
+      // An earlier attempt stopped part way; finish it
+      return { ...(await settleTransfer(existing)), replayed: true };
+    }
+    return { transfer: existing, replayed: true };
+  }
+
+  const senderSnap = await admin
+    .database()
+    .ref(`users/${senderId}`)
+    .once("value");
+  const sender = senderSnap.val();
+  const {
+    relationship,
+    recipient,
+    clanId: sharedClanId,
+  } = await getTransferRelationship(
+    { id: senderId, user: sender },
+    recipientId,
+    clanId
+  );
+  if (!recipient) {
+    return { error: "Recipient not found", status: 404 };
+  }
+  if (!relationship) {
+    return {
+      error: "You can only send money to friends and clan members",
+      status: 403,
+    };
+  }
+
+  // Promo bonus funds stay with the player until wagered
+  const { locked, withdrawable } = await getWithdrawableBalance(senderId);
+  if (locked > 0 && amount > withdrawable) {
+    return {
+      error: `Only KES ${withdrawable} can be sent; KES ${locked} is bonus funds still to be wagered`,
+      status: 400,
+    };
+  }
+
+  const day = getTransferDay();
+  if (!(await reserveDailyAllowance(senderId, day, amount))) {
+    return {
+      error: `Daily transfer limit reached (KES ${TRANSFER_DAILY_LIMIT} or ${TRANSFER_DAILY_COUNT} transfers a day)`,
+      status: 429,
+    };
+  }
+
+  const transfer = {
+    id: transferId,
+    senderId,
+    senderName: getDisplayName(sender, senderId),
+    recipientName: getDisplayName(recipient, recipientId),
+    ...request,
+    relationship,
+    clanId: sharedClanId || null,
+    day,
+    status: "pending",
+    createdAt: Date.now(),
+  };
+
+  // Two requests racing with the same key: only one records the transfer
+  const created = await transferRef(transferId).transaction((current) => {
+    if (current) return; // Abort
+    return transfer;
+  });
+  if (!created.committed) {
+    await releaseDailyAllowance(senderId, day, amount);
+    return { transfer: created.snapshot.val(), replayed: true };
+  }
+
+  return settleTransfer(transfer);
+};
+
+/**
+ * Transfers a user sent or received, newest first
+ */
+const getUserTransfers = async (userId, limit = 50) => {
+  const [sentSnap, receivedSnap] = await Promise.all([
+    admin
+      .database()
+      .ref("walletTransfers")
+      .orderByChild("senderId")
+      .equalTo(userId)
+      .once("value"),
+    admin
+      .database()
+      .ref("walletTransfers")
+      .orderByChild("recipientId")
+      .equalTo(userId)
+      .once("value"),
+  ]);
+
+  return [
+    ...Object.values(sentSnap.val() || {}).map((transfer) => ({
+      ...transfer,
+      direction: "sent",
+    })),
+    ...Object.values(receivedSnap.val() || {})
+      .filter((transfer) => transfer.status === "completed")
+      .map((transfer) => ({ ...transfer, direction: "received" })),
+  ]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, limit);
+};
+
+module.exports = {
+  TRANSFER_MIN_AMOUNT,
+  TRANSFER_MAX_AMOUNT,
+  TRANSFER_DAILY_LIMIT,
+  TRANSFER_DAILY_COUNT,
+  createTransfer,
+  getUserTransfers,
+};
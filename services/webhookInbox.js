@@ -0,0 +1,441 @@
+/**
+ * Webhook Inbox
+ * Every payment callback is stored before it is processed, then handled by
+ * its registered handler with retries and exponential backoff
+ *
+ * webhookInbox/events/{eventId}:
+ *   { id, source, externalId, type, payload (JSON string),
+ *     status: received|processing|processed|failed|dead,
+ *     attempts, nextAttemptAt, lastError, errors, receivedAt, processedAt }
+ * webhookInbox/deadLetters/{eventId}: events that ran out of attempts or
+ * can never succeed, kept until an admin replays them
+ *
+ * Handlers must be safe to run more than once for the same event; wallet
+ * credits are, since their journal entry ids are fixed.
+ */
+
+const admin = require("firebase-admin");
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// An attempt that never reported back (crashed instance) may be retried
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_ERRORS_KEPT = 10;
+
+// Markers written by the inline handlers before the inbox existed
+const LEGACY_EVENT_PREFIXES = { stripe: "stripe", mpesa_stk: "mpesa" };
+
+const handlers = {};
+
+/**
+ * An error retrying cannot fix (bad payload, unknown user); the event goes
+ * straight to the dead-letter list
+ */
+class PermanentWebhookError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PermanentWebhookError";
+  }
+}
+
+const eventsRef = () => admin.database().ref("webhookInbox/events");
+const eventRef = (eventId) =>
+  admin.database().ref(`webhookInbox/events/${eventId}`);
+const deadLetterRef = (eventId) =>
+  admin.database().ref(`webhookInbox/deadLetters/${eventId}`);
+
+const toEventId = (source, externalId) =>
+  `${source}_${String(externalId).replace(/[.#$[\]/]/g, "_")}`;
+
+/**
+ * Delay before attempt n + 1: 30s, 1m, 2m, ... up to an hour
+ */
+const getRetryDelay = (attempts) =>
+  Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+/**
+ * Marker the inline handlers wrote for an event before the inbox existed
+ */
+const legacyMarkerRef = (source, externalId) =>
+  admin
+    .database()
+    .ref(`webhook_events/${LEGACY_EVENT_PREFIXES[source]}_${externalId}`);
+
+/**
+ * Whether a webhook has been processed, in the inbox or before it existed
+ */
+const isWebhookProcessed = async (source, externalId) => {
+  const eventSnap = await eventRef(toEventId(source, externalId))
+    .child("status")
+    .once("value");
+  if (eventSnap.val() === "processed") return true;
+  if (!LEGACY_EVENT_PREFIXES[source]) return false;
+  return (await legacyMarkerRef(source, externalId).once("value")).exists();
+};
+
+/**
+ * Handle events from a source: handler(payload, event) resolves when done
+ */
+const registerWebhookHandler = (source, handler) => {
+  handlers[source] = handler;
+};
+
+/**
+ * Store an incoming webhook; repeats of a stored event are not stored again
+ * Returns { event, duplicate }
+ */
+const receiveWebhook = async (source, externalId, payload, { type } = {}) => {
+  const eventId = toEventId(source, externalId);
+  const now = Date.now();
+
+  // Already handled by the inline handlers before the inbox existed
+  if (LEGACY_EVENT_PREFIXES[source]) {
+    const legacySnap = await legacyMarkerRef(source, externalId).once("value");
+    if (legacySnap.exists()) {
+      return { event: { id: eventId, status: "processed" }, duplicate: true };
+    }
+  }
+
+  let created = false;
+  const result = await eventRef(eventId).transaction((current) => {
+    created = false;
+    if (current) return; // Abort - already in the inbox
+    created = true;
+    return {
+      id: eventId,
+      source,
+      externalId: String(externalId),
+      type: type || null,
+      payload: JSON.stringify(payload),
+      status: "received",
+      attempts: 0,
+      nextAttemptAt: now,
+      receivedAt: now,
+      updatedAt: now,
+    };
+  });
+
+  if (created) {
+    console.log(`📥 Webhook ${eventId} stored in inbox`);
+  }
+  return { event: result.snapshot.val(), duplicate: !created };
+};
+
+/**
+ * Take an event for processing if it is due (or forced, for replays)
+ */
+const claimEvent = async (eventId, { force = false } = {}) => {
+  const now = Date.now();
+  let claimed = null;
+
+  await eventRef(eventId).transaction((current) => {
+    claimed = null;
+    if (!current) return current;
+
+    const due =
+      ["received", "failed"].includes(current.status) &&
+      (force || (current.nextAttemptAt || 0) <= now);
+    const stuck =
+      current.status === "processing" &&
+      now - (current.lockedAt || 0) > PROCESSING_TIMEOUT_MS;
+    if (!due && !stuck) return; // Abort
+
+    claimed = {
+      ...current,
+      status: "processing",
+      attempts: (current.attempts || 0) + 1,
+      lockedAt: now,
+      nextAttemptAt: null,
+      updatedAt: now,
+    };
+    return claimed;
+  });
+
+  return claimed;
+};
+
+/**
+ * Record a failed attempt: schedule a retry or dead-letter the event
+ */
+const recordFailure = async (event, error) => {
+  const now = Date.now();
+  const permanent = error instanceof PermanentWebhookError;
+  const dead = permanent || event.attempts >= MAX_ATTEMPTS;
+  const errors = [
+    ...(event.errors || []),
+    { attempt: event.attempts, message: error.message, at: now },
+  ].slice(-MAX_ERRORS_KEPT);
+
+  const updates = {
+    [`webhookInbox/events/${event.id}/status`]: dead ? "dead" : "failed",
+    [`webhookInbox/events/${event.id}/lastError`]: error.message,
+    [`webhookInbox/events/${event.id}/errors`]: errors,
+    [`webhookInbox/events/${event.id}/lockedAt`]: null,
+    [`webhookInbox/events/${event.id}/nextAttemptAt`]: dead
+      ? null
+      : now + getRetryDelay(event.attempts),
+    [`webhookInbox/events/${event.id}/updatedAt`]: now,
+  };
+  if (dead) {
+    updates[`webhookInbox/deadLetters/${event.id}`] = {
+      eventId: event.id,
+      source: event.source,
+      type: event.type,
+      externalId: event.externalId,
+      attempts: event.attempts,
+      lastError: error.message,
+      permanent,
+      deadAt: now,
+    };
+  }
+  await admin.database().ref().update(updates);
+
+  if (dead) {
+    console.error(
+      `💀 Webhook ${event.id} dead-lettered after ${event.attempts} attempt(s): ${error.message}`
+    );
+  } else {
+    console.warn(
+      `⚠️ Webhook ${event.id} attempt ${event.attempts} failed, retrying: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Process one inbox event with its source's handler
+ * Returns the event as it was left, or null if it was not due
+ */
+const processInboxEvent = async (eventId, options = {}) => {
+  const event = await claimEvent(eventId, options);
+  if (!event) return null;
+
+  try {
+    const handler = handlers[event.source];
+    if (!handler) {
+      throw new Error(`No handler registered for ${event.source} webhooks`);
+    }
+
+    await handler(JSON.parse(event.payload), event);
+
+    const now = Date.now();
+    await eventRef(eventId).update({
+      status: "processed",
+      processedAt: now,
+      lockedAt: null,
+      lastError: null,
+      updatedAt: now,
+    });
+    console.log(`✅ Webhook ${eventId} processed`);
+  } catch (error) {
+    await recordFailure(event, error);
+  }
+
+  return (await eventRef(eventId).once("value")).val();
+};
+
+/**
+ * Record an event that another path already handled (a deposit credited
+ * from a status poll), so the callback is not processed when it arrives
+ */
+const markWebhookProcessed = async (
+  source,
+  externalId,
+  payload = {},
+  { type } = {}
+) => {
+  const eventId = toEventId(source, externalId);
+  const now = Date.now();
+  await eventRef(eventId).transaction((current) => ({
+    id: eventId,
+    source,
+    externalId: String(externalId),
+    type: type || null,
+    payload: JSON.stringify(payload),
+    attempts: 0,
+    receivedAt: now,
+    ...current,
+    status: "processed",
+    processedAt: now,
+    lockedAt: null,
+    nextAttemptAt: null,
+    lastError: null,
+    updatedAt: now,
+  }));
+  console.log(`✅ Webhook ${eventId} marked processed`);
+};
+
+/**
+ * Store and process a webhook in one go (what the webhook routes call)
+ * Processing errors are kept in the inbox, never thrown
+ */
+const acceptWebhook = async (source, externalId, payload, options = {}) => {
+  const { event, duplicate } = await receiveWebhook(
+    source,
+    externalId,
+    payload,
+    options
+  );
+  if (duplicate && event.status !== "received") {
+    console.log(`✅ Webhook ${event.id} already received, skipping`);
+    return event;
+  }
+  return (await processInboxEvent(event.id)) || event;
+};
+
+/**
+ * Retry every event that is due
+ */
+const runWebhookWorker = async (batchSize = 50) => {
+  // Finished events have no nextAttemptAt, and nulls sort first, so start
+  // past them or they would fill every batch
+  const dueSnap = await eventsRef()
+    .orderByChild("nextAttemptAt")
+    .startAt(1)
+    .endAt(Date.now())
+    .limitToFirst(batchSize)
+    .once("value");
+
+  // Also pick up attempts that never finished
+  const stuckSnap = await eventsRef()
+    .orderByChild("status")
+    .equalTo("processing")
+    .limitToFirst(batchSize)
+    .once("value");
+
+  const eventIds = new Set([
+    ...Object.keys(dueSnap.val() || {}),
+    ...Object.entries(stuckSnap.val() || {})
+      .filter(
+        ([, event]) =>
+          Date.now() - (event.lockedAt || 0) > PROCESSING_TIMEOUT_MS
+      )
+      .map(([id]) => id),
+  ]);
+
+  let processed = 0;
+  let failed = 0;
+  for (const eventId of eventIds) {
+    const event = await processInboxEvent(eventId);
+    if (!event) continue;
+    if (event.status === "processed") processed++;
+    else failed++;
+  }
+
+  if (eventIds.size > 0) {
+    console.log(
+      `📬 Webhook worker: ${processed} processed, ${failed} still failing`
+    );
+  }
+  return { attempted: eventIds.size, processed, failed };
+};
+
+/**
+ * Admin replay: run an event again whatever its status, e.g. after a fix
+ */
+const replayInboxEvent = async (eventId, replayedBy = "admin") => {
+  const now = Date.now();
+  let found = false;
+  let running = false;
+
+  await eventRef(eventId).transaction((current) => {
+    found = !!current;
+    running = false;
+    if (!current) return current;
+    if (current.status === "processing") {
+      running = true;
+      return; // Abort
+    }
+    return {
+      ...current,
+      status: "received",
+      attempts: 0,
+      nextAttemptAt: now,
+      replayedAt: now,
+      replayedBy,
+      replayCount: (current.replayCount || 0) + 1,
+      updatedAt: now,
+    };
+  });
+
+  if (!found) return { error: "Webhook event not found", status: 404 };
+  if (running) {
+    return { error: "Webhook event is being processed", status: 409 };
+  }
+
+  await deadLetterRef(eventId).remove();
+  console.log(`🔁 Webhook ${eventId} replayed by ${replayedBy}`);
+  return { event: await processInboxEvent(eventId, { force: true }) };
+};
+
+/**
+ * Inbox events for the admin view, newest first
+ */
+const listInboxEvents = async ({ status, source, limit = 50 } = {}) => {
+  const query = status
+    ? eventsRef().orderByChild("status").equalTo(status)
+    : eventsRef().orderByChild("receivedAt").limitToLast(limit);
+  const eventsSnap = await query.once("value");
+
+  return Object.values(eventsSnap.val() || {})
+    .filter((event) => !source || event.source === source)
+    .sort((a, b) => b.receivedAt - a.receivedAt)
+    .slice(0, limit)
+    .map(({ payload, ...event }) => event);
+};
+
+/**
+ * One event with its decoded payload
+ */
+const getInboxEvent = async (eventId) => {
+  const eventSnap = await eventRef(eventId).once("value");
+  if (!eventSnap.exists()) return null;
+
+  const event = eventSnap.val();
+  let payload = event.payload;
+  try {
+    payload = JSON.parse(event.payload);
+  } catch (error) {
+    // Keep the raw string
+  }
+  return { ...event, payload };
+};
+
+const listDeadLetters = async (limit = 50) => {
+  const deadSnap = await admin
+    .database()
+    .ref("webhookInbox/deadLetters")
+    .orderByChild("deadAt")
+    .limitToLast(limit)
+    .once("value");
+  return Object.values(deadSnap.val() || {}).sort(
+    (a, b) => b.deadAt - a.deadAt
+  );
+};
+
+const startWebhookWorker = () => {
+  const WORKER_INTERVAL = 30 * 1000; // 30 seconds
+
+  console.log("🕐 Starting webhook inbox worker (every 30 seconds)");
+  setInterval(() => {
+    runWebhookWorker().catch((error) =>
+      console.error("❌ Webhook worker failed:", error)
+    );
+  }, WORKER_INTERVAL);
+};
+
+module.exports = {
+  PermanentWebhookError,
+  registerWebhookHandler,
+  isWebhookProcessed,
+  markWebhookProcessed,
+  receiveWebhook,
+  acceptWebhook,
+  processInboxEvent,
+  runWebhookWorker,
+  replayInboxEvent,
+  listInboxEvents,
+  getInboxEvent,
+  listDeadLetters,
+  startWebhookWorker,
+};
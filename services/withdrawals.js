@@ -0,0 +1,603 @@
+/**
+ * Withdrawal Service
+ * Reserves wallet funds, pays them out over M-Pesa B2C and reverses failures
+ *
+ * Status flow:
+ *   pending_approval -> queued   (admin approval above the threshold)
+ *   queued -> processing         (sent to M-Pesa)
+ *   processing -> completed | failed
+ *   pending_approval | queued -> rejected | failed
+ * Every path out that did not pay reverses the reservation.
+ *
+ * M-Pesa callbacks carry a secret token per withdrawal in their URL
+ * (withdrawalCallbackTokens/{withdrawalId}). A queue timeout is followed by
+ * a transaction status query, whose result settles the withdrawal.
+ */
+
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const { ACCOUNTS, userAccount, postEntry } = require("./walletLedger");
+const { B2CRejectedError, getB2CClient } = require("./mpesaB2C");
+const { PermanentWebhookError } = require("./webhookInbox");
+const { getWithdrawableBalance } = require("./bonusFunds");
+const {
+  createSystemNotification,
+} = require("../controllers/notificationController");
+
+const WITHDRAWAL_MIN_AMOUNT = 10;
+const WITHDRAWAL_MAX_AMOUNT = 150000; // M-Pesa B2C per-transaction cap
+const WITHDRAWAL_DAILY_LIMIT =
+  parseInt(process.env.WITHDRAWAL_DAILY_LIMIT) || 50000;
+const WITHDRAWAL_APPROVAL_THRESHOLD =
+  parseInt(process.env.WITHDRAWAL_APPROVAL_THRESHOLD) || 10000;
+
+const NAIROBI_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+/**
+ * Calendar day (East Africa Time) a withdrawal counts against
+ */
+const getWithdrawalDay = (timestamp = Date.now()) =>
+  new Date(timestamp + NAIROBI_OFFSET_MS).toISOString().slice(0, 10);
+
+// Transaction statuses that mean the payout never reached the customer
+const FAILED_TRANSACTION_STATUSES = [
+  "Failed",
+  "Cancelled",
+  "Declined",
+  "Expired",
+];
+
+const withdrawalRef = (withdrawalId) =>
+  admin.database().ref(`withdrawals/${withdrawalId}`);
+const callbackTokenRef = (withdrawalId) =>
+  admin.database().ref(`withdrawalCallbackTokens/${withdrawalId}`);
+
+/**
+ * Whether a callback's token is the one issued for the withdrawal
+ */
+const verifyCallbackToken = async (withdrawalId, token) => {
+  if (
+    typeof withdrawalId !== "string" ||
+    !/^[\w-]+$/.test(withdrawalId) ||
+    typeof token !== "string"
+  ) {
+    return false;
+  }
+  const snap = await callbackTokenRef(withdrawalId).once("value");
+  if (typeof snap.val() !== "string") return false;
+  const expected = Buffer.from(snap.val());
+  const given = Buffer.from(token);
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+};
+
+/**
+ * Query parameters M-Pesa must send back on every callback for a withdrawal
+ */
+const getCallbackParams = async (withdrawalId) => {
+  const snap = await callbackTokenRef(withdrawalId).once("value");
+  let token = snap.val();
+  if (!token) {
+    token = crypto.randomBytes(24).toString("hex");
+    await callbackTokenRef(withdrawalId).set(token);
+  }
+  return { withdrawalId, token };
+};
+
+const getClient = () =>
+  getB2CClient({
+    onResult: handleB2CResult,
+    onTimeout: handleB2CTimeout,
+    onStatus: handleB2CStatusResult,
+  });
+
+/**
+ * Take amount out of the user's daily allowance; false if it would exceed it
+ */
+const reserveDailyAllowance = async (userId, day, amount) => {
+  const result = await admin
+    .database()
+    .ref(`withdrawalLimits/${userId}/${day}`)
+    .transaction((current) => {
+      const total = current?.total || 0;
+      if (total + amount > WITHDRAWAL_DAILY_LIMIT) return; // Abort
+      return { total: total + amount, updatedAt: Date.now() };
+    });
+  return result.committed;
+};
+
+const releaseDailyAllowance = async (userId, day, amount) => {
+  await admin
+    .database()
+    .ref(`withdrawalLimits/${userId}/${day}`)
+    .transaction((current) => {
+      if (!current) return current;
+      return {
+        total: Math.max(0, (current.total || 0) - amount),
+        updatedAt: Date.now(),
+      };
+    });
+};
+
+/**
+ * Move a withdrawal between statuses atomically
+ * Returns the updated record, or null if it was not in one of fromStatuses
+ */
+const transitionWithdrawal = async (withdrawalId, fromStatuses, changes) => {
+  let updated = null;
+  const result = await withdrawalRef(withdrawalId).transaction((current) => {
+    if (!current) return current;
+    if (!fromStatuses.includes(current.status)) return; // Abort
+    updated = { ...current, ...changes, updatedAt: Date.now() };
+    return updated;
+  });
+  return result.committed ? updated : null;
+};
+
+/**
+ * Put a withdrawal's funds back in the wallet and free its daily allowance
+ */
+const reverseWithdrawal = async (withdrawal, reason) => {
+  const entry = await postEntry({
+    id: `withdrawal_${withdrawal.id}_reversal`,
+    type: "withdrawal_reversal",
+    description: `Withdrawal reversed: ${reason}`,
+    legs: [
+      { account: ACCOUNTS.WITHDRAWALS, amount: -withdrawal.amount },
+      { account: userAccount(withdrawal.userId), amount: withdrawal.amount },
+    ],
+    metadata: { withdrawalId: withdrawal.id, userId: withdrawal.userId },
+  });
+  if (!entry.success) {
+    throw new Error(entry.error);
+  }
+
+  await releaseDailyAllowance(
+    withdrawal.userId,
+    withdrawal.day,
+    withdrawal.amount
+  );
+};
+
+/**
+ * Fail or reject a withdrawal that has not paid out, refunding the user
+ */
+const failWithdrawal = async (
+  withdrawalId,
+  reason,
+  { status = "failed", fromStatuses = ["processing"], ...changes } = {}
+) => {
+  const withdrawal = await transitionWithdrawal(withdrawalId, fromStatuses, {
+    ...changes,
+    status,
+    failureReason: reason,
+    failedAt: Date.now(),
+  });
+  if (!withdrawal) return null;
+
+  await reverseWithdrawal(withdrawal, reason);
+  console.log(`↩️ Withdrawal ${withdrawalId} ${status}: ${reason}`);
+
+  await createSystemNotification(withdrawal.userId, {
+    title: status === "rejected" ? "Withdrawal declined" : "Withdrawal failed",
+    message: `Your withdrawal of KES ${withdrawal.amount} could not be completed (${reason}). The funds are back in your wallet.`,
+    action: { type: "open_wallet", withdrawalId },
+  });
+
+  return withdrawal;
+};
+
+/**
+ * Send a queued withdrawal to M-Pesa
+ */
+const dispatchWithdrawal = async (withdrawalId) => {
+  const withdrawal = await transitionWithdrawal(withdrawalId, ["queued"], {
+    status: "processing",
+    sentAt: Date.now(),
+  });
+  if (!withdrawal) return null;
+
+  try {
+    const response = await getClient().sendPayment({
+      originatorConversationId: withdrawal.id,
+      amount: withdrawal.amount,
+      phoneNumber: withdrawal.phoneNumber,
+      remarks: "GameTribe withdrawal",
+      callbackParams: await getCallbackParams(withdrawal.id),
+    });
+
+    await withdrawalRef(withdrawalId).update({
+      conversationId: response.conversationId,
+    });
+    console.log(
+      `💸 Withdrawal ${withdrawalId} sent to M-Pesa (${response.conversationId})`
+    );
+    return { ...withdrawal, conversationId: response.conversationId };
+  } catch (error) {
+    if (error instanceof B2CRejectedError) {
+      console.error(
+        `❌ B2C request for ${withdrawalId} failed:`,
+        error.message
+      );
+      await failWithdrawal(withdrawalId, "M-Pesa did not accept the payout");
+      return null;
+    }
+
+    // M-Pesa may have taken the request; its result or timeout callback
+    // settles the withdrawal, so it stays in processing until then
+    console.warn(
+      `⚠️ B2C request for ${withdrawalId} has no answer, awaiting callback:`,
+      error.message
+    );
+    await withdrawalRef(withdrawalId).update({
+      dispatchError: error.message,
+      dispatchErrorAt: Date.now(),
+    });
+    return { ...withdrawal, dispatchError: error.message };
+  }
+};
+
+/**
+ * Reserve funds for a withdrawal and send it, or queue it for approval
+ * Returns { withdrawal } or { error, status }
+ */
+const requestWithdrawal = async ({ userId, amount, phoneNumber }) => {
+  // Promo bonus funds cannot be withdrawn until wagered
+  const { locked, withdrawable } = await getWithdrawableBalance(userId);
+  if (locked > 0 && amount > withdrawable) {
+    return {
+      error: `Only KES ${withdrawable} can be withdrawn; KES ${locked} is bonus funds still to be wagered`,
+      status: 400,
+    };
+  }
+
+  const day = getWithdrawalDay();
+  if (!(await reserveDailyAllowance(userId, day, amount))) {
+    return {
+      error: `Daily withdrawal limit of KES ${WITHDRAWAL_DAILY_LIMIT} reached`,
+      status: 429,
+    };
+  }
+
+  const withdrawalId = uuidv4();
+  const needsApproval = amount > WITHDRAWAL_APPROVAL_THRESHOLD;
+  const withdrawal = {
+    id: withdrawalId,
+    userId,
+    amount,
+    phoneNumber,
+    day,
+    status: "reserving",
+    requiresApproval: needsApproval,
+    createdAt: Date.now(),
+  };
+  await withdrawalRef(withdrawalId).set(withdrawal);
+
+  const entry = await postEntry({
+    id: `withdrawal_${withdrawalId}_reserve`,
+    type: "withdrawal",
+    description: `Withdrawal to M-Pesa ${phoneNumber}`,
+    legs: [
+      { account: userAccount(userId), amount: -amount },
+      { account: ACCOUNTS.WITHDRAWALS, amount },
+    ],
+    metadata: { withdrawalId, userId },
+  });
+
+  if (!entry.success) {
+    await releaseDailyAllowance(userId, day, amount);
+    await withdrawalRef(withdrawalId).update({
+      status: "failed",
+      failureReason: entry.error,
+      failedAt: Date.now(),
+    });
+    return { error: entry.error, status: 400 };
+  }
+
+  const queued = await transitionWithdrawal(withdrawalId, ["reserving"], {
+    status: needsApproval ? "pending_approval" : "queued",
+    reservedAt: Date.now(),
+  });
+
+  if (needsApproval) {
+    console.log(`🛂 Withdrawal ${withdrawalId} awaiting admin approval`);
+    return { withdrawal: queued };
+  }
+
+  const sent = await dispatchWithdrawal(withdrawalId);
+  return { withdrawal: sent || (await getWithdrawal(withdrawalId)) };
+};
+
+/**
+ * Admin approval of a withdrawal above the threshold
+ */
+const approveWithdrawal = async (withdrawalId, approvedBy = "admin") => {
+  const withdrawal = await transitionWithdrawal(
+    withdrawalId,
+    ["pending_approval"],
+    { status: "queued", approvedBy, approvedAt: Date.now() }
+  );
+  if (!withdrawal) return null;
+
+  const sent = await dispatchWithdrawal(withdrawalId);
+  return sent || getWithdrawal(withdrawalId);
+};
+
+const rejectWithdrawal = (withdrawalId, reason, rejectedBy = "admin") =>
+  failWithdrawal(withdrawalId, reason || "declined by an administrator", {
+    status: "rejected",
+    fromStatuses: ["pending_approval"],
+    rejectedBy,
+  });
+
+/**
+ * Read a named value out of a B2C ResultParameters list
+ */
+const getResultParameter = (result, key) => {
+  const parameters = result.ResultParameters?.ResultParameter || [];
+  const list = Array.isArray(parameters) ? parameters : [parameters];
+  return list.find((parameter) => parameter.Key === key)?.Value ?? null;
+};
+
+/**
+ * A callback from a different payout request than the one on record
+ */
+const isOtherConversation = (withdrawal, conversationId) =>
+  !!withdrawal.conversationId &&
+  !!conversationId &&
+  withdrawal.conversationId !== conversationId;
+
+/**
+ * Mark a withdrawal paid out and post the payout to the ledger
+ */
+const completeWithdrawal = async (withdrawalId, receipt, mpesaResult) => {
+  const withdrawal = await transitionWithdrawal(withdrawalId, ["processing"], {
+    status: "completed",
+    completedAt: Date.now(),
+    mpesaReceipt: receipt,
+    mpesaResult,
+  });
+  if (!withdrawal) {
+    await recordLateResult(withdrawalId, mpesaResult);
+    return;
+  }
+
+  const entry = await postEntry({
+    id: `withdrawal_${withdrawalId}_payout`,
+    type: "withdrawal_payout",
+    description: `M-Pesa payout ${withdrawal.mpesaReceipt || ""}`.trim(),
+    legs: [
+      { account: ACCOUNTS.WITHDRAWALS, amount: -withdrawal.amount },
+      { account: ACCOUNTS.MPESA, amount: withdrawal.amount },
+    ],
+    metadata: { withdrawalId, userId: withdrawal.userId },
+  });
+  if (!entry.success) {
+    throw new Error(entry.error);
+  }
+
+  console.log(`✅ Withdrawal ${withdrawalId} paid out`);
+  await createSystemNotification(withdrawal.userId, {
+    title: "Withdrawal sent",
+    message: `KES ${withdrawal.amount} has been sent to your M-Pesa${
+      withdrawal.mpesaReceipt ? ` (receipt ${withdrawal.mpesaReceipt})` : ""
+    }.`,
+    action: { type: "open_wallet", withdrawalId },
+  });
+};
+
+/**
+ * B2C result callback: settle the payout or reverse it
+ */
+const handleB2CResult = async (payload) => {
+  const result = payload?.Result;
+  if (!result?.OriginatorConversationID) {
+    throw new Error("Invalid B2C result payload");
+  }
+
+  const withdrawalId = result.OriginatorConversationID;
+  const resultCode = Number(result.ResultCode);
+  const mpesaResult = {
+    resultCode,
+    resultDesc: result.ResultDesc || "",
+    conversationId: result.ConversationID || null,
+    transactionId: result.TransactionID || null,
+    receivedAt: Date.now(),
+  };
+
+  const withdrawal = await getWithdrawal(withdrawalId);
+  if (!withdrawal) {
+    throw new PermanentWebhookError(`Withdrawal ${withdrawalId} not found`);
+  }
+  if (isOtherConversation(withdrawal, mpesaResult.conversationId)) {
+    await recordLateResult(withdrawalId, mpesaResult);
+    return;
+  }
+
+  if (resultCode !== 0) {
+    const failed = await failWithdrawal(withdrawalId, mpesaResult.resultDesc, {
+      mpesaResult,
+    });
+    if (!failed) await recordLateResult(withdrawalId, mpesaResult);
+    return;
+  }
+
+  await completeWithdrawal(
+    withdrawalId,
+    getResultParameter(result, "TransactionReceipt") ||
+      mpesaResult.transactionId,
+    mpesaResult
+  );
+};
+
+/**
+ * B2C queue timeout: M-Pesa did not answer in time, which does not mean it
+ * did not pay, so ask for the payout's status instead of reversing it
+ */
+const handleB2CTimeout = async (payload) => {
+  const result = payload?.Result;
+  if (!result?.OriginatorConversationID) {
+    throw new Error("Invalid B2C timeout payload");
+  }
+
+  const withdrawalId = result.OriginatorConversationID;
+  const withdrawal = await getWithdrawal(withdrawalId);
+  if (withdrawal?.status !== "processing") return;
+  if (isOtherConversation(withdrawal, result.ConversationID)) {
+    console.warn(
+      `⚠️ B2C timeout for ${withdrawalId} names another request, ignoring`
+    );
+    return;
+  }
+
+  // Throws so the inbox retries the query
+  const query = await getClient().queryTransactionStatus({
+    originatorConversationId: withdrawalId,
+    remarks: "GameTribe withdrawal status",
+    callbackParams: await getCallbackParams(withdrawalId),
+  });
+
+  await withdrawalRef(withdrawalId).update({
+    timedOutAt: withdrawal.timedOutAt || Date.now(),
+    statusQuery: {
+      conversationId: query.conversationId || null,
+      requestedAt: Date.now(),
+    },
+  });
+  console.log(`🔎 Withdrawal ${withdrawalId} timed out, status requested`);
+};
+
+/**
+ * Transaction status result after a timeout: complete the payout if M-Pesa
+ * made it, reverse it if M-Pesa has no record of it or it failed
+ * payload is { withdrawalId, Result }
+ */
+const handleB2CStatusResult = async (payload) => {
+  const withdrawalId = payload?.withdrawalId;
+  const result = payload?.Result;
+  if (!withdrawalId || !result) {
+    throw new Error("Invalid B2C status payload");
+  }
+
+  const resultCode = Number(result.ResultCode);
+  const transactionStatus = getResultParameter(result, "TransactionStatus");
+  const mpesaResult = {
+    resultCode,
+    resultDesc: result.ResultDesc || "",
+    conversationId: result.ConversationID || null,
+    transactionId: result.TransactionID || null,
+    transactionStatus,
+    receivedAt: Date.now(),
+  };
+
+  const withdrawal = await getWithdrawal(withdrawalId);
+  if (!withdrawal) {
+    throw new PermanentWebhookError(`Withdrawal ${withdrawalId} not found`);
+  }
+  if (
+    withdrawal.status !== "processing" ||
+    isOtherConversation(
+      withdrawal.statusQuery || {},
+      mpesaResult.conversationId
+    )
+  ) {
+    await recordLateResult(withdrawalId, mpesaResult);
+    return;
+  }
+
+  if (resultCode === 0 && transactionStatus === "Completed") {
+    await completeWithdrawal(
+      withdrawalId,
+      getResultParameter(result, "ReceiptNo") || mpesaResult.transactionId,
+      mpesaResult
+    );
+    return;
+  }
+
+  if (
+    resultCode !== 0 ||
+    FAILED_TRANSACTION_STATUSES.includes(transactionStatus)
+  ) {
+    const reason =
+      resultCode !== 0
+        ? "M-Pesa has no record of the payout"
+        : `M-Pesa payout ${transactionStatus.toLowerCase()}`;
+    const failed = await failWithdrawal(withdrawalId, reason, { mpesaResult });
+    if (!failed) await recordLateResult(withdrawalId, mpesaResult);
+    return;
+  }
+
+  // Still in progress at M-Pesa: leave it for the result callback or a person
+  console.warn(
+    `⚠️ Withdrawal ${withdrawalId} is ${transactionStatus} at M-Pesa, left processing`
+  );
+  await withdrawalRef(withdrawalId).update({ statusResult: mpesaResult });
+};
+
+/**
+ * Keep callbacks that arrive for a withdrawal no longer in flight
+ * (e.g. a success after a timeout) for manual reconciliation
+ */
+const recordLateResult = async (withdrawalId, mpesaResult) => {
+  console.warn(
+    `⚠️ B2C result for ${withdrawalId} arrived outside processing:`,
+    mpesaResult.resultDesc
+  );
+  await admin
+    .database()
+    .ref(`withdrawals/${withdrawalId}/lateResults`)
+    .push(mpesaResult);
+};
+
+const getWithdrawal = async (withdrawalId) => {
+  const snap = await withdrawalRef(withdrawalId).once("value");
+  return snap.exists() ? snap.val() : null;
+};
+
+/**
+ * A user's withdrawals, newest first
+ */
+const getUserWithdrawals = async (userId) => {
+  const snap = await admin
+    .database()
+    .ref("withdrawals")
+    .orderByChild("userId")
+    .equalTo(userId)
+    .once("value");
+  if (!snap.exists()) return [];
+  return Object.values(snap.val()).sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Withdrawals in a status, oldest first (admin queue)
+ */
+const getWithdrawalsByStatus = async (status) => {
+  const snap = await admin
+    .database()
+    .ref("withdrawals")
+    .orderByChild("status")
+    .equalTo(status)
+    .once("value");
+  if (!snap.exists()) return [];
+  return Object.values(snap.val()).sort((a, b) => a.createdAt - b.createdAt);
+};
+
+module.exports = {
+  WITHDRAWAL_MIN_AMOUNT,
+  WITHDRAWAL_MAX_AMOUNT,
+  WITHDRAWAL_DAILY_LIMIT,
+  WITHDRAWAL_APPROVAL_THRESHOLD,
+  getWithdrawalDay,
+  requestWithdrawal,
+  approveWithdrawal,
+  rejectWithdrawal,
+  verifyCallbackToken,
+  handleB2CResult,
+  handleB2CTimeout,
+  handleB2CStatusResult,
+  getWithdrawal,
+  getUserWithdrawals,
+  getWithdrawalsByStatus,
+};
@@ -31,22 +31,56 @@ const addChallengeToUserIndex = async (
       updatedAt: timestamp,
     });
 
-    // Add to challenged user's index
-    const challengedRef = ref(
+    // Add to challenged user's index (open challenges have no opponent yet)
+    if (challengedId) {
+      const challengedRef = ref(
+        database,
+        `userChallenges/${challengedId}/${challengeId}`
+      );
+      await set(challengedRef, {
+        challengeId,
+        status,
+        role: "challenged",
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      });
+    }
+
+    console.log(`✅ Added challenge ${challengeId} to user indexes`);
+  } catch (error) {
+    console.error("Error adding challenge to user index:", error);
+    throw error;
+  }
+};
+
+/**
+ * Add a single participant to a challenge's user index
+ * Used when an open challenge is claimed by an opponent
+ */
+const addUserToChallengeIndex = async (
+  challengeId,
+  userId,
+  role,
+  status = "pending"
+) => {
+  try {
+    const timestamp = Date.now();
+
+    const userChallengeRef = ref(
       database,
-      `userChallenges/${challengedId}/${challengeId}`
+      `userChallenges/${userId}/${challengeId}`
     );
-    await set(challengedRef, {
+    await set(userChallengeRef, {
       challengeId,
       status,
-      role: "challenged",
+      role,
       createdAt: timestamp,
       updatedAt: timestamp,
     });
 
-    console.log(`✅ Added challenge ${challengeId} to user indexes`);
+    console.log(`✅ Added ${role} to challenge ${challengeId} index`);
   } catch (error) {
-    console.error("Error adding challenge to user index:", error);
+    console.error("Error adding user to challenge index:", error);
     throw error;
   }
 };
@@ -74,14 +108,16 @@ const updateChallengeInUserIndex = async (
     });
 
     // Update challenged user's index
-    const challengedRef = ref(
-      database,
-      `userChallenges/${challengedId}/${challengeId}`
-    );
-    await update(challengedRef, {
-      status,
-      updatedAt: timestamp,
-    });
+    if (challengedId) {
+      const challengedRef = ref(
+        database,
+        `userChallenges/${challengedId}/${challengeId}`
+      );
+      await update(challengedRef, {
+        status,
+        updatedAt: timestamp,
+      });
+    }
 
     console.log(`✅ Updated challenge ${challengeId} status to ${status}`);
   } catch (error) {
@@ -107,11 +143,13 @@ const removeChallengeFromUserIndex = async (
     await remove(challengerRef);
 
     // Remove from challenged user's index
-    const challengedRef = ref(
-      database,
-      `userChallenges/${challengedId}/${challengeId}`
-    );
-    await remove(challengedRef);
+    if (challengedId) {
+      const challengedRef = ref(
+        database,
+        `userChallenges/${challengedId}/${challengeId}`
+      );
+      await remove(challengedRef);
+    }
 
     console.log(`✅ Removed challenge ${challengeId} from user indexes`);
   } catch (error) {
@@ -151,6 +189,7 @@ const getUserChallengeIds = async (userId, status = null) => {
 
 module.exports = {
   addChallengeToUserIndex,
+  addUserToChallengeIndex,
   updateChallengeInUserIndex,
   removeChallengeFromUserIndex,
   getUserChallengeIds,
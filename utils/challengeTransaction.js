@@ -0,0 +1,48 @@
+const admin = require("firebase-admin");
+const { encryptData, decryptData } = require("./encryption");
+
+/**
+ * Challenge Transaction - read-modify-write an encrypted challenge atomically
+ */
+
+const ENCRYPTION_KEY = process.env.CHALLENGE_ENCRYPTION_KEY || "";
+
+/**
+ * Decrypt, change and re-encrypt a challenge in one database transaction
+ * The mutator may be called more than once; it returns { error, status }
+ * to abort without writing, or any other object to pass back to the caller
+ */
+const mutateChallenge = async (challengeId, mutate) => {
+  let outcome = null;
+  let updated = null;
+
+  const result = await admin
+    .database()
+    .ref(`secureChallenges/${challengeId}`)
+    .transaction((encrypted) => {
+      outcome = null;
+      updated = null;
+
+      if (!encrypted) return encrypted;
+
+      const challengeData = decryptData(encrypted, ENCRYPTION_KEY);
+      outcome = mutate(challengeData) || {};
+      if (outcome.error) return; // Abort
+
+      updated = challengeData;
+      return encryptData(challengeData, ENCRYPTION_KEY);
+    });
+
+  if (outcome && outcome.error) {
+    return { error: outcome.error, status: outcome.status || 400 };
+  }
+  if (!result.committed || !updated) {
+    return { error: "Challenge not found", status: 404 };
+  }
+
+  return { ...outcome, challengeData: updated };
+};
+
+module.exports = {
+  mutateChallenge,
+};
@@ -2,10 +2,17 @@ const crypto = require("crypto");
 
 /**
  * Encryption utilities for secure challenge data
+ *
+ * Records are written as version 2: AES-256-GCM tagged with the id of the
+ * key that wrote them. Version 1 records (AES-256-CBC, no key id) are still
+ * readable until the re-encryption job has rewritten them.
  */
 
-const ALGORITHM = "aes-256-cbc";
-const IV_LENGTH = 16; // For CBC, this is always 16
+const ALGORITHM = "aes-256-gcm";
+const LEGACY_ALGORITHM = "aes-256-cbc";
+const CIPHERTEXT_VERSION = 2;
+const IV_LENGTH = 12; // Recommended nonce length for GCM
+const LEGACY_IV_LENGTH = 16;
 const SALT_LENGTH = 64;
 
 /**
@@ -23,7 +30,62 @@ const generateKey = (password, salt) => {
 };
 
 /**
- * Encrypt data using AES-256-CBC
+ * Short, stable id for a key, stored with each record it encrypts
+ */
+const getKeyId = (key) => {
+  return crypto.createHash("sha256").update(key).digest("hex").substring(0, 8);
+};
+
+/**
+ * Every key that may still decrypt stored records: the key in use plus
+ * any retired keys listed in CHALLENGE_ENCRYPTION_PREVIOUS_KEYS
+ */
+const getDecryptionKeys = (password) => {
+  const keys = [
+    password,
+    process.env.CHALLENGE_ENCRYPTION_KEY,
+    ...(process.env.CHALLENGE_ENCRYPTION_PREVIOUS_KEYS || "").split(","),
+  ]
+    .map((key) => (key || "").trim())
+    .filter((key) => key.length === 32);
+
+  return [...new Set(keys)];
+};
+
+/**
+ * Whether a stored record should be rewritten with the given key
+ */
+const needsReencryption = (encryptedData, password) => {
+  if (typeof encryptedData === "string") {
+    encryptedData = JSON.parse(encryptedData);
+  }
+  return (
+    encryptedData.v !== CIPHERTEXT_VERSION ||
+    encryptedData.kid !== getKeyId(password)
+  );
+};
+
+/**
+ * Decrypt a version 1 (AES-256-CBC) record with a single key
+ */
+const decryptLegacy = (encryptedData, password) => {
+  const salt = Buffer.from(encryptedData.salt, "hex");
+  const iv = Buffer.from(encryptedData.iv, "hex");
+  if (iv.length !== LEGACY_IV_LENGTH) {
+    throw new Error("Invalid IV length for legacy record");
+  }
+
+  const key = generateKey(password, salt);
+  const decipher = crypto.createDecipheriv(LEGACY_ALGORITHM, key, iv);
+
+  let decrypted = decipher.update(encryptedData.data, "hex", "utf8");
+  decrypted += decipher.final("utf8");
+
+  return JSON.parse(decrypted);
+};
+
+/**
+ * Encrypt data using AES-256-GCM with the key's id embedded
  */
 const encryptData = (data, password) => {
   try {
@@ -51,10 +113,13 @@ const encryptData = (data, password) => {
     let encrypted = cipher.update(dataString, "utf8", "hex");
     encrypted += cipher.final("hex");
 
-    // Combine salt, iv, and encrypted data
+    // Combine salt, iv, auth tag and encrypted data
     const encryptedData = {
+      v: CIPHERTEXT_VERSION,
+      kid: getKeyId(password),
       salt: salt.toString("hex"),
       iv: iv.toString("hex"),
+      tag: cipher.getAuthTag().toString("hex"),
       data: encrypted,
       timestamp: Date.now(),
     };
@@ -67,7 +132,7 @@ const encryptData = (data, password) => {
 };
 
 /**
- * Decrypt data using AES-256-CBC
+ * Decrypt a record written with the given key or any previous key
  */
 const decryptData = (encryptedData, password) => {
   try {
@@ -99,16 +164,36 @@ const decryptData = (encryptedData, password) => {
       throw new Error("Missing required encryption fields");
     }
 
+    const keys = getDecryptionKeys(password);
+
+    // Version 1 records carry no key id, so try each key in turn
+    if (encryptedData.v !== CIPHERTEXT_VERSION) {
+      for (const candidate of keys) {
+        try {
+          return decryptLegacy(encryptedData, candidate);
+        } catch (legacyError) {
+          // Wrong key - try the next one
+        }
+      }
+      throw new Error("No configured key decrypts this record");
+    }
+
+    const recordKey = keys.find((key) => getKeyId(key) === encryptedData.kid);
+    if (!recordKey) {
+      throw new Error(`Unknown encryption key id: ${encryptedData.kid}`);
+    }
+
     // Extract components
     const salt = Buffer.from(encryptedData.salt, "hex");
     const iv = Buffer.from(encryptedData.iv, "hex");
     const encrypted = encryptedData.data;
 
     // Generate key from password and salt
-    const key = generateKey(password, salt);
+    const key = generateKey(recordKey, salt);
 
-    // Create decipher
+    // Create decipher; a bad auth tag means the record was tampered with
     const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAuthTag(Buffer.from(encryptedData.tag, "hex"));
 
     // Decrypt data
     let decrypted = decipher.update(encrypted, "hex", "utf8");
@@ -168,7 +253,11 @@ const createDataSignature = (data, secret) => {
 };
 
 module.exports = {
+  CIPHERTEXT_VERSION,
   generateChallengeId,
+  getKeyId,
+  getDecryptionKeys,
+  needsReencryption,
   encryptData,
   decryptData,
   hashSensitiveData,
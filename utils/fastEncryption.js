@@ -1,15 +1,34 @@
 const crypto = require("crypto");
+const { getKeyId, getDecryptionKeys } = require("./encryption");
 
-// Use faster encryption algorithm (AES-256-CBC instead of AES-256-GCM)
-const ALGORITHM = "aes-256-cbc";
+// Authenticated encryption; legacy "v1" strings used AES-256-CBC
+const ALGORITHM = "aes-256-gcm";
+const LEGACY_ALGORITHM = "aes-256-cbc";
+const VERSION_PREFIX = "v2";
 const KEY_LENGTH = 32; // 256 bits
-const IV_LENGTH = 16; // 128 bits
+const IV_LENGTH = 12; // 96 bits, recommended for GCM
 
 /**
- * Fast encryption using AES-256-CBC (faster than GCM)
+ * Legacy fast decryption (unversioned base64 AES-256-CBC strings)
+ */
+function fastDecryptLegacy(encryptedData, key) {
+  const combined = Buffer.from(encryptedData, "base64").toString("utf8");
+  const [, encrypted] = combined.split(":");
+
+  const derivedKey = crypto.scryptSync(key, "salt", KEY_LENGTH);
+  const decipher = crypto.createDecipher(LEGACY_ALGORITHM, derivedKey);
+
+  let decrypted = decipher.update(encrypted, "hex", "utf8");
+  decrypted += decipher.final("utf8");
+
+  return decrypted;
+}
+
+/**
+ * Fast encryption using AES-256-GCM with a single key derivation
  * @param {string} text - Text to encrypt
  * @param {string} key - Encryption key
- * @returns {string} - Encrypted data (base64)
+ * @returns {string} - Encrypted data (`v2:<keyId>:<iv>:<tag>:<data>`)
  */
 function fastEncrypt(text, key) {
   try {
@@ -20,16 +39,19 @@ function fastEncrypt(text, key) {
     const iv = crypto.randomBytes(IV_LENGTH);
 
     // Create cipher
-    const cipher = crypto.createCipher(ALGORITHM, derivedKey);
+    const cipher = crypto.createCipheriv(ALGORITHM, derivedKey, iv);
 
     // Encrypt
     let encrypted = cipher.update(text, "utf8", "hex");
     encrypted += cipher.final("hex");
 
-    // Combine IV and encrypted data
-    const combined = iv.toString("hex") + ":" + encrypted;
-
-    return Buffer.from(combined).toString("base64");
+    return [
+      VERSION_PREFIX,
+      getKeyId(key),
+      iv.toString("hex"),
+      cipher.getAuthTag().toString("hex"),
+      encrypted,
+    ].join(":");
   } catch (error) {
     console.error("Fast encryption error:", error);
     throw new Error("Encryption failed");
@@ -37,25 +59,44 @@ function fastEncrypt(text, key) {
 }
 
 /**
- * Fast decryption using AES-256-CBC
- * @param {string} encryptedData - Encrypted data (base64)
+ * Fast decryption; accepts the given key or any previous key
+ * @param {string} encryptedData - Encrypted data from fastEncrypt
  * @param {string} key - Decryption key
  * @returns {string} - Decrypted text
  */
 function fastDecrypt(encryptedData, key) {
   try {
-    // Decode from base64
-    const combined = Buffer.from(encryptedData, "base64").toString("utf8");
-
-    // Split IV and encrypted data
-    const [ivHex, encrypted] = combined.split(":");
-    const iv = Buffer.from(ivHex, "hex");
+    const keys = getDecryptionKeys(key);
+    if (!keys.includes(key)) keys.unshift(key);
+
+    // Unversioned strings carry no key id, so try each key in turn
+    if (!encryptedData.startsWith(`${VERSION_PREFIX}:`)) {
+      for (const candidate of keys) {
+        try {
+          return fastDecryptLegacy(encryptedData, candidate);
+        } catch (legacyError) {
+          // Wrong key - try the next one
+        }
+      }
+      throw new Error("No configured key decrypts this data");
+    }
+
+    const [, keyId, ivHex, tagHex, encrypted] = encryptedData.split(":");
+    const recordKey = keys.find((candidate) => getKeyId(candidate) === keyId);
+    if (!recordKey) {
+      throw new Error(`Unknown encryption key id: ${keyId}`);
+    }
 
     // Derive key from input
-    const derivedKey = crypto.scryptSync(key, "salt", KEY_LENGTH);
-
-    // Create decipher
-    const decipher = crypto.createDecipher(ALGORITHM, derivedKey);
+    const derivedKey = crypto.scryptSync(recordKey, "salt", KEY_LENGTH);
+
+    // Create decipher; a bad auth tag means the data was tampered with
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      derivedKey,
+      Buffer.from(ivHex, "hex")
+    );
+    decipher.setAuthTag(Buffer.from(tagHex, "hex"));
 
     // Decrypt
     let decrypted = decipher.update(encrypted, "hex", "utf8");
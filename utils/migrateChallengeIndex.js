@@ -1,9 +1,16 @@
+const admin = require("firebase-admin");
 const { database } = require("../config/firebase");
 const { ref, get, set } = require("firebase/database");
-const { decryptData } = require("./encryption");
+const {
+  encryptData,
+  decryptData,
+  getKeyId,
+  needsReencryption,
+} = require("./encryption");
 
 /**
  * Migration utility to populate challenge indexes for existing challenges
+ * and to re-encrypt stored challenges with the current key
  */
 
 const ENCRYPTION_KEY = process.env.CHALLENGE_ENCRYPTION_KEY || "";
@@ -132,7 +139,149 @@ const checkMigrationStatus = async () => {
   }
 };
 
+// Progress of the re-encryption job is kept here so it survives restarts
+const REENCRYPTION_STATUS_PATH = "migrations/challengeReencryption";
+let reencryptionRunning = false;
+
+/**
+ * Rewrite one challenge with the current key if it is on an old key or format
+ * Runs as a transaction so a concurrent update is never overwritten
+ */
+const reencryptChallenge = async (challengeId) => {
+  let rewritten = false;
+
+  await admin
+    .database()
+    .ref(`secureChallenges/${challengeId}`)
+    .transaction((encrypted) => {
+      rewritten = false;
+      if (!encrypted) return encrypted;
+      if (!needsReencryption(encrypted, ENCRYPTION_KEY)) return; // Abort
+
+      rewritten = true;
+      return encryptData(
+        decryptData(encrypted, ENCRYPTION_KEY),
+        ENCRYPTION_KEY
+      );
+    });
+
+  return rewritten;
+};
+
+/**
+ * Move every challenge onto the current encryption key
+ * Safe to re-run: records already on the current key are skipped
+ */
+const reencryptChallenges = async () => {
+  if (reencryptionRunning) {
+    return { alreadyRunning: true };
+  }
+  reencryptionRunning = true;
+
+  const statusRef = ref(database, REENCRYPTION_STATUS_PATH);
+  const startTime = Date.now();
+  let reencrypted = 0;
+  let skipped = 0;
+  const failures = [];
+
+  try {
+    console.log("🔐 Starting challenge re-encryption...");
+    await set(statusRef, {
+      status: "running",
+      keyId: getKeyId(ENCRYPTION_KEY),
+      startedAt: startTime,
+    });
+
+    const challengesSnap = await get(ref(database, "secureChallenges"));
+    const challengeIds = challengesSnap.exists()
+      ? Object.keys(challengesSnap.val())
+      : [];
+
+    for (const challengeId of challengeIds) {
+      try {
+        if (await reencryptChallenge(challengeId)) {
+          reencrypted++;
+        } else {
+          skipped++;
+        }
+      } catch (error) {
+        failures.push({ challengeId, error: error.message });
+        console.warn(
+          `❌ Failed to re-encrypt challenge ${challengeId}:`,
+          error.message
+        );
+      }
+    }
+
+    const result = {
+      status: failures.length > 0 ? "completed_with_errors" : "completed",
+      keyId: getKeyId(ENCRYPTION_KEY),
+      startedAt: startTime,
+      finishedAt: Date.now(),
+      total: challengeIds.length,
+      reencrypted,
+      skipped,
+      errors: failures.length,
+      failures: failures.slice(0, 50),
+    };
+    await set(statusRef, result);
+
+    console.log(
+      `🔐 Re-encryption completed in ${
+        Date.now() - startTime
+      }ms: ${reencrypted} rewritten, ${skipped} already current, ${
+        failures.length
+      } errors`
+    );
+
+    return result;
+  } catch (error) {
+    console.error("Re-encryption failed:", error);
+    await set(statusRef, {
+      status: "failed",
+      keyId: getKeyId(ENCRYPTION_KEY),
+      startedAt: startTime,
+      finishedAt: Date.now(),
+      reencrypted,
+      error: error.message,
+    });
+    throw error;
+  } finally {
+    reencryptionRunning = false;
+  }
+};
+
+/**
+ * Count stored challenges by encryption key and format
+ */
+const checkEncryptionStatus = async () => {
+  const [challengesSnap, jobSnap] = await Promise.all([
+    get(ref(database, "secureChallenges")),
+    get(ref(database, REENCRYPTION_STATUS_PATH)),
+  ]);
+
+  const byKey = {};
+  let pending = 0;
+  Object.values(challengesSnap.exists() ? challengesSnap.val() : {}).forEach(
+    (encrypted) => {
+      const keyLabel = encrypted.kid || "legacy";
+      byKey[keyLabel] = (byKey[keyLabel] || 0) + 1;
+      if (needsReencryption(encrypted, ENCRYPTION_KEY)) pending++;
+    }
+  );
+
+  return {
+    currentKeyId: getKeyId(ENCRYPTION_KEY),
+    byKey,
+    pending,
+    running: reencryptionRunning,
+    lastRun: jobSnap.exists() ? jobSnap.val() : null,
+  };
+};
+
 module.exports = {
   migrateChallengeIndexes,
   checkMigrationStatus,
+  reencryptChallenges,
+  checkEncryptionStatus,
 };
@@ -50,7 +50,72 @@ const getMpesaConfig = () => {
   };
 };
 
+// B2C (business to customer) payouts share the consumer key/secret above
+const validateMpesaB2CConfig = () => {
+  const requiredEnvVars = [
+    "MPESA_CONSUMER_KEY",
+    "MPESA_CONSUMER_SECRET",
+    "MPESA_B2C_SHORTCODE",
+    "MPESA_B2C_INITIATOR_NAME",
+    "MPESA_B2C_SECURITY_CREDENTIAL",
+    "MPESA_B2C_RESULT_URL",
+    "MPESA_B2C_TIMEOUT_URL",
+  ];
+
+  const missingVars = requiredEnvVars.filter(
+    (varName) => !process.env[varName]
+  );
+
+  if (missingVars.length > 0) {
+    console.error("❌ Missing M-Pesa B2C environment variables:", missingVars);
+    return false;
+  }
+
+  const urls = [
+    process.env.MPESA_B2C_RESULT_URL,
+    process.env.MPESA_B2C_TIMEOUT_URL,
+    process.env.MPESA_B2C_STATUS_URL,
+  ].filter(Boolean);
+  if (urls.some((url) => !url.startsWith("https://"))) {
+    console.error(
+      "❌ MPESA_B2C_RESULT_URL, MPESA_B2C_TIMEOUT_URL and MPESA_B2C_STATUS_URL must use HTTPS"
+    );
+    return false;
+  }
+
+  if (!/^\d{5,7}$/.test(process.env.MPESA_B2C_SHORTCODE)) {
+    console.error("❌ MPESA_B2C_SHORTCODE must be 5-7 digits");
+    return false;
+  }
+
+  console.log("✅ M-Pesa B2C configuration validated successfully");
+  return true;
+};
+
+const getMpesaB2CConfig = () => {
+  if (!validateMpesaB2CConfig()) {
+    throw new Error("M-Pesa B2C configuration is invalid");
+  }
+
+  return {
+    consumerKey: process.env.MPESA_CONSUMER_KEY,
+    consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+    shortcode: process.env.MPESA_B2C_SHORTCODE,
+    initiatorName: process.env.MPESA_B2C_INITIATOR_NAME,
+    securityCredential: process.env.MPESA_B2C_SECURITY_CREDENTIAL,
+    resultUrl: process.env.MPESA_B2C_RESULT_URL,
+    timeoutUrl: process.env.MPESA_B2C_TIMEOUT_URL,
+    // Transaction status results; next to the result URL unless set
+    statusUrl:
+      process.env.MPESA_B2C_STATUS_URL ||
+      new URL("status", process.env.MPESA_B2C_RESULT_URL).toString(),
+    environment: process.env.MPESA_ENVIRONMENT,
+  };
+};
+
 module.exports = {
   validateMpesaConfig,
   getMpesaConfig,
+  validateMpesaB2CConfig,
+  getMpesaB2CConfig,
 };
@@ -0,0 +1,137 @@
+const admin = require("firebase-admin");
+
+/**
+ * Payment reference index
+ * Maps provider references to payment transaction ids so callbacks can find
+ * their transaction without reading the whole `transactions` node:
+ *   transactionIndex/{kind}/{reference} = transactionId
+ */
+
+const PAYMENT_REFERENCES = {
+  MPESA_CHECKOUT: "mpesaCheckout",
+  STRIPE_PAYMENT_INTENT: "stripePaymentIntent",
+  STRIPE_CHECKOUT_SESSION: "stripeCheckoutSession",
+};
+
+// Transaction field each reference kind is stored in
+const REFERENCE_FIELDS = {
+  [PAYMENT_REFERENCES.MPESA_CHECKOUT]: "checkoutRequestId",
+  [PAYMENT_REFERENCES.STRIPE_PAYMENT_INTENT]: "paymentIntentId",
+  [PAYMENT_REFERENCES.STRIPE_CHECKOUT_SESSION]: "checkoutSessionId",
+};
+
+// RTDB keys cannot contain . # $ [ ] or /
+const toIndexKey = (reference) => String(reference).replace(/[.#$[\]/]/g, "_");
+
+/**
+ * Index paths for every provider reference a transaction carries
+ */
+const getIndexUpdates = (transactionId, transaction) => {
+  const updates = {};
+  Object.entries(REFERENCE_FIELDS).forEach(([kind, field]) => {
+    if (transaction[field]) {
+      updates[`transactionIndex/${kind}/${toIndexKey(transaction[field])}`] =
+        transactionId;
+    }
+  });
+  return updates;
+};
+
+/**
+ * Index a transaction's provider references (call when it is created)
+ */
+const indexTransaction = async (transactionId, transaction) => {
+  const updates = getIndexUpdates(transactionId, transaction);
+  if (Object.keys(updates).length > 0) {
+    await admin.database().ref().update(updates);
+  }
+};
+
+/**
+ * Find a transaction by provider reference
+ * Falls back to a query on the transaction field for records the index
+ * missed, and repairs the index when it finds one
+ * Returns { transactionId, transaction } or null
+ */
+const findTransactionByReference = async (kind, reference) => {
+  if (!reference) return null;
+
+  const db = admin.database();
+  const indexSnap = await db
+    .ref(`transactionIndex/${kind}/${toIndexKey(reference)}`)
+    .once("value");
+
+  if (indexSnap.exists()) {
+    const transactionId = indexSnap.val();
+    const transactionSnap = await db
+      .ref(`transactions/${transactionId}`)
+      .once("value");
+    if (transactionSnap.exists()) {
+      return { transactionId, transaction: transactionSnap.val() };
+    }
+  }
+
+  const matchSnap = await db
+    .ref("transactions")
+    .orderByChild(REFERENCE_FIELDS[kind])
+    .equalTo(reference)
+    .limitToFirst(1)
+    .once("value");
+  if (!matchSnap.exists()) return null;
+
+  const [transactionId, transaction] = Object.entries(matchSnap.val())[0];
+  console.warn(`⚠️ ${kind} ${reference} was missing from the index, repairing`);
+  await indexTransaction(transactionId, transaction);
+  return { transactionId, transaction };
+};
+
+/**
+ * Build the index for existing transactions, a page at a time
+ */
+const backfillPaymentIndex = async (pageSize = 500) => {
+  console.log("🔄 Starting payment index backfill...");
+  const startTime = Date.now();
+  const db = admin.database();
+
+  let scanned = 0;
+  let indexed = 0;
+  let lastKey = null;
+
+  while (true) {
+    let pageQuery = db.ref("transactions").orderByKey();
+    if (lastKey) pageQuery = pageQuery.startAt(lastKey);
+    const pageSnap = await pageQuery.limitToFirst(pageSize + 1).once("value");
+
+    const entries = Object.entries(pageSnap.val() || {}).filter(
+      ([id]) => id !== lastKey
+    );
+    if (entries.length === 0) break;
+
+    const updates = {};
+    entries.forEach(([id, transaction]) => {
+      const transactionUpdates = getIndexUpdates(id, transaction || {});
+      Object.assign(updates, transactionUpdates);
+      indexed += Object.keys(transactionUpdates).length;
+    });
+    if (Object.keys(updates).length > 0) {
+      await db.ref().update(updates);
+    }
+
+    scanned += entries.length;
+    lastKey = entries[entries.length - 1][0];
+    if (entries.length < pageSize) break;
+  }
+
+  const duration = Date.now() - startTime;
+  console.log(
+    `✅ Payment index backfill done: ${indexed} references from ${scanned} transactions in ${duration}ms`
+  );
+  return { scanned, indexed, duration };
+};
+
+module.exports = {
+  PAYMENT_REFERENCES,
+  indexTransaction,
+  findTransactionByReference,
+  backfillPaymentIndex,
+};
@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+
+/**
+ * Score Signature - per-session secrets and HMAC-signed score payloads
+ *
+ * The embedded game signs
+ *   `${challengeId}:${sessionToken}:${score}:${nonce}:${elapsedMs}`
+ * with HMAC-SHA256 using the session secret and sends the hex digest
+ */
+
+/**
+ * Generate the secret handed to the game when a session starts
+ */
+const createSessionSecret = () => {
+  return crypto.randomBytes(32).toString("hex");
+};
+
+/**
+ * Build the canonical string that is signed for a score submission
+ */
+const buildScorePayload = ({
+  challengeId,
+  sessionToken,
+  score,
+  nonce,
+  elapsedMs,
+}) => {
+  return [challengeId, sessionToken, score, nonce, elapsedMs].join(":");
+};
+
+/**
+ * Sign a score payload (used by tests and server-side game integrations)
+ */
+const signScorePayload = (secret, payload) => {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(buildScorePayload(payload))
+    .digest("hex");
+};
+
+/**
+ * Check a score payload signature in constant time
+ */
+const verifyScoreSignature = (secret, payload, signature) => {
+  try {
+    const expected = Buffer.from(signScorePayload(secret, payload), "hex");
+    const provided = Buffer.from(signature, "hex");
+    return (
+      provided.length === expected.length &&
+      crypto.timingSafeEqual(provided, expected)
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Record a nonce as used; returns false if it was seen before
+ */
+const consumeNonce = async (sessionToken, nonce) => {
+  const nonceKey = crypto
+    .createHash("sha256")
+    .update(`${sessionToken}:${nonce}`)
+    .digest("hex");
+
+  const result = await admin
+    .database()
+    .ref(`usedScoreNonces/${nonceKey}`)
+    .transaction((existing) => {
+      if (existing) return; // Abort - replay
+      return { usedAt: Date.now() };
+    });
+
+  return result.committed;
+};
+
+/**
+ * Remove used nonces older than maxAge (sessions only last 30 minutes)
+ */
+const purgeUsedNonces = async (maxAge = 24 * 60 * 60 * 1000) => {
+  const cutoff = Date.now() - maxAge;
+  const staleSnap = await admin
+    .database()
+    .ref("usedScoreNonces")
+    .orderByChild("usedAt")
+    .endAt(cutoff)
+    .once("value");
+
+  if (!staleSnap.exists()) return 0;
+
+  const updates = {};
+  Object.keys(staleSnap.val()).forEach((key) => {
+    updates[`usedScoreNonces/${key}`] = null;
+  });
+  await admin.database().ref().update(updates);
+
+  return Object.keys(updates).length;
+};
+
+module.exports = {
+  createSessionSecret,
+  buildScorePayload,
+  signScorePayload,
+  verifyScoreSignature,
+  consumeNonce,
+  purgeUsedNonces,
+};
@@ -0,0 +1,115 @@
+/**
+ * Text PDF - minimal PDF writer for plain text documents (statements, reports)
+ *
+ * Lines are laid out top to bottom on A4 pages in the standard Courier
+ * fonts, so columns line up without any font metrics. Only Latin-1 text
+ * is supported; other characters are replaced with "?".
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+
+const escapeText = (text) =>
+  String(text)
+    .replace(/[^\x20-\xff]/g, "?")
+    .replace(/\\/g, "\\\\")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)");
+
+/**
+ * Split lines into pages, leaving room for the footer
+ */
+const paginate = (lines) => {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  lines.forEach((line) => {
+    const size = line.size || 9;
+    const height = size + (line.spaceBefore || 0) + 3;
+    if (y - height < MARGIN + 20 && pages[pages.length - 1].length > 0) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= height;
+    pages[pages.length - 1].push({ ...line, size, y });
+  });
+
+  return pages;
+};
+
+const buildPageContent = (pageLines, pageNumber, pageCount, footer) => {
+  const commands = pageLines.map(
+    (line) =>
+      `BT /${line.bold ? "F2" : "F1"} ${line.size} Tf ${MARGIN} ${
+        line.y
+      } Td (${escapeText(line.text)}) Tj ET`
+  );
+  commands.push(
+    `BT /F1 8 Tf ${MARGIN} ${MARGIN - 10} Td (${escapeText(
+      `${footer ? `${footer}  -  ` : ""}Page ${pageNumber} of ${pageCount}`
+    )}) Tj ET`
+  );
+  return commands.join("\n");
+};
+
+/**
+ * Render lines of text to a PDF Buffer
+ * lines: [{ text, bold, size, spaceBefore }]
+ */
+const createTextPdf = ({ title = "", lines, footer = "" }) => {
+  const pages = paginate(lines.length > 0 ? lines : [{ text: "" }]);
+
+  // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and content per page
+  const objects = [];
+  const pageIds = pages.map((_, index) => 6 + index * 2);
+
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds
+    .map((id) => `${id} 0 R`)
+    .join(" ")}] /Count ${pages.length} >>`;
+  objects[3] =
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>";
+  objects[4] =
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>";
+  objects[5] = `<< /Title (${escapeText(title)}) /Producer (GameTribe) >>`;
+
+  pages.forEach((pageLines, index) => {
+    const pageId = pageIds[index];
+    const content = buildPageContent(
+      pageLines,
+      index + 1,
+      pages.length,
+      footer
+    );
+    objects[
+      pageId
+    ] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${
+      pageId + 1
+    } 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(
+      content,
+      "latin1"
+    )} >>\nstream\n${content}\nendstream`;
+  });
+
+  let output = "%PDF-1.4\n";
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(output, "latin1");
+    output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(output, "latin1");
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    output += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, "latin1");
+};
+
+module.exports = {
+  createTextPdf,
+};